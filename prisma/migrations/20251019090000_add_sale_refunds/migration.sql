@@ -0,0 +1,61 @@
+-- AlterTable
+ALTER TABLE `Debt` ADD COLUMN `voidedAt` DATETIME(3) NULL;
+
+-- AlterTable
+ALTER TABLE `Payment` ADD COLUMN `status` ENUM('COMPLETED', 'REFUNDED', 'VOIDED') NOT NULL DEFAULT 'COMPLETED';
+
+-- AlterTable
+ALTER TABLE `CreditTransaction` MODIFY `type` ENUM('OVERPAYMENT_ADDED', 'APPLIED_TO_DEBT', 'MANUAL_ADJUSTMENT', 'REFUND_ADDED') NOT NULL;
+
+-- AlterTable
+ALTER TABLE `Sale` ADD COLUMN `refundedAmount` DOUBLE NOT NULL DEFAULT 0,
+    ADD COLUMN `cancelledAt` DATETIME(3) NULL,
+    ADD COLUMN `cancellationReason` VARCHAR(191) NULL;
+
+-- AlterTable
+ALTER TABLE `SaleItem` ADD COLUMN `refundedQuantity` INTEGER NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE `SaleRefund` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `saleId` INTEGER NOT NULL,
+    `userId` INTEGER NOT NULL,
+    `type` ENUM('CANCELLATION', 'FULL', 'PARTIAL') NOT NULL,
+    `amount` DOUBLE NOT NULL,
+    `debtReduced` DOUBLE NOT NULL DEFAULT 0,
+    `cashRefunded` DOUBLE NOT NULL DEFAULT 0,
+    `creditIssued` DOUBLE NOT NULL DEFAULT 0,
+    `refundMethod` ENUM('CASH', 'MPESA', 'BANK_TRANSFER', 'OTHER') NULL,
+    `reason` VARCHAR(191) NULL,
+    `restocked` BOOLEAN NOT NULL DEFAULT true,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `SaleRefund_saleId_idx`(`saleId`),
+    INDEX `SaleRefund_userId_idx`(`userId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `SaleRefundItem` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `refundId` INTEGER NOT NULL,
+    `saleItemId` INTEGER NOT NULL,
+    `quantity` INTEGER NOT NULL,
+    `amount` DOUBLE NOT NULL,
+
+    INDEX `SaleRefundItem_refundId_idx`(`refundId`),
+    INDEX `SaleRefundItem_saleItemId_idx`(`saleItemId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `SaleRefund` ADD CONSTRAINT `SaleRefund_saleId_fkey` FOREIGN KEY (`saleId`) REFERENCES `Sale`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `SaleRefund` ADD CONSTRAINT `SaleRefund_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `User`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `SaleRefundItem` ADD CONSTRAINT `SaleRefundItem_refundId_fkey` FOREIGN KEY (`refundId`) REFERENCES `SaleRefund`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `SaleRefundItem` ADD CONSTRAINT `SaleRefundItem_saleItemId_fkey` FOREIGN KEY (`saleItemId`) REFERENCES `SaleItem`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
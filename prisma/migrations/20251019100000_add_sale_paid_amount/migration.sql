@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE `Sale` ADD COLUMN `paidAmount` DOUBLE NOT NULL DEFAULT 0;
+
+-- Backfill: everything not still owed on the sale's debts has been paid
+UPDATE `Sale` s
+SET s.`paidAmount` = s.`totalAmount` - COALESCE(
+    (SELECT SUM(d.`amount`) FROM `Debt` d WHERE d.`saleId` = s.`id` AND d.`isPaid` = false),
+    0
+);
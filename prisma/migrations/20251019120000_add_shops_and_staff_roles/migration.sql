@@ -0,0 +1,30 @@
+-- AlterTable
+ALTER TABLE `User` ADD COLUMN `role` ENUM('OWNER', 'MANAGER', 'CASHIER') NOT NULL DEFAULT 'OWNER',
+    ADD COLUMN `isActive` BOOLEAN NOT NULL DEFAULT true,
+    ADD COLUMN `shopId` INTEGER NULL;
+
+-- CreateTable
+CREATE TABLE `Shop` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `name` VARCHAR(191) NOT NULL,
+    `ownerId` INTEGER NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `Shop_ownerId_key`(`ownerId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- Every existing user becomes the owner of their own shop
+INSERT INTO `Shop` (`name`, `ownerId`, `createdAt`)
+SELECT COALESCE(`shopName`, `name`, `email`), `id`, `createdAt` FROM `User`;
+
+UPDATE `User` u
+JOIN `Shop` s ON s.`ownerId` = u.`id`
+SET u.`shopId` = s.`id`;
+
+-- AddForeignKey
+ALTER TABLE `User` ADD CONSTRAINT `User_shopId_fkey` FOREIGN KEY (`shopId`) REFERENCES `Shop`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `Shop` ADD CONSTRAINT `Shop_ownerId_fkey` FOREIGN KEY (`ownerId`) REFERENCES `User`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE `AuditLog` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `userId` INTEGER NOT NULL,
+    `actorId` INTEGER NULL,
+    `entity` ENUM('DEBT', 'PAYMENT', 'CREDIT', 'SALE', 'PRODUCT', 'INVENTORY') NOT NULL,
+    `entityId` INTEGER NOT NULL,
+    `action` ENUM('CREATE', 'UPDATE', 'DELETE', 'CANCEL', 'REFUND') NOT NULL,
+    `before` JSON NULL,
+    `after` JSON NULL,
+    `reason` VARCHAR(191) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `AuditLog_userId_createdAt_idx`(`userId`, `createdAt`),
+    INDEX `AuditLog_userId_entity_entityId_idx`(`userId`, `entity`, `entityId`),
+    INDEX `AuditLog_actorId_idx`(`actorId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
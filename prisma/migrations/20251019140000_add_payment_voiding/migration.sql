@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE `Payment` ADD COLUMN `voidedAt` DATETIME(3) NULL,
+    ADD COLUMN `voidReason` VARCHAR(191) NULL;
+
+-- AlterTable
+ALTER TABLE `CreditTransaction` MODIFY `type` ENUM('OVERPAYMENT_ADDED', 'APPLIED_TO_DEBT', 'MANUAL_ADJUSTMENT', 'REFUND_ADDED', 'PAYMENT_VOIDED') NOT NULL;
+
+-- AlterTable
+ALTER TABLE `AuditLog` MODIFY `action` ENUM('CREATE', 'UPDATE', 'DELETE', 'CANCEL', 'REFUND', 'VOID') NOT NULL;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE `Shop` ADD COLUMN `paymentAllocationStrategy` ENUM('OLDEST_FIRST', 'EARLIEST_DUE_FIRST', 'SMALLEST_BALANCE_FIRST') NOT NULL DEFAULT 'OLDEST_FIRST';
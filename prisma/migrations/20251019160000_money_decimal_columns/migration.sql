@@ -0,0 +1,58 @@
+-- Money columns move from DOUBLE to DECIMAL(12,2).
+-- MySQL rounds existing values to the cent (halves away from zero) while converting,
+-- which also clears floating-point residue such as 0.0000001 left on debts.
+
+-- AlterTable
+ALTER TABLE `Customer` MODIFY `creditBalance` DECIMAL(12, 2) NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE `Debt` MODIFY `amount` DECIMAL(12, 2) NOT NULL,
+    MODIFY `originalAmount` DECIMAL(12, 2) NOT NULL;
+
+-- AlterTable
+ALTER TABLE `Payment` MODIFY `amount` DECIMAL(12, 2) NOT NULL,
+    MODIFY `appliedToDebt` DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    MODIFY `creditAmount` DECIMAL(12, 2) NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE `PaymentAllocation` MODIFY `amount` DECIMAL(12, 2) NOT NULL;
+
+-- AlterTable
+ALTER TABLE `CreditTransaction` MODIFY `amount` DECIMAL(12, 2) NOT NULL;
+
+-- AlterTable
+ALTER TABLE `Product` MODIFY `sellingPrice` DECIMAL(12, 2) NOT NULL,
+    MODIFY `costPrice` DECIMAL(12, 2) NULL;
+
+-- AlterTable
+ALTER TABLE `Service` MODIFY `price` DECIMAL(12, 2) NOT NULL,
+    MODIFY `costEstimate` DECIMAL(12, 2) NULL;
+
+-- AlterTable
+ALTER TABLE `Sale` MODIFY `subtotal` DECIMAL(12, 2) NOT NULL,
+    MODIFY `discountAmount` DECIMAL(12, 2) NULL DEFAULT 0,
+    MODIFY `taxAmount` DECIMAL(12, 2) NULL DEFAULT 0,
+    MODIFY `totalAmount` DECIMAL(12, 2) NOT NULL,
+    MODIFY `totalCost` DECIMAL(12, 2) NULL DEFAULT 0,
+    MODIFY `totalProfit` DECIMAL(12, 2) NULL DEFAULT 0,
+    MODIFY `paidAmount` DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    MODIFY `refundedAmount` DECIMAL(12, 2) NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE `SaleItem` MODIFY `unitPrice` DECIMAL(12, 2) NOT NULL,
+    MODIFY `totalPrice` DECIMAL(12, 2) NOT NULL,
+    MODIFY `unitCost` DECIMAL(12, 2) NULL DEFAULT 0,
+    MODIFY `totalCost` DECIMAL(12, 2) NULL DEFAULT 0,
+    MODIFY `profit` DECIMAL(12, 2) NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE `SaleRefund` MODIFY `amount` DECIMAL(12, 2) NOT NULL,
+    MODIFY `debtReduced` DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    MODIFY `cashRefunded` DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    MODIFY `creditIssued` DECIMAL(12, 2) NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE `SaleRefundItem` MODIFY `amount` DECIMAL(12, 2) NOT NULL;
+
+-- Debts whose remaining balance rounded to zero are paid
+UPDATE `Debt` SET `amount` = 0, `isPaid` = true WHERE `isPaid` = false AND `amount` <= 0;
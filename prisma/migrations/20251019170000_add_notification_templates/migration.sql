@@ -0,0 +1,15 @@
+-- CreateTable
+CREATE TABLE `NotificationTemplate` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `shopId` INTEGER NOT NULL,
+    `type` ENUM('DEBT_REMINDER') NOT NULL,
+    `body` TEXT NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `NotificationTemplate_shopId_type_key`(`shopId`, `type`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `NotificationTemplate` ADD CONSTRAINT `NotificationTemplate_shopId_fkey` FOREIGN KEY (`shopId`) REFERENCES `Shop`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,33 @@
+-- CreateTable
+CREATE TABLE `Notification` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `userId` INTEGER NOT NULL,
+    `customerId` INTEGER NULL,
+    `channel` ENUM('SMS', 'WHATSAPP') NOT NULL,
+    `type` ENUM('DEBT_REMINDER') NULL,
+    `to` VARCHAR(191) NOT NULL,
+    `body` TEXT NOT NULL,
+    `status` ENUM('PENDING', 'SENDING', 'SENT', 'DELIVERED', 'FAILED') NOT NULL DEFAULT 'PENDING',
+    `attempts` INTEGER NOT NULL DEFAULT 0,
+    `nextAttemptAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `lastError` TEXT NULL,
+    `provider` VARCHAR(191) NULL,
+    `providerMessageId` VARCHAR(191) NULL,
+    `providerStatus` VARCHAR(191) NULL,
+    `resendOfId` INTEGER NULL,
+    `sentAt` DATETIME(3) NULL,
+    `deliveredAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `Notification_status_nextAttemptAt_idx`(`status`, `nextAttemptAt`),
+    INDEX `Notification_userId_customerId_createdAt_idx`(`userId`, `customerId`, `createdAt`),
+    INDEX `Notification_providerMessageId_idx`(`providerMessageId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `Notification` ADD CONSTRAINT `Notification_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `User`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `Notification` ADD CONSTRAINT `Notification_customerId_fkey` FOREIGN KEY (`customerId`) REFERENCES `Customer`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
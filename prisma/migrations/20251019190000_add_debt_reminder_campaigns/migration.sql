@@ -0,0 +1,41 @@
+-- AlterTable
+ALTER TABLE `Shop` ADD COLUMN `remindersEnabled` BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN `reminderChannel` ENUM('SMS', 'WHATSAPP') NOT NULL DEFAULT 'SMS',
+    ADD COLUMN `reminderDaysBeforeDue` INTEGER NOT NULL DEFAULT 3,
+    ADD COLUMN `reminderIntervalDays` INTEGER NOT NULL DEFAULT 3,
+    ADD COLUMN `reminderMaxPerDebt` INTEGER NOT NULL DEFAULT 3,
+    ADD COLUMN `quietHoursStart` INTEGER NULL,
+    ADD COLUMN `quietHoursEnd` INTEGER NULL;
+
+-- AlterTable
+ALTER TABLE `Customer` ADD COLUMN `remindersOptOut` BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE `NotificationTemplate` MODIFY `type` ENUM('DEBT_REMINDER', 'DUE_SOON_REMINDER', 'OVERDUE_REMINDER') NOT NULL;
+
+-- AlterTable
+ALTER TABLE `Notification` MODIFY `type` ENUM('DEBT_REMINDER', 'DUE_SOON_REMINDER', 'OVERDUE_REMINDER') NULL;
+
+-- CreateTable
+CREATE TABLE `DebtReminder` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `debtId` INTEGER NOT NULL,
+    `userId` INTEGER NOT NULL,
+    `notificationId` INTEGER NULL,
+    `kind` ENUM('DUE_SOON', 'OVERDUE') NOT NULL,
+    `channel` ENUM('SMS', 'WHATSAPP') NOT NULL,
+    `amount` DECIMAL(12, 2) NOT NULL,
+    `daysOverdue` INTEGER NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `DebtReminder_notificationId_key`(`notificationId`),
+    INDEX `DebtReminder_debtId_createdAt_idx`(`debtId`, `createdAt`),
+    INDEX `DebtReminder_userId_createdAt_idx`(`userId`, `createdAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `DebtReminder` ADD CONSTRAINT `DebtReminder_debtId_fkey` FOREIGN KEY (`debtId`) REFERENCES `Debt`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `DebtReminder` ADD CONSTRAINT `DebtReminder_notificationId_fkey` FOREIGN KEY (`notificationId`) REFERENCES `Notification`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
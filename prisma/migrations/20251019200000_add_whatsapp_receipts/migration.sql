@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE `Shop` ADD COLUMN `whatsappSaleReceipts` BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN `whatsappPaymentReceipts` BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN `whatsappFrom` VARCHAR(191) NULL;
+
+-- AlterTable
+ALTER TABLE `Notification` MODIFY `type` ENUM('DEBT_REMINDER', 'DUE_SOON_REMINDER', 'OVERDUE_REMINDER', 'SALE_RECEIPT', 'PAYMENT_CONFIRMATION', 'STATEMENT') NULL,
+    ADD COLUMN `sender` VARCHAR(191) NULL;
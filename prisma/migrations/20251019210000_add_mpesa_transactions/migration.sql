@@ -0,0 +1,40 @@
+-- AlterTable
+ALTER TABLE `Shop` ADD COLUMN `mpesaShortcode` VARCHAR(191) NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX `Shop_mpesaShortcode_key` ON `Shop`(`mpesaShortcode`);
+
+-- CreateTable
+CREATE TABLE `MpesaTransaction` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `userId` INTEGER NOT NULL,
+    `source` ENUM('C2B', 'STK') NOT NULL,
+    `transactionCode` VARCHAR(191) NOT NULL,
+    `amount` DECIMAL(12, 2) NOT NULL,
+    `shortcode` VARCHAR(191) NOT NULL,
+    `phone` VARCHAR(191) NULL,
+    `accountReference` VARCHAR(191) NULL,
+    `payerName` VARCHAR(191) NULL,
+    `transactedAt` DATETIME(3) NOT NULL,
+    `status` ENUM('MATCHED', 'SUSPENSE', 'ASSIGNED') NOT NULL DEFAULT 'SUSPENSE',
+    `suspenseReason` VARCHAR(191) NULL,
+    `customerId` INTEGER NULL,
+    `paymentId` INTEGER NULL,
+    `assignedBy` INTEGER NULL,
+    `assignedAt` DATETIME(3) NULL,
+    `payload` JSON NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `MpesaTransaction_transactionCode_key`(`transactionCode`),
+    UNIQUE INDEX `MpesaTransaction_paymentId_key`(`paymentId`),
+    INDEX `MpesaTransaction_userId_status_createdAt_idx`(`userId`, `status`, `createdAt`),
+    INDEX `MpesaTransaction_customerId_idx`(`customerId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `MpesaTransaction` ADD CONSTRAINT `MpesaTransaction_customerId_fkey` FOREIGN KEY (`customerId`) REFERENCES `Customer`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `MpesaTransaction` ADD CONSTRAINT `MpesaTransaction_paymentId_fkey` FOREIGN KEY (`paymentId`) REFERENCES `Payment`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,32 @@
+-- CreateTable
+CREATE TABLE `MpesaRequest` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `userId` INTEGER NOT NULL,
+    `saleId` INTEGER NOT NULL,
+    `customerId` INTEGER NOT NULL,
+    `phone` VARCHAR(191) NOT NULL,
+    `amount` DECIMAL(12, 2) NOT NULL,
+    `merchantRequestId` VARCHAR(191) NULL,
+    `checkoutRequestId` VARCHAR(191) NOT NULL,
+    `status` ENUM('PENDING', 'COMPLETED', 'FAILED', 'TIMEOUT') NOT NULL DEFAULT 'PENDING',
+    `resultCode` INTEGER NULL,
+    `resultDesc` VARCHAR(191) NULL,
+    `mpesaTransactionId` INTEGER NULL,
+    `requestedBy` INTEGER NULL,
+    `expiresAt` DATETIME(3) NOT NULL,
+    `completedAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `MpesaRequest_checkoutRequestId_key`(`checkoutRequestId`),
+    UNIQUE INDEX `MpesaRequest_mpesaTransactionId_key`(`mpesaTransactionId`),
+    INDEX `MpesaRequest_saleId_createdAt_idx`(`saleId`, `createdAt`),
+    INDEX `MpesaRequest_status_expiresAt_idx`(`status`, `expiresAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `MpesaRequest` ADD CONSTRAINT `MpesaRequest_saleId_fkey` FOREIGN KEY (`saleId`) REFERENCES `Sale`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `MpesaRequest` ADD CONSTRAINT `MpesaRequest_mpesaTransactionId_fkey` FOREIGN KEY (`mpesaTransactionId`) REFERENCES `MpesaTransaction`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
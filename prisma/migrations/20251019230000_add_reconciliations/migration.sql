@@ -0,0 +1,52 @@
+-- CreateTable
+CREATE TABLE `Reconciliation` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `userId` INTEGER NOT NULL,
+    `source` ENUM('MPESA', 'BANK') NOT NULL,
+    `periodStart` DATETIME(3) NOT NULL,
+    `periodEnd` DATETIME(3) NOT NULL,
+    `fileName` VARCHAR(191) NULL,
+    `statementLines` INTEGER NOT NULL,
+    `ignoredLines` INTEGER NOT NULL DEFAULT 0,
+    `matchedLines` INTEGER NOT NULL DEFAULT 0,
+    `mismatchedLines` INTEGER NOT NULL DEFAULT 0,
+    `missingPayments` INTEGER NOT NULL DEFAULT 0,
+    `missingFromStatement` INTEGER NOT NULL DEFAULT 0,
+    `createdPayments` INTEGER NOT NULL DEFAULT 0,
+    `statementTotal` DECIMAL(12, 2) NOT NULL,
+    `paymentsTotal` DECIMAL(12, 2) NOT NULL,
+    `createdBy` INTEGER NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `Reconciliation_userId_source_periodStart_periodEnd_key`(`userId`, `source`, `periodStart`, `periodEnd`),
+    INDEX `Reconciliation_userId_createdAt_idx`(`userId`, `createdAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ReconciliationLine` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `reconciliationId` INTEGER NOT NULL,
+    `lineNumber` INTEGER NULL,
+    `reference` VARCHAR(191) NULL,
+    `transactedAt` DATETIME(3) NULL,
+    `amount` DECIMAL(12, 2) NOT NULL,
+    `description` TEXT NULL,
+    `status` ENUM('MATCHED', 'AMOUNT_MISMATCH', 'MISSING_PAYMENT', 'MISSING_FROM_STATEMENT', 'CREATED') NOT NULL,
+    `matchedBy` ENUM('REFERENCE', 'AMOUNT_AND_DATE') NULL,
+    `paymentId` INTEGER NULL,
+    `suggestedCustomerId` INTEGER NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `ReconciliationLine_reconciliationId_status_idx`(`reconciliationId`, `status`),
+    INDEX `ReconciliationLine_paymentId_idx`(`paymentId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `ReconciliationLine` ADD CONSTRAINT `ReconciliationLine_reconciliationId_fkey` FOREIGN KEY (`reconciliationId`) REFERENCES `Reconciliation`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `ReconciliationLine` ADD CONSTRAINT `ReconciliationLine_paymentId_fkey` FOREIGN KEY (`paymentId`) REFERENCES `Payment`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE `IdempotencyKey` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `userId` INTEGER NOT NULL,
+    `actorId` INTEGER NULL,
+    `key` VARCHAR(191) NOT NULL,
+    `endpoint` VARCHAR(191) NOT NULL,
+    `requestHash` VARCHAR(191) NOT NULL,
+    `status` ENUM('IN_PROGRESS', 'COMPLETED') NOT NULL DEFAULT 'IN_PROGRESS',
+    `responseStatus` INTEGER NULL,
+    `responseBody` JSON NULL,
+    `expiresAt` DATETIME(3) NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `IdempotencyKey_userId_key_key`(`userId`, `key`),
+    INDEX `IdempotencyKey_expiresAt_idx`(`expiresAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
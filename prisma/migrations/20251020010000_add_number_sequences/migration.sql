@@ -0,0 +1,31 @@
+-- DropIndex
+DROP INDEX `Sale_saleNumber_key` ON `Sale`;
+
+-- DropIndex
+DROP INDEX `Sale_receiptNumber_key` ON `Sale`;
+
+-- CreateTable
+CREATE TABLE `NumberSequence` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `userId` INTEGER NOT NULL,
+    `name` ENUM('SALE', 'RECEIPT') NOT NULL,
+    `period` VARCHAR(191) NOT NULL DEFAULT '',
+    `value` INTEGER NOT NULL DEFAULT 0,
+    `updatedAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `NumberSequence_userId_name_period_key`(`userId`, `name`, `period`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateIndex
+CREATE UNIQUE INDEX `Sale_userId_saleNumber_key` ON `Sale`(`userId`, `saleNumber`);
+
+-- CreateIndex
+CREATE UNIQUE INDEX `Sale_userId_receiptNumber_key` ON `Sale`(`userId`, `receiptNumber`);
+
+-- Continue each shop's daily sale numbers (SALE-YYYYMMDD-NNN) from the highest one already used
+INSERT INTO `NumberSequence` (`userId`, `name`, `period`, `value`)
+SELECT `userId`, 'SALE', SUBSTRING(`saleNumber`, 6, 8), MAX(CAST(SUBSTRING_INDEX(`saleNumber`, '-', -1) AS UNSIGNED))
+FROM `Sale`
+WHERE `saleNumber` REGEXP '^SALE-[0-9]{8}-[0-9]+$'
+GROUP BY `userId`, SUBSTRING(`saleNumber`, 6, 8);
@@ -0,0 +1,43 @@
+-- CreateTable
+CREATE TABLE `InventoryMovement` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `userId` INTEGER NOT NULL,
+    `productId` INTEGER NOT NULL,
+    `inventoryItemId` INTEGER NOT NULL,
+    `type` ENUM('PURCHASE', 'SALE', 'SERVICE_MATERIAL', 'ADJUSTMENT', 'RETURN', 'TRANSFER', 'COUNT') NOT NULL,
+    `quantity` INTEGER NOT NULL,
+    `balance` INTEGER NOT NULL,
+    `unitCost` DECIMAL(12, 2) NULL,
+    `actorId` INTEGER NULL,
+    `saleId` INTEGER NULL,
+    `saleRefundId` INTEGER NULL,
+    `auditLogId` INTEGER NULL,
+    `reason` VARCHAR(191) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `InventoryMovement_inventoryItemId_id_idx`(`inventoryItemId`, `id`),
+    INDEX `InventoryMovement_productId_createdAt_idx`(`productId`, `createdAt`),
+    INDEX `InventoryMovement_userId_createdAt_idx`(`userId`, `createdAt`),
+    INDEX `InventoryMovement_saleId_idx`(`saleId`),
+    INDEX `InventoryMovement_saleRefundId_idx`(`saleRefundId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `InventoryMovement` ADD CONSTRAINT `InventoryMovement_productId_fkey` FOREIGN KEY (`productId`) REFERENCES `Product`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `InventoryMovement` ADD CONSTRAINT `InventoryMovement_inventoryItemId_fkey` FOREIGN KEY (`inventoryItemId`) REFERENCES `InventoryItem`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `InventoryMovement` ADD CONSTRAINT `InventoryMovement_saleId_fkey` FOREIGN KEY (`saleId`) REFERENCES `Sale`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `InventoryMovement` ADD CONSTRAINT `InventoryMovement_saleRefundId_fkey` FOREIGN KEY (`saleRefundId`) REFERENCES `SaleRefund`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Open the ledger with each item's current stock, so every quantity equals the sum of its movements
+INSERT INTO `InventoryMovement` (`userId`, `productId`, `inventoryItemId`, `type`, `quantity`, `balance`, `unitCost`, `reason`)
+SELECT `i`.`userId`, `i`.`productId`, `i`.`id`, 'COUNT', `i`.`quantity`, `i`.`quantity`, `p`.`costPrice`, 'Opening balance'
+FROM `InventoryItem` `i`
+JOIN `Product` `p` ON `p`.`id` = `i`.`productId`
+WHERE `i`.`quantity` <> 0;
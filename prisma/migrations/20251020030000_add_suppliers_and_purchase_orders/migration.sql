@@ -0,0 +1,147 @@
+-- AlterTable
+ALTER TABLE `Shop` ADD COLUMN `costingMethod` ENUM('WEIGHTED_AVERAGE', 'LAST_COST') NOT NULL DEFAULT 'WEIGHTED_AVERAGE';
+
+-- AlterTable
+ALTER TABLE `NumberSequence` MODIFY `name` ENUM('SALE', 'RECEIPT', 'PURCHASE_ORDER') NOT NULL;
+
+-- AlterTable
+ALTER TABLE `AuditLog` MODIFY `entity` ENUM('DEBT', 'PAYMENT', 'CREDIT', 'SALE', 'PRODUCT', 'INVENTORY', 'PURCHASE_ORDER', 'SUPPLIER_PAYMENT') NOT NULL;
+
+-- AlterTable
+ALTER TABLE `InventoryMovement` ADD COLUMN `purchaseOrderId` INTEGER NULL;
+
+-- CreateTable
+CREATE TABLE `Supplier` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `userId` INTEGER NOT NULL,
+    `name` VARCHAR(191) NOT NULL,
+    `contactName` VARCHAR(191) NULL,
+    `phone` VARCHAR(191) NULL,
+    `email` VARCHAR(191) NULL,
+    `address` VARCHAR(191) NULL,
+    `paymentTermsDays` INTEGER NULL,
+    `isActive` BOOLEAN NOT NULL DEFAULT true,
+    `notes` VARCHAR(191) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `Supplier_userId_name_key`(`userId`, `name`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `PurchaseOrder` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `userId` INTEGER NOT NULL,
+    `supplierId` INTEGER NOT NULL,
+    `orderNumber` VARCHAR(191) NOT NULL,
+    `status` ENUM('DRAFT', 'ORDERED', 'PARTIALLY_RECEIVED', 'RECEIVED', 'CANCELLED') NOT NULL DEFAULT 'DRAFT',
+    `expectedAt` DATETIME(3) NULL,
+    `orderedAt` DATETIME(3) NULL,
+    `receivedAt` DATETIME(3) NULL,
+    `cancelledAt` DATETIME(3) NULL,
+    `totalAmount` DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    `receivedAmount` DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    `notes` VARCHAR(191) NULL,
+    `createdBy` INTEGER NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `PurchaseOrder_userId_orderNumber_key`(`userId`, `orderNumber`),
+    INDEX `PurchaseOrder_userId_status_idx`(`userId`, `status`),
+    INDEX `PurchaseOrder_supplierId_idx`(`supplierId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `PurchaseOrderItem` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `purchaseOrderId` INTEGER NOT NULL,
+    `productId` INTEGER NOT NULL,
+    `quantity` INTEGER NOT NULL,
+    `receivedQuantity` INTEGER NOT NULL DEFAULT 0,
+    `unitCost` DECIMAL(12, 2) NOT NULL,
+
+    UNIQUE INDEX `PurchaseOrderItem_purchaseOrderId_productId_key`(`purchaseOrderId`, `productId`),
+    INDEX `PurchaseOrderItem_productId_idx`(`productId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `SupplierPayable` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `supplierId` INTEGER NOT NULL,
+    `userId` INTEGER NOT NULL,
+    `purchaseOrderId` INTEGER NULL,
+    `amount` DECIMAL(12, 2) NOT NULL,
+    `originalAmount` DECIMAL(12, 2) NOT NULL,
+    `description` VARCHAR(191) NULL,
+    `dueDate` DATETIME(3) NULL,
+    `isPaid` BOOLEAN NOT NULL DEFAULT false,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `SupplierPayable_supplierId_isPaid_idx`(`supplierId`, `isPaid`),
+    INDEX `SupplierPayable_userId_isPaid_idx`(`userId`, `isPaid`),
+    INDEX `SupplierPayable_purchaseOrderId_idx`(`purchaseOrderId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `SupplierPayment` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `supplierId` INTEGER NOT NULL,
+    `userId` INTEGER NOT NULL,
+    `amount` DECIMAL(12, 2) NOT NULL,
+    `paymentMethod` ENUM('CASH', 'MPESA', 'BANK_TRANSFER', 'OTHER') NOT NULL DEFAULT 'CASH',
+    `reference` VARCHAR(191) NULL,
+    `description` VARCHAR(191) NULL,
+    `createdBy` INTEGER NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `SupplierPayment_supplierId_createdAt_idx`(`supplierId`, `createdAt`),
+    INDEX `SupplierPayment_userId_createdAt_idx`(`userId`, `createdAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `SupplierPaymentAllocation` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `paymentId` INTEGER NOT NULL,
+    `payableId` INTEGER NOT NULL,
+    `amount` DECIMAL(12, 2) NOT NULL,
+
+    UNIQUE INDEX `SupplierPaymentAllocation_paymentId_payableId_key`(`paymentId`, `payableId`),
+    INDEX `SupplierPaymentAllocation_payableId_idx`(`payableId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateIndex
+CREATE INDEX `InventoryMovement_purchaseOrderId_idx` ON `InventoryMovement`(`purchaseOrderId`);
+
+-- AddForeignKey
+ALTER TABLE `InventoryMovement` ADD CONSTRAINT `InventoryMovement_purchaseOrderId_fkey` FOREIGN KEY (`purchaseOrderId`) REFERENCES `PurchaseOrder`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `PurchaseOrder` ADD CONSTRAINT `PurchaseOrder_supplierId_fkey` FOREIGN KEY (`supplierId`) REFERENCES `Supplier`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `PurchaseOrderItem` ADD CONSTRAINT `PurchaseOrderItem_purchaseOrderId_fkey` FOREIGN KEY (`purchaseOrderId`) REFERENCES `PurchaseOrder`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `PurchaseOrderItem` ADD CONSTRAINT `PurchaseOrderItem_productId_fkey` FOREIGN KEY (`productId`) REFERENCES `Product`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `SupplierPayable` ADD CONSTRAINT `SupplierPayable_supplierId_fkey` FOREIGN KEY (`supplierId`) REFERENCES `Supplier`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `SupplierPayable` ADD CONSTRAINT `SupplierPayable_purchaseOrderId_fkey` FOREIGN KEY (`purchaseOrderId`) REFERENCES `PurchaseOrder`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `SupplierPayment` ADD CONSTRAINT `SupplierPayment_supplierId_fkey` FOREIGN KEY (`supplierId`) REFERENCES `Supplier`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `SupplierPaymentAllocation` ADD CONSTRAINT `SupplierPaymentAllocation_paymentId_fkey` FOREIGN KEY (`paymentId`) REFERENCES `SupplierPayment`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `SupplierPaymentAllocation` ADD CONSTRAINT `SupplierPaymentAllocation_payableId_fkey` FOREIGN KEY (`payableId`) REFERENCES `SupplierPayable`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,17 @@
+-- AlterTable
+ALTER TABLE `Shop` ADD COLUMN `reorderWindowDays` INTEGER NOT NULL DEFAULT 30,
+    ADD COLUMN `reorderLeadTimeDays` INTEGER NOT NULL DEFAULT 7,
+    ADD COLUMN `reorderSafetyDays` INTEGER NOT NULL DEFAULT 7,
+    ADD COLUMN `reorderCoverDays` INTEGER NOT NULL DEFAULT 14;
+
+-- AlterTable
+ALTER TABLE `Supplier` ADD COLUMN `leadTimeDays` INTEGER NULL;
+
+-- AlterTable
+ALTER TABLE `Product` ADD COLUMN `supplierId` INTEGER NULL;
+
+-- CreateIndex
+CREATE INDEX `Product_supplierId_idx` ON `Product`(`supplierId`);
+
+-- AddForeignKey
+ALTER TABLE `Product` ADD CONSTRAINT `Product_supplierId_fkey` FOREIGN KEY (`supplierId`) REFERENCES `Supplier`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,108 @@
+-- CreateTable
+CREATE TABLE `Location` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `userId` INTEGER NOT NULL,
+    `name` VARCHAR(191) NOT NULL,
+    `isDefault` BOOLEAN NOT NULL DEFAULT false,
+    `isActive` BOOLEAN NOT NULL DEFAULT true,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `Location_userId_isDefault_idx`(`userId`, `isDefault`),
+    UNIQUE INDEX `Location_userId_name_key`(`userId`, `name`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- Every shop, and every owner of existing stock, starts with one default location
+INSERT INTO `Location` (`userId`, `name`, `isDefault`, `isActive`, `createdAt`, `updatedAt`)
+SELECT `owners`.`userId`, 'Main store', true, true, CURRENT_TIMESTAMP(3), CURRENT_TIMESTAMP(3)
+FROM (
+    SELECT `ownerId` AS `userId` FROM `Shop`
+    UNION
+    SELECT `userId` FROM `InventoryItem`
+) AS `owners`;
+
+-- AlterTable: existing stock is held at the default location
+ALTER TABLE `InventoryItem` ADD COLUMN `locationId` INTEGER NULL;
+
+UPDATE `InventoryItem` `i`
+JOIN `Location` `l` ON `l`.`userId` = `i`.`userId` AND `l`.`isDefault` = true
+SET `i`.`locationId` = `l`.`id`;
+
+ALTER TABLE `InventoryItem` MODIFY `locationId` INTEGER NOT NULL;
+
+-- DropIndex
+DROP INDEX `InventoryItem_productId_userId_key` ON `InventoryItem`;
+
+-- CreateIndex
+CREATE UNIQUE INDEX `InventoryItem_productId_locationId_key` ON `InventoryItem`(`productId`, `locationId`);
+
+-- CreateIndex
+CREATE INDEX `InventoryItem_locationId_idx` ON `InventoryItem`(`locationId`);
+
+-- AlterTable
+ALTER TABLE `Sale` ADD COLUMN `locationId` INTEGER NULL;
+
+-- CreateIndex
+CREATE INDEX `Sale_locationId_idx` ON `Sale`(`locationId`);
+
+-- AlterTable
+ALTER TABLE `InventoryMovement` ADD COLUMN `stockTransferId` INTEGER NULL;
+
+-- CreateIndex
+CREATE INDEX `InventoryMovement_stockTransferId_idx` ON `InventoryMovement`(`stockTransferId`);
+
+-- AlterTable
+ALTER TABLE `NumberSequence` MODIFY `name` ENUM('SALE', 'RECEIPT', 'PURCHASE_ORDER', 'STOCK_TRANSFER') NOT NULL;
+
+-- AlterTable
+ALTER TABLE `AuditLog` MODIFY `entity` ENUM('DEBT', 'PAYMENT', 'CREDIT', 'SALE', 'PRODUCT', 'INVENTORY', 'PURCHASE_ORDER', 'SUPPLIER_PAYMENT', 'STOCK_TRANSFER') NOT NULL;
+
+-- CreateTable
+CREATE TABLE `StockTransfer` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `userId` INTEGER NOT NULL,
+    `transferNumber` VARCHAR(191) NOT NULL,
+    `fromLocationId` INTEGER NOT NULL,
+    `toLocationId` INTEGER NOT NULL,
+    `notes` VARCHAR(191) NULL,
+    `createdBy` INTEGER NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `StockTransfer_userId_createdAt_idx`(`userId`, `createdAt`),
+    UNIQUE INDEX `StockTransfer_userId_transferNumber_key`(`userId`, `transferNumber`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `StockTransferItem` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `transferId` INTEGER NOT NULL,
+    `productId` INTEGER NOT NULL,
+    `quantity` INTEGER NOT NULL,
+
+    INDEX `StockTransferItem_productId_idx`(`productId`),
+    UNIQUE INDEX `StockTransferItem_transferId_productId_key`(`transferId`, `productId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `InventoryItem` ADD CONSTRAINT `InventoryItem_locationId_fkey` FOREIGN KEY (`locationId`) REFERENCES `Location`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `Sale` ADD CONSTRAINT `Sale_locationId_fkey` FOREIGN KEY (`locationId`) REFERENCES `Location`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `InventoryMovement` ADD CONSTRAINT `InventoryMovement_stockTransferId_fkey` FOREIGN KEY (`stockTransferId`) REFERENCES `StockTransfer`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `StockTransfer` ADD CONSTRAINT `StockTransfer_fromLocationId_fkey` FOREIGN KEY (`fromLocationId`) REFERENCES `Location`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `StockTransfer` ADD CONSTRAINT `StockTransfer_toLocationId_fkey` FOREIGN KEY (`toLocationId`) REFERENCES `Location`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `StockTransferItem` ADD CONSTRAINT `StockTransferItem_transferId_fkey` FOREIGN KEY (`transferId`) REFERENCES `StockTransfer`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `StockTransferItem` ADD CONSTRAINT `StockTransferItem_productId_fkey` FOREIGN KEY (`productId`) REFERENCES `Product`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,60 @@
+-- CreateTable
+CREATE TABLE `StockTake` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `userId` INTEGER NOT NULL,
+    `takeNumber` VARCHAR(191) NOT NULL,
+    `locationId` INTEGER NOT NULL,
+    `category` VARCHAR(191) NULL,
+    `status` ENUM('OPEN', 'POSTED', 'CANCELLED') NOT NULL DEFAULT 'OPEN',
+    `notes` VARCHAR(191) NULL,
+    `createdBy` INTEGER NULL,
+    `postedBy` INTEGER NULL,
+    `postedAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `StockTake_userId_status_idx`(`userId`, `status`),
+    INDEX `StockTake_locationId_status_idx`(`locationId`, `status`),
+    UNIQUE INDEX `StockTake_userId_takeNumber_key`(`userId`, `takeNumber`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `StockTakeItem` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `stockTakeId` INTEGER NOT NULL,
+    `productId` INTEGER NOT NULL,
+    `expectedQuantity` INTEGER NOT NULL,
+    `countedQuantity` INTEGER NULL,
+    `unitCost` DECIMAL(12, 2) NULL,
+    `countedBy` INTEGER NULL,
+    `countedAt` DATETIME(3) NULL,
+
+    INDEX `StockTakeItem_productId_idx`(`productId`),
+    UNIQUE INDEX `StockTakeItem_stockTakeId_productId_key`(`stockTakeId`, `productId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AlterTable
+ALTER TABLE `InventoryMovement` ADD COLUMN `stockTakeId` INTEGER NULL;
+
+-- CreateIndex
+CREATE INDEX `InventoryMovement_stockTakeId_idx` ON `InventoryMovement`(`stockTakeId`);
+
+-- AlterTable
+ALTER TABLE `NumberSequence` MODIFY `name` ENUM('SALE', 'RECEIPT', 'PURCHASE_ORDER', 'STOCK_TRANSFER', 'STOCK_TAKE') NOT NULL;
+
+-- AlterTable
+ALTER TABLE `AuditLog` MODIFY `entity` ENUM('DEBT', 'PAYMENT', 'CREDIT', 'SALE', 'PRODUCT', 'INVENTORY', 'PURCHASE_ORDER', 'SUPPLIER_PAYMENT', 'STOCK_TRANSFER', 'STOCK_TAKE') NOT NULL;
+
+-- AddForeignKey
+ALTER TABLE `InventoryMovement` ADD CONSTRAINT `InventoryMovement_stockTakeId_fkey` FOREIGN KEY (`stockTakeId`) REFERENCES `StockTake`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `StockTake` ADD CONSTRAINT `StockTake_locationId_fkey` FOREIGN KEY (`locationId`) REFERENCES `Location`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `StockTakeItem` ADD CONSTRAINT `StockTakeItem_stockTakeId_fkey` FOREIGN KEY (`stockTakeId`) REFERENCES `StockTake`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `StockTakeItem` ADD CONSTRAINT `StockTakeItem_productId_fkey` FOREIGN KEY (`productId`) REFERENCES `Product`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
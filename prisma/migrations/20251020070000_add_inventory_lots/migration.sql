@@ -0,0 +1,52 @@
+-- AlterTable
+ALTER TABLE `Product` ADD COLUMN `trackLots` BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE `InventoryLot` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `userId` INTEGER NOT NULL,
+    `productId` INTEGER NOT NULL,
+    `inventoryItemId` INTEGER NOT NULL,
+    `lotNumber` VARCHAR(191) NULL,
+    `expiryDate` DATETIME(3) NULL,
+    `unitCost` DECIMAL(12, 2) NULL,
+    `receivedQuantity` INTEGER NOT NULL,
+    `quantity` INTEGER NOT NULL,
+    `purchaseOrderId` INTEGER NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `InventoryLot_inventoryItemId_expiryDate_idx`(`inventoryItemId`, `expiryDate`),
+    INDEX `InventoryLot_userId_expiryDate_idx`(`userId`, `expiryDate`),
+    INDEX `InventoryLot_productId_idx`(`productId`),
+    INDEX `InventoryLot_purchaseOrderId_idx`(`purchaseOrderId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `SaleItemLot` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `saleItemId` INTEGER NOT NULL,
+    `lotId` INTEGER NOT NULL,
+    `quantity` INTEGER NOT NULL,
+    `returnedQuantity` INTEGER NOT NULL DEFAULT 0,
+
+    INDEX `SaleItemLot_lotId_idx`(`lotId`),
+    UNIQUE INDEX `SaleItemLot_saleItemId_lotId_key`(`saleItemId`, `lotId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `InventoryLot` ADD CONSTRAINT `InventoryLot_productId_fkey` FOREIGN KEY (`productId`) REFERENCES `Product`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `InventoryLot` ADD CONSTRAINT `InventoryLot_inventoryItemId_fkey` FOREIGN KEY (`inventoryItemId`) REFERENCES `InventoryItem`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `InventoryLot` ADD CONSTRAINT `InventoryLot_purchaseOrderId_fkey` FOREIGN KEY (`purchaseOrderId`) REFERENCES `PurchaseOrder`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `SaleItemLot` ADD CONSTRAINT `SaleItemLot_saleItemId_fkey` FOREIGN KEY (`saleItemId`) REFERENCES `SaleItem`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `SaleItemLot` ADD CONSTRAINT `SaleItemLot_lotId_fkey` FOREIGN KEY (`lotId`) REFERENCES `InventoryLot`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
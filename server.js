@@ -3,6 +3,9 @@ const http = require('http');
 const morgan = require('morgan');
 const logger = require('./src/utils/logger');
 const errorHandler = require('./src/middlewares/errorHandler');
+const notificationWorker = require('./src/workers/notificationWorker');
+const reminderScheduler = require('./src/workers/reminderScheduler');
+const mpesaRequestWorker = require('./src/workers/mpesaRequestWorker');
 
 const PORT = process.env.PORT || 5000;
 
@@ -19,4 +22,14 @@ const server = http.createServer(app);
 
 server.listen(PORT, () => {
     console.log(`Server running on http://localhost:${PORT}`);
+
+    if (process.env.NOTIFICATION_WORKER !== 'off') {
+        notificationWorker.start();
+    }
+    if (process.env.REMINDER_SCHEDULER !== 'off') {
+        reminderScheduler.start();
+    }
+    if (process.env.MPESA_REQUEST_WORKER !== 'off') {
+        mpesaRequestWorker.start();
+    }
 });
@@ -0,0 +1,57 @@
+const AuditService = require('../services/auditService');
+
+/**
+ * AUDIT CONTROLLER MODULE
+ * Read-only access to the audit trail
+ */
+class AuditController {
+
+    static ENTITIES = ['DEBT', 'PAYMENT', 'CREDIT', 'SALE', 'PRODUCT', 'INVENTORY', 'PURCHASE_ORDER', 'SUPPLIER_PAYMENT', 'STOCK_TRANSFER', 'STOCK_TAKE'];
+    static ACTIONS = ['CREATE', 'UPDATE', 'DELETE', 'CANCEL', 'REFUND', 'VOID'];
+
+    // Get audit entries with optional filters
+    static async getAuditLogs(req, res) {
+        try {
+            const { userId } = req.user;
+            const {
+                entity,
+                entityId,
+                actorId,
+                action,
+                startDate,
+                endDate,
+                page = 1,
+                limit = 50
+            } = req.query;
+
+            if (entity && !AuditController.ENTITIES.includes(entity)) {
+                return res.status(400).json({
+                    message: `Invalid entity. Use one of: ${AuditController.ENTITIES.join(', ')}`
+                });
+            }
+
+            if (action && !AuditController.ACTIONS.includes(action)) {
+                return res.status(400).json({
+                    message: `Invalid action. Use one of: ${AuditController.ACTIONS.join(', ')}`
+                });
+            }
+
+            const result = await AuditService.getAuditLogs(userId, {
+                entity,
+                entityId,
+                actorId,
+                action,
+                startDate,
+                endDate,
+                page: parseInt(page),
+                limit: Math.min(parseInt(limit), 200)
+            });
+
+            res.status(200).json(result);
+        } catch (err) {
+            res.status(500).json({ message: 'Server error', error: err.message });
+        }
+    }
+}
+
+module.exports = AuditController;
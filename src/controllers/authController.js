@@ -28,7 +28,10 @@ class authController {
   static async login(req, res) {
     const { email, password } = req.body;
     try {
-      const result = await authService.loginUser(email, password);
+      const result = await authService.loginUser(email, password, {
+        userAgent: req.headers['user-agent'],
+        ipAddress: req.ip
+      });
 
       if (!result.success) {
         return res.status(401).json({
@@ -46,6 +49,59 @@ class authController {
       });
     }
   }
+
+  // Exchange a refresh token for a new token pair
+  static async refresh(req, res) {
+    const { refreshToken } = req.body;
+    try {
+      const result = await authService.refreshTokens(refreshToken);
+
+      if (!result.success) {
+        return res.status(401).json({
+          success: false,
+          message: result.message
+        });
+      }
+
+      res.status(200).json(result);
+    } catch (err) {
+      res.status(500).json({
+        success: false,
+        message: 'Server error',
+        error: err.message
+      });
+    }
+  }
+
+  // Log out of the current session
+  static async logout(req, res) {
+    const { sessionId } = req.user;
+    try {
+      const result = await authService.logout(sessionId);
+      res.status(200).json(result);
+    } catch (err) {
+      res.status(500).json({
+        success: false,
+        message: 'Server error',
+        error: err.message
+      });
+    }
+  }
+
+  // Log out of every session for this user
+  static async logoutAll(req, res) {
+    const { actorId } = req.user;
+    try {
+      const result = await authService.logoutAll(actorId);
+      res.status(200).json(result);
+    } catch (err) {
+      res.status(500).json({
+        success: false,
+        message: 'Server error',
+        error: err.message
+      });
+    }
+  }
 }
 
 module.exports = authController;
\ No newline at end of file
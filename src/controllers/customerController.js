@@ -1,4 +1,5 @@
 const CustomerService = require('../services/customerService');
+const WhatsAppService = require('../services/whatsappService');
 
 /**
  * CUSTOMER CONTROLLER MODULE
@@ -85,12 +86,12 @@ class CustomerController {
     static async updateCustomer(req, res) {
         try {
             const { customerId } = req.params;
-            const { name, phone, email, address } = req.body;
+            const { name, phone, email, address, remindersOptOut } = req.body;
             const { userId } = req.user;
 
             const customer = await CustomerService.updateCustomer(
                 parseInt(customerId),
-                { name, phone, email, address },
+                { name, phone, email, address, remindersOptOut },
                 userId
             );
 
@@ -168,6 +169,46 @@ class CustomerController {
             });
         }
     }
+
+    // Send the customer a WhatsApp statement of unpaid debts and payments in a period
+    static async sendStatement(req, res) {
+        try {
+            const { customerId } = req.params;
+            const { startDate, endDate } = req.body || {};
+            const { userId } = req.user;
+
+            const notification = await WhatsAppService.sendStatement(
+                parseInt(customerId),
+                userId,
+                { startDate, endDate }
+            );
+
+            res.status(202).json({
+                success: true,
+                message: 'Statement queued for sending',
+                notification
+            });
+        } catch (err) {
+            if (err.message === 'Customer not found') {
+                return res.status(404).json({
+                    success: false,
+                    message: err.message
+                });
+            }
+            if (err.message === 'Customer has no phone number' ||
+                err.message === 'Invalid statement period') {
+                return res.status(400).json({
+                    success: false,
+                    message: err.message
+                });
+            }
+            res.status(500).json({
+                success: false,
+                message: 'Server error',
+                error: err.message
+            });
+        }
+    }
 }
 
 module.exports = CustomerController;
\ No newline at end of file
@@ -2,21 +2,22 @@ const salesService = require('../services/salesService');
 const productService = require('../services/productService');
 const serviceService = require('../services/serviceService');
 const logger = require('../utils/logger');
+const redactProfit = require('../utils/redactProfit');
 
 /**
  * Get comprehensive dashboard data
  */
 const getDashboardOverview = async (req, res) => {
     try {
-        const userId = req.user.id;
+        const { userId } = req.user;
         const today = new Date();
         const thisMonth = new Date(today.getFullYear(), today.getMonth(), 1);
 
         // Get today's sales summary
-        const todaysSales = await salesService.getDailySalesSummary(today);
+        const todaysSales = await salesService.getDailySalesSummary(userId, today);
 
         // Get this month's sales analytics
-        const monthlyAnalytics = await salesService.getSalesAnalytics({
+        const monthlyAnalytics = await salesService.getSalesAnalytics(userId, {
             startDate: thisMonth,
             endDate: today,
             groupBy: 'month'
@@ -29,14 +30,14 @@ const getDashboardOverview = async (req, res) => {
         });
 
         // Get top selling products today
-        const topProductsToday = await salesService.getTopSellingProducts({
+        const topProductsToday = await salesService.getTopSellingProducts(userId, {
             startDate: today,
             endDate: today,
             limit: 5
         });
 
         // Get low stock alerts
-        const stockAlerts = await salesService.getLowStockAlerts();
+        const stockAlerts = await salesService.getLowStockAlerts(userId);
 
         // Get total counts
         const [totalProducts, totalServices] = await Promise.all([
@@ -48,7 +49,7 @@ const getDashboardOverview = async (req, res) => {
         const lastMonth = new Date(today.getFullYear(), today.getMonth() - 1, 1);
         const lastMonthEnd = new Date(today.getFullYear(), today.getMonth(), 0);
 
-        const lastMonthAnalytics = await salesService.getSalesAnalytics({
+        const lastMonthAnalytics = await salesService.getSalesAnalytics(userId, {
             startDate: lastMonth,
             endDate: lastMonthEnd,
             groupBy: 'month'
@@ -99,10 +100,10 @@ const getDashboardOverview = async (req, res) => {
             }
         };
 
-        res.json({
+        res.json(redactProfit({
             success: true,
             dashboard
-        });
+        }, req.user));
 
     } catch (error) {
         logger.error('Error fetching dashboard overview:', error);
@@ -118,7 +119,7 @@ const getDashboardOverview = async (req, res) => {
  */
 const getBusinessOverview = async (req, res) => {
     try {
-        const userId = req.user.id;
+        const { userId } = req.user;
         const { period = 'month' } = req.query;
 
         let startDate, endDate;
@@ -149,25 +150,25 @@ const getBusinessOverview = async (req, res) => {
                 endDate = now;
         }
 
-        const analytics = await salesService.getSalesAnalytics({
+        const analytics = await salesService.getSalesAnalytics(userId, {
             startDate,
             endDate,
             groupBy: 'day'
         });
 
-        const profitLoss = await salesService.getProfitLossReport({
+        const profitLoss = await salesService.getProfitLossReport(userId, {
             startDate,
             endDate,
             groupBy: 'day'
         });
 
-        const topProducts = await salesService.getTopSellingProducts({
+        const topProducts = await salesService.getTopSellingProducts(userId, {
             startDate,
             endDate,
             limit: 10
         });
 
-        res.json({
+        res.json(redactProfit({
             success: true,
             period,
             overview: {
@@ -176,7 +177,7 @@ const getBusinessOverview = async (req, res) => {
                 topProducts,
                 trends: analytics.periods
             }
-        });
+        }, req.user));
 
     } catch (error) {
         logger.error('Error fetching business overview:', error);
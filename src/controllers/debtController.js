@@ -1,4 +1,5 @@
 const DebtService = require('../services/debtService');
+const ReminderService = require('../services/reminderService');
 
 /**
  * DEBT CONTROLLER MODULE
@@ -10,15 +11,17 @@ class DebtController {
     // Add debt to existing customer
     static async addDebt(req, res) {
         try {
-            const { customerId, amount, description, dueDate } = req.body;
-            const { userId } = req.user;
+            const { customerId, amount, description, dueDate, reason } = req.body;
+            const { userId, actorId } = req.user;
 
             const debt = await DebtService.addDebt({
                 customerId,
                 amount,
                 description,
                 dueDate,
-                userId
+                userId,
+                actorId,
+                reason
             });
 
             res.status(201).json({
@@ -82,15 +85,21 @@ class DebtController {
     static async markDebtAsPaid(req, res) {
         try {
             const { debtId } = req.params;
-            const { userId } = req.user;
+            const { userId, actorId } = req.user;
 
-            const debt = await DebtService.markDebtAsPaid(parseInt(debtId), userId);
+            const debt = await DebtService.markDebtAsPaid(parseInt(debtId), userId, {
+                actorId,
+                reason: req.body?.reason
+            });
 
             res.status(200).json({
                 message: 'Debt marked as paid',
                 debt
             });
         } catch (err) {
+            if (err.message === 'Debt not found') {
+                return res.status(404).json({ message: err.message });
+            }
             res.status(500).json({ message: 'Server error', error: err.message });
         }
     }
@@ -99,13 +108,14 @@ class DebtController {
     static async updateDebt(req, res) {
         try {
             const { debtId } = req.params;
-            const { amount, description, dueDate, isPaid } = req.body;
-            const { userId } = req.user;
+            const { amount, description, dueDate, isPaid, reason } = req.body;
+            const { userId, actorId } = req.user;
 
             const debt = await DebtService.updateDebt(
                 parseInt(debtId),
                 { amount, description, dueDate, isPaid },
-                userId
+                userId,
+                { actorId, reason }
             );
 
             res.status(200).json({
@@ -113,6 +123,9 @@ class DebtController {
                 debt
             });
         } catch (err) {
+            if (err.message === 'Debt not found') {
+                return res.status(404).json({ message: err.message });
+            }
             res.status(500).json({ message: 'Server error', error: err.message });
         }
     }
@@ -121,12 +134,18 @@ class DebtController {
     static async deleteDebt(req, res) {
         try {
             const { debtId } = req.params;
-            const { userId } = req.user;
+            const { userId, actorId } = req.user;
 
-            await DebtService.deleteDebt(parseInt(debtId), userId);
+            await DebtService.deleteDebt(parseInt(debtId), userId, {
+                actorId,
+                reason: req.body?.reason
+            });
 
             res.status(200).json({ message: 'Debt deleted successfully' });
         } catch (err) {
+            if (err.message === 'Debt not found') {
+                return res.status(404).json({ message: err.message });
+            }
             res.status(500).json({ message: 'Server error', error: err.message });
         }
     }
@@ -143,6 +162,23 @@ class DebtController {
             res.status(500).json({ message: 'Server error', error: err.message });
         }
     }
+
+    // Get the due-soon and overdue reminders sent for a debt
+    static async getDebtReminders(req, res) {
+        try {
+            const { debtId } = req.params;
+            const { userId } = req.user;
+
+            const result = await ReminderService.getDebtReminders(parseInt(debtId), userId);
+
+            res.status(200).json(result);
+        } catch (err) {
+            if (err.message === 'Debt not found') {
+                return res.status(404).json({ message: err.message });
+            }
+            res.status(500).json({ message: 'Server error', error: err.message });
+        }
+    }
 }
 
 module.exports = DebtController;
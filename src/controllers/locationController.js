@@ -0,0 +1,100 @@
+const LocationService = require('../services/locationService');
+const redactProfit = require('../utils/redactProfit');
+
+/**
+ * LOCATION CONTROLLER MODULE
+ * The shop's stock locations and what each one holds
+ */
+class LocationController {
+
+    // Validation errors from the location service that are the client's fault
+    static isValidationError(message) {
+        return message === 'Location name is required' ||
+            message === 'A location with this name already exists' ||
+            message === 'Make another location the default instead' ||
+            message === 'The default location cannot be inactive';
+    }
+
+    // Get the shop's locations with stock totals
+    static async getLocations(req, res) {
+        try {
+            const { userId } = req.user;
+            const { includeInactive } = req.query;
+
+            const result = await LocationService.getLocations(userId, {
+                includeInactive: includeInactive === 'true'
+            });
+
+            res.status(200).json(redactProfit(result, req.user));
+        } catch (err) {
+            res.status(500).json({ message: 'Server error', error: err.message });
+        }
+    }
+
+    // Add a location
+    static async createLocation(req, res) {
+        try {
+            const { userId } = req.user;
+            const { name, isDefault } = req.body;
+
+            const location = await LocationService.createLocation(userId, { name, isDefault });
+
+            res.status(201).json({ success: true, location });
+        } catch (err) {
+            if (LocationController.isValidationError(err.message)) {
+                return res.status(400).json({ message: err.message });
+            }
+            res.status(500).json({ message: 'Server error', error: err.message });
+        }
+    }
+
+    // Rename, make default or deactivate a location
+    static async updateLocation(req, res) {
+        try {
+            const { locationId } = req.params;
+            const { userId } = req.user;
+            const { name, isDefault, isActive } = req.body;
+
+            const location = await LocationService.updateLocation(parseInt(locationId), userId, {
+                name,
+                isDefault,
+                isActive
+            });
+
+            res.status(200).json({ success: true, location });
+        } catch (err) {
+            if (err.message === 'Location not found') {
+                return res.status(404).json({ message: err.message });
+            }
+            if (err.message.startsWith('Move the stock out')) {
+                return res.status(409).json({ message: err.message });
+            }
+            if (LocationController.isValidationError(err.message)) {
+                return res.status(400).json({ message: err.message });
+            }
+            res.status(500).json({ message: 'Server error', error: err.message });
+        }
+    }
+
+    // Get the stock held at a location
+    static async getLocationStock(req, res) {
+        try {
+            const { locationId } = req.params;
+            const { userId } = req.user;
+            const { lowStockOnly } = req.query;
+
+            const result = await LocationService.getLocationStock(parseInt(locationId), userId, {
+                lowStockOnly: lowStockOnly === 'true'
+            });
+
+            res.status(200).json(redactProfit(result, req.user));
+        } catch (err) {
+            if (err.message === 'Location not found') {
+                return res.status(404).json({ message: err.message });
+            }
+            res.status(500).json({ message: 'Server error', error: err.message });
+        }
+    }
+}
+
+module.exports = LocationController;
@@ -0,0 +1,127 @@
+const MpesaService = require('../services/mpesaService');
+const secureCompare = require('../utils/secureCompare');
+
+/**
+ * MPESA CONTROLLER MODULE
+ * Daraja callbacks and the suspense queue of unmatched M-Pesa receipts
+ */
+class MpesaController {
+
+    // Daraja callbacks carry no signature, so the callback URLs include a shared token.
+    // Without MPESA_CALLBACK_TOKEN configured every callback is refused
+    static verifyCallback(req, res, next) {
+        const expected = process.env.MPESA_CALLBACK_TOKEN;
+        if (!expected) {
+            return res.status(401).json({ ResultCode: 1, ResultDesc: 'Callback token is not configured' });
+        }
+        if (!secureCompare(req.query.token, expected)) {
+            return res.status(401).json({ ResultCode: 1, ResultDesc: 'Invalid callback token' });
+        }
+        next();
+    }
+
+    // C2B confirmation: a customer paid the shop's till or paybill
+    static async c2bConfirmation(req, res) {
+        try {
+            const receipt = MpesaService.parseC2BConfirmation(req.body);
+
+            await MpesaService.ingest(receipt);
+
+            res.status(200).json({ ResultCode: 0, ResultDesc: 'Accepted' });
+        } catch (err) {
+            MpesaController.callbackError(res, err);
+        }
+    }
+
+    // STK-push result: the customer approved (or declined) a payment prompt
+    static async stkCallback(req, res) {
+        try {
+            const { shortcode } = req.params;
+            const result = MpesaService.parseStkCallback(req.body, shortcode);
+
+            await MpesaService.handleStkCallback(result);
+
+            res.status(200).json({ ResultCode: 0, ResultDesc: 'Accepted' });
+        } catch (err) {
+            MpesaController.callbackError(res, err);
+        }
+    }
+
+    // Answer Daraja in its own response format
+    static callbackError(res, err) {
+        if (err.message === 'Invalid M-Pesa payload') {
+            return res.status(400).json({ ResultCode: 1, ResultDesc: err.message });
+        }
+        if (err.message === 'Unknown M-Pesa shortcode') {
+            return res.status(404).json({ ResultCode: 1, ResultDesc: err.message });
+        }
+        if (err.message === 'Duplicate transaction code') {
+            return res.status(409).json({ ResultCode: 1, ResultDesc: err.message });
+        }
+        res.status(500).json({ ResultCode: 1, ResultDesc: 'Server error', error: err.message });
+    }
+
+    // Get received M-Pesa transactions; ?status=SUSPENSE lists the ones waiting for assignment
+    static async getTransactions(req, res) {
+        try {
+            const { userId } = req.user;
+            const {
+                status,
+                page = 1,
+                limit = 50
+            } = req.query;
+
+            if (status && !MpesaService.STATUSES.includes(status)) {
+                return res.status(400).json({
+                    message: `Invalid status. Use one of: ${MpesaService.STATUSES.join(', ')}`
+                });
+            }
+
+            const result = await MpesaService.getTransactions(userId, {
+                status,
+                page: parseInt(page),
+                limit: Math.min(parseInt(limit), 200)
+            });
+
+            res.status(200).json(result);
+        } catch (err) {
+            res.status(500).json({ message: 'Server error', error: err.message });
+        }
+    }
+
+    // Assign a suspense receipt to a customer
+    static async assignTransaction(req, res) {
+        try {
+            const { transactionId } = req.params;
+            const { customerId, allocationStrategy, reason } = req.body;
+            const { userId, actorId } = req.user;
+
+            if (!customerId) {
+                return res.status(400).json({ message: 'Customer ID is required' });
+            }
+
+            const result = await MpesaService.assignTransaction(parseInt(transactionId), userId, {
+                customerId: parseInt(customerId),
+                allocationStrategy,
+                actorId,
+                reason
+            });
+
+            res.status(200).json(result);
+        } catch (err) {
+            if (err.message === 'M-Pesa transaction not found' ||
+                err.message === 'Customer not found') {
+                return res.status(404).json({ message: err.message });
+            }
+            if (err.message === 'M-Pesa transaction has already been recorded as a payment') {
+                return res.status(409).json({ message: err.message });
+            }
+            if (err.message.startsWith('Invalid allocation')) {
+                return res.status(400).json({ message: err.message });
+            }
+            res.status(500).json({ message: 'Server error', error: err.message });
+        }
+    }
+}
+
+module.exports = MpesaController;
@@ -0,0 +1,117 @@
+const NotificationService = require('../services/notificationService');
+const secureCompare = require('../utils/secureCompare');
+
+/**
+ * NOTIFICATION CONTROLLER MODULE
+ * Customer message outbox and provider delivery reports
+ */
+class NotificationController {
+
+    // Get outbox messages, optionally for one customer
+    static async getNotifications(req, res) {
+        try {
+            const { userId } = req.user;
+            const {
+                customerId,
+                channel,
+                status,
+                page = 1,
+                limit = 50
+            } = req.query;
+
+            if (channel && !NotificationService.CHANNELS.includes(channel)) {
+                return res.status(400).json({
+                    message: `Invalid channel. Use one of: ${NotificationService.CHANNELS.join(', ')}`
+                });
+            }
+
+            if (status && !NotificationService.STATUSES.includes(status)) {
+                return res.status(400).json({
+                    message: `Invalid status. Use one of: ${NotificationService.STATUSES.join(', ')}`
+                });
+            }
+
+            const result = await NotificationService.getNotifications(userId, {
+                customerId,
+                channel,
+                status,
+                page: parseInt(page),
+                limit: Math.min(parseInt(limit), 200)
+            });
+
+            res.status(200).json(result);
+        } catch (err) {
+            res.status(500).json({ message: 'Server error', error: err.message });
+        }
+    }
+
+    // Queue a copy of a message for sending again
+    static async resendNotification(req, res) {
+        try {
+            const { notificationId } = req.params;
+            const { userId } = req.user;
+
+            const notification = await NotificationService.resendNotification(parseInt(notificationId), userId);
+
+            res.status(201).json({
+                message: 'Notification queued for sending',
+                notification
+            });
+        } catch (err) {
+            if (err.message === 'Notification not found') {
+                return res.status(404).json({ message: err.message });
+            }
+            if (err.message === 'Notification is still waiting to be sent') {
+                return res.status(400).json({ message: err.message });
+            }
+            res.status(500).json({ message: 'Server error', error: err.message });
+        }
+    }
+
+    // Providers are given the callback URL with ?token=<NOTIFICATION_WEBHOOK_TOKEN>.
+    // Without the token configured every delivery report is refused
+    static verifyWebhook(req, res, next) {
+        const expected = process.env.NOTIFICATION_WEBHOOK_TOKEN;
+        if (!expected) {
+            return res.status(401).json({ message: 'Webhook token is not configured' });
+        }
+        if (!secureCompare(req.query.token, expected)) {
+            return res.status(401).json({ message: 'Invalid webhook token' });
+        }
+        next();
+    }
+
+    // Africa's Talking delivery report: id, status, failureReason
+    static async africasTalkingDeliveryReport(req, res) {
+        try {
+            const { id, status } = req.body || {};
+
+            await NotificationService.recordDeliveryReport('africastalking', id, status);
+
+            res.status(200).json({ received: true });
+        } catch (err) {
+            if (err.message === 'Message id is required') {
+                return res.status(400).json({ message: err.message });
+            }
+            res.status(500).json({ message: 'Server error', error: err.message });
+        }
+    }
+
+    // Twilio status callback: MessageSid, MessageStatus
+    static async twilioStatusCallback(req, res) {
+        try {
+            const { MessageSid, MessageStatus } = req.body || {};
+
+            await NotificationService.recordDeliveryReport('twilio', MessageSid, MessageStatus);
+
+            res.status(200).json({ received: true });
+        } catch (err) {
+            if (err.message === 'Message id is required') {
+                return res.status(400).json({ message: err.message });
+            }
+            res.status(500).json({ message: 'Server error', error: err.message });
+        }
+    }
+}
+
+module.exports = NotificationController;
@@ -10,8 +10,17 @@ class PaymentController {
     // Record a payment
     static async recordPayment(req, res) {
         try {
-            const { customerId, amount, paymentMethod, description, reference } = req.body;
-            const { userId } = req.user;
+            const {
+                customerId,
+                amount,
+                paymentMethod,
+                description,
+                reference,
+                allocationStrategy,
+                allocations,
+                reason
+            } = req.body;
+            const { userId, actorId } = req.user;
 
             const result = await PaymentService.recordPayment({
                 customerId,
@@ -19,7 +28,11 @@ class PaymentController {
                 paymentMethod,
                 description,
                 reference,
-                userId
+                allocationStrategy,
+                allocations,
+                userId,
+                actorId,
+                reason
             });
 
             res.status(201).json(result);
@@ -27,6 +40,9 @@ class PaymentController {
             if (err.message === 'Customer not found') {
                 return res.status(404).json({ message: err.message });
             }
+            if (err.message.startsWith('Invalid allocation')) {
+                return res.status(400).json({ message: err.message });
+            }
             res.status(500).json({ message: 'Server error', error: err.message });
         }
     }
@@ -71,13 +87,14 @@ class PaymentController {
     static async updatePayment(req, res) {
         try {
             const { paymentId } = req.params;
-            const { amount, paymentMethod, description, reference } = req.body;
-            const { userId } = req.user;
+            const { amount, paymentMethod, description, reference, reason } = req.body;
+            const { userId, actorId } = req.user;
 
             const payment = await PaymentService.updatePayment(
                 parseInt(paymentId),
                 { amount, paymentMethod, description, reference },
-                userId
+                userId,
+                { actorId, reason }
             );
 
             res.status(200).json({
@@ -85,20 +102,39 @@ class PaymentController {
                 payment
             });
         } catch (err) {
+            if (err.message === 'Payment not found') {
+                return res.status(404).json({ message: err.message });
+            }
+            if (err.message === 'Voided payments cannot be edited' ||
+                err.message === 'Refunded payments cannot be edited') {
+                return res.status(400).json({ message: err.message });
+            }
             res.status(500).json({ message: 'Server error', error: err.message });
         }
     }
 
-    // Delete payment
-    static async deletePayment(req, res) {
+    // Void payment (reverses its debt allocations and credit, keeps the record)
+    static async voidPayment(req, res) {
         try {
             const { paymentId } = req.params;
-            const { userId } = req.user;
+            const { userId, actorId } = req.user;
 
-            await PaymentService.deletePayment(parseInt(paymentId), userId);
+            const result = await PaymentService.voidPayment(parseInt(paymentId), userId, {
+                actorId,
+                reason: req.body?.reason
+            });
 
-            res.status(200).json({ message: 'Payment deleted successfully' });
+            res.status(200).json(result);
         } catch (err) {
+            if (err.message === 'Payment not found') {
+                return res.status(404).json({ message: err.message });
+            }
+            if (err.message === 'Payment is already voided' ||
+                err.message === 'Refunded payments cannot be voided' ||
+                err.message.startsWith('Payments taken with a sale') ||
+                err.message.startsWith('Credit from this payment')) {
+                return res.status(400).json({ message: err.message });
+            }
             res.status(500).json({ message: 'Server error', error: err.message });
         }
     }
@@ -120,13 +156,14 @@ class PaymentController {
     static async applyCreditToDebts(req, res) {
         try {
             const { customerId } = req.params;
-            const { creditAmount } = req.body; // Optional: specific amount to apply
-            const { userId } = req.user;
+            const { creditAmount, reason } = req.body; // Optional: specific amount to apply
+            const { userId, actorId } = req.user;
 
             const result = await PaymentService.applyCreditToDebts(
                 parseInt(customerId),
                 userId,
-                creditAmount ? parseFloat(creditAmount) : null
+                creditAmount ? parseFloat(creditAmount) : null,
+                { actorId, reason }
             );
 
             res.status(200).json(result);
@@ -1,4 +1,7 @@
 const ProductService = require('../services/productService');
+const InventoryService = require('../services/inventoryService');
+const { hasPermission } = require('../middlewares/permissionMiddleware');
+const redactProfit = require('../utils/redactProfit');
 
 /**
  * PRODUCT CONTROLLER
@@ -10,8 +13,16 @@ class ProductController {
     // POST /api/products - Add new product
     static async addProduct(req, res) {
         try {
-            const userId = req.user.id; // From auth middleware
-            const productData = { ...req.body, userId };
+            const { userId } = req.user;
+
+            if (req.body.costPrice !== undefined && !hasPermission(req.user, 'products:cost')) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'You do not have permission to set cost prices'
+                });
+            }
+
+            const productData = { ...req.body, userId, actorId: req.user.actorId };
 
             const result = await ProductService.addProduct(productData);
 
@@ -28,7 +39,7 @@ class ProductController {
     // GET /api/products - Get all products with optional filters
     static async getAllProducts(req, res) {
         try {
-            const userId = req.user.id;
+            const { userId } = req.user;
             const filters = {
                 category: req.query.category,
                 stockStatus: req.query.stockStatus,
@@ -50,7 +61,7 @@ class ProductController {
     // GET /api/products/:id - Get single product
     static async getProductById(req, res) {
         try {
-            const userId = req.user.id;
+            const { userId } = req.user;
             const productId = parseInt(req.params.id);
 
             if (!productId) {
@@ -76,7 +87,7 @@ class ProductController {
     // PUT /api/products/:id - Update product
     static async updateProduct(req, res) {
         try {
-            const userId = req.user.id;
+            const { userId } = req.user;
             const productId = parseInt(req.params.id);
 
             if (!productId) {
@@ -86,7 +97,18 @@ class ProductController {
                 });
             }
 
-            const result = await ProductService.updateProduct(productId, userId, req.body);
+            if (req.body.costPrice !== undefined && !hasPermission(req.user, 'products:cost')) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'You do not have permission to edit cost prices'
+                });
+            }
+
+            const { reason, ...updateData } = req.body;
+            const result = await ProductService.updateProduct(productId, userId, updateData, {
+                actorId: req.user.actorId,
+                reason
+            });
 
             res.status(200).json(result);
         } catch (error) {
@@ -102,7 +124,7 @@ class ProductController {
     // PUT /api/products/:id/inventory - Update inventory levels
     static async updateInventory(req, res) {
         try {
-            const userId = req.user.id;
+            const { userId } = req.user;
             const productId = parseInt(req.params.id);
 
             if (!productId) {
@@ -112,7 +134,10 @@ class ProductController {
                 });
             }
 
-            const result = await ProductService.updateInventory(productId, userId, req.body);
+            const result = await ProductService.updateInventory(productId, userId, req.body, {
+                actorId: req.user.actorId,
+                reason: req.body.reason
+            });
 
             res.status(200).json(result);
         } catch (error) {
@@ -125,16 +150,68 @@ class ProductController {
         }
     }
 
+    // GET /api/products/:id/movements - Get the stock ledger of a product
+    static async getProductMovements(req, res) {
+        try {
+            const { userId } = req.user;
+            const productId = parseInt(req.params.id);
+            const {
+                type,
+                locationId,
+                startDate,
+                endDate,
+                page = 1,
+                limit = 50
+            } = req.query;
+
+            if (!productId) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Valid product ID is required'
+                });
+            }
+
+            if (type && !InventoryService.MOVEMENT_TYPES.includes(type)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Invalid movement type. Use one of: ${InventoryService.MOVEMENT_TYPES.join(', ')}`
+                });
+            }
+
+            const result = await InventoryService.getMovements(productId, userId, {
+                type,
+                locationId,
+                startDate,
+                endDate,
+                page: parseInt(page),
+                limit: Math.min(parseInt(limit), 200)
+            });
+
+            res.status(200).json(redactProfit(result, req.user));
+        } catch (error) {
+            const statusCode = error.message === 'Product not found' ? 404 : 500;
+            res.status(statusCode).json({
+                success: false,
+                message: error.message || 'Failed to retrieve stock movements',
+                error: error.message
+            });
+        }
+    }
+
     // GET /api/products/alerts - Get inventory alerts
     static async getInventoryAlerts(req, res) {
         try {
-            const userId = req.user.id;
+            const { userId } = req.user;
 
-            const result = await ProductService.getInventoryAlerts(userId);
+            const result = await ProductService.getInventoryAlerts(userId, {
+                locationId: req.query.locationId,
+                days: req.query.days
+            });
 
-            res.status(200).json(result);
+            res.status(200).json(redactProfit(result, req.user));
         } catch (error) {
-            res.status(500).json({
+            const statusCode = error.message.startsWith('Days must') ? 400 : 500;
+            res.status(statusCode).json({
                 success: false,
                 message: 'Failed to retrieve inventory alerts',
                 error: error.message
@@ -142,10 +219,56 @@ class ProductController {
         }
     }
 
+    // GET /api/products/lots/expiring - Get lots that have expired or expire soon
+    static async getExpiringLots(req, res) {
+        try {
+            const { userId } = req.user;
+
+            const result = await ProductService.getExpiringLots(userId, {
+                locationId: req.query.locationId,
+                days: req.query.days
+            });
+
+            res.status(200).json(redactProfit(result, req.user));
+        } catch (error) {
+            const statusCode = error.message.startsWith('Days must') ? 400 : 500;
+            res.status(statusCode).json({
+                success: false,
+                message: error.message || 'Failed to retrieve expiring lots',
+                error: error.message
+            });
+        }
+    }
+
+    // POST /api/products/lots/write-off - Write off expired lots
+    static async writeOffExpiredLots(req, res) {
+        try {
+            const { userId } = req.user;
+            const { lotIds, locationId, reason } = req.body;
+
+            const result = await ProductService.writeOffExpiredLots(userId, {
+                lotIds,
+                locationId,
+                reason,
+                actorId: req.user.actorId
+            });
+
+            res.status(200).json(redactProfit(result, req.user));
+        } catch (error) {
+            const statusCode = error.message.includes('not found') ? 404 :
+                error.message === 'No expired lots to write off' ? 409 : 400;
+            res.status(statusCode).json({
+                success: false,
+                message: error.message || 'Failed to write off expired lots',
+                error: error.message
+            });
+        }
+    }
+
     // DELETE /api/products/:id - Delete product
     static async deleteProduct(req, res) {
         try {
-            const userId = req.user.id;
+            const { userId } = req.user;
             const productId = parseInt(req.params.id);
 
             if (!productId) {
@@ -155,11 +278,15 @@ class ProductController {
                 });
             }
 
-            const result = await ProductService.deleteProduct(productId, userId);
+            const result = await ProductService.deleteProduct(productId, userId, {
+                actorId: req.user.actorId,
+                reason: req.body?.reason
+            });
 
             res.status(200).json(result);
         } catch (error) {
-            const statusCode = error.message.includes('Cannot delete') ? 409 : 500;
+            const statusCode = error.message === 'Product not found' ? 404 :
+                error.message.includes('Cannot delete') ? 409 : 500;
             res.status(statusCode).json({
                 success: false,
                 message: error.message || 'Failed to delete product',
@@ -0,0 +1,229 @@
+const PurchaseOrderService = require('../services/purchaseOrderService');
+const ReorderService = require('../services/reorderService');
+
+/**
+ * PURCHASE ORDER CONTROLLER MODULE
+ * Drafting, placing, receiving and cancelling orders to suppliers, and
+ * reorder suggestions that become draft orders
+ */
+class PurchaseOrderController {
+
+    // Map purchase order errors to a status code, or null for a server error
+    static statusFor(message) {
+        if (message === 'Purchase order not found' || message === 'Supplier not found' ||
+            message === 'Location not found') {
+            return 404;
+        }
+        if (message.startsWith('Only draft') ||
+            message.startsWith('Cannot receive')) {
+            return 409;
+        }
+        if (message === 'Supplier is inactive' ||
+            /^Location .* is inactive$/.test(message) ||
+            message.startsWith('At least one') ||
+            message.startsWith('Each product can only appear once') ||
+            message.startsWith('Product with ID') ||
+            message.startsWith('Items must be') ||
+            message.endsWith('has no reorder suggestion') ||
+            message.includes('must be a whole number from') ||
+            message.endsWith('is not on this purchase order') ||
+            message === 'Expiry date must be a valid date' ||
+            message.includes('must be a whole number greater than zero') ||
+            message.includes('cannot be negative')) {
+            return 400;
+        }
+        return null;
+    }
+
+    // Send the mapped error response
+    static handleError(res, err) {
+        const status = PurchaseOrderController.statusFor(err.message);
+        if (status) {
+            return res.status(status).json({ message: err.message });
+        }
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+
+    // Draft a purchase order
+    static async createPurchaseOrder(req, res) {
+        try {
+            const { supplierId, items, expectedAt, notes } = req.body;
+            const { userId, actorId } = req.user;
+
+            if (!supplierId) {
+                return res.status(400).json({ message: 'Supplier is required' });
+            }
+
+            const purchaseOrder = await PurchaseOrderService.createPurchaseOrder(userId, {
+                supplierId,
+                items,
+                expectedAt,
+                notes,
+                actorId
+            });
+
+            res.status(201).json({ success: true, purchaseOrder });
+        } catch (err) {
+            PurchaseOrderController.handleError(res, err);
+        }
+    }
+
+    // Reorder suggestions from recent sales and material use
+    static async getReorderSuggestions(req, res) {
+        try {
+            const { userId } = req.user;
+            const { windowDays, leadTimeDays, safetyDays, coverDays } = req.query;
+
+            const result = await ReorderService.getSuggestions(userId, {
+                windowDays,
+                leadTimeDays,
+                safetyDays,
+                coverDays
+            });
+
+            res.status(200).json(result);
+        } catch (err) {
+            PurchaseOrderController.handleError(res, err);
+        }
+    }
+
+    // Turn reorder suggestions into draft purchase orders, one per supplier
+    static async createFromSuggestions(req, res) {
+        try {
+            const { items, windowDays, leadTimeDays, safetyDays, coverDays } = req.body || {};
+            const { userId, actorId } = req.user;
+
+            const result = await ReorderService.createPurchaseOrders(userId, {
+                items,
+                windowDays,
+                leadTimeDays,
+                safetyDays,
+                coverDays,
+                actorId
+            });
+
+            res.status(result.purchaseOrders.length > 0 ? 201 : 200).json(result);
+        } catch (err) {
+            PurchaseOrderController.handleError(res, err);
+        }
+    }
+
+    // Get purchase orders
+    static async getPurchaseOrders(req, res) {
+        try {
+            const { userId } = req.user;
+            const {
+                status,
+                supplierId,
+                page = 1,
+                limit = 50
+            } = req.query;
+
+            if (status && !PurchaseOrderService.STATUSES.includes(status)) {
+                return res.status(400).json({
+                    message: `Invalid status. Use one of: ${PurchaseOrderService.STATUSES.join(', ')}`
+                });
+            }
+
+            const result = await PurchaseOrderService.getPurchaseOrders(userId, {
+                status,
+                supplierId,
+                page: parseInt(page),
+                limit: Math.min(parseInt(limit), 200)
+            });
+
+            res.status(200).json(result);
+        } catch (err) {
+            PurchaseOrderController.handleError(res, err);
+        }
+    }
+
+    // Get one purchase order
+    static async getPurchaseOrderById(req, res) {
+        try {
+            const { orderId } = req.params;
+            const { userId } = req.user;
+
+            const result = await PurchaseOrderService.getPurchaseOrderById(parseInt(orderId), userId);
+
+            res.status(200).json(result);
+        } catch (err) {
+            PurchaseOrderController.handleError(res, err);
+        }
+    }
+
+    // Change a draft purchase order
+    static async updatePurchaseOrder(req, res) {
+        try {
+            const { orderId } = req.params;
+            const { supplierId, items, expectedAt, notes } = req.body;
+            const { userId, actorId } = req.user;
+
+            const purchaseOrder = await PurchaseOrderService.updatePurchaseOrder(parseInt(orderId), userId, {
+                supplierId,
+                items,
+                expectedAt,
+                notes,
+                actorId
+            });
+
+            res.status(200).json({ success: true, purchaseOrder });
+        } catch (err) {
+            PurchaseOrderController.handleError(res, err);
+        }
+    }
+
+    // Place a draft purchase order with the supplier
+    static async placeOrder(req, res) {
+        try {
+            const { orderId } = req.params;
+            const { userId, actorId } = req.user;
+
+            const purchaseOrder = await PurchaseOrderService.placeOrder(parseInt(orderId), userId, { actorId });
+
+            res.status(200).json({ success: true, purchaseOrder });
+        } catch (err) {
+            PurchaseOrderController.handleError(res, err);
+        }
+    }
+
+    // Receive goods against a purchase order
+    static async receiveGoods(req, res) {
+        try {
+            const { orderId } = req.params;
+            const { items, notes, locationId } = req.body;
+            const { userId, actorId } = req.user;
+
+            const result = await PurchaseOrderService.receiveGoods(parseInt(orderId), userId, {
+                items,
+                notes,
+                locationId,
+                actorId
+            });
+
+            res.status(200).json(result);
+        } catch (err) {
+            PurchaseOrderController.handleError(res, err);
+        }
+    }
+
+    // Cancel a purchase order nothing has been received on
+    static async cancelPurchaseOrder(req, res) {
+        try {
+            const { orderId } = req.params;
+            const { reason } = req.body || {};
+            const { userId, actorId } = req.user;
+
+            const purchaseOrder = await PurchaseOrderService.cancelPurchaseOrder(parseInt(orderId), userId, {
+                actorId,
+                reason
+            });
+
+            res.status(200).json({ success: true, purchaseOrder });
+        } catch (err) {
+            PurchaseOrderController.handleError(res, err);
+        }
+    }
+}
+
+module.exports = PurchaseOrderController;
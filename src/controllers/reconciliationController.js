@@ -0,0 +1,118 @@
+const ReconciliationService = require('../services/reconciliationService');
+
+/**
+ * RECONCILIATION CONTROLLER MODULE
+ * Statement uploads, reconciliation reports and bulk creation of missing payments
+ */
+class ReconciliationController {
+
+    // Upload a statement CSV (text/csv body, or JSON with a `csv` field) and reconcile the period
+    static async importStatement(req, res) {
+        try {
+            const { userId, actorId } = req.user;
+            const fields = typeof req.body === 'string' ? req.query : { ...req.query, ...req.body };
+            const text = typeof req.body === 'string' ? req.body : req.body?.csv;
+
+            if (!text || !String(text).trim()) {
+                return res.status(400).json({ message: 'Statement CSV is required' });
+            }
+
+            const result = await ReconciliationService.importStatement(userId, {
+                source: fields.source,
+                periodStart: fields.periodStart,
+                periodEnd: fields.periodEnd,
+                fileName: fields.fileName,
+                csv: text,
+                actorId
+            });
+
+            res.status(201).json(result);
+        } catch (err) {
+            if (err.message.startsWith('Source must be one of') ||
+                err.message.startsWith('Invalid reconciliation period') ||
+                err.message.startsWith('Invalid statement')) {
+                return res.status(400).json({ message: err.message });
+            }
+            res.status(500).json({ message: 'Server error', error: err.message });
+        }
+    }
+
+    // Get stored reconciliation reports
+    static async getReconciliations(req, res) {
+        try {
+            const { userId } = req.user;
+            const {
+                source,
+                page = 1,
+                limit = 50
+            } = req.query;
+
+            if (source && !ReconciliationService.SOURCES.includes(source)) {
+                return res.status(400).json({
+                    message: `Invalid source. Use one of: ${ReconciliationService.SOURCES.join(', ')}`
+                });
+            }
+
+            const result = await ReconciliationService.getReconciliations(userId, {
+                source,
+                page: parseInt(page),
+                limit: Math.min(parseInt(limit), 200)
+            });
+
+            res.status(200).json(result);
+        } catch (err) {
+            res.status(500).json({ message: 'Server error', error: err.message });
+        }
+    }
+
+    // Get one report with its lines
+    static async getReconciliation(req, res) {
+        try {
+            const { reconciliationId } = req.params;
+            const { status } = req.query;
+            const { userId } = req.user;
+
+            if (status && !ReconciliationService.LINE_STATUSES.includes(status)) {
+                return res.status(400).json({
+                    message: `Invalid status. Use one of: ${ReconciliationService.LINE_STATUSES.join(', ')}`
+                });
+            }
+
+            const result = await ReconciliationService.getReconciliation(parseInt(reconciliationId), userId, { status });
+
+            res.status(200).json(result);
+        } catch (err) {
+            if (err.message === 'Reconciliation not found') {
+                return res.status(404).json({ message: err.message });
+            }
+            res.status(500).json({ message: 'Server error', error: err.message });
+        }
+    }
+
+    // Create payments for statement lines that were never recorded
+    static async createMissingPayments(req, res) {
+        try {
+            const { reconciliationId } = req.params;
+            const { lines, reason } = req.body;
+            const { userId, actorId } = req.user;
+
+            const result = await ReconciliationService.createMissingPayments(parseInt(reconciliationId), userId, {
+                lines,
+                reason,
+                actorId
+            });
+
+            res.status(200).json(result);
+        } catch (err) {
+            if (err.message === 'Reconciliation not found') {
+                return res.status(404).json({ message: err.message });
+            }
+            if (err.message.startsWith('Lines must be')) {
+                return res.status(400).json({ message: err.message });
+            }
+            res.status(500).json({ message: 'Server error', error: err.message });
+        }
+    }
+}
+
+module.exports = ReconciliationController;
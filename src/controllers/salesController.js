@@ -1,13 +1,29 @@
 const salesService = require('../services/salesService');
+const MpesaService = require('../services/mpesaService');
 const logger = require('../utils/logger');
+const redactProfit = require('../utils/redactProfit');
+
+// How a sale is paid: in full now, all owed, or part now and the rest owed
+const SALE_TYPES = ['CASH', 'CREDIT', 'PARTIAL_PAYMENT'];
 
 /**
  * Create a new sale
  */
 const createSale = async (req, res) => {
     try {
-        const { customerId, items, services, paymentMethod, paymentAmount, notes } = req.body;
-        const userId = req.user.id; // Get from auth middleware
+        const {
+            customerId,
+            items,
+            services,
+            saleType = 'CASH',
+            discountAmount,
+            taxAmount,
+            paymentMethod,
+            paymentAmount,
+            notes,
+            locationId
+        } = req.body;
+        const { userId, actorId } = req.user;
 
         // Validate required fields
         if (!items && !services) {
@@ -16,7 +32,36 @@ const createSale = async (req, res) => {
             });
         }
 
-        if (!paymentMethod || !paymentAmount) {
+        if (!SALE_TYPES.includes(saleType)) {
+            return res.status(400).json({
+                error: `Invalid sale type. Use one of: ${SALE_TYPES.join(', ')}`
+            });
+        }
+
+        const adjustments = { discountAmount, taxAmount };
+        for (const [field, value] of Object.entries(adjustments)) {
+            if (value !== undefined && value !== null && !(Number.isFinite(Number(value)) && Number(value) >= 0)) {
+                return res.status(400).json({
+                    error: `${field} must be a number of zero or more`
+                });
+            }
+        }
+
+        // Credit is owed by someone: the debt needs a customer
+        if (saleType !== 'CASH' && !customerId) {
+            return res.status(400).json({
+                error: 'A customer is required for credit and partial-payment sales'
+            });
+        }
+
+        // Nothing is paid at the till on a credit sale
+        if (saleType === 'CREDIT') {
+            if (paymentAmount && parseFloat(paymentAmount) !== 0) {
+                return res.status(400).json({
+                    error: 'Credit sales take no payment; use PARTIAL_PAYMENT for a deposit'
+                });
+            }
+        } else if (!paymentMethod || !paymentAmount) {
             return res.status(400).json({
                 error: 'Payment method and amount are required'
             });
@@ -26,10 +71,15 @@ const createSale = async (req, res) => {
             customerId,
             items: items || [],
             services: services || [],
+            saleType,
+            discountAmount: discountAmount ? parseFloat(discountAmount) : 0,
+            taxAmount: taxAmount ? parseFloat(taxAmount) : 0,
             paymentMethod,
-            paymentAmount: parseFloat(paymentAmount),
+            paymentAmount: paymentAmount ? parseFloat(paymentAmount) : 0,
             notes,
-            userId
+            locationId,
+            userId,
+            actorId
         };
 
         const sale = await salesService.createSale(saleData);
@@ -41,12 +91,33 @@ const createSale = async (req, res) => {
             paymentMethod
         });
 
-        res.status(201).json({
+        res.status(201).json(redactProfit({
             message: 'Sale created successfully',
             sale
-        });
+        }, req.user));
     } catch (error) {
         logger.error('Error creating sale:', error);
+        // Not enough stock left, e.g. a concurrent sale took the last units
+        if (error.message.startsWith('Insufficient stock') ||
+            error.message.startsWith('Insufficient materials')) {
+            return res.status(409).json({
+                error: 'Failed to create sale',
+                details: error.message
+            });
+        }
+        if (error.message === 'Location not found' || error.message === 'Customer not found') {
+            return res.status(404).json({
+                error: 'Failed to create sale',
+                details: error.message
+            });
+        }
+        if (/^Location .* is inactive$/.test(error.message) ||
+            error.message === 'Payment amount is required for partial payments') {
+            return res.status(400).json({
+                error: 'Failed to create sale',
+                details: error.message
+            });
+        }
         res.status(500).json({
             error: 'Failed to create sale',
             details: error.message
@@ -60,7 +131,7 @@ const createSale = async (req, res) => {
 const getSaleById = async (req, res) => {
     try {
         const { id } = req.params;
-        const userId = req.user.id;
+        const { userId } = req.user;
         const sale = await salesService.getSaleById(id, userId);
 
         if (!sale) {
@@ -69,7 +140,7 @@ const getSaleById = async (req, res) => {
             });
         }
 
-        res.json(sale);
+        res.json(redactProfit(sale, req.user));
     } catch (error) {
         logger.error('Error fetching sale:', error);
         res.status(500).json({
@@ -93,7 +164,7 @@ const getSalesHistory = async (req, res) => {
             page = 1,
             limit = 20
         } = req.query;
-        const userId = req.user.id;
+        const { userId } = req.user;
 
         const filters = {
             customerId,
@@ -107,7 +178,7 @@ const getSalesHistory = async (req, res) => {
 
         const result = await salesService.getSalesHistory(userId, filters);
 
-        res.json(result);
+        res.json(redactProfit(result, req.user));
     } catch (error) {
         logger.error('Error fetching sales history:', error);
         res.status(500).json({
@@ -123,11 +194,12 @@ const getSalesHistory = async (req, res) => {
 const getDailySalesSummary = async (req, res) => {
     try {
         const { date } = req.query;
+        const { userId } = req.user;
         const targetDate = date ? new Date(date) : new Date();
 
-        const summary = await salesService.getDailySalesSummary(targetDate);
+        const summary = await salesService.getDailySalesSummary(userId, targetDate);
 
-        res.json(summary);
+        res.json(redactProfit(summary, req.user));
     } catch (error) {
         logger.error('Error fetching daily sales summary:', error);
         res.status(500).json({
@@ -147,14 +219,15 @@ const getSalesAnalytics = async (req, res) => {
             endDate,
             groupBy = 'day'
         } = req.query;
+        const { userId } = req.user;
 
-        const analytics = await salesService.getSalesAnalytics({
+        const analytics = await salesService.getSalesAnalytics(userId, {
             startDate: startDate ? new Date(startDate) : undefined,
             endDate: endDate ? new Date(endDate) : undefined,
             groupBy
         });
 
-        res.json(analytics);
+        res.json(redactProfit(analytics, req.user));
     } catch (error) {
         logger.error('Error fetching sales analytics:', error);
         res.status(500).json({
@@ -174,14 +247,15 @@ const getProfitLossReport = async (req, res) => {
             endDate,
             groupBy = 'day'
         } = req.query;
+        const { userId } = req.user;
 
-        const report = await salesService.getProfitLossReport({
+        const report = await salesService.getProfitLossReport(userId, {
             startDate: startDate ? new Date(startDate) : undefined,
             endDate: endDate ? new Date(endDate) : undefined,
             groupBy
         });
 
-        res.json(report);
+        res.json(redactProfit(report, req.user));
     } catch (error) {
         logger.error('Error fetching profit/loss report:', error);
         res.status(500).json({
@@ -201,14 +275,15 @@ const getTopSellingProducts = async (req, res) => {
             endDate,
             limit = 10
         } = req.query;
+        const { userId } = req.user;
 
-        const topProducts = await salesService.getTopSellingProducts({
+        const topProducts = await salesService.getTopSellingProducts(userId, {
             startDate: startDate ? new Date(startDate) : undefined,
             endDate: endDate ? new Date(endDate) : undefined,
             limit: parseInt(limit)
         });
 
-        res.json(topProducts);
+        res.json(redactProfit(topProducts, req.user));
     } catch (error) {
         logger.error('Error fetching top selling products:', error);
         res.status(500).json({
@@ -223,9 +298,10 @@ const getTopSellingProducts = async (req, res) => {
  */
 const getLowStockAlerts = async (req, res) => {
     try {
-        const alerts = await salesService.getLowStockAlerts();
+        const { userId } = req.user;
+        const alerts = await salesService.getLowStockAlerts(userId, { locationId: req.query.locationId });
 
-        res.json(alerts);
+        res.json(redactProfit(alerts, req.user));
     } catch (error) {
         logger.error('Error fetching low stock alerts:', error);
         res.status(500).json({
@@ -241,7 +317,8 @@ const getLowStockAlerts = async (req, res) => {
 const processSalePayment = async (req, res) => {
     try {
         const { saleId } = req.params;
-        const { paymentAmount, paymentMethod, notes } = req.body;
+        const { paymentAmount, paymentMethod, reference, notes } = req.body;
+        const { userId, actorId } = req.user;
 
         if (!paymentAmount || !paymentMethod) {
             return res.status(400).json({
@@ -250,9 +327,12 @@ const processSalePayment = async (req, res) => {
         }
 
         const result = await salesService.processSalePayment({
-            saleId,
+            saleId: parseInt(saleId),
+            userId,
+            actorId,
             paymentAmount: parseFloat(paymentAmount),
             paymentMethod,
+            reference,
             notes
         });
 
@@ -268,13 +348,144 @@ const processSalePayment = async (req, res) => {
         });
     } catch (error) {
         logger.error('Error processing sale payment:', error);
-        res.status(500).json({
+        const statusCode = error.message === 'Sale not found' ? 404 : 400;
+        res.status(statusCode).json({
             error: 'Failed to process sale payment',
             details: error.message
         });
     }
 };
 
+/**
+ * Cancel a sale
+ */
+const cancelSale = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { reason, refundToCredit, refundMethod, restock } = req.body;
+        const { userId, actorId } = req.user;
+
+        const result = await salesService.cancelSale(parseInt(id), userId, {
+            reason,
+            refundToCredit: refundToCredit === true,
+            refundMethod,
+            restock: restock !== false,
+            actorId
+        });
+
+        logger.info(`Sale cancelled: ${id}`, {
+            saleId: id,
+            refundAmount: result.summary.refundAmount,
+            reason
+        });
+
+        res.json(result);
+    } catch (error) {
+        logger.error('Error cancelling sale:', error);
+        const statusCode = error.message === 'Sale not found' ? 404 : 400;
+        res.status(statusCode).json({
+            error: 'Failed to cancel sale',
+            details: error.message
+        });
+    }
+};
+
+/**
+ * Refund a sale (full, or partial per line)
+ */
+const refundSale = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { items, reason, refundToCredit, refundMethod, restock } = req.body;
+        const { userId, actorId } = req.user;
+
+        if (items !== undefined && !Array.isArray(items)) {
+            return res.status(400).json({
+                error: 'Items must be an array of { saleItemId, quantity }'
+            });
+        }
+
+        const result = await salesService.refundSale(parseInt(id), userId, {
+            items,
+            reason,
+            refundToCredit: refundToCredit === true,
+            refundMethod,
+            restock: restock !== false,
+            actorId
+        });
+
+        logger.info(`Refund processed for sale: ${id}`, {
+            saleId: id,
+            refundType: result.refund.type,
+            refundAmount: result.summary.refundAmount
+        });
+
+        res.json(result);
+    } catch (error) {
+        logger.error('Error refunding sale:', error);
+        const statusCode = error.message === 'Sale not found' ? 404 : 400;
+        res.status(statusCode).json({
+            error: 'Failed to refund sale',
+            details: error.message
+        });
+    }
+};
+
+/**
+ * Prompt the customer's phone to pay a sale's outstanding balance through M-Pesa
+ */
+const requestMpesaPayment = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { phone } = req.body || {};
+        const { userId, actorId } = req.user;
+
+        const result = await MpesaService.requestSalePayment(parseInt(id), userId, {
+            phone,
+            actorId
+        });
+
+        logger.info(`M-Pesa request sent for sale: ${id}`, {
+            saleId: id,
+            amount: result.request.amount,
+            checkoutRequestId: result.request.checkoutRequestId
+        });
+
+        res.status(202).json(result);
+    } catch (error) {
+        logger.error('Error requesting M-Pesa payment:', error);
+        let statusCode = 400;
+        if (error.message === 'Sale not found') statusCode = 404;
+        if (error.message === 'An M-Pesa request is already pending for this sale') statusCode = 409;
+        if (error.message.startsWith('M-Pesa request failed')) statusCode = 502;
+        res.status(statusCode).json({
+            error: 'Failed to request M-Pesa payment',
+            details: error.message
+        });
+    }
+};
+
+/**
+ * Get the M-Pesa requests sent for a sale
+ */
+const getMpesaRequests = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { userId } = req.user;
+
+        const result = await MpesaService.getSaleRequests(parseInt(id), userId);
+
+        res.json(result);
+    } catch (error) {
+        logger.error('Error fetching M-Pesa requests:', error);
+        const statusCode = error.message === 'Sale not found' ? 404 : 500;
+        res.status(statusCode).json({
+            error: 'Failed to fetch M-Pesa requests',
+            details: error.message
+        });
+    }
+};
+
 module.exports = {
     createSale,
     getSaleById,
@@ -284,5 +495,9 @@ module.exports = {
     getProfitLossReport,
     getTopSellingProducts,
     getLowStockAlerts,
-    processSalePayment
+    processSalePayment,
+    cancelSale,
+    refundSale,
+    requestMpesaPayment,
+    getMpesaRequests
 };
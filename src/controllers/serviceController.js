@@ -10,7 +10,7 @@ class ServiceController {
     // POST /api/services - Add new service
     static async addService(req, res) {
         try {
-            const userId = req.user.id; // From auth middleware
+            const { userId } = req.user;
             const serviceData = { ...req.body, userId };
 
             const result = await ServiceService.addService(serviceData);
@@ -28,7 +28,7 @@ class ServiceController {
     // GET /api/services - Get all services with optional filters
     static async getAllServices(req, res) {
         try {
-            const userId = req.user.id;
+            const { userId } = req.user;
             const filters = {
                 category: req.query.category,
                 search: req.query.search,
@@ -51,7 +51,7 @@ class ServiceController {
     // GET /api/services/:id - Get single service
     static async getServiceById(req, res) {
         try {
-            const userId = req.user.id;
+            const { userId } = req.user;
             const serviceId = parseInt(req.params.id);
 
             if (!serviceId) {
@@ -77,7 +77,7 @@ class ServiceController {
     // PUT /api/services/:id - Update service
     static async updateService(req, res) {
         try {
-            const userId = req.user.id;
+            const { userId } = req.user;
             const serviceId = parseInt(req.params.id);
 
             if (!serviceId) {
@@ -103,7 +103,7 @@ class ServiceController {
     // GET /api/services/:id/availability - Check service availability
     static async checkAvailability(req, res) {
         try {
-            const userId = req.user.id;
+            const { userId } = req.user;
             const serviceId = parseInt(req.params.id);
             const quantity = parseInt(req.query.quantity) || 1;
 
@@ -114,14 +114,15 @@ class ServiceController {
                 });
             }
 
-            const result = await ServiceService.checkServiceAvailability(serviceId, userId, quantity);
+            const result = await ServiceService.checkServiceAvailability(serviceId, userId, quantity, req.query.locationId);
 
             res.status(200).json({
                 success: true,
                 ...result
             });
         } catch (error) {
-            const statusCode = error.message === 'Service not found' ? 404 : 500;
+            const statusCode = ['Service not found', 'Location not found'].includes(error.message) ? 404 :
+                /^Location .* is inactive$/.test(error.message) ? 400 : 500;
             res.status(statusCode).json({
                 success: false,
                 message: error.message || 'Failed to check service availability',
@@ -133,7 +134,7 @@ class ServiceController {
     // PUT /api/services/:id/toggle-status - Toggle active/inactive status
     static async toggleStatus(req, res) {
         try {
-            const userId = req.user.id;
+            const { userId } = req.user;
             const serviceId = parseInt(req.params.id);
 
             if (!serviceId) {
@@ -159,7 +160,7 @@ class ServiceController {
     // DELETE /api/services/:id - Delete service
     static async deleteService(req, res) {
         try {
-            const userId = req.user.id;
+            const { userId } = req.user;
             const serviceId = parseInt(req.params.id);
 
             if (!serviceId) {
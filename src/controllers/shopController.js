@@ -0,0 +1,201 @@
+const ShopService = require('../services/shopService');
+const NotificationService = require('../services/notificationService');
+
+/**
+ * SHOP CONTROLLER MODULE
+ * Handles the shop profile and staff management HTTP requests
+ */
+class ShopController {
+
+    // Get the current user's shop with its staff
+    static async getShop(req, res) {
+        try {
+            const { shopId } = req.user;
+
+            const shop = await ShopService.getShop(shopId);
+
+            res.status(200).json({ shop });
+        } catch (err) {
+            if (err.message === 'Shop not found') {
+                return res.status(404).json({ message: err.message });
+            }
+            res.status(500).json({ message: 'Server error', error: err.message });
+        }
+    }
+
+    // Update shop settings (name, default payment allocation strategy, debt reminders, WhatsApp receipts, M-Pesa, costing and reordering)
+    static async updateSettings(req, res) {
+        try {
+            const {
+                name,
+                paymentAllocationStrategy,
+                remindersEnabled,
+                reminderChannel,
+                reminderDaysBeforeDue,
+                reminderIntervalDays,
+                reminderMaxPerDebt,
+                quietHoursStart,
+                quietHoursEnd,
+                whatsappSaleReceipts,
+                whatsappPaymentReceipts,
+                whatsappFrom,
+                mpesaShortcode,
+                costingMethod,
+                reorderWindowDays,
+                reorderLeadTimeDays,
+                reorderSafetyDays,
+                reorderCoverDays
+            } = req.body;
+            const { shopId } = req.user;
+
+            const shop = await ShopService.updateSettings(shopId, {
+                name,
+                paymentAllocationStrategy,
+                remindersEnabled,
+                reminderChannel,
+                reminderDaysBeforeDue,
+                reminderIntervalDays,
+                reminderMaxPerDebt,
+                quietHoursStart,
+                quietHoursEnd,
+                whatsappSaleReceipts,
+                whatsappPaymentReceipts,
+                whatsappFrom,
+                mpesaShortcode,
+                costingMethod,
+                reorderWindowDays,
+                reorderLeadTimeDays,
+                reorderSafetyDays,
+                reorderCoverDays
+            });
+
+            res.status(200).json({
+                message: 'Shop settings updated successfully',
+                shop
+            });
+        } catch (err) {
+            if (err.message === 'Shop name cannot be empty' ||
+                err.message.startsWith('Payment allocation strategy must be one of') ||
+                err.message.startsWith('Reminder channel must be one of') ||
+                err.message.includes('must be a whole number from') ||
+                err.message.startsWith('Quiet hours need') ||
+                err.message.startsWith('WhatsApp sender must be') ||
+                err.message.startsWith('M-Pesa shortcode must be') ||
+                err.message.startsWith('Costing method must be one of')) {
+                return res.status(400).json({ message: err.message });
+            }
+            if (err.message === 'M-Pesa shortcode is already used by another shop') {
+                return res.status(409).json({ message: err.message });
+            }
+            res.status(500).json({ message: 'Server error', error: err.message });
+        }
+    }
+
+    // Add a staff login
+    static async addStaff(req, res) {
+        try {
+            const { email, password, name, role } = req.body;
+            const { shopId } = req.user;
+
+            const staff = await ShopService.addStaff(shopId, { email, password, name, role });
+
+            res.status(201).json({
+                message: 'Staff member added successfully',
+                staff
+            });
+        } catch (err) {
+            if (err.message === 'User already exists' ||
+                err.message === 'Email and password are required' ||
+                err.message.startsWith('Role must be one of')) {
+                return res.status(400).json({ message: err.message });
+            }
+            res.status(500).json({ message: 'Server error', error: err.message });
+        }
+    }
+
+    // Change a staff member's role
+    static async updateStaffRole(req, res) {
+        try {
+            const { staffId } = req.params;
+            const { role } = req.body;
+            const { shopId } = req.user;
+
+            const staff = await ShopService.updateStaffRole(shopId, parseInt(staffId), role);
+
+            res.status(200).json({
+                message: 'Staff role updated successfully',
+                staff
+            });
+        } catch (err) {
+            if (err.message === 'Staff member not found') {
+                return res.status(404).json({ message: err.message });
+            }
+            if (err.message.startsWith('Role must be one of') ||
+                err.message === 'The shop owner cannot be changed or removed') {
+                return res.status(400).json({ message: err.message });
+            }
+            res.status(500).json({ message: 'Server error', error: err.message });
+        }
+    }
+
+    // Deactivate a staff login
+    static async removeStaff(req, res) {
+        try {
+            const { staffId } = req.params;
+            const { shopId } = req.user;
+
+            await ShopService.removeStaff(shopId, parseInt(staffId));
+
+            res.status(200).json({ message: 'Staff member removed successfully' });
+        } catch (err) {
+            if (err.message === 'Staff member not found') {
+                return res.status(404).json({ message: err.message });
+            }
+            if (err.message === 'The shop owner cannot be changed or removed') {
+                return res.status(400).json({ message: err.message });
+            }
+            res.status(500).json({ message: 'Server error', error: err.message });
+        }
+    }
+
+    // List the shop's customer message templates
+    static async getNotificationTemplates(req, res) {
+        try {
+            const { shopId } = req.user;
+
+            const templates = await NotificationService.getTemplates(shopId);
+
+            res.status(200).json({
+                templates,
+                placeholders: NotificationService.PLACEHOLDERS
+            });
+        } catch (err) {
+            res.status(500).json({ message: 'Server error', error: err.message });
+        }
+    }
+
+    // Change (or reset to default) one customer message template
+    static async updateNotificationTemplate(req, res) {
+        try {
+            const { type } = req.params;
+            const { body } = req.body;
+            const { shopId } = req.user;
+
+            const template = await NotificationService.updateTemplate(shopId, type, body);
+
+            res.status(200).json({
+                message: 'Notification template updated successfully',
+                template
+            });
+        } catch (err) {
+            if (err.message.startsWith('Template type must be one of') ||
+                err.message.startsWith('Template cannot be longer than') ||
+                err.message.startsWith('Unknown placeholder')) {
+                return res.status(400).json({ message: err.message });
+            }
+            res.status(500).json({ message: 'Server error', error: err.message });
+        }
+    }
+}
+
+module.exports = ShopController;
@@ -0,0 +1,162 @@
+const StockTakeService = require('../services/stockTakeService');
+const redactProfit = require('../utils/redactProfit');
+
+/**
+ * STOCK TAKE CONTROLLER MODULE
+ * Physical count sessions: starting, counting, posting and shrinkage reports
+ */
+class StockTakeController {
+
+    // Map stock take errors to a status code, or null for a server error
+    static statusFor(message) {
+        if (message === 'Stock take not found' || message === 'Location not found') {
+            return 404;
+        }
+        if (message.startsWith('Only open stock takes') ||
+            message.startsWith('A stock take is already open')) {
+            return 409;
+        }
+        if (message.startsWith('At least one') ||
+            message === 'No tracked products to count' ||
+            message.startsWith('Each product can only appear once') ||
+            message.startsWith('Counted quantity must be') ||
+            message.endsWith('is not on this stock take') ||
+            /^Location .* is inactive$/.test(message)) {
+            return 400;
+        }
+        return null;
+    }
+
+    // Send the mapped error response
+    static handleError(res, err) {
+        const status = StockTakeController.statusFor(err.message);
+        if (status) {
+            return res.status(status).json({ message: err.message });
+        }
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+
+    // Start counting a location
+    static async startStockTake(req, res) {
+        try {
+            const { locationId, category, notes } = req.body;
+            const { userId, actorId } = req.user;
+
+            const result = await StockTakeService.startStockTake(userId, {
+                locationId,
+                category,
+                notes,
+                actorId
+            });
+
+            res.status(201).json(result);
+        } catch (err) {
+            StockTakeController.handleError(res, err);
+        }
+    }
+
+    // Get stock takes, newest first
+    static async getStockTakes(req, res) {
+        try {
+            const { status, locationId, page = 1, limit = 50 } = req.query;
+            const { userId } = req.user;
+
+            if (status && !StockTakeService.STATUSES.includes(status)) {
+                return res.status(400).json({
+                    message: `Invalid status. Use one of: ${StockTakeService.STATUSES.join(', ')}`
+                });
+            }
+
+            const result = await StockTakeService.getStockTakes(userId, {
+                status,
+                locationId,
+                page: parseInt(page),
+                limit: Math.min(parseInt(limit), 200)
+            });
+
+            res.status(200).json(result);
+        } catch (err) {
+            StockTakeController.handleError(res, err);
+        }
+    }
+
+    // Get the count sheet with variances
+    static async getStockTakeById(req, res) {
+        try {
+            const { takeId } = req.params;
+            const { show } = req.query;
+            const { userId } = req.user;
+
+            if (show && !['uncounted', 'variances'].includes(show)) {
+                return res.status(400).json({ message: 'Invalid show. Use one of: uncounted, variances' });
+            }
+
+            const result = await StockTakeService.getStockTakeById(parseInt(takeId), userId, { show });
+
+            res.status(200).json(redactProfit(result, req.user));
+        } catch (err) {
+            StockTakeController.handleError(res, err);
+        }
+    }
+
+    // Enter a batch of counts
+    static async recordCounts(req, res) {
+        try {
+            const { takeId } = req.params;
+            const { counts } = req.body;
+            const { userId, actorId } = req.user;
+
+            const result = await StockTakeService.recordCounts(parseInt(takeId), userId, { counts, actorId });
+
+            res.status(200).json(result);
+        } catch (err) {
+            StockTakeController.handleError(res, err);
+        }
+    }
+
+    // Apply the counted variances to stock
+    static async postStockTake(req, res) {
+        try {
+            const { takeId } = req.params;
+            const { notes } = req.body || {};
+            const { userId, actorId } = req.user;
+
+            const result = await StockTakeService.postStockTake(parseInt(takeId), userId, { actorId, notes });
+
+            res.status(200).json(result);
+        } catch (err) {
+            StockTakeController.handleError(res, err);
+        }
+    }
+
+    // Abandon an open stock take
+    static async cancelStockTake(req, res) {
+        try {
+            const { takeId } = req.params;
+            const { reason } = req.body || {};
+            const { userId, actorId } = req.user;
+
+            const stockTake = await StockTakeService.cancelStockTake(parseInt(takeId), userId, { actorId, reason });
+
+            res.status(200).json({ success: true, stockTake });
+        } catch (err) {
+            StockTakeController.handleError(res, err);
+        }
+    }
+
+    // Shrinkage by category
+    static async getShrinkageReport(req, res) {
+        try {
+            const { takeId } = req.params;
+            const { userId } = req.user;
+
+            const result = await StockTakeService.getShrinkageReport(parseInt(takeId), userId);
+
+            res.status(200).json(result);
+        } catch (err) {
+            StockTakeController.handleError(res, err);
+        }
+    }
+}
+
+module.exports = StockTakeController;
@@ -0,0 +1,92 @@
+const StockTransferService = require('../services/stockTransferService');
+
+/**
+ * STOCK TRANSFER CONTROLLER MODULE
+ * Moving stock between the shop's locations
+ */
+class StockTransferController {
+
+    // Map stock transfer errors to a status code, or null for a server error
+    static statusFor(message) {
+        if (message === 'Stock transfer not found' || message === 'Location not found') {
+            return 404;
+        }
+        if (message.startsWith('Insufficient stock')) {
+            return 409;
+        }
+        if (message.startsWith('Both fromLocationId') ||
+            message === 'Stock must move to a different location' ||
+            message.startsWith('At least one') ||
+            message.startsWith('Each product can only appear once') ||
+            message.startsWith('Product with ID') ||
+            message.endsWith('does not track inventory') ||
+            message.includes('must be a whole number greater than zero') ||
+            /^Location .* is inactive$/.test(message)) {
+            return 400;
+        }
+        return null;
+    }
+
+    // Send the mapped error response
+    static handleError(res, err) {
+        const status = StockTransferController.statusFor(err.message);
+        if (status) {
+            return res.status(status).json({ message: err.message });
+        }
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+
+    // Move stock between two locations
+    static async createTransfer(req, res) {
+        try {
+            const { fromLocationId, toLocationId, items, notes } = req.body;
+            const { userId, actorId } = req.user;
+
+            const result = await StockTransferService.createTransfer(userId, {
+                fromLocationId,
+                toLocationId,
+                items,
+                notes,
+                actorId
+            });
+
+            res.status(201).json(result);
+        } catch (err) {
+            StockTransferController.handleError(res, err);
+        }
+    }
+
+    // Get transfers, newest first
+    static async getTransfers(req, res) {
+        try {
+            const { locationId, page = 1, limit = 50 } = req.query;
+            const { userId } = req.user;
+
+            const result = await StockTransferService.getTransfers(userId, {
+                locationId,
+                page: parseInt(page),
+                limit: Math.min(parseInt(limit), 200)
+            });
+
+            res.status(200).json(result);
+        } catch (err) {
+            StockTransferController.handleError(res, err);
+        }
+    }
+
+    // Get one transfer with its lines
+    static async getTransferById(req, res) {
+        try {
+            const { transferId } = req.params;
+            const { userId } = req.user;
+
+            const result = await StockTransferService.getTransferById(parseInt(transferId), userId);
+
+            res.status(200).json(result);
+        } catch (err) {
+            StockTransferController.handleError(res, err);
+        }
+    }
+}
+
+module.exports = StockTransferController;
@@ -0,0 +1,164 @@
+const SupplierService = require('../services/supplierService');
+
+/**
+ * SUPPLIER CONTROLLER MODULE
+ * Supplier records, their bills and payments made to them
+ */
+class SupplierController {
+
+    // Validation errors from the supplier service that are the client's fault
+    static isValidationError(message) {
+        return message === 'Supplier name is required' ||
+            message === 'A supplier with this name already exists' ||
+            message.startsWith('Payment terms must be') ||
+            message.startsWith('Lead time must be') ||
+            message.startsWith('Payment amount must be') ||
+            message.startsWith('Payment method must be one of') ||
+            message.startsWith('Payment exceeds the amount owed');
+    }
+
+    // Add a supplier
+    static async createSupplier(req, res) {
+        try {
+            const { userId } = req.user;
+
+            const supplier = await SupplierService.createSupplier(userId, req.body);
+
+            res.status(201).json({ success: true, supplier });
+        } catch (err) {
+            if (SupplierController.isValidationError(err.message)) {
+                return res.status(400).json({ message: err.message });
+            }
+            res.status(500).json({ message: 'Server error', error: err.message });
+        }
+    }
+
+    // Get suppliers with what is owed to each
+    static async getSuppliers(req, res) {
+        try {
+            const { userId } = req.user;
+            const { search, includeInactive } = req.query;
+
+            const result = await SupplierService.getSuppliers(userId, {
+                search,
+                includeInactive: includeInactive === 'true'
+            });
+
+            res.status(200).json(result);
+        } catch (err) {
+            res.status(500).json({ message: 'Server error', error: err.message });
+        }
+    }
+
+    // Get one supplier with open bills and recent orders
+    static async getSupplierById(req, res) {
+        try {
+            const { supplierId } = req.params;
+            const { userId } = req.user;
+
+            const result = await SupplierService.getSupplierById(parseInt(supplierId), userId);
+
+            res.status(200).json(result);
+        } catch (err) {
+            if (err.message === 'Supplier not found') {
+                return res.status(404).json({ message: err.message });
+            }
+            res.status(500).json({ message: 'Server error', error: err.message });
+        }
+    }
+
+    // Update a supplier
+    static async updateSupplier(req, res) {
+        try {
+            const { supplierId } = req.params;
+            const { userId } = req.user;
+
+            const supplier = await SupplierService.updateSupplier(parseInt(supplierId), userId, req.body);
+
+            res.status(200).json({ success: true, supplier });
+        } catch (err) {
+            if (err.message === 'Supplier not found') {
+                return res.status(404).json({ message: err.message });
+            }
+            if (SupplierController.isValidationError(err.message)) {
+                return res.status(400).json({ message: err.message });
+            }
+            res.status(500).json({ message: 'Server error', error: err.message });
+        }
+    }
+
+    // Get a supplier's bills
+    static async getPayables(req, res) {
+        try {
+            const { supplierId } = req.params;
+            const { status } = req.query;
+            const { userId } = req.user;
+
+            if (status && !['unpaid', 'paid'].includes(status)) {
+                return res.status(400).json({ message: 'Invalid status. Use one of: unpaid, paid' });
+            }
+
+            const result = await SupplierService.getPayables(parseInt(supplierId), userId, { status });
+
+            res.status(200).json(result);
+        } catch (err) {
+            if (err.message === 'Supplier not found') {
+                return res.status(404).json({ message: err.message });
+            }
+            res.status(500).json({ message: 'Server error', error: err.message });
+        }
+    }
+
+    // Pay a supplier
+    static async recordPayment(req, res) {
+        try {
+            const { supplierId } = req.params;
+            const { amount, paymentMethod, reference, notes } = req.body;
+            const { userId, actorId } = req.user;
+
+            const result = await SupplierService.recordPayment(parseInt(supplierId), userId, {
+                amount,
+                paymentMethod,
+                reference,
+                notes,
+                actorId
+            });
+
+            res.status(201).json(result);
+        } catch (err) {
+            if (err.message === 'Supplier not found') {
+                return res.status(404).json({ message: err.message });
+            }
+            if (err.message.startsWith('Supplier bills changed')) {
+                return res.status(409).json({ message: err.message });
+            }
+            if (SupplierController.isValidationError(err.message)) {
+                return res.status(400).json({ message: err.message });
+            }
+            res.status(500).json({ message: 'Server error', error: err.message });
+        }
+    }
+
+    // Get payments made to a supplier
+    static async getPayments(req, res) {
+        try {
+            const { supplierId } = req.params;
+            const { page = 1, limit = 50 } = req.query;
+            const { userId } = req.user;
+
+            const result = await SupplierService.getPayments(parseInt(supplierId), userId, {
+                page: parseInt(page),
+                limit: Math.min(parseInt(limit), 200)
+            });
+
+            res.status(200).json(result);
+        } catch (err) {
+            if (err.message === 'Supplier not found') {
+                return res.status(404).json({ message: err.message });
+            }
+            res.status(500).json({ message: 'Server error', error: err.message });
+        }
+    }
+}
+
+module.exports = SupplierController;
@@ -1,6 +1,18 @@
 const jwt = require('jsonwebtoken');
+const authService = require('../services/authService');
 
-const authenticateToken = (req, res, next) => {
+/**
+ * Resolve the bearer token into the authenticated principal.
+ *
+ * Access tokens carry `{ userId, sid }`. The user row and the session are
+ * checked on every request, so tokens belonging to deleted users or revoked
+ * sessions stop working straight away. Controllers read the principal as
+ * `const { userId } = req.user;`.
+ *
+ * `userId` is the id shop data is keyed by, i.e. the shop owner's id, so staff
+ * see their shop's data. `actorId` is the user who is actually logged in.
+ */
+const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1]; // Expecting "Bearer <token>"
 
@@ -8,13 +20,46 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ message: 'No token provided' });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({ message: 'Invalid token' });
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    return res.status(403).json({ message: 'Invalid token' });
+  }
+
+  if (!Number.isInteger(payload.userId) || !Number.isInteger(payload.sid)) {
+    return res.status(403).json({ message: 'Invalid token' });
+  }
+
+  try {
+    const user = await authService.findUserById(payload.userId);
+    if (!user) {
+      return res.status(401).json({ message: 'User no longer exists' });
+    }
+    if (!user.isActive) {
+      return res.status(401).json({ message: 'Account has been deactivated' });
     }
-    req.user = user; // Attach user info to request
+
+    const sessionActive = await authService.isSessionActive(payload.sid, user.id);
+    if (!sessionActive) {
+      return res.status(401).json({ message: 'Session has been revoked' });
+    }
+
+    // The one principal shape every controller consumes
+    req.user = {
+      userId: user.shop ? user.shop.ownerId : user.id,
+      actorId: user.id,
+      shopId: user.shopId,
+      role: user.role,
+      email: user.email,
+      name: user.name,
+      shopName: user.shop ? user.shop.name : user.shopName,
+      sessionId: payload.sid
+    };
     next();
-  });
+  } catch (err) {
+    next(err);
+  }
 };
 
-module.exports = authenticateToken;
\ No newline at end of file
+module.exports = authenticateToken;
@@ -0,0 +1,91 @@
+const IdempotencyService = require('../services/idempotencyService');
+const logger = require('../utils/logger');
+
+/**
+ * Honor the `Idempotency-Key` header on requests that create money records.
+ *
+ * The first request with a key runs normally and its response is stored;
+ * a retry with the same key and body gets that response back with an
+ * `Idempotent-Replayed: true` header instead of running again. Reusing a key
+ * for a different body or endpoint is a 422, and a retry that arrives while
+ * the first request is still running is a 409. Server errors (5xx) are not
+ * stored, so the client can retry them, and neither is a request answered
+ * without a JSON response (an error passed to Express or `res.send`). A client
+ * that disconnects early leaves the key in progress: the handler keeps running
+ * and its response is stored for the retry. Requests without the header are
+ * untouched. Use after `authMiddleware`; keys are scoped to the shop.
+ */
+const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!key.trim() || key.length > IdempotencyService.MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      message: `Idempotency-Key must be 1 to ${IdempotencyService.MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  const { userId, actorId } = req.user;
+  const endpoint = `${req.method} ${req.baseUrl}${req.path}`;
+
+  let claim;
+  try {
+    claim = await IdempotencyService.begin(userId, key, {
+      endpoint,
+      requestHash: IdempotencyService.hashRequest(endpoint, req.body),
+      actorId
+    });
+  } catch (err) {
+    if (err.message === 'Idempotency-Key has already been used for a different request') {
+      return res.status(422).json({ message: err.message });
+    }
+    if (err.message === 'A request with this Idempotency-Key is still in progress') {
+      return res.status(409).json({ message: err.message });
+    }
+    return res.status(500).json({ message: 'Server error', error: err.message });
+  }
+
+  if (claim.replay) {
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(claim.replay.responseStatus).json(claim.replay.responseBody);
+  }
+
+  // Store the response before sending it, so a retry never finds the key unfinished
+  let settled = false;
+  const send = res.json.bind(res);
+  res.json = (body) => {
+    settled = true;
+    const store = res.statusCode < 500
+      ? IdempotencyService.complete(claim.record.id, res.statusCode, body)
+      : IdempotencyService.release(claim.record.id);
+
+    store
+      .catch(err => {
+        logger.error('Failed to store idempotent response:', err);
+        return IdempotencyService.release(claim.record.id).catch(() => {});
+      })
+      .finally(() => send(body));
+
+    return res;
+  };
+
+  // The response went out without being stored: the handler threw to the error handler or
+  // answered with res.send/res.end. Free the key for a retry. A dropped connection is not
+  // released, since the handler may still be creating the sale
+  res.once('finish', () => {
+    if (settled) {
+      return;
+    }
+    settled = true;
+    IdempotencyService.release(claim.record.id).catch(err => {
+      logger.error('Failed to release idempotency key:', err);
+    });
+  });
+
+  next();
+};
+
+module.exports = { idempotent };
@@ -0,0 +1,94 @@
+/**
+ * Role-based permissions for shop staff.
+ *
+ * OWNER can do everything, MANAGER everything except managing staff, and
+ * CASHIER only what is needed at the till: selling, taking payments,
+ * looking things up and entering stock-take counts. Use `authorize(...)` after `authMiddleware` on a route;
+ * the request passes when the principal's role has every listed permission.
+ */
+
+const ALL_PERMISSIONS = [
+  'customers:read',
+  'customers:write',
+  'customers:delete',
+  'debts:read',
+  'debts:create',
+  'debts:update',
+  'debts:delete',
+  'payments:read',
+  'payments:record',
+  'payments:update',
+  'payments:delete',
+  'payments:reconcile',
+  'products:read',
+  'products:write',
+  'products:cost',
+  'products:delete',
+  'locations:manage',
+  'stock:transfer',
+  'stocktake:manage',
+  'stocktake:count',
+  'services:read',
+  'services:write',
+  'services:delete',
+  'sales:read',
+  'sales:create',
+  'sales:refund',
+  'suppliers:read',
+  'suppliers:write',
+  'suppliers:pay',
+  'purchases:read',
+  'purchases:write',
+  'purchases:receive',
+  'reports:read',
+  'reports:profit',
+  'audit:read',
+  'notifications:read',
+  'notifications:send',
+  'settings:manage',
+  'staff:manage'
+];
+
+const ROLE_PERMISSIONS = {
+  OWNER: ALL_PERMISSIONS,
+  MANAGER: ALL_PERMISSIONS.filter(permission => permission !== 'staff:manage'),
+  CASHIER: [
+    'customers:read',
+    'customers:write',
+    'debts:read',
+    'debts:create',
+    'payments:read',
+    'payments:record',
+    'products:read',
+    'stocktake:count',
+    'services:read',
+    'sales:read',
+    'sales:create',
+    'reports:read',
+    'notifications:read'
+  ]
+};
+
+const hasPermission = (principal, permission) => {
+  const permissions = ROLE_PERMISSIONS[principal?.role] || [];
+  return permissions.includes(permission);
+};
+
+const authorize = (...permissions) => (req, res, next) => {
+  const missing = permissions.filter(permission => !hasPermission(req.user, permission));
+
+  if (missing.length > 0) {
+    return res.status(403).json({
+      message: 'You do not have permission to perform this action',
+      missingPermissions: missing
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  authorize,
+  hasPermission,
+  ROLE_PERMISSIONS
+};
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const AuditController = require('../controllers/auditController');
+const authMiddleware = require('../middlewares/authMiddleware');
+const { authorize } = require('../middlewares/permissionMiddleware');
+
+// Apply authentication middleware to all routes in this router
+router.use(authMiddleware);
+
+// AUDIT ROUTES
+router.get('/', authorize('audit:read'), AuditController.getAuditLogs);   // List audit entries (filter by entity, actor, date range)
+
+module.exports = router;
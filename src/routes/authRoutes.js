@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
+const authMiddleware = require('../middlewares/authMiddleware');
 
 // Register route
 router.post('/register', authController.register);
@@ -8,4 +9,13 @@ router.post('/register', authController.register);
 // Login route
 router.post('/login', authController.login);
 
+// Exchange a refresh token for a new token pair
+router.post('/refresh', authController.refresh);
+
+// Revoke the current session
+router.post('/logout', authMiddleware, authController.logout);
+
+// Revoke every session for the current user
+router.post('/logout-all', authMiddleware, authController.logoutAll);
+
 module.exports = router;
\ No newline at end of file
@@ -2,18 +2,20 @@ const express = require('express');
 const router = express.Router();
 const CustomerController = require('../controllers/customerController');
 const authMiddleware = require('../middlewares/authMiddleware');
+const { authorize } = require('../middlewares/permissionMiddleware');
 
 // Apply authentication middleware to all routes in this router
 router.use(authMiddleware);
 
 // CUSTOMER MANAGEMENT ROUTES (NO debt logic here)
-router.post('/create', CustomerController.createCustomer);               // Create new customer
-router.get('/all', CustomerController.getAllCustomers);                  // Get all customers
-router.get('/with-balance', CustomerController.getAllCustomersWithBalance); // Get customers with balance info
-router.get('/search', CustomerController.searchCustomers);               // Search customers
-router.get('/:customerId', CustomerController.getCustomerById);          // Get customer by ID
-router.get('/:customerId/balance', CustomerController.getCustomerWithBalance); // Get customer with balance
-router.put('/:customerId', CustomerController.updateCustomer);           // Update customer
-router.delete('/:customerId', CustomerController.deleteCustomer);        // Delete customer
+router.post('/create', authorize('customers:write'), CustomerController.createCustomer);               // Create new customer
+router.get('/all', authorize('customers:read'), CustomerController.getAllCustomers);                  // Get all customers
+router.get('/with-balance', authorize('customers:read'), CustomerController.getAllCustomersWithBalance); // Get customers with balance info
+router.get('/search', authorize('customers:read'), CustomerController.searchCustomers);               // Search customers
+router.get('/:customerId', authorize('customers:read'), CustomerController.getCustomerById);          // Get customer by ID
+router.get('/:customerId/balance', authorize('customers:read'), CustomerController.getCustomerWithBalance); // Get customer with balance
+router.post('/:customerId/statement', authorize('notifications:send'), CustomerController.sendStatement); // Send WhatsApp statement
+router.put('/:customerId', authorize('customers:write'), CustomerController.updateCustomer);           // Update customer
+router.delete('/:customerId', authorize('customers:delete'), CustomerController.deleteCustomer);        // Delete customer
 
 module.exports = router;
\ No newline at end of file
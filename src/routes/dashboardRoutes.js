@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const dashboardController = require('../controllers/dashboardController');
 const authMiddleware = require('../middlewares/authMiddleware');
+const { authorize } = require('../middlewares/permissionMiddleware');
 
 // Apply authentication middleware to all routes
 router.use(authMiddleware);
@@ -11,7 +12,7 @@ router.use(authMiddleware);
  * @desc    Get comprehensive dashboard overview
  * @access  Private
  */
-router.get('/', dashboardController.getDashboardOverview);
+router.get('/', authorize('reports:read'), dashboardController.getDashboardOverview);
 
 /**
  * @route   GET /api/dashboard/business-overview
@@ -19,6 +20,6 @@ router.get('/', dashboardController.getDashboardOverview);
  * @access  Private
  * @query   { period?: "today" | "week" | "month" | "year" }
  */
-router.get('/business-overview', dashboardController.getBusinessOverview);
+router.get('/business-overview', authorize('reports:read'), dashboardController.getBusinessOverview);
 
 module.exports = router;
@@ -2,18 +2,20 @@ const express = require('express');
 const router = express.Router();
 const DebtController = require('../controllers/debtController');
 const authMiddleware = require('../middlewares/authMiddleware');
+const { authorize } = require('../middlewares/permissionMiddleware');
 
 // Apply authentication middleware to all routes in this router
 router.use(authMiddleware);
 
 // DEBT MANAGEMENT ROUTES
-router.post('/add', DebtController.addDebt);                                    // Add debt to customer
-router.get('/customer/:customerId', DebtController.getCustomerDebts);           // Get all debts for customer
-router.get('/customer/:customerId/unpaid', DebtController.getCustomerUnpaidDebts); // Get unpaid debts for customer
-router.get('/customers-with-debts', DebtController.getCustomersWithUnpaidDebts); // Get customers with unpaid debts
-router.put('/:debtId/mark-paid', DebtController.markDebtAsPaid);                // Mark debt as paid
-router.put('/:debtId', DebtController.updateDebt);                             // Update debt
-router.delete('/:debtId', DebtController.deleteDebt);                          // Delete debt
-router.get('/analytics', DebtController.getDebtAnalytics);                     // Get debt analytics
+router.post('/add', authorize('debts:create'), DebtController.addDebt);                                    // Add debt to customer
+router.get('/customer/:customerId', authorize('debts:read'), DebtController.getCustomerDebts);           // Get all debts for customer
+router.get('/customer/:customerId/unpaid', authorize('debts:read'), DebtController.getCustomerUnpaidDebts); // Get unpaid debts for customer
+router.get('/customers-with-debts', authorize('debts:read'), DebtController.getCustomersWithUnpaidDebts); // Get customers with unpaid debts
+router.put('/:debtId/mark-paid', authorize('debts:update'), DebtController.markDebtAsPaid);                // Mark debt as paid
+router.put('/:debtId', authorize('debts:update'), DebtController.updateDebt);                             // Update debt
+router.delete('/:debtId', authorize('debts:delete'), DebtController.deleteDebt);                          // Delete debt
+router.get('/analytics', authorize('debts:read'), DebtController.getDebtAnalytics);                     // Get debt analytics
+router.get('/:debtId/reminders', authorize('debts:read'), DebtController.getDebtReminders);              // Get reminder history for debt
 
 module.exports = router;
@@ -8,10 +8,23 @@ const productRoutes = require('./productRoutes');
 const serviceRoutes = require('./serviceRoutes');
 const salesRoutes = require('./salesRoutes');
 const dashboardRoutes = require('./dashboardRoutes');
+const shopRoutes = require('./shopRoutes');
+const auditRoutes = require('./auditRoutes');
+const notificationRoutes = require('./notificationRoutes');
+const mpesaRoutes = require('./mpesaRoutes');
+const reconciliationRoutes = require('./reconciliationRoutes');
+const supplierRoutes = require('./supplierRoutes');
+const purchaseOrderRoutes = require('./purchaseOrderRoutes');
+const locationRoutes = require('./locationRoutes');
+const stockTransferRoutes = require('./stockTransferRoutes');
+const stockTakeRoutes = require('./stockTakeRoutes');
 
 // Auth routes
 router.use('/auth', authRoutes);
 
+// Shop and staff management routes
+router.use('/shop', shopRoutes);
+
 // Customer management routes (NO debt logic)
 router.use('/customers', customerRoutes);
 
@@ -33,4 +46,31 @@ router.use('/sales', salesRoutes);
 // Dashboard and analytics routes
 router.use('/dashboard', dashboardRoutes);
 
+// Audit trail routes
+router.use('/audit', auditRoutes);
+
+// Customer message outbox and provider delivery reports
+router.use('/notifications', notificationRoutes);
+
+// M-Pesa callbacks and the suspense queue of unmatched payments
+router.use('/mpesa', mpesaRoutes);
+
+// Statement uploads and payment reconciliation reports
+router.use('/reconciliations', reconciliationRoutes);
+
+// Suppliers and what is owed to them
+router.use('/suppliers', supplierRoutes);
+
+// Purchase orders and receiving goods into stock
+router.use('/purchase-orders', purchaseOrderRoutes);
+
+// Stock locations and what each holds
+router.use('/locations', locationRoutes);
+
+// Moving stock between locations
+router.use('/stock-transfers', stockTransferRoutes);
+
+// Stock takes: physical counts and shrinkage
+router.use('/stock-takes', stockTakeRoutes);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const LocationController = require('../controllers/locationController');
+const authMiddleware = require('../middlewares/authMiddleware');
+const { authorize } = require('../middlewares/permissionMiddleware');
+
+// Apply authentication middleware to all routes in this router
+router.use(authMiddleware);
+
+// LOCATION ROUTES
+router.get('/', authorize('products:read'), LocationController.getLocations);                                             // List locations with stock totals
+router.post('/', authorize('locations:manage'), LocationController.createLocation);                                       // Add a location
+router.put('/:locationId', authorize('locations:manage'), LocationController.updateLocation);                             // Rename, make default or deactivate
+router.get('/:locationId/stock', authorize('products:read'), LocationController.getLocationStock);                         // Stock held at the location
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const MpesaController = require('../controllers/mpesaController');
+const authMiddleware = require('../middlewares/authMiddleware');
+const { authorize } = require('../middlewares/permissionMiddleware');
+
+// DARAJA CALLBACKS (called by Safaricom, not by users)
+router.post('/c2b/confirmation', MpesaController.verifyCallback, MpesaController.c2bConfirmation);
+router.post('/stk/:shortcode/callback', MpesaController.verifyCallback, MpesaController.stkCallback);
+
+// Apply authentication middleware to all routes below
+router.use(authMiddleware);
+
+// SUSPENSE QUEUE ROUTES
+router.get('/transactions', authorize('payments:read'), MpesaController.getTransactions);                                // List received M-Pesa payments (filter by status)
+router.post('/transactions/:transactionId/assign', authorize('payments:update'), MpesaController.assignTransaction);     // Assign an unmatched payment to a customer
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const NotificationController = require('../controllers/notificationController');
+const authMiddleware = require('../middlewares/authMiddleware');
+const { authorize } = require('../middlewares/permissionMiddleware');
+
+// PROVIDER DELIVERY REPORTS (called by Africa's Talking / Twilio, not by users)
+const formBody = express.urlencoded({ extended: false });
+router.post('/delivery-reports/africastalking', formBody, NotificationController.verifyWebhook, NotificationController.africasTalkingDeliveryReport);
+router.post('/delivery-reports/twilio', formBody, NotificationController.verifyWebhook, NotificationController.twilioStatusCallback);
+
+// Apply authentication middleware to all routes below
+router.use(authMiddleware);
+
+// OUTBOX ROUTES
+router.get('/', authorize('notifications:read'), NotificationController.getNotifications);                              // List messages (filter by customer, channel, status)
+router.post('/:notificationId/resend', authorize('notifications:send'), NotificationController.resendNotification);    // Queue a message again
+
+module.exports = router;
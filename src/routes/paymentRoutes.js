@@ -2,21 +2,24 @@ const express = require('express');
 const router = express.Router();
 const PaymentController = require('../controllers/paymentController');
 const authMiddleware = require('../middlewares/authMiddleware');
+const { authorize } = require('../middlewares/permissionMiddleware');
+const { idempotent } = require('../middlewares/idempotencyMiddleware');
 
 // Apply authentication middleware to all routes in this router
 router.use(authMiddleware);
 
 // PAYMENT MANAGEMENT ROUTES
-router.post('/record', PaymentController.recordPayment);                        // Record a payment
-router.post('/apply-credit/:customerId', PaymentController.applyCreditToDebts); // Apply credit to debts
-router.get('/customer/:customerId', PaymentController.getCustomerPayments);     // Get all payments for customer
-router.get('/customer/:customerId/debt-summary', PaymentController.getCustomerDebtSummary); // Get customer debt & payment summary
-router.get('/debt/:debtId/history', PaymentController.getDebtPaymentHistory);   // Get debt payment history
-router.get('/analytics/enhanced', PaymentController.getPaymentAnalyticsEnhanced); // Enhanced payment analytics
-router.get('/analytics', PaymentController.getPaymentAnalytics);               // Get payment analytics
-router.get('/:paymentId/details', PaymentController.getPaymentWithDebts);      // Get payment with debt details
-router.get('/:paymentId', PaymentController.getPaymentById);                   // Get payment by ID
-router.put('/:paymentId', PaymentController.updatePayment);                    // Update payment
-router.delete('/:paymentId', PaymentController.deletePayment);                 // Delete payment
+router.post('/record', authorize('payments:record'), idempotent, PaymentController.recordPayment);                        // Record a payment
+router.post('/apply-credit/:customerId', authorize('payments:record'), idempotent, PaymentController.applyCreditToDebts); // Apply credit to debts
+router.get('/customer/:customerId', authorize('payments:read'), PaymentController.getCustomerPayments);     // Get all payments for customer
+router.get('/customer/:customerId/debt-summary', authorize('payments:read'), PaymentController.getCustomerDebtSummary); // Get customer debt & payment summary
+router.get('/debt/:debtId/history', authorize('payments:read'), PaymentController.getDebtPaymentHistory);   // Get debt payment history
+router.get('/analytics/enhanced', authorize('reports:read'), PaymentController.getPaymentAnalyticsEnhanced); // Enhanced payment analytics
+router.get('/analytics', authorize('reports:read'), PaymentController.getPaymentAnalytics);               // Get payment analytics
+router.get('/:paymentId/details', authorize('payments:read'), PaymentController.getPaymentWithDebts);      // Get payment with debt details
+router.get('/:paymentId', authorize('payments:read'), PaymentController.getPaymentById);                   // Get payment by ID
+router.put('/:paymentId', authorize('payments:update'), PaymentController.updatePayment);                    // Update payment
+router.post('/:paymentId/void', authorize('payments:delete'), PaymentController.voidPayment);              // Void payment (reverse allocations and credit)
+router.delete('/:paymentId', authorize('payments:delete'), PaymentController.voidPayment);                   // Same as void - payments are never hard-deleted
 
 module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const ProductController = require('../controllers/productController');
 const authMiddleware = require('../middlewares/authMiddleware');
+const { authorize } = require('../middlewares/permissionMiddleware');
 
 // Apply authentication middleware to all routes
 router.use(authMiddleware);
@@ -12,25 +13,38 @@ router.use(authMiddleware);
  */
 
 // GET /api/products/alerts - Get inventory alerts (before /:id route)
-router.get('/alerts', ProductController.getInventoryAlerts);
+// Query params: ?locationId=2&days=7 (expiry window, default 7)
+router.get('/alerts', authorize('products:read'), ProductController.getInventoryAlerts);
+
+// GET /api/products/lots/expiring - Lots that have expired or expire within ?days (default 7)
+// Query params: ?locationId=2&days=14
+router.get('/lots/expiring', authorize('products:read'), ProductController.getExpiringLots);
+
+// POST /api/products/lots/write-off - Write off expired lots as stock adjustments
+// Body: { lotIds?: [12, 13], locationId?: 2, reason?: "Binned" } (all expired lots when lotIds is omitted)
+router.post('/lots/write-off', authorize('products:write'), ProductController.writeOffExpiredLots);
 
 // GET /api/products - Get all products with optional filters
 // Query params: ?category=Beverages&stockStatus=LOW_STOCK&search=cola
-router.get('/', ProductController.getAllProducts);
+router.get('/', authorize('products:read'), ProductController.getAllProducts);
 
 // GET /api/products/:id - Get single product by ID
-router.get('/:id', ProductController.getProductById);
+router.get('/:id', authorize('products:read'), ProductController.getProductById);
+
+// GET /api/products/:id/movements - Stock ledger, newest first, with a check against the stored quantity
+// Query params: ?type=SALE&startDate=2025-08-01&endDate=2025-08-31&page=1&limit=50
+router.get('/:id/movements', authorize('products:read'), ProductController.getProductMovements);
 
 // POST /api/products - Add new product
-router.post('/', ProductController.addProduct);
+router.post('/', authorize('products:write'), ProductController.addProduct);
 
 // PUT /api/products/:id - Update product information
-router.put('/:id', ProductController.updateProduct);
+router.put('/:id', authorize('products:write'), ProductController.updateProduct);
 
 // PUT /api/products/:id/inventory - Update inventory levels
-router.put('/:id/inventory', ProductController.updateInventory);
+router.put('/:id/inventory', authorize('products:write'), ProductController.updateInventory);
 
 // DELETE /api/products/:id - Delete product (only if no sales history)
-router.delete('/:id', ProductController.deleteProduct);
+router.delete('/:id', authorize('products:delete'), ProductController.deleteProduct);
 
 module.exports = router;
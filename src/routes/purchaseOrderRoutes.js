@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const PurchaseOrderController = require('../controllers/purchaseOrderController');
+const authMiddleware = require('../middlewares/authMiddleware');
+const { authorize } = require('../middlewares/permissionMiddleware');
+
+// Apply authentication middleware to all routes in this router
+router.use(authMiddleware);
+
+// PURCHASE ORDER ROUTES
+router.get('/reorder-suggestions', authorize('purchases:read'), PurchaseOrderController.getReorderSuggestions);           // What to reorder (?windowDays=&leadTimeDays=&safetyDays=&coverDays=)
+router.post('/reorder-suggestions', authorize('purchases:write'), PurchaseOrderController.createFromSuggestions);        // Draft orders from suggestions, one per supplier
+router.get('/', authorize('purchases:read'), PurchaseOrderController.getPurchaseOrders);                                  // List orders (?status=&supplierId=)
+router.post('/', authorize('purchases:write'), PurchaseOrderController.createPurchaseOrder);                              // Draft an order
+router.get('/:orderId', authorize('purchases:read'), PurchaseOrderController.getPurchaseOrderById);                       // Order with lines and bills
+router.put('/:orderId', authorize('purchases:write'), PurchaseOrderController.updatePurchaseOrder);                       // Change a draft
+router.post('/:orderId/order', authorize('purchases:write'), PurchaseOrderController.placeOrder);                         // Place a draft with the supplier
+router.post('/:orderId/receive', authorize('purchases:receive'), PurchaseOrderController.receiveGoods);                   // Receive goods into stock
+router.post('/:orderId/cancel', authorize('purchases:write'), PurchaseOrderController.cancelPurchaseOrder);               // Cancel before anything is received
+
+module.exports = router;
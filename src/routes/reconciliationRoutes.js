@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const ReconciliationController = require('../controllers/reconciliationController');
+const authMiddleware = require('../middlewares/authMiddleware');
+const { authorize } = require('../middlewares/permissionMiddleware');
+
+// Statements are uploaded as the raw CSV text
+const csvBody = express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' });
+
+// Apply authentication middleware to all routes in this router
+router.use(authMiddleware);
+
+// RECONCILIATION ROUTES
+router.post('/', authorize('payments:reconcile'), csvBody, ReconciliationController.importStatement);                                  // Upload a statement and reconcile a period
+router.get('/', authorize('payments:reconcile'), ReconciliationController.getReconciliations);                                        // List reports
+router.get('/:reconciliationId', authorize('payments:reconcile'), ReconciliationController.getReconciliation);                        // Report with its lines
+router.post('/:reconciliationId/payments', authorize('payments:reconcile'), ReconciliationController.createMissingPayments);           // Create missing payments in bulk
+
+module.exports = router;
@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const salesController = require('../controllers/salesController');
 const authMiddleware = require('../middlewares/authMiddleware');
+const { authorize } = require('../middlewares/permissionMiddleware');
+const { idempotent } = require('../middlewares/idempotencyMiddleware');
 
 // Apply authentication middleware to all routes
 router.use(authMiddleware);
@@ -10,6 +12,7 @@ router.use(authMiddleware);
  * @route   POST /api/sales
  * @desc    Create a new sale
  * @access  Private
+ * @header  Idempotency-Key?: string - retries with the same key replay the first response
  * @body    {
  *   customerId?: string,
  *   items?: Array<{productId: string, quantity: number, unitPrice?: number}>,
@@ -19,14 +22,14 @@ router.use(authMiddleware);
  *   notes?: string
  * }
  */
-router.post('/', salesController.createSale);
+router.post('/', authorize('sales:create'), idempotent, salesController.createSale);
 
 /**
  * @route   GET /api/sales/:id
  * @desc    Get sale by ID
  * @access  Private
  */
-router.get('/:id', salesController.getSaleById);
+router.get('/:id', authorize('sales:read'), salesController.getSaleById);
 
 /**
  * @route   GET /api/sales
@@ -42,7 +45,7 @@ router.get('/:id', salesController.getSaleById);
  *   limit?: number
  * }
  */
-router.get('/', salesController.getSalesHistory);
+router.get('/', authorize('sales:read'), salesController.getSalesHistory);
 
 /**
  * @route   GET /api/sales/analytics/daily
@@ -50,7 +53,7 @@ router.get('/', salesController.getSalesHistory);
  * @access  Private
  * @query   { date?: string }
  */
-router.get('/analytics/daily', salesController.getDailySalesSummary);
+router.get('/analytics/daily', authorize('reports:read'), salesController.getDailySalesSummary);
 
 /**
  * @route   GET /api/sales/analytics/overview
@@ -62,7 +65,7 @@ router.get('/analytics/daily', salesController.getDailySalesSummary);
  *   groupBy?: string
  * }
  */
-router.get('/analytics/overview', salesController.getSalesAnalytics);
+router.get('/analytics/overview', authorize('reports:read'), salesController.getSalesAnalytics);
 
 /**
  * @route   GET /api/sales/analytics/profit-loss
@@ -74,7 +77,7 @@ router.get('/analytics/overview', salesController.getSalesAnalytics);
  *   groupBy?: string
  * }
  */
-router.get('/analytics/profit-loss', salesController.getProfitLossReport);
+router.get('/analytics/profit-loss', authorize('reports:read'), salesController.getProfitLossReport);
 
 /**
  * @route   GET /api/sales/analytics/top-products
@@ -86,14 +89,14 @@ router.get('/analytics/profit-loss', salesController.getProfitLossReport);
  *   limit?: number
  * }
  */
-router.get('/analytics/top-products', salesController.getTopSellingProducts);
+router.get('/analytics/top-products', authorize('reports:read'), salesController.getTopSellingProducts);
 
 /**
  * @route   GET /api/sales/alerts/low-stock
  * @desc    Get low stock alerts
  * @access  Private
  */
-router.get('/alerts/low-stock', salesController.getLowStockAlerts);
+router.get('/alerts/low-stock', authorize('products:read'), salesController.getLowStockAlerts);
 
 /**
  * @route   POST /api/sales/:saleId/payment
@@ -105,6 +108,50 @@ router.get('/alerts/low-stock', salesController.getLowStockAlerts);
  *   notes?: string
  * }
  */
-router.post('/:saleId/payment', salesController.processSalePayment);
+router.post('/:saleId/payment', authorize('payments:record'), salesController.processSalePayment);
+
+/**
+ * @route   POST /api/sales/:id/cancel
+ * @desc    Cancel a sale: restock items, void its debts and payments
+ * @access  Private
+ * @body    {
+ *   reason?: string,
+ *   refundToCredit?: boolean,
+ *   refundMethod?: string,
+ *   restock?: boolean
+ * }
+ */
+router.post('/:id/cancel', authorize('sales:refund'), salesController.cancelSale);
+
+/**
+ * @route   POST /api/sales/:id/refund
+ * @desc    Refund a sale in full, or per line when items are given
+ * @access  Private
+ * @body    {
+ *   items?: Array<{saleItemId: number, quantity: number}>,
+ *   reason?: string,
+ *   refundToCredit?: boolean,
+ *   refundMethod?: string,
+ *   restock?: boolean
+ * }
+ */
+router.post('/:id/refund', authorize('sales:refund'), salesController.refundSale);
+
+/**
+ * @route   POST /api/sales/:id/mpesa-request
+ * @desc    Send an M-Pesa STK push for a credit or partial-payment sale's outstanding balance
+ * @access  Private
+ * @body    {
+ *   phone?: string
+ * }
+ */
+router.post('/:id/mpesa-request', authorize('payments:record'), salesController.requestMpesaPayment);
+
+/**
+ * @route   GET /api/sales/:id/mpesa-requests
+ * @desc    Get the M-Pesa requests sent for a sale and their status
+ * @access  Private
+ */
+router.get('/:id/mpesa-requests', authorize('sales:read'), salesController.getMpesaRequests);
 
 module.exports = router;
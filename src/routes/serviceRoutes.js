@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const ServiceController = require('../controllers/serviceController');
 const authMiddleware = require('../middlewares/authMiddleware');
+const { authorize } = require('../middlewares/permissionMiddleware');
 
 // Apply authentication middleware to all routes
 router.use(authMiddleware);
@@ -13,25 +14,25 @@ router.use(authMiddleware);
 
 // GET /api/services - Get all services with optional filters
 // Query params: ?category=Electronics&search=repair&isActive=true
-router.get('/', ServiceController.getAllServices);
+router.get('/', authorize('services:read'), ServiceController.getAllServices);
 
 // GET /api/services/:id - Get single service by ID
-router.get('/:id', ServiceController.getServiceById);
+router.get('/:id', authorize('services:read'), ServiceController.getServiceById);
 
 // GET /api/services/:id/availability - Check if service can be delivered
 // Query params: ?quantity=2
-router.get('/:id/availability', ServiceController.checkAvailability);
+router.get('/:id/availability', authorize('services:read'), ServiceController.checkAvailability);
 
 // POST /api/services - Add new service
-router.post('/', ServiceController.addService);
+router.post('/', authorize('services:write'), ServiceController.addService);
 
 // PUT /api/services/:id - Update service information
-router.put('/:id', ServiceController.updateService);
+router.put('/:id', authorize('services:write'), ServiceController.updateService);
 
 // PUT /api/services/:id/toggle-status - Toggle active/inactive status
-router.put('/:id/toggle-status', ServiceController.toggleStatus);
+router.put('/:id/toggle-status', authorize('services:write'), ServiceController.toggleStatus);
 
 // DELETE /api/services/:id - Delete service (only if no sales history)
-router.delete('/:id', ServiceController.deleteService);
+router.delete('/:id', authorize('services:delete'), ServiceController.deleteService);
 
 module.exports = router;
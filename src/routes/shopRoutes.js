@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const ShopController = require('../controllers/shopController');
+const authMiddleware = require('../middlewares/authMiddleware');
+const { authorize } = require('../middlewares/permissionMiddleware');
+
+// Apply authentication middleware to all routes in this router
+router.use(authMiddleware);
+
+// SHOP & STAFF ROUTES
+router.get('/', ShopController.getShop);                                              // Get shop and staff
+router.put('/settings', authorize('settings:manage'), ShopController.updateSettings);  // Update shop settings
+router.post('/staff', authorize('staff:manage'), ShopController.addStaff);            // Add staff login
+router.put('/staff/:staffId/role', authorize('staff:manage'), ShopController.updateStaffRole); // Change staff role
+router.delete('/staff/:staffId', authorize('staff:manage'), ShopController.removeStaff); // Deactivate staff login
+
+// CUSTOMER MESSAGE TEMPLATES
+router.get('/notification-templates', authorize('settings:manage'), ShopController.getNotificationTemplates);        // List templates
+router.put('/notification-templates/:type', authorize('settings:manage'), ShopController.updateNotificationTemplate); // Change or reset a template
+
+module.exports = router;
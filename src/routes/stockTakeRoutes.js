@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const StockTakeController = require('../controllers/stockTakeController');
+const authMiddleware = require('../middlewares/authMiddleware');
+const { authorize } = require('../middlewares/permissionMiddleware');
+
+// Apply authentication middleware to all routes in this router
+router.use(authMiddleware);
+
+// STOCK TAKE ROUTES
+router.get('/', authorize('stocktake:count'), StockTakeController.getStockTakes);                                         // List stock takes, newest first
+router.post('/', authorize('stocktake:manage'), StockTakeController.startStockTake);                                      // Start counting a location
+router.get('/:takeId', authorize('stocktake:count'), StockTakeController.getStockTakeById);                                // Count sheet with variances
+router.put('/:takeId/counts', authorize('stocktake:count'), StockTakeController.recordCounts);                            // Enter a batch of counts
+router.post('/:takeId/post', authorize('stocktake:manage'), StockTakeController.postStockTake);                           // Apply variances to stock
+router.post('/:takeId/cancel', authorize('stocktake:manage'), StockTakeController.cancelStockTake);                       // Abandon without touching stock
+router.get('/:takeId/shrinkage', authorize('stocktake:manage'), StockTakeController.getShrinkageReport);                  // Shrinkage by category
+
+module.exports = router;
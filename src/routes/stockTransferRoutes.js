@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const StockTransferController = require('../controllers/stockTransferController');
+const authMiddleware = require('../middlewares/authMiddleware');
+const { authorize } = require('../middlewares/permissionMiddleware');
+const { idempotent } = require('../middlewares/idempotencyMiddleware');
+
+// Apply authentication middleware to all routes in this router
+router.use(authMiddleware);
+
+// STOCK TRANSFER ROUTES
+router.get('/', authorize('products:read'), StockTransferController.getTransfers);                                        // List transfers, newest first
+router.post('/', authorize('stock:transfer'), idempotent, StockTransferController.createTransfer);                        // Move stock between locations
+router.get('/:transferId', authorize('products:read'), StockTransferController.getTransferById);                          // Transfer with its lines
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const SupplierController = require('../controllers/supplierController');
+const authMiddleware = require('../middlewares/authMiddleware');
+const { authorize } = require('../middlewares/permissionMiddleware');
+const { idempotent } = require('../middlewares/idempotencyMiddleware');
+
+// Apply authentication middleware to all routes in this router
+router.use(authMiddleware);
+
+// SUPPLIER ROUTES
+router.get('/', authorize('suppliers:read'), SupplierController.getSuppliers);                                            // List suppliers with amounts owed
+router.post('/', authorize('suppliers:write'), SupplierController.createSupplier);                                        // Add a supplier
+router.get('/:supplierId', authorize('suppliers:read'), SupplierController.getSupplierById);                              // Supplier with open bills and recent orders
+router.put('/:supplierId', authorize('suppliers:write'), SupplierController.updateSupplier);                              // Update or deactivate a supplier
+router.get('/:supplierId/payables', authorize('suppliers:read'), SupplierController.getPayables);                         // Bills for goods received
+router.get('/:supplierId/payments', authorize('suppliers:read'), SupplierController.getPayments);                         // Payments made to the supplier
+router.post('/:supplierId/payments', authorize('suppliers:pay'), idempotent, SupplierController.recordPayment);           // Pay open bills, earliest due first
+
+module.exports = router;
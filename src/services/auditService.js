@@ -0,0 +1,90 @@
+const prisma = require('../utils/prisma');
+
+/**
+ * AUDIT SERVICE MODULE
+ * Append-only trail of who changed debts, payments, credit, sales and stock
+ * Entries are only ever created - there is no update or delete
+ */
+class AuditService {
+
+    // Record one change; pass the transaction client so the entry commits with the change
+    static async log(db, { userId, actorId, entity, entityId, action, before, after, reason }) {
+        try {
+            return await db.auditLog.create({
+                data: {
+                    userId,
+                    actorId: actorId ?? null,
+                    entity,
+                    entityId,
+                    action,
+                    before: this.snapshot(before),
+                    after: this.snapshot(after),
+                    reason: reason || null
+                }
+            });
+        } catch (e) {
+            throw e;
+        }
+    }
+
+    // Plain JSON copy of a record (Dates become ISO strings); undefined leaves the column NULL
+    static snapshot(value) {
+        if (value === undefined || value === null) {
+            return undefined;
+        }
+        return JSON.parse(JSON.stringify(value));
+    }
+
+    // Get audit entries with optional entity, actor and date filters
+    static async getAuditLogs(userId, filters = {}) {
+        try {
+            const {
+                entity,
+                entityId,
+                actorId,
+                action,
+                startDate,
+                endDate,
+                page = 1,
+                limit = 50
+            } = filters;
+
+            const where = { userId };
+            if (entity) where.entity = entity;
+            if (entityId) where.entityId = parseInt(entityId);
+            if (actorId) where.actorId = parseInt(actorId);
+            if (action) where.action = action;
+            if (startDate || endDate) {
+                where.createdAt = {};
+                if (startDate) where.createdAt.gte = new Date(startDate);
+                if (endDate) where.createdAt.lte = new Date(endDate);
+            }
+
+            const totalItems = await prisma.auditLog.count({ where });
+            const totalPages = Math.ceil(totalItems / limit);
+            const offset = (page - 1) * limit;
+
+            const entries = await prisma.auditLog.findMany({
+                where,
+                orderBy: { createdAt: 'desc' },
+                skip: offset,
+                take: limit
+            });
+
+            return {
+                success: true,
+                entries,
+                pagination: {
+                    currentPage: page,
+                    totalPages,
+                    totalItems,
+                    itemsPerPage: limit
+                }
+            };
+        } catch (e) {
+            throw e;
+        }
+    }
+}
+
+module.exports = AuditService;
@@ -1,13 +1,23 @@
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
-const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
+const prisma = require('../utils/prisma');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '1h';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
 
 class authService {
     static async findUserByEmail(email) {
         return prisma.user.findUnique({ where: { email } });
     }
 
+    static async findUserById(id) {
+        return prisma.user.findUnique({
+            where: { id },
+            include: { shop: true }
+        });
+    }
+
     static async registerUser(email, password, name) {
         const existingUser = await this.findUserByEmail(email);
         if (existingUser) {
@@ -17,12 +27,27 @@ class authService {
             };
         }
         const hashedPassword = await bcrypt.hash(password, 10);
-        const user = await prisma.user.create({
-            data: {
-                email,
-                password: hashedPassword,
-                name: name || null
-            },
+
+        // Self-registration always creates a new shop owned by the new user
+        const user = await prisma.$transaction(async (tx) => {
+            const owner = await tx.user.create({
+                data: {
+                    email,
+                    password: hashedPassword,
+                    name: name || null,
+                    role: 'OWNER'
+                },
+            });
+            const shop = await tx.shop.create({
+                data: {
+                    name: name || email,
+                    ownerId: owner.id
+                }
+            });
+            return tx.user.update({
+                where: { id: owner.id },
+                data: { shopId: shop.id }
+            });
         });
         return {
             success: true,
@@ -30,12 +55,13 @@ class authService {
             user: {
                 id: user.id,
                 name: user.name,
-                email: user.email
+                email: user.email,
+                role: user.role
             }
         };
     };
 
-    static async loginUser(email, password) {
+    static async loginUser(email, password, client = {}) {
         const user = await this.findUserByEmail(email);
         if (!user) {
             return {
@@ -43,6 +69,12 @@ class authService {
                 message: 'Invalid credentials - user not found'
             };
         }
+        if (!user.isActive) {
+            return {
+                success: false,
+                message: 'Account has been deactivated'
+            };
+        }
         const isMatch = await bcrypt.compare(password, user.password);
         if (!isMatch) {
             return {
@@ -50,19 +82,174 @@ class authService {
                 message: 'Invalid credentials - incorrect password'
             };
         }
-        const token = jwt.sign({ userId: user.id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+
+        // Every login starts its own session so it can be revoked on its own
+        const session = await prisma.authSession.create({
+            data: {
+                userId: user.id,
+                userAgent: client.userAgent || null,
+                ipAddress: client.ipAddress || null
+            }
+        });
+        const tokens = await this.issueTokens(user.id, session.id, prisma);
+
         return {
             success: true,
-            token,
+            ...tokens,
             user: {
                 id: user.id,
                 name: user.name,
-                email: user.email
+                email: user.email,
+                role: user.role,
+                shopId: user.shopId
             }
         };
     };
+
+    // Exchange a refresh token for a new access/refresh pair
+    static async refreshTokens(refreshToken) {
+        if (!refreshToken) {
+            return {
+                success: false,
+                message: 'Refresh token is required'
+            };
+        }
+
+        const stored = await prisma.refreshToken.findUnique({
+            where: { tokenHash: this.hashToken(refreshToken) },
+            include: { session: true }
+        });
+
+        if (!stored || stored.session.revokedAt) {
+            return {
+                success: false,
+                message: 'Invalid refresh token'
+            };
+        }
+
+        // A rotated token coming back means it was copied: end the whole session
+        if (stored.usedAt) {
+            await this.revokeSession(stored.sessionId, 'REFRESH_TOKEN_REUSE');
+            return {
+                success: false,
+                message: 'Refresh token reuse detected - session revoked'
+            };
+        }
+
+        if (stored.expiresAt < new Date()) {
+            return {
+                success: false,
+                message: 'Refresh token expired'
+            };
+        }
+
+        // A refresh must not keep a removed or deactivated account signed in: end its session
+        const user = await this.findUserById(stored.session.userId);
+        if (!user || !user.isActive) {
+            await this.revokeSession(stored.sessionId, user ? 'ACCOUNT_DEACTIVATED' : 'USER_DELETED');
+            return {
+                success: false,
+                message: user ? 'Account has been deactivated' : 'User no longer exists'
+            };
+        }
+
+        return await prisma.$transaction(async (tx) => {
+            // Conditional update so two concurrent refreshes cannot both win
+            const claimed = await tx.refreshToken.updateMany({
+                where: { id: stored.id, usedAt: null },
+                data: { usedAt: new Date() }
+            });
+
+            if (claimed.count === 0) {
+                return {
+                    success: false,
+                    message: 'Invalid refresh token'
+                };
+            }
+
+            await tx.authSession.update({
+                where: { id: stored.sessionId },
+                data: { lastUsedAt: new Date() }
+            });
+
+            const tokens = await this.issueTokens(stored.session.userId, stored.sessionId, tx);
+
+            return {
+                success: true,
+                ...tokens
+            };
+        });
+    };
+
+    // Revoke the session behind the current access token
+    static async logout(sessionId) {
+        await this.revokeSession(sessionId, 'LOGOUT');
+        return {
+            success: true,
+            message: 'Logged out successfully'
+        };
+    };
+
+    // Revoke every active session for the user
+    static async logoutAll(userId) {
+        const result = await prisma.authSession.updateMany({
+            where: { userId, revokedAt: null },
+            data: {
+                revokedAt: new Date(),
+                revokedReason: 'LOGOUT_ALL'
+            }
+        });
+        return {
+            success: true,
+            message: 'Logged out of all sessions',
+            sessionsRevoked: result.count
+        };
+    };
+
+    static async revokeSession(sessionId, reason) {
+        return prisma.authSession.updateMany({
+            where: { id: sessionId, revokedAt: null },
+            data: {
+                revokedAt: new Date(),
+                revokedReason: reason
+            }
+        });
+    };
+
+    static async isSessionActive(sessionId, userId) {
+        const session = await prisma.authSession.findFirst({
+            where: { id: sessionId, userId, revokedAt: null },
+            select: { id: true }
+        });
+        return !!session;
+    };
+
+    static async issueTokens(userId, sessionId, db) {
+        const token = jwt.sign({ userId, sid: sessionId }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+
+        const refreshToken = crypto.randomBytes(48).toString('base64url');
+        const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+        await db.refreshToken.create({
+            data: {
+                sessionId,
+                tokenHash: this.hashToken(refreshToken),
+                expiresAt
+            }
+        });
+
+        return {
+            token,
+            refreshToken,
+            refreshTokenExpiresAt: expiresAt
+        };
+    };
+
+    static hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    };
 }
 
 
 
-module.exports = authService
\ No newline at end of file
+module.exports = authService
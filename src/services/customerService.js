@@ -1,5 +1,5 @@
-const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
+const prisma = require('../utils/prisma');
+const money = require('../utils/money');
 
 /**
  * CUSTOMER SERVICE MODULE
@@ -83,7 +83,7 @@ class CustomerService {
     // Update customer details
     static async updateCustomer(customerId, data, userId) {
         try {
-            const { name, phone, email, address } = data;
+            const { name, phone, email, address, remindersOptOut } = data;
 
             return await prisma.customer.update({
                 where: {
@@ -94,7 +94,8 @@ class CustomerService {
                     name,
                     phone,
                     email,
-                    address
+                    address,
+                    remindersOptOut: remindersOptOut === undefined ? undefined : Boolean(remindersOptOut)
                 }
             });
         } catch (e) {
@@ -153,10 +154,10 @@ class CustomerService {
             }
 
             // Calculate total unpaid debt
-            const totalDebt = customer.debts.reduce((sum, debt) => sum + debt.amount, 0);
+            const totalDebt = money.sum(customer.debts, debt => debt.amount);
 
             // Calculate net balance (negative = owes money, positive = has credit)
-            const netBalance = customer.creditBalance - totalDebt;
+            const netBalance = money.subtract(customer.creditBalance, totalDebt);
 
             return {
                 ...customer,
@@ -186,8 +187,8 @@ class CustomerService {
             });
 
             return customers.map(customer => {
-                const totalDebt = customer.debts.reduce((sum, debt) => sum + debt.amount, 0);
-                const netBalance = customer.creditBalance - totalDebt;
+                const totalDebt = money.sum(customer.debts, debt => debt.amount);
+                const netBalance = money.subtract(customer.creditBalance, totalDebt);
 
                 return {
                     id: customer.id,
@@ -1,6 +1,8 @@
-const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
-const sendSMS = require('../utils/sms');
+const prisma = require('../utils/prisma');
+const AuditService = require('./auditService');
+const NotificationService = require('./notificationService');
+const money = require('../utils/money');
+const logger = require('../utils/logger');
 
 /**
  * DEBT SERVICE MODULE  
@@ -13,91 +15,118 @@ class DebtService {
     // Add debt to existing customer with automatic credit application
     static async addDebt(data) {
         try {
-            const { customerId, amount, description, dueDate, userId } = data;
+            const { customerId, description, dueDate, userId, actorId, reason } = data;
+            const amount = money.round(data.amount);
 
-            // Verify customer exists and get credit balance
-            const customer = await prisma.customer.findFirst({
-                where: {
-                    id: customerId,
-                    userId
+            // The debt, the credit it uses and their audit entries are written together
+            const { updatedDebt, creditApplied, finalDebtAmount } = await prisma.$transaction(async (tx) => {
+                // Verify customer exists and get credit balance
+                const customer = await tx.customer.findFirst({
+                    where: {
+                        id: customerId,
+                        userId
+                    }
+                });
+
+                if (!customer) {
+                    throw new Error('Customer not found');
                 }
-            });
 
-            if (!customer) {
-                throw new Error('Customer not found');
-            }
+                // Create debt record
+                const debt = await tx.debt.create({
+                    data: {
+                        customerId,
+                        userId,
+                        amount,
+                        originalAmount: amount, // Track original debt amount
+                        description: description || 'Debt added',
+                        dueDate: dueDate ? new Date(dueDate) : null
+                    }
+                });
 
-            // Create debt record
-            const debt = await prisma.debt.create({
-                data: {
-                    customerId,
-                    userId,
-                    amount,
-                    originalAmount: amount, // Track original debt amount
-                    description: description || 'Debt added',
-                    dueDate: dueDate ? new Date(dueDate) : null
-                }
-            });
+                // Automatically apply available credit to the new debt
+                let creditApplied = 0;
+                let finalDebtAmount = amount;
 
-            // Automatically apply available credit to the new debt
-            let creditApplied = 0;
-            let finalDebtAmount = amount;
-
-            if (customer.creditBalance > 0) {
-                creditApplied = Math.min(customer.creditBalance, amount);
-                finalDebtAmount = amount - creditApplied;
-
-                // Update debt amount if credit was applied
-                if (creditApplied > 0) {
-                    await prisma.debt.update({
-                        where: { id: debt.id },
-                        data: {
-                            amount: finalDebtAmount,
-                            isPaid: finalDebtAmount === 0,
-                            updatedAt: new Date()
-                        }
-                    });
-
-                    // Update customer's credit balance
-                    await prisma.customer.update({
-                        where: { id: customerId },
-                        data: {
-                            creditBalance: customer.creditBalance - creditApplied,
-                            updatedAt: new Date()
-                        }
-                    });
+                if (money.isPositive(customer.creditBalance)) {
+                    creditApplied = money.min(customer.creditBalance, amount);
+                    finalDebtAmount = money.subtract(amount, creditApplied);
+
+                    // Update debt amount if credit was applied
+                    if (money.isPositive(creditApplied)) {
+                        await tx.debt.update({
+                            where: { id: debt.id },
+                            data: {
+                                amount: finalDebtAmount,
+                                isPaid: money.isZero(finalDebtAmount),
+                                updatedAt: new Date()
+                            }
+                        });
+
+                        // Update customer's credit balance
+                        await tx.customer.update({
+                            where: { id: customerId },
+                            data: {
+                                creditBalance: money.subtract(customer.creditBalance, creditApplied),
+                                updatedAt: new Date()
+                            }
+                        });
 
-                    // Create a credit transaction record (NOT a payment)
-                    await prisma.creditTransaction.create({
-                        data: {
-                            customerId,
+                        // Create a credit transaction record (NOT a payment)
+                        await tx.creditTransaction.create({
+                            data: {
+                                customerId,
+                                userId,
+                                amount: -creditApplied, // Negative because credit was used
+                                type: 'APPLIED_TO_DEBT',
+                                description: `Auto-applied to new debt: ${description || 'Debt added'}`,
+                                relatedDebtId: debt.id
+                            }
+                        });
+
+                        await AuditService.log(tx, {
                             userId,
-                            amount: -creditApplied, // Negative because credit was used
-                            type: 'APPLIED_TO_DEBT',
-                            description: `Auto-applied to new debt: ${description || 'Debt added'}`,
-                            relatedDebtId: debt.id
-                        }
-                    });
+                            actorId,
+                            entity: 'CREDIT',
+                            entityId: customerId,
+                            action: 'UPDATE',
+                            before: { creditBalance: customer.creditBalance },
+                            after: { creditBalance: money.subtract(customer.creditBalance, creditApplied), appliedToDebtId: debt.id },
+                            reason
+                        });
+                    }
                 }
-            }
 
-            // Check for SMS notification (only if debt remains after credit application)
-            if (finalDebtAmount > 0) {
+                const updatedDebt = await tx.debt.findUnique({
+                    where: { id: debt.id }
+                });
+
+                await AuditService.log(tx, {
+                    userId,
+                    actorId,
+                    entity: 'DEBT',
+                    entityId: debt.id,
+                    action: 'CREATE',
+                    after: updatedDebt,
+                    reason
+                });
+
+                return { updatedDebt, creditApplied, finalDebtAmount };
+            });
+
+            // Queue an SMS reminder once the debt is saved (only if debt remains after credit application);
+            // the notification worker sends it and retries failures
+            if (money.isPositive(finalDebtAmount)) {
                 const totalUnpaidDebt = await this.getTotalUnpaidDebt(customerId);
                 if (totalUnpaidDebt >= this.DEBT_THRESHOLD) {
                     try {
-                        await sendSMS();
+                        await NotificationService.sendDebtReminder(customerId, userId);
                     } catch (smsError) {
-                        console.log('SMS sending failed:', smsError.message);
+                        logger.warn('SMS reminder could not be queued:', smsError.message);
                     }
                 }
             }
 
-            // Return updated debt information
-            const updatedDebt = await prisma.debt.findUnique({
-                where: { id: debt.id }
-            });
-
             return {
                 success: true,
                 message: creditApplied > 0 ?
@@ -163,17 +192,34 @@ class DebtService {
     }
 
     // Mark debt as paid
-    static async markDebtAsPaid(debtId, userId) {
+    static async markDebtAsPaid(debtId, userId, context = {}) {
         try {
-            return await prisma.debt.update({
-                where: {
-                    id: debtId,
-                    userId
-                },
-                data: {
-                    isPaid: true,
-                    updatedAt: new Date()
-                }
+            return await prisma.$transaction(async (tx) => {
+                const before = await this.findDebtForChange(debtId, userId, tx);
+
+                const debt = await tx.debt.update({
+                    where: {
+                        id: debtId,
+                        userId
+                    },
+                    data: {
+                        isPaid: true,
+                        updatedAt: new Date()
+                    }
+                });
+
+                await AuditService.log(tx, {
+                    userId,
+                    actorId: context.actorId,
+                    entity: 'DEBT',
+                    entityId: debtId,
+                    action: 'UPDATE',
+                    before,
+                    after: debt,
+                    reason: context.reason
+                });
+
+                return debt;
             });
         } catch (e) {
             throw e;
@@ -205,22 +251,39 @@ class DebtService {
     }
 
     // Update debt details
-    static async updateDebt(debtId, data, userId) {
+    static async updateDebt(debtId, data, userId, context = {}) {
         try {
             const { amount, description, dueDate, isPaid } = data;
 
-            return await prisma.debt.update({
-                where: {
-                    id: debtId,
-                    userId
-                },
-                data: {
-                    amount,
-                    description,
-                    dueDate: dueDate ? new Date(dueDate) : null,
-                    isPaid,
-                    updatedAt: new Date()
-                }
+            return await prisma.$transaction(async (tx) => {
+                const before = await this.findDebtForChange(debtId, userId, tx);
+
+                const debt = await tx.debt.update({
+                    where: {
+                        id: debtId,
+                        userId
+                    },
+                    data: {
+                        amount: amount !== undefined ? money.round(amount) : undefined,
+                        description,
+                        dueDate: dueDate ? new Date(dueDate) : null,
+                        isPaid,
+                        updatedAt: new Date()
+                    }
+                });
+
+                await AuditService.log(tx, {
+                    userId,
+                    actorId: context.actorId,
+                    entity: 'DEBT',
+                    entityId: debtId,
+                    action: 'UPDATE',
+                    before,
+                    after: debt,
+                    reason: context.reason
+                });
+
+                return debt;
             });
         } catch (e) {
             throw e;
@@ -228,19 +291,51 @@ class DebtService {
     }
 
     // Delete debt
-    static async deleteDebt(debtId, userId) {
+    static async deleteDebt(debtId, userId, context = {}) {
         try {
-            return await prisma.debt.delete({
-                where: {
-                    id: debtId,
-                    userId
-                }
+            return await prisma.$transaction(async (tx) => {
+                const before = await this.findDebtForChange(debtId, userId, tx);
+
+                const debt = await tx.debt.delete({
+                    where: {
+                        id: debtId,
+                        userId
+                    }
+                });
+
+                await AuditService.log(tx, {
+                    userId,
+                    actorId: context.actorId,
+                    entity: 'DEBT',
+                    entityId: debtId,
+                    action: 'DELETE',
+                    before,
+                    reason: context.reason
+                });
+
+                return debt;
             });
         } catch (e) {
             throw e;
         }
     }
 
+    // Load a debt before changing it, so the audit entry has its previous state
+    static async findDebtForChange(debtId, userId, tx) {
+        const debt = await tx.debt.findFirst({
+            where: {
+                id: debtId,
+                userId
+            }
+        });
+
+        if (!debt) {
+            throw new Error('Debt not found');
+        }
+
+        return debt;
+    }
+
     // Get debt analytics for user
     static async getDebtAnalytics(userId) {
         try {
@@ -274,7 +369,7 @@ class DebtService {
                 paidDebts: totalDebts - unpaidDebts,
                 totalAmount: totalAmount._sum.amount || 0,
                 unpaidAmount: unpaidAmount._sum.amount || 0,
-                paidAmount: (totalAmount._sum.amount || 0) - (unpaidAmount._sum.amount || 0)
+                paidAmount: money.subtract(totalAmount._sum.amount || 0, unpaidAmount._sum.amount || 0)
             };
         } catch (e) {
             throw e;
@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const prisma = require('../utils/prisma');
+
+const KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+const MAX_KEY_LENGTH = 128;
+
+/**
+ * IDEMPOTENCY SERVICE MODULE
+ * Remembers the first response to a request sent with an Idempotency-Key so a
+ * retried sale or payment is answered from the store instead of run twice
+ */
+class IdempotencyService {
+
+    static MAX_KEY_LENGTH = MAX_KEY_LENGTH;
+
+    // SHA-256 of the endpoint and body; object keys are sorted so field order does not matter
+    static hashRequest(endpoint, body) {
+        return crypto
+            .createHash('sha256')
+            .update(`${endpoint}\n${this.stableStringify(body ?? null)}`)
+            .digest('hex');
+    }
+
+    static stableStringify(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => this.stableStringify(item)).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            const entries = Object.keys(value)
+                .filter(key => value[key] !== undefined)
+                .sort()
+                .map(key => `${JSON.stringify(key)}:${this.stableStringify(value[key])}`);
+            return `{${entries.join(',')}}`;
+        }
+        return JSON.stringify(value);
+    }
+
+    // Claim the key for this request. Returns { record } when the request should run,
+    // or { replay } holding the stored response of an earlier completed request
+    static async begin(userId, key, { endpoint, requestHash, actorId }) {
+        try {
+            const record = await prisma.idempotencyKey.create({
+                data: {
+                    userId,
+                    actorId: actorId ?? null,
+                    key,
+                    endpoint,
+                    requestHash,
+                    expiresAt: new Date(Date.now() + KEY_TTL_HOURS * 60 * 60 * 1000)
+                }
+            });
+
+            return { record, replay: null };
+        } catch (e) {
+            if (e.code !== 'P2002') {
+                throw e;
+            }
+        }
+
+        const existing = await prisma.idempotencyKey.findUnique({
+            where: { userId_key: { userId, key } }
+        });
+
+        // Released by a failed request or purged in the meantime
+        if (!existing) {
+            return this.begin(userId, key, { endpoint, requestHash, actorId });
+        }
+
+        // An expired key starts over; the guard keeps two retries from both deleting it
+        if (existing.expiresAt < new Date()) {
+            await prisma.idempotencyKey.deleteMany({
+                where: { id: existing.id, expiresAt: { lt: new Date() } }
+            });
+            return this.begin(userId, key, { endpoint, requestHash, actorId });
+        }
+
+        if (existing.endpoint !== endpoint || existing.requestHash !== requestHash) {
+            throw new Error('Idempotency-Key has already been used for a different request');
+        }
+        if (existing.status !== 'COMPLETED') {
+            throw new Error('A request with this Idempotency-Key is still in progress');
+        }
+
+        return { record: null, replay: existing };
+    }
+
+    // Store the response so retries get the same answer
+    static async complete(id, responseStatus, responseBody) {
+        try {
+            return await prisma.idempotencyKey.update({
+                where: { id },
+                data: {
+                    status: 'COMPLETED',
+                    responseStatus,
+                    responseBody: JSON.parse(JSON.stringify(responseBody ?? {}))
+                }
+            });
+        } catch (e) {
+            throw e;
+        }
+    }
+
+    // Forget the key after a server error so the client can retry the request for real
+    static async release(id) {
+        try {
+            await prisma.idempotencyKey.deleteMany({ where: { id } });
+        } catch (e) {
+            throw e;
+        }
+    }
+}
+
+module.exports = IdempotencyService;
@@ -0,0 +1,153 @@
+const prisma = require('../utils/prisma');
+
+/**
+ * INVENTORY SERVICE MODULE
+ * Ledger of stock movements: every sale, return, material use, transfer and
+ * adjustment is written as a signed quantity with the balance it left behind, so an
+ * item's quantity can always be explained and checked against the sum of
+ * its movements
+ */
+class InventoryService {
+
+    static MOVEMENT_TYPES = ['PURCHASE', 'SALE', 'SERVICE_MATERIAL', 'ADJUSTMENT', 'RETURN', 'TRANSFER', 'COUNT'];
+
+    // Record one movement; pass the transaction client that changed the stock
+    static async recordMovement(db, {
+        userId,
+        productId,
+        inventoryItemId,
+        type,
+        quantity,
+        balance,
+        unitCost,
+        actorId,
+        saleId,
+        saleRefundId,
+        purchaseOrderId,
+        stockTransferId,
+        stockTakeId,
+        auditLogId,
+        reason
+    }) {
+        try {
+            return await db.inventoryMovement.create({
+                data: {
+                    userId,
+                    productId,
+                    inventoryItemId,
+                    type,
+                    quantity,
+                    balance,
+                    unitCost: unitCost ?? null,
+                    actorId: actorId ?? null,
+                    saleId: saleId ?? null,
+                    saleRefundId: saleRefundId ?? null,
+                    purchaseOrderId: purchaseOrderId ?? null,
+                    stockTransferId: stockTransferId ?? null,
+                    stockTakeId: stockTakeId ?? null,
+                    auditLogId: auditLogId ?? null,
+                    reason: reason || null
+                }
+            });
+        } catch (e) {
+            throw e;
+        }
+    }
+
+    // Get a product's movements, newest first, with a check of stock against the ledger
+    static async getMovements(productId, userId, filters = {}) {
+        try {
+            const {
+                type,
+                locationId,
+                startDate,
+                endDate,
+                page = 1,
+                limit = 50
+            } = filters;
+
+            const product = await prisma.product.findFirst({
+                where: { id: productId, userId },
+                select: { id: true, name: true, sku: true, trackInventory: true }
+            });
+
+            if (!product) {
+                throw new Error('Product not found');
+            }
+
+            const where = { productId, userId };
+            if (type) where.type = type;
+            if (locationId) where.inventoryItem = { locationId: parseInt(locationId) };
+            if (startDate || endDate) {
+                where.createdAt = {};
+                if (startDate) where.createdAt.gte = new Date(startDate);
+                if (endDate) where.createdAt.lte = new Date(endDate);
+            }
+
+            const totalItems = await prisma.inventoryMovement.count({ where });
+            const totalPages = Math.ceil(totalItems / limit);
+            const offset = (page - 1) * limit;
+
+            const movements = await prisma.inventoryMovement.findMany({
+                where,
+                include: {
+                    sale: { select: { id: true, saleNumber: true } },
+                    purchaseOrder: { select: { id: true, orderNumber: true } },
+                    stockTransfer: { select: { id: true, transferNumber: true } },
+                    stockTake: { select: { id: true, takeNumber: true } },
+                    inventoryItem: { select: { stockLocation: { select: { id: true, name: true } } } }
+                },
+                orderBy: { id: 'desc' },
+                skip: offset,
+                take: limit
+            });
+
+            return {
+                success: true,
+                product,
+                stock: await this.verifyStock(productId, userId),
+                movements,
+                pagination: {
+                    currentPage: page,
+                    totalPages,
+                    totalItems,
+                    itemsPerPage: limit
+                }
+            };
+        } catch (e) {
+            throw e;
+        }
+    }
+
+    // Compare each inventory item's stored quantity with the sum of its movements
+    static async verifyStock(productId, userId) {
+        try {
+            const items = await prisma.inventoryItem.findMany({
+                where: { productId, userId },
+                select: { id: true, locationId: true, quantity: true }
+            });
+
+            const totals = await prisma.inventoryMovement.groupBy({
+                by: ['inventoryItemId'],
+                where: { productId, userId },
+                _sum: { quantity: true }
+            });
+
+            return items.map(item => {
+                const ledgerQuantity = totals.find(total => total.inventoryItemId === item.id)?._sum.quantity || 0;
+                return {
+                    inventoryItemId: item.id,
+                    locationId: item.locationId,
+                    quantity: item.quantity,
+                    ledgerQuantity,
+                    difference: item.quantity - ledgerQuantity,
+                    inSync: item.quantity === ledgerQuantity
+                };
+            });
+        } catch (e) {
+            throw e;
+        }
+    }
+}
+
+module.exports = InventoryService;
@@ -0,0 +1,224 @@
+const prisma = require('../utils/prisma');
+const money = require('../utils/money');
+
+/**
+ * LOCATION SERVICE MODULE
+ * Places a shop holds stock, each with its own quantity of every product
+ * One location is the default, used by sales, receipts and adjustments that
+ * do not name a location; it is created the first time it is needed
+ */
+class LocationService {
+
+    static DEFAULT_NAME = 'Main store';
+
+    // The shop's default location, created on first use
+    static async getDefaultLocation(db, userId) {
+        const existing = await db.location.findFirst({
+            where: { userId, isDefault: true }
+        });
+        if (existing) {
+            return existing;
+        }
+
+        try {
+            return await db.location.create({
+                data: { userId, name: this.DEFAULT_NAME, isDefault: true }
+            });
+        } catch (e) {
+            // Created by a concurrent request
+            if (e.code === 'P2002') {
+                return db.location.findFirst({ where: { userId, isDefault: true } });
+            }
+            throw e;
+        }
+    }
+
+    // The named active location of this shop, or the default when none is named
+    static async resolveLocation(db, userId, locationId) {
+        if (locationId === undefined || locationId === null || locationId === '') {
+            return this.getDefaultLocation(db, userId);
+        }
+
+        const location = await db.location.findFirst({
+            where: { id: parseInt(locationId), userId }
+        });
+
+        if (!location) {
+            throw new Error('Location not found');
+        }
+        if (!location.isActive) {
+            throw new Error(`Location ${location.name} is inactive`);
+        }
+
+        return location;
+    }
+
+    // Get a location of this shop or throw
+    static async getLocation(locationId, userId) {
+        const location = await prisma.location.findFirst({
+            where: { id: locationId, userId }
+        });
+
+        if (!location) {
+            throw new Error('Location not found');
+        }
+
+        return location;
+    }
+
+    // Get the shop's locations with what each holds
+    static async getLocations(userId, { includeInactive = false } = {}) {
+        try {
+            await this.getDefaultLocation(prisma, userId);
+
+            const locations = await prisma.location.findMany({
+                where: { userId, ...(!includeInactive && { isActive: true }) },
+                include: {
+                    inventoryItems: {
+                        select: {
+                            quantity: true,
+                            reorderLevel: true,
+                            product: { select: { costPrice: true } }
+                        }
+                    }
+                },
+                orderBy: [{ isDefault: 'desc' }, { name: 'asc' }]
+            });
+
+            return {
+                success: true,
+                locations: locations.map(({ inventoryItems, ...location }) => ({
+                    ...location,
+                    products: inventoryItems.filter(item => item.quantity > 0).length,
+                    totalUnits: inventoryItems.reduce((total, item) => total + item.quantity, 0),
+                    lowStockItems: inventoryItems.filter(item => item.quantity <= (item.reorderLevel || 0)).length,
+                    stockValue: money.sum(inventoryItems, item => money.multiply(item.product.costPrice || 0, item.quantity))
+                }))
+            };
+        } catch (e) {
+            throw e;
+        }
+    }
+
+    // Add a location; isDefault moves the default to it
+    static async createLocation(userId, { name, isDefault = false }) {
+        try {
+            if (!name || !String(name).trim()) {
+                throw new Error('Location name is required');
+            }
+
+            // Make sure the shop's stock already has a home before adding a second location
+            await this.getDefaultLocation(prisma, userId);
+
+            return await prisma.$transaction(async (tx) => {
+                if (isDefault) {
+                    await tx.location.updateMany({ where: { userId, isDefault: true }, data: { isDefault: false } });
+                }
+
+                return tx.location.create({
+                    data: { userId, name: String(name).trim(), isDefault: Boolean(isDefault) }
+                });
+            });
+        } catch (e) {
+            if (e.code === 'P2002') {
+                throw new Error('A location with this name already exists');
+            }
+            throw e;
+        }
+    }
+
+    // Rename, make default, or deactivate a location
+    static async updateLocation(locationId, userId, { name, isDefault, isActive }) {
+        try {
+            const location = await this.getLocation(locationId, userId);
+            const data = {};
+
+            if (name !== undefined) {
+                if (!name || !String(name).trim()) {
+                    throw new Error('Location name is required');
+                }
+                data.name = String(name).trim();
+            }
+
+            if (isDefault !== undefined) {
+                if (!isDefault && location.isDefault) {
+                    throw new Error('Make another location the default instead');
+                }
+                data.isDefault = Boolean(isDefault);
+            }
+
+            if (isActive !== undefined) {
+                data.isActive = Boolean(isActive);
+            }
+
+            const willBeDefault = data.isDefault ?? location.isDefault;
+            const willBeActive = data.isActive ?? location.isActive;
+            if (willBeDefault && !willBeActive) {
+                throw new Error('The default location cannot be inactive');
+            }
+
+            if (!willBeActive && location.isActive) {
+                const stocked = await prisma.inventoryItem.count({
+                    where: { locationId, quantity: { gt: 0 } }
+                });
+                if (stocked > 0) {
+                    throw new Error('Move the stock out of this location before deactivating it');
+                }
+            }
+
+            return await prisma.$transaction(async (tx) => {
+                if (data.isDefault && !location.isDefault) {
+                    await tx.location.updateMany({ where: { userId, isDefault: true }, data: { isDefault: false } });
+                }
+
+                return tx.location.update({
+                    where: { id: locationId },
+                    data
+                });
+            });
+        } catch (e) {
+            if (e.code === 'P2002') {
+                throw new Error('A location with this name already exists');
+            }
+            throw e;
+        }
+    }
+
+    // Get the stock held at one location
+    static async getLocationStock(locationId, userId, { lowStockOnly = false } = {}) {
+        try {
+            const location = await this.getLocation(locationId, userId);
+
+            const items = await prisma.inventoryItem.findMany({
+                where: { locationId, userId },
+                include: {
+                    product: { select: { id: true, name: true, sku: true, category: true, unit: true, costPrice: true } }
+                },
+                orderBy: { product: { name: 'asc' } }
+            });
+
+            const stock = items
+                .map(item => ({
+                    inventoryItemId: item.id,
+                    productId: item.productId,
+                    name: item.product.name,
+                    sku: item.product.sku,
+                    category: item.product.category,
+                    unit: item.product.unit,
+                    quantity: item.quantity,
+                    reorderLevel: item.reorderLevel,
+                    shelf: item.location,
+                    status: item.quantity === 0 ? 'OUT_OF_STOCK' :
+                        item.quantity <= (item.reorderLevel || 0) ? 'LOW_STOCK' : 'IN_STOCK',
+                    costPrice: item.product.costPrice
+                }))
+                .filter(item => !lowStockOnly || item.status !== 'IN_STOCK');
+
+            return { success: true, location, stock };
+        } catch (e) {
+            throw e;
+        }
+    }
+}
+
+module.exports = LocationService;
@@ -0,0 +1,208 @@
+const money = require('../utils/money');
+
+/**
+ * LOT SERVICE MODULE
+ * Lots of lot-tracked (perishable) products: each batch at a location keeps its
+ * expiry date and cost, and stock leaves earliest expiry first (FEFO). These
+ * helpers run inside the caller's transaction and only touch lots; the caller
+ * changes the inventory item's quantity and records the stock movement
+ */
+class LotService {
+
+    // Order stock leaves in: earliest expiry first, lots without an expiry date last, then oldest lot first
+    static fefoOrder(a, b) {
+        if (a.expiryDate && b.expiryDate && a.expiryDate.getTime() !== b.expiryDate.getTime()) {
+            return a.expiryDate - b.expiryDate;
+        }
+        if (a.expiryDate && !b.expiryDate) return -1;
+        if (!a.expiryDate && b.expiryDate) return 1;
+        return a.id - b.id;
+    }
+
+    // Lot details sent with stock coming in: { lotNumber, expiryDate }
+    static parseLotDetails({ lotNumber, expiryDate } = {}) {
+        let expiry = null;
+        if (expiryDate !== undefined && expiryDate !== null && expiryDate !== '') {
+            expiry = new Date(expiryDate);
+            if (isNaN(expiry.getTime())) {
+                throw new Error('Expiry date must be a valid date');
+            }
+        }
+
+        return {
+            lotNumber: lotNumber ? String(lotNumber).trim() || null : null,
+            expiryDate: expiry
+        };
+    }
+
+    // Add units to an inventory item's lot with the same batch code, expiry, cost and
+    // purchase order, or start a new lot
+    static async addToLot(tx, {
+        userId,
+        productId,
+        inventoryItemId,
+        quantity,
+        lotNumber = null,
+        expiryDate = null,
+        unitCost = null,
+        purchaseOrderId = null
+    }) {
+        const existing = await tx.inventoryLot.findFirst({
+            where: { inventoryItemId, lotNumber, expiryDate, unitCost, purchaseOrderId }
+        });
+
+        if (existing) {
+            return tx.inventoryLot.update({
+                where: { id: existing.id },
+                data: {
+                    quantity: { increment: quantity },
+                    receivedQuantity: { increment: quantity }
+                }
+            });
+        }
+
+        return tx.inventoryLot.create({
+            data: {
+                userId,
+                productId,
+                inventoryItemId,
+                lotNumber,
+                expiryDate,
+                unitCost,
+                receivedQuantity: quantity,
+                quantity,
+                purchaseOrderId
+            }
+        });
+    }
+
+    // Units of an inventory item in lots past their expiry date. They stay in stock until
+    // written off, but are not sold or used as materials
+    static async expiredQuantity(tx, inventoryItemId, now = new Date()) {
+        const { _sum } = await tx.inventoryLot.aggregate({
+            where: { inventoryItemId, quantity: { gt: 0 }, expiryDate: { lte: now } },
+            _sum: { quantity: true }
+        });
+
+        return _sum.quantity || 0;
+    }
+
+    // Take units out of an inventory item's lots, earliest expiry first; with skipExpired, lots
+    // that expired by `now` are left alone. Call it once the item's row is locked (deductStock,
+    // lockInventory) so two requests cannot take the same units.
+    // Returns what came from each lot; less than asked for when the lots hold less
+    static async takeFefo(tx, inventoryItemId, quantity, { skipExpired = false, now = new Date() } = {}) {
+        const lots = await tx.inventoryLot.findMany({
+            where: {
+                inventoryItemId,
+                quantity: { gt: 0 },
+                ...(skipExpired && { OR: [{ expiryDate: null }, { expiryDate: { gt: now } }] })
+            }
+        });
+        lots.sort((a, b) => this.fefoOrder(a, b));
+
+        const taken = [];
+        let remaining = quantity;
+        for (const lot of lots) {
+            if (remaining <= 0) break;
+
+            const units = Math.min(lot.quantity, remaining);
+            await tx.inventoryLot.update({
+                where: { id: lot.id },
+                data: { quantity: { decrement: units } }
+            });
+
+            taken.push({
+                lotId: lot.id,
+                lotNumber: lot.lotNumber,
+                expiryDate: lot.expiryDate,
+                unitCost: lot.unitCost,
+                purchaseOrderId: lot.purchaseOrderId,
+                quantity: units
+            });
+            remaining -= units;
+        }
+
+        return taken;
+    }
+
+    // Cost of `quantity` units taken from lots; lots without a cost, and units that were in
+    // no lot, are costed at the fallback cost price
+    static costOf(taken, quantity, fallbackCost) {
+        const inLots = taken.reduce((total, lot) => total + lot.quantity, 0);
+
+        return money.add(
+            money.sum(taken, lot => money.multiply(lot.unitCost ?? fallbackCost ?? 0, lot.quantity)),
+            money.multiply(fallbackCost || 0, quantity - inLots)
+        );
+    }
+
+    // Note which lots a sale line took units from: the product sold, or a service's materials
+    static async recordSaleLots(tx, saleItemId, taken) {
+        for (const lot of taken) {
+            await tx.saleItemLot.upsert({
+                where: { saleItemId_lotId: { saleItemId, lotId: lot.lotId } },
+                create: { saleItemId, lotId: lot.lotId, quantity: lot.quantity },
+                update: { quantity: { increment: lot.quantity } }
+            });
+        }
+    }
+
+    // Put refunded units of a product back into the lots a sale line took them from, latest
+    // expiry first. Returns the units left over, for lines sold before the product was tracked in lots
+    static async returnToLots(tx, saleItemId, quantity, productId) {
+        const taken = await tx.saleItemLot.findMany({
+            where: { saleItemId, lot: { productId } },
+            include: { lot: true }
+        });
+        taken.sort((a, b) => this.fefoOrder(b.lot, a.lot));
+
+        let remaining = quantity;
+        for (const entry of taken) {
+            const units = Math.min(entry.quantity - entry.returnedQuantity, remaining);
+            if (units <= 0) continue;
+
+            await tx.inventoryLot.update({
+                where: { id: entry.lotId },
+                data: { quantity: { increment: units } }
+            });
+            await tx.saleItemLot.update({
+                where: { id: entry.id },
+                data: { returnedQuantity: { increment: units } }
+            });
+            remaining -= units;
+        }
+
+        return remaining;
+    }
+
+    // Bring a product's lots in line with its stock when it starts being tracked in lots:
+    // stock no lot holds goes into an undated lot, lots holding more than the stock are drawn down
+    static async reconcileLots(tx, product) {
+        const items = await tx.inventoryItem.findMany({
+            where: { productId: product.id },
+            select: { id: true }
+        });
+
+        for (const { id } of items) {
+            // Lock the item so its quantity cannot change while the lots are matched to it
+            const item = await tx.inventoryItem.update({ where: { id }, data: { quantity: { increment: 0 } } });
+            const lots = await tx.inventoryLot.findMany({ where: { inventoryItemId: id, quantity: { gt: 0 } } });
+
+            const inLots = lots.reduce((total, lot) => total + lot.quantity, 0);
+            if (item.quantity > inLots) {
+                await this.addToLot(tx, {
+                    userId: item.userId,
+                    productId: product.id,
+                    inventoryItemId: id,
+                    quantity: item.quantity - inLots,
+                    unitCost: product.costPrice
+                });
+            } else if (item.quantity < inLots) {
+                await this.takeFefo(tx, id, inLots - item.quantity);
+            }
+        }
+    }
+}
+
+module.exports = LotService;
@@ -0,0 +1,537 @@
+const prisma = require('../utils/prisma');
+const money = require('../utils/money');
+const PaymentService = require('./paymentService');
+const NotificationService = require('./notificationService');
+const daraja = require('../utils/daraja');
+
+/**
+ * MPESA SERVICE MODULE
+ * Ingests M-Pesa receipts from Daraja C2B confirmations and STK-push callbacks
+ * Each receipt is matched to a customer and recorded through PaymentService;
+ * receipts that cannot be matched wait in the suspense queue for manual assignment.
+ * STK push prompts for a sale's outstanding balance are tracked as requests and
+ * settle that sale's debts when the customer pays
+ */
+class MpesaService {
+    static STATUSES = ['MATCHED', 'SUSPENSE', 'ASSIGNED'];
+    static CHECKOUT_SALE_TYPES = ['CREDIT', 'PARTIAL_PAYMENT'];
+    static REQUEST_TIMEOUT_SECONDS = parseInt(process.env.MPESA_REQUEST_TIMEOUT_SECONDS) || 180;
+    static RESULT_TIMEOUT = 1037; // Daraja: the phone could not be reached
+
+    // Read a C2B confirmation body into a receipt
+    static parseC2BConfirmation(body) {
+        const {
+            TransID,
+            TransTime,
+            TransAmount,
+            BusinessShortCode,
+            BillRefNumber,
+            MSISDN,
+            FirstName,
+            MiddleName,
+            LastName
+        } = body || {};
+
+        const amount = Number(TransAmount);
+        if (!TransID || !BusinessShortCode || !Number.isFinite(amount) || amount <= 0) {
+            throw new Error('Invalid M-Pesa payload');
+        }
+
+        return {
+            source: 'C2B',
+            transactionCode: String(TransID).trim().toUpperCase(),
+            amount: money.round(amount),
+            shortcode: String(BusinessShortCode),
+            phone: MSISDN ? String(MSISDN) : null,
+            accountReference: BillRefNumber ? String(BillRefNumber).trim() || null : null,
+            payerName: [FirstName, MiddleName, LastName].filter(Boolean).join(' ') || null,
+            transactedAt: this.parseTimestamp(TransTime),
+            payload: body
+        };
+    }
+
+    // Read an STK-push result body; `receipt` is null when the customer did not pay
+    static parseStkCallback(body, shortcode) {
+        const callback = body?.Body?.stkCallback;
+        if (!callback || !callback.CheckoutRequestID || callback.ResultCode === undefined) {
+            throw new Error('Invalid M-Pesa payload');
+        }
+
+        const result = {
+            checkoutRequestId: callback.CheckoutRequestID,
+            resultCode: Number(callback.ResultCode),
+            resultDesc: callback.ResultDesc || null,
+            receipt: null
+        };
+        if (result.resultCode !== 0) {
+            return result;
+        }
+
+        const items = callback.CallbackMetadata?.Item || [];
+        const value = (name) => items.find(item => item.Name === name)?.Value;
+
+        const amount = Number(value('Amount'));
+        const code = value('MpesaReceiptNumber');
+        if (!code || !Number.isFinite(amount) || amount <= 0) {
+            throw new Error('Invalid M-Pesa payload');
+        }
+
+        result.receipt = {
+            source: 'STK',
+            transactionCode: String(code).trim().toUpperCase(),
+            amount: money.round(amount),
+            shortcode: String(shortcode),
+            phone: value('PhoneNumber') ? String(value('PhoneNumber')) : null,
+            accountReference: null,
+            payerName: null,
+            transactedAt: this.parseTimestamp(value('TransactionDate')),
+            payload: body
+        };
+        return result;
+    }
+
+    // Daraja timestamps are yyyyMMddHHmmss in Kenyan time (UTC+3, no daylight saving)
+    static parseTimestamp(value) {
+        const match = /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/.exec(String(value ?? ''));
+        if (!match) {
+            return new Date();
+        }
+
+        const [, year, month, day, hour, minute, second] = match;
+        return new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}+03:00`);
+    }
+
+    // Store a receipt once and record it as a payment when the payer can be matched.
+    // A receipt answering one of our STK push requests goes to that request's customer and sale.
+    static async ingest(receipt, request = null) {
+        try {
+            let userId = request?.userId;
+            if (!request) {
+                const shop = await prisma.shop.findUnique({
+                    where: { mpesaShortcode: receipt.shortcode }
+                });
+                if (!shop) {
+                    throw new Error('Unknown M-Pesa shortcode');
+                }
+                userId = shop.ownerId;
+            }
+
+            await this.assertNotDuplicate(userId, receipt.transactionCode);
+
+            const { customer, reason } = request ?
+                { customer: { id: request.customerId }, reason: null } :
+                await this.matchCustomer(userId, receipt);
+
+            return await prisma.$transaction(async (tx) => {
+                const transaction = await tx.mpesaTransaction.create({
+                    data: {
+                        userId,
+                        source: receipt.source,
+                        transactionCode: receipt.transactionCode,
+                        amount: receipt.amount,
+                        shortcode: receipt.shortcode,
+                        phone: receipt.phone,
+                        accountReference: receipt.accountReference,
+                        payerName: receipt.payerName,
+                        transactedAt: receipt.transactedAt,
+                        status: customer ? 'MATCHED' : 'SUSPENSE',
+                        suspenseReason: reason,
+                        customerId: customer?.id ?? null,
+                        payload: receipt.payload
+                    }
+                });
+
+                if (!customer) {
+                    return transaction;
+                }
+
+                const allocations = request ?
+                    await this.saleAllocations(tx, request.saleId, receipt.amount) :
+                    undefined;
+
+                const result = await PaymentService.recordPayment({
+                    customerId: customer.id,
+                    amount: receipt.amount,
+                    paymentMethod: 'MPESA',
+                    reference: receipt.transactionCode,
+                    description: `M-Pesa payment ${receipt.transactionCode}`,
+                    allocations,
+                    userId,
+                    actorId: null
+                }, tx);
+
+                if (request) {
+                    // A late payment still completes a request already marked as timed out
+                    await tx.mpesaRequest.update({
+                        where: { id: request.id },
+                        data: {
+                            status: 'COMPLETED',
+                            resultCode: 0,
+                            resultDesc: null,
+                            mpesaTransactionId: transaction.id,
+                            completedAt: new Date()
+                        }
+                    });
+                }
+
+                return await tx.mpesaTransaction.update({
+                    where: { id: transaction.id },
+                    data: { paymentId: result.payment.id }
+                });
+            });
+        } catch (e) {
+            // Two deliveries of the same receipt raced past the duplicate check
+            if (e.code === 'P2002') {
+                throw new Error('Duplicate transaction code');
+            }
+            throw e;
+        }
+    }
+
+    // Pay the sale's unpaid debts, oldest first; anything left over becomes customer credit
+    static async saleAllocations(tx, saleId, amount) {
+        const debts = await tx.debt.findMany({
+            where: { saleId, isPaid: false, voidedAt: null },
+            orderBy: { createdAt: 'asc' }
+        });
+
+        let remaining = amount;
+        const allocations = [];
+        for (const debt of debts) {
+            if (!money.isPositive(remaining)) break;
+
+            const share = money.min(remaining, debt.amount);
+            allocations.push({ debtId: debt.id, amount: share });
+            remaining = money.subtract(remaining, share);
+        }
+
+        // Nothing left to pay on the sale: let the shop's allocation strategy place it
+        return allocations.length > 0 ? allocations : undefined;
+    }
+
+    // Settle or close the STK push request a callback answers
+    static async handleStkCallback(result) {
+        try {
+            const request = await prisma.mpesaRequest.findUnique({
+                where: { checkoutRequestId: result.checkoutRequestId }
+            });
+
+            if (!request) {
+                // A prompt sent from outside this system; treat it like a C2B receipt
+                return result.receipt ? await this.ingest(result.receipt) : null;
+            }
+
+            if (result.resultCode !== 0) {
+                await prisma.mpesaRequest.updateMany({
+                    where: { id: request.id, status: 'PENDING' },
+                    data: {
+                        status: result.resultCode === this.RESULT_TIMEOUT ? 'TIMEOUT' : 'FAILED',
+                        resultCode: result.resultCode,
+                        resultDesc: result.resultDesc,
+                        completedAt: new Date()
+                    }
+                });
+                return null;
+            }
+
+            return await this.ingest(result.receipt, request);
+        } catch (e) {
+            throw e;
+        }
+    }
+
+    // Prompt the customer's phone to pay what is still owed on a credit or partial-payment sale
+    static async requestSalePayment(saleId, userId, { phone, actorId } = {}) {
+        try {
+            const sale = await prisma.sale.findFirst({
+                where: { id: saleId, userId },
+                include: {
+                    customer: true,
+                    debts: {
+                        where: { isPaid: false, voidedAt: null }
+                    }
+                }
+            });
+
+            if (!sale) {
+                throw new Error('Sale not found');
+            }
+            if (!this.CHECKOUT_SALE_TYPES.includes(sale.saleType)) {
+                throw new Error('M-Pesa requests are only for credit and partial-payment sales');
+            }
+            if (sale.status === 'CANCELLED' || sale.status === 'REFUNDED') {
+                throw new Error('Sale has been cancelled or refunded');
+            }
+
+            const outstanding = money.sum(sale.debts, debt => debt.amount);
+            if (!money.isPositive(outstanding)) {
+                throw new Error('Sale has nothing outstanding');
+            }
+
+            const to = phone || sale.customer?.phone;
+            if (!to) {
+                throw new Error('Customer has no phone number');
+            }
+
+            const shop = await prisma.shop.findUnique({ where: { ownerId: userId } });
+            if (!shop?.mpesaShortcode) {
+                throw new Error('Shop has no M-Pesa shortcode');
+            }
+
+            await this.expireRequests();
+            const pending = await prisma.mpesaRequest.findFirst({
+                where: { saleId, status: 'PENDING' }
+            });
+            if (pending) {
+                throw new Error('An M-Pesa request is already pending for this sale');
+            }
+
+            // Daraja takes whole shillings; rounding up leaves any cents as customer credit
+            const amount = Math.ceil(outstanding);
+            const msisdn = NotificationService.toInternationalPhone(to).replace(/^\+/, '');
+
+            let prompt;
+            try {
+                prompt = await daraja.stkPush({
+                    shortcode: shop.mpesaShortcode,
+                    phone: msisdn,
+                    amount,
+                    accountReference: sale.saleNumber || `SALE${sale.id}`,
+                    description: `Sale ${sale.id}`
+                });
+            } catch (error) {
+                throw new Error(`M-Pesa request failed: ${error.message}`);
+            }
+
+            const request = await prisma.mpesaRequest.create({
+                data: {
+                    userId,
+                    saleId,
+                    customerId: sale.customerId,
+                    phone: msisdn,
+                    amount,
+                    merchantRequestId: prompt.merchantRequestId,
+                    checkoutRequestId: prompt.checkoutRequestId,
+                    requestedBy: actorId ?? null,
+                    expiresAt: new Date(Date.now() + this.REQUEST_TIMEOUT_SECONDS * 1000)
+                }
+            });
+
+            return {
+                success: true,
+                message: prompt.customerMessage || 'M-Pesa request sent to the customer\'s phone',
+                request
+            };
+        } catch (e) {
+            throw e;
+        }
+    }
+
+    // Get the STK push requests for a sale, newest first
+    static async getSaleRequests(saleId, userId) {
+        try {
+            const sale = await prisma.sale.findFirst({
+                where: { id: saleId, userId },
+                select: { id: true }
+            });
+            if (!sale) {
+                throw new Error('Sale not found');
+            }
+
+            await this.expireRequests();
+            const requests = await prisma.mpesaRequest.findMany({
+                where: { saleId },
+                include: {
+                    mpesaTransaction: {
+                        select: { id: true, transactionCode: true, amount: true, paymentId: true }
+                    }
+                },
+                orderBy: { createdAt: 'desc' }
+            });
+
+            return { success: true, requests };
+        } catch (e) {
+            throw e;
+        }
+    }
+
+    // Time out requests whose callback never came; called by the M-Pesa worker
+    static async expireRequests(now = new Date()) {
+        try {
+            const result = await prisma.mpesaRequest.updateMany({
+                where: { status: 'PENDING', expiresAt: { lt: now } },
+                data: {
+                    status: 'TIMEOUT',
+                    resultDesc: 'No response from M-Pesa',
+                    completedAt: now
+                }
+            });
+            return result.count;
+        } catch (e) {
+            throw e;
+        }
+    }
+
+    // A code already received, or already keyed in by hand as a payment reference, is a duplicate
+    static async assertNotDuplicate(userId, transactionCode) {
+        const existing = await prisma.mpesaTransaction.findUnique({
+            where: { transactionCode }
+        });
+
+        const keyedIn = existing ? null : await prisma.payment.findFirst({
+            where: {
+                userId,
+                paymentMethod: 'MPESA',
+                reference: transactionCode,
+                status: { not: 'VOIDED' }
+            }
+        });
+
+        if (existing || keyedIn) {
+            throw new Error('Duplicate transaction code');
+        }
+    }
+
+    // Match on the account reference first (customer id or phone), then on the paying phone
+    static async matchCustomer(userId, receipt) {
+        const reference = receipt.accountReference;
+
+        if (reference && /^\d{1,8}$/.test(reference)) {
+            const customer = await prisma.customer.findFirst({
+                where: { id: parseInt(reference), userId }
+            });
+            if (customer) {
+                return { customer, reason: null };
+            }
+        }
+
+        const phones = [reference, receipt.phone]
+            .filter(phone => phone && /^\+?\d{9,15}$/.test(phone.replace(/[\s-]/g, '')));
+
+        for (const phone of phones) {
+            const candidates = await this.findCustomersByPhone(userId, phone);
+            if (candidates.length === 1) {
+                return { customer: candidates[0], reason: null };
+            }
+            if (candidates.length > 1) {
+                return { customer: null, reason: 'Several customers have this phone number' };
+            }
+        }
+
+        return { customer: null, reason: 'No customer matches the phone number or account reference' };
+    }
+
+    // Customer phones are stored as typed, so compare them in international form
+    static async findCustomersByPhone(userId, phone) {
+        const international = NotificationService.toInternationalPhone(phone);
+        const candidates = await prisma.customer.findMany({
+            where: {
+                userId,
+                phone: { contains: international.slice(-9) }
+            }
+        });
+
+        return candidates.filter(customer =>
+            NotificationService.toInternationalPhone(customer.phone) === international);
+    }
+
+    // Get received M-Pesa transactions, newest first; status SUSPENSE is the manual queue
+    static async getTransactions(userId, filters = {}) {
+        try {
+            const {
+                status,
+                page = 1,
+                limit = 50
+            } = filters;
+
+            const where = { userId };
+            if (status) where.status = status;
+
+            const totalItems = await prisma.mpesaTransaction.count({ where });
+            const totalPages = Math.ceil(totalItems / limit);
+            const offset = (page - 1) * limit;
+
+            const transactions = await prisma.mpesaTransaction.findMany({
+                where,
+                include: {
+                    customer: {
+                        select: { id: true, name: true, phone: true }
+                    }
+                },
+                orderBy: { createdAt: 'desc' },
+                skip: offset,
+                take: limit
+            });
+
+            return {
+                success: true,
+                transactions,
+                pagination: {
+                    currentPage: page,
+                    totalPages,
+                    totalItems,
+                    itemsPerPage: limit
+                }
+            };
+        } catch (e) {
+            throw e;
+        }
+    }
+
+    // Assign a suspense receipt to a customer and record it as their payment
+    static async assignTransaction(transactionId, userId, { customerId, allocationStrategy, actorId, reason }) {
+        try {
+            return await prisma.$transaction(async (tx) => {
+                const transaction = await tx.mpesaTransaction.findFirst({
+                    where: { id: transactionId, userId }
+                });
+                if (!transaction) {
+                    throw new Error('M-Pesa transaction not found');
+                }
+
+                // Claim it so two people cannot assign the same receipt
+                const claimed = await tx.mpesaTransaction.updateMany({
+                    where: { id: transactionId, status: 'SUSPENSE' },
+                    data: {
+                        status: 'ASSIGNED',
+                        customerId,
+                        assignedBy: actorId,
+                        assignedAt: new Date()
+                    }
+                });
+                if (claimed.count === 0) {
+                    throw new Error('M-Pesa transaction has already been recorded as a payment');
+                }
+
+                const result = await PaymentService.recordPayment({
+                    customerId,
+                    amount: transaction.amount,
+                    paymentMethod: 'MPESA',
+                    reference: transaction.transactionCode,
+                    description: `M-Pesa payment ${transaction.transactionCode}`,
+                    allocationStrategy,
+                    userId,
+                    actorId,
+                    reason
+                }, tx);
+
+                const assigned = await tx.mpesaTransaction.update({
+                    where: { id: transactionId },
+                    data: { paymentId: result.payment.id }
+                });
+
+                return {
+                    success: true,
+                    message: 'M-Pesa payment assigned successfully',
+                    transaction: assigned,
+                    payment: result.payment,
+                    summary: result.summary
+                };
+            });
+        } catch (e) {
+            throw e;
+        }
+    }
+}
+
+module.exports = MpesaService;
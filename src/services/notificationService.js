@@ -0,0 +1,488 @@
+const prisma = require('../utils/prisma');
+const money = require('../utils/money');
+const africasTalking = require('../utils/sms');
+const twilioWhatsApp = require('../utils/whatsapp');
+const createFakeMessenger = require('../utils/fakeMessenger');
+
+/**
+ * NOTIFICATION SERVICE MODULE
+ * Builds customer messages from the shop's templates and keeps them in an outbox
+ * The notification worker sends queued messages, retrying failures with backoff
+ * SMS goes through Africa's Talking and WhatsApp through Twilio, unless the
+ * SMS_PROVIDER / WHATSAPP_PROVIDER setting is "fake"
+ */
+class NotificationService {
+    static CHANNELS = ['SMS', 'WHATSAPP'];
+
+    static STATUSES = ['PENDING', 'SENDING', 'SENT', 'DELIVERED', 'FAILED'];
+
+    static TEMPLATE_TYPES = ['DEBT_REMINDER', 'DUE_SOON_REMINDER', 'OVERDUE_REMINDER'];
+
+    static PLACEHOLDERS = ['customerName', 'balance', 'amount', 'dueDate', 'shopName'];
+
+    static DEFAULT_TEMPLATES = {
+        DEBT_REMINDER: 'Hi {customerName}, your balance at {shopName} is {balance}, due {dueDate}. Thank you.',
+        DUE_SOON_REMINDER: 'Hi {customerName}, a reminder that {amount} owed to {shopName} is due on {dueDate}. Thank you.',
+        OVERDUE_REMINDER: 'Hi {customerName}, {amount} owed to {shopName} was due on {dueDate}. Please pay as soon as you can. Thank you.'
+    };
+
+    static MAX_TEMPLATE_LENGTH = 480; // Three SMS segments
+
+    static MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || 5;
+
+    static RETRY_BASE_SECONDS = 30; // Doubles on every failed attempt
+
+    static RETRY_MAX_SECONDS = 60 * 60;
+
+    static STALE_SENDING_MINUTES = 10; // A claim this old means the worker died mid-send
+
+    static TIMEZONE = process.env.SHOP_TIMEZONE || 'Africa/Nairobi';
+
+    static providers = {
+        SMS: process.env.SMS_PROVIDER === 'fake' ? createFakeMessenger('fake-sms') : africasTalking,
+        WHATSAPP: process.env.WHATSAPP_PROVIDER === 'fake' ? createFakeMessenger('fake-whatsapp') : twilioWhatsApp
+    };
+
+    // Swap the provider of a channel (tests use the fake one)
+    static setProvider(channel, provider) {
+        this.providers[channel] = provider;
+    }
+
+    // Queue an SMS reminding a customer of their unpaid balance (nothing if they opted out)
+    static async sendDebtReminder(customerId, userId) {
+        try {
+            const customer = await prisma.customer.findFirst({
+                where: { id: customerId, userId },
+                include: {
+                    debts: {
+                        where: { isPaid: false, voidedAt: null },
+                        select: { amount: true, dueDate: true }
+                    }
+                }
+            });
+
+            if (!customer) {
+                throw new Error('Customer not found');
+            }
+
+            if (customer.remindersOptOut) {
+                return null;
+            }
+
+            const shop = await prisma.shop.findUnique({
+                where: { ownerId: userId }
+            });
+
+            const balance = this.formatAmount(money.sum(customer.debts, debt => debt.amount));
+            const dueDates = customer.debts
+                .map(debt => debt.dueDate)
+                .filter(Boolean)
+                .sort((a, b) => a - b);
+
+            const body = await this.getTemplateBody(shop?.id, 'DEBT_REMINDER');
+            const message = this.renderTemplate(body, {
+                customerName: customer.name,
+                balance,
+                amount: balance,
+                dueDate: dueDates.length > 0 ? this.formatDate(dueDates[0]) : 'now',
+                shopName: shop?.name || ''
+            });
+
+            return await this.enqueue(prisma, {
+                userId,
+                customerId: customer.id,
+                channel: 'SMS',
+                type: 'DEBT_REMINDER',
+                to: this.toInternationalPhone(customer.phone),
+                body: message
+            });
+        } catch (e) {
+            throw e;
+        }
+    }
+
+    // Store a message in the outbox; pass the transaction client to queue it with the change it reports
+    static async enqueue(db, { userId, customerId, channel, type, to, sender, body }) {
+        try {
+            return await db.notification.create({
+                data: {
+                    userId,
+                    customerId: customerId ?? null,
+                    channel,
+                    type: type || null,
+                    to,
+                    sender: sender || null,
+                    body
+                }
+            });
+        } catch (e) {
+            throw e;
+        }
+    }
+
+    // Send every queued message that is due; called by the notification worker
+    static async processOutbox({ limit = 20 } = {}) {
+        try {
+            const now = new Date();
+
+            // Release messages whose worker died before it could record the outcome
+            await prisma.notification.updateMany({
+                where: {
+                    status: 'SENDING',
+                    updatedAt: { lt: new Date(now.getTime() - this.STALE_SENDING_MINUTES * 60 * 1000) }
+                },
+                data: { status: 'PENDING' }
+            });
+
+            const due = await prisma.notification.findMany({
+                where: {
+                    status: 'PENDING',
+                    nextAttemptAt: { lte: now }
+                },
+                orderBy: { nextAttemptAt: 'asc' },
+                take: limit
+            });
+
+            const summary = { processed: 0, sent: 0, retrying: 0, failed: 0 };
+            for (const notification of due) {
+                const result = await this.deliver(notification);
+                if (!result) continue;
+
+                summary.processed++;
+                if (result.status === 'SENT') summary.sent++;
+                else if (result.status === 'FAILED') summary.failed++;
+                else summary.retrying++;
+            }
+
+            return summary;
+        } catch (e) {
+            throw e;
+        }
+    }
+
+    // Try to send one queued message; returns null when another worker already has it
+    static async deliver(notification) {
+        try {
+            const claim = await prisma.notification.updateMany({
+                where: { id: notification.id, status: 'PENDING' },
+                data: {
+                    status: 'SENDING',
+                    attempts: { increment: 1 }
+                }
+            });
+
+            if (claim.count === 0) {
+                return null;
+            }
+
+            const attempts = notification.attempts + 1;
+
+            try {
+                const provider = this.providers[notification.channel];
+                if (!provider) {
+                    throw new Error(`No provider for channel ${notification.channel}`);
+                }
+
+                const result = await provider.send({
+                    to: notification.to,
+                    from: notification.sender || undefined,
+                    message: notification.body
+                });
+
+                return await prisma.notification.update({
+                    where: { id: notification.id },
+                    data: {
+                        status: 'SENT',
+                        provider: result.provider,
+                        providerMessageId: result.messageId || null,
+                        providerStatus: result.status || null,
+                        lastError: null,
+                        sentAt: new Date()
+                    }
+                });
+            } catch (sendError) {
+                const giveUp = attempts >= this.MAX_ATTEMPTS;
+
+                return await prisma.notification.update({
+                    where: { id: notification.id },
+                    data: {
+                        status: giveUp ? 'FAILED' : 'PENDING',
+                        lastError: sendError.message,
+                        nextAttemptAt: giveUp ?
+                            undefined :
+                            new Date(Date.now() + this.retryDelaySeconds(attempts) * 1000)
+                    }
+                });
+            }
+        } catch (e) {
+            throw e;
+        }
+    }
+
+    // Seconds to wait before the next try: 30s, 1m, 2m, 4m ... capped at an hour
+    static retryDelaySeconds(attempts) {
+        return Math.min(this.RETRY_BASE_SECONDS * 2 ** (attempts - 1), this.RETRY_MAX_SECONDS);
+    }
+
+    // Record a delivery report from the provider against the message it refers to
+    static async recordDeliveryReport(provider, providerMessageId, providerStatus) {
+        try {
+            if (!providerMessageId) {
+                throw new Error('Message id is required');
+            }
+
+            const status = this.deliveryStatus(provider, providerStatus);
+            const data = { providerStatus };
+            if (status === 'DELIVERED') {
+                data.status = 'DELIVERED';
+                data.deliveredAt = new Date();
+            } else if (status === 'FAILED') {
+                data.status = 'FAILED';
+                data.lastError = `Provider reported ${providerStatus}`;
+            }
+
+            const result = await prisma.notification.updateMany({
+                where: { provider, providerMessageId },
+                data
+            });
+
+            return { updated: result.count, status };
+        } catch (e) {
+            throw e;
+        }
+    }
+
+    // Map a provider's status word to DELIVERED, FAILED or null (still on its way)
+    static deliveryStatus(provider, providerStatus) {
+        const value = String(providerStatus || '').toLowerCase();
+
+        if (provider === 'twilio') {
+            if (['delivered', 'read'].includes(value)) return 'DELIVERED';
+            if (['failed', 'undelivered'].includes(value)) return 'FAILED';
+            return null;
+        }
+
+        // Africa's Talking
+        if (value === 'success') return 'DELIVERED';
+        if (['failed', 'rejected'].includes(value)) return 'FAILED';
+        return null;
+    }
+
+    // Get outbox messages, newest first, optionally for one customer
+    static async getNotifications(userId, filters = {}) {
+        try {
+            const {
+                customerId,
+                channel,
+                status,
+                page = 1,
+                limit = 50
+            } = filters;
+
+            const where = { userId };
+            if (customerId) where.customerId = parseInt(customerId);
+            if (channel) where.channel = channel;
+            if (status) where.status = status;
+
+            const totalItems = await prisma.notification.count({ where });
+            const totalPages = Math.ceil(totalItems / limit);
+            const offset = (page - 1) * limit;
+
+            const notifications = await prisma.notification.findMany({
+                where,
+                include: {
+                    customer: {
+                        select: { id: true, name: true, phone: true }
+                    }
+                },
+                orderBy: { createdAt: 'desc' },
+                skip: offset,
+                take: limit
+            });
+
+            return {
+                success: true,
+                notifications,
+                pagination: {
+                    currentPage: page,
+                    totalPages,
+                    totalItems,
+                    itemsPerPage: limit
+                }
+            };
+        } catch (e) {
+            throw e;
+        }
+    }
+
+    // Queue a fresh copy of a message; the original keeps its own history
+    static async resendNotification(notificationId, userId) {
+        try {
+            const original = await prisma.notification.findFirst({
+                where: { id: notificationId, userId }
+            });
+
+            if (!original) {
+                throw new Error('Notification not found');
+            }
+
+            if (original.status === 'PENDING' || original.status === 'SENDING') {
+                throw new Error('Notification is still waiting to be sent');
+            }
+
+            return await prisma.notification.create({
+                data: {
+                    userId,
+                    customerId: original.customerId,
+                    channel: original.channel,
+                    type: original.type,
+                    to: original.to,
+                    sender: original.sender,
+                    body: original.body,
+                    resendOfId: original.id
+                }
+            });
+        } catch (e) {
+            throw e;
+        }
+    }
+
+    // List every template type with the text the shop currently uses
+    static async getTemplates(shopId) {
+        try {
+            const saved = await prisma.notificationTemplate.findMany({
+                where: { shopId }
+            });
+
+            return this.TEMPLATE_TYPES.map(type => {
+                const template = saved.find(t => t.type === type);
+                return {
+                    type,
+                    body: template ? template.body : this.DEFAULT_TEMPLATES[type],
+                    isDefault: !template,
+                    updatedAt: template ? template.updatedAt : null
+                };
+            });
+        } catch (e) {
+            throw e;
+        }
+    }
+
+    // Save a shop's template; an empty body goes back to the default text
+    static async updateTemplate(shopId, type, body) {
+        try {
+            if (!this.TEMPLATE_TYPES.includes(type)) {
+                throw new Error(`Template type must be one of: ${this.TEMPLATE_TYPES.join(', ')}`);
+            }
+
+            if (body === undefined || body === null || !String(body).trim()) {
+                await prisma.notificationTemplate.deleteMany({
+                    where: { shopId, type }
+                });
+                return { type, body: this.DEFAULT_TEMPLATES[type], isDefault: true, updatedAt: null };
+            }
+
+            const text = String(body).trim();
+            this.validateTemplate(text);
+
+            const template = await prisma.notificationTemplate.upsert({
+                where: { shopId_type: { shopId, type } },
+                update: { body: text },
+                create: { shopId, type, body: text }
+            });
+
+            return { type, body: template.body, isDefault: false, updatedAt: template.updatedAt };
+        } catch (e) {
+            throw e;
+        }
+    }
+
+    // The shop's text for a template type, or the default
+    static async getTemplateBody(shopId, type) {
+        if (!shopId) {
+            return this.DEFAULT_TEMPLATES[type];
+        }
+
+        const template = await prisma.notificationTemplate.findUnique({
+            where: { shopId_type: { shopId, type } }
+        });
+
+        return template ? template.body : this.DEFAULT_TEMPLATES[type];
+    }
+
+    // Reject templates that are too long or use placeholders we cannot fill
+    static validateTemplate(body) {
+        if (body.length > this.MAX_TEMPLATE_LENGTH) {
+            throw new Error(`Template cannot be longer than ${this.MAX_TEMPLATE_LENGTH} characters`);
+        }
+
+        for (const [, name] of body.matchAll(/\{(\w+)\}/g)) {
+            if (!this.PLACEHOLDERS.includes(name)) {
+                throw new Error(`Unknown placeholder {${name}}. Use: ${this.PLACEHOLDERS.map(p => `{${p}}`).join(', ')}`);
+            }
+        }
+    }
+
+    // Fill {placeholder} slots; unknown ones are left as they are
+    static renderTemplate(body, values) {
+        return body.replace(/\{(\w+)\}/g, (slot, name) =>
+            values[name] !== undefined && values[name] !== null ? String(values[name]) : slot);
+    }
+
+    static formatAmount(amount) {
+        const currency = process.env.CURRENCY || 'KES';
+        return `${currency} ${money.round(amount).toLocaleString('en-US', {
+            minimumFractionDigits: 2,
+            maximumFractionDigits: 2
+        })}`;
+    }
+
+    static formatDate(date) {
+        return new Date(date).toISOString().split('T')[0];
+    }
+
+    // e.g. 15 Aug 2025, 10:02 in shop time
+    static formatDateTime(date) {
+        return new Intl.DateTimeFormat('en-GB', {
+            timeZone: this.TIMEZONE,
+            day: 'numeric',
+            month: 'short',
+            year: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        }).format(new Date(date));
+    }
+
+    // 0712 345 678 -> +254712345678 (country code from SMS_COUNTRY_CODE, default 254)
+    static toInternationalPhone(phone) {
+        const countryCode = process.env.SMS_COUNTRY_CODE || '254';
+        const digits = String(phone || '').replace(/[^\d+]/g, '');
+
+        if (!digits) {
+            throw new Error('Customer has no phone number');
+        }
+        if (digits.startsWith('+')) {
+            return digits;
+        }
+        if (digits.startsWith('0')) {
+            return `+${countryCode}${digits.slice(1)}`;
+        }
+        if (digits.startsWith(countryCode)) {
+            return `+${digits}`;
+        }
+        return `+${countryCode}${digits}`;
+    }
+
+    // The phone in international form, or null when it is missing or not a number
+    // (e.g. "-" or "N/A"), for messages that are skipped rather than failed
+    static reachablePhone(phone) {
+        if (!phone || !/\d/.test(phone)) {
+            return null;
+        }
+        const to = this.toInternationalPhone(phone);
+        return /^\+\d{7,15}$/.test(to) ? to : null;
+    }
+}
+
+module.exports = NotificationService;
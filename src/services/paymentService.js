@@ -1,5 +1,7 @@
-const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
+const prisma = require('../utils/prisma');
+const AuditService = require('./auditService');
+const WhatsAppService = require('./whatsappService');
+const money = require('../utils/money');
 
 /**
  * PAYMENT SERVICE MODULE
@@ -8,13 +10,29 @@ const prisma = new PrismaClient();
  */
 class PaymentService {
 
-    // Record a payment with overpayment and credit balance handling
-    static async recordPayment(data) {
-        try {
-            const { customerId, amount, paymentMethod, description, reference, userId } = data;
+    static ALLOCATION_STRATEGIES = ['OLDEST_FIRST', 'EARLIEST_DUE_FIRST', 'SMALLEST_BALANCE_FIRST'];
 
-            // Start transaction to ensure consistency
-            return await prisma.$transaction(async (tx) => {
+    // Record a payment with overpayment and credit balance handling.
+    // Debts are paid in the order of `allocationStrategy` (or the shop default),
+    // unless `allocations` lists exactly which debts get how much.
+    // Pass `db` to record the payment inside a transaction the caller already opened.
+    static async recordPayment(data, db = null) {
+        try {
+            const {
+                customerId,
+                paymentMethod,
+                description,
+                reference,
+                allocationStrategy,
+                allocations,
+                userId,
+                actorId,
+                reason
+            } = data;
+            const amount = money.round(data.amount);
+
+            // Run in one transaction to ensure consistency
+            const record = async (tx) => {
                 // Verify customer exists and get current credit balance
                 const customer = await tx.customer.findFirst({
                     where: {
@@ -27,23 +45,28 @@ class PaymentService {
                     throw new Error('Customer not found');
                 }
 
-                // Get unpaid debts for this customer (oldest first)
+                const strategy = allocations ?
+                    'EXPLICIT' :
+                    await this.resolveAllocationStrategy(userId, allocationStrategy, tx);
+
+                // Get unpaid debts for this customer
                 const unpaidDebts = await tx.debt.findMany({
                     where: {
                         customerId,
                         isPaid: false
                     },
-                    orderBy: { createdAt: 'asc' } // Pay oldest debts first
+                    orderBy: { createdAt: 'asc' }
                 });
 
-                // Calculate total debt
-                const totalDebt = unpaidDebts.reduce((sum, debt) => sum + debt.amount, 0);
-
                 // Apply existing credit balance first
                 const availableCredit = customer.creditBalance;
-                let effectivePayment = amount + availableCredit;
-                let appliedToDebt = Math.min(effectivePayment, totalDebt);
-                let newCreditAmount = Math.max(0, effectivePayment - totalDebt);
+                const effectivePayment = money.add(amount, availableCredit);
+
+                const plan = this.planAllocations(unpaidDebts, effectivePayment, strategy, allocations);
+                const appliedToDebt = money.sum(plan, line => line.amount);
+                const newCreditAmount = money.subtract(effectivePayment, appliedToDebt);
+                const creditUsed = money.max(0, money.subtract(availableCredit, newCreditAmount));
+                const creditAdded = money.max(0, money.subtract(newCreditAmount, availableCredit));
 
                 // Create payment record first
                 const payment = await tx.payment.create({
@@ -51,24 +74,19 @@ class PaymentService {
                         customerId,
                         userId,
                         amount, // Only the actual payment amount
-                        appliedToDebt: appliedToDebt - availableCredit, // Amount from this payment applied to debt
-                        creditAmount: newCreditAmount - availableCredit, // New credit added
+                        appliedToDebt: money.subtract(appliedToDebt, creditUsed), // Amount from this payment applied to debt
+                        creditAmount: money.subtract(newCreditAmount, availableCredit), // Net change to the credit balance
                         paymentMethod: paymentMethod || 'CASH',
                         description: description || 'Payment received',
                         reference
                     }
                 });
 
-                // Apply payment to debts (FIFO - First In, First Out) and track allocations
-                let remainingPaymentForDebt = appliedToDebt;
+                // Apply payment to debts in plan order and track allocations
                 const paymentAllocations = [];
                 const paidDebts = [];
 
-                for (const debt of unpaidDebts) {
-                    if (remainingPaymentForDebt <= 0) break;
-
-                    let amountToAllocate = Math.min(remainingPaymentForDebt, debt.amount);
-
+                for (const { debt, amount: amountToAllocate } of plan) {
                     // Create payment allocation record
                     const allocation = await tx.paymentAllocation.create({
                         data: {
@@ -79,7 +97,15 @@ class PaymentService {
                     });
                     paymentAllocations.push(allocation);
 
-                    if (amountToAllocate >= debt.amount) {
+                    // Keep the originating sale's paid amount in step
+                    if (debt.saleId) {
+                        await tx.sale.update({
+                            where: { id: debt.saleId },
+                            data: { paidAmount: { increment: amountToAllocate } }
+                        });
+                    }
+
+                    if (money.compare(amountToAllocate, debt.amount) >= 0) {
                         // Payment covers this debt completely
                         await tx.debt.update({
                             where: { id: debt.id },
@@ -92,16 +118,16 @@ class PaymentService {
                             debtId: debt.id,
                             description: debt.description,
                             originalAmount: debt.originalAmount,
+                            dueDate: debt.dueDate,
                             amountPaid: debt.amount,
                             fullyPaid: true
                         });
-                        remainingPaymentForDebt -= debt.amount;
                     } else {
                         // Payment partially covers this debt
                         await tx.debt.update({
                             where: { id: debt.id },
                             data: {
-                                amount: debt.amount - amountToAllocate,
+                                amount: money.subtract(debt.amount, amountToAllocate),
                                 updatedAt: new Date()
                             }
                         });
@@ -109,10 +135,10 @@ class PaymentService {
                             debtId: debt.id,
                             description: debt.description,
                             originalAmount: debt.originalAmount,
+                            dueDate: debt.dueDate,
                             amountPaid: amountToAllocate,
                             fullyPaid: false
                         });
-                        remainingPaymentForDebt = 0;
                     }
                 }
 
@@ -126,12 +152,12 @@ class PaymentService {
                 });
 
                 // If credit was used, create credit transaction
-                if (availableCredit > 0 && appliedToDebt > amount) {
+                if (money.isPositive(creditUsed)) {
                     await tx.creditTransaction.create({
                         data: {
                             customerId,
                             userId,
-                            amount: -Math.min(availableCredit, totalDebt), // Credit used
+                            amount: -creditUsed, // Credit used
                             type: 'APPLIED_TO_DEBT',
                             description: 'Credit applied with payment',
                             relatedPaymentId: payment.id
@@ -140,12 +166,12 @@ class PaymentService {
                 }
 
                 // If overpayment created new credit, create credit transaction
-                if (newCreditAmount > availableCredit) {
+                if (money.isPositive(creditAdded)) {
                     await tx.creditTransaction.create({
                         data: {
                             customerId,
                             userId,
-                            amount: newCreditAmount - availableCredit, // New credit added
+                            amount: creditAdded, // New credit added
                             type: 'OVERPAYMENT_ADDED',
                             description: 'Credit from overpayment',
                             relatedPaymentId: payment.id
@@ -153,6 +179,29 @@ class PaymentService {
                     });
                 }
 
+                await AuditService.log(tx, {
+                    userId,
+                    actorId,
+                    entity: 'PAYMENT',
+                    entityId: payment.id,
+                    action: 'CREATE',
+                    after: { ...payment, allocationStrategy: strategy, allocations: paymentAllocations },
+                    reason
+                });
+
+                if (money.compare(newCreditAmount, availableCredit) !== 0) {
+                    await AuditService.log(tx, {
+                        userId,
+                        actorId,
+                        entity: 'CREDIT',
+                        entityId: customerId,
+                        action: 'UPDATE',
+                        before: { creditBalance: availableCredit },
+                        after: { creditBalance: newCreditAmount, paymentId: payment.id },
+                        reason
+                    });
+                }
+
                 // Calculate remaining debts after payment
                 const remainingDebts = await tx.debt.findMany({
                     where: {
@@ -161,7 +210,21 @@ class PaymentService {
                     }
                 });
 
-                const remainingDebtAmount = remainingDebts.reduce((sum, debt) => sum + debt.amount, 0);
+                const remainingDebtAmount = money.sum(remainingDebts, debt => debt.amount);
+
+                const summary = {
+                    allocationStrategy: strategy,
+                    totalPaid: amount,
+                    appliedToDebt: money.subtract(appliedToDebt, creditUsed),
+                    creditUsed,
+                    creditAdded,
+                    previousCredit: availableCredit,
+                    newCreditBalance: newCreditAmount,
+                    remainingDebt: remainingDebtAmount,
+                    debtsPaid: paidDebts
+                };
+
+                await WhatsAppService.queuePaymentConfirmation(tx, { userId, customer, payment, summary });
 
                 return {
                     success: true,
@@ -170,23 +233,104 @@ class PaymentService {
                         ...payment,
                         allocations: paymentAllocations
                     },
-                    summary: {
-                        totalPaid: amount,
-                        appliedToDebt: appliedToDebt - availableCredit,
-                        creditUsed: availableCredit > 0 ? Math.min(availableCredit, totalDebt) : 0,
-                        creditAdded: Math.max(0, newCreditAmount - availableCredit),
-                        previousCredit: availableCredit,
-                        newCreditBalance: newCreditAmount,
-                        remainingDebt: remainingDebtAmount,
-                        debtsPaid: paidDebts
-                    }
+                    summary
                 };
-            });
+            };
+
+            return db ? await record(db) : await prisma.$transaction(record);
         } catch (e) {
             throw e;
         }
     }
 
+    // Use the requested strategy, falling back to the shop's default
+    static async resolveAllocationStrategy(userId, requested, tx) {
+        if (requested) {
+            if (!this.ALLOCATION_STRATEGIES.includes(requested)) {
+                throw new Error(`Invalid allocation strategy. Use one of: ${this.ALLOCATION_STRATEGIES.join(', ')}`);
+            }
+            return requested;
+        }
+
+        const shop = await tx.shop.findUnique({
+            where: { ownerId: userId },
+            select: { paymentAllocationStrategy: true }
+        });
+
+        return shop?.paymentAllocationStrategy || 'OLDEST_FIRST';
+    }
+
+    // Work out how much of the available money goes to which debt, in payment order
+    static planAllocations(unpaidDebts, available, strategy, explicitAllocations) {
+        if (strategy === 'EXPLICIT') {
+            if (!Array.isArray(explicitAllocations) || explicitAllocations.length === 0) {
+                throw new Error('Invalid allocation: allocations must be a non-empty array of { debtId, amount }');
+            }
+
+            const plan = [];
+            for (const allocation of explicitAllocations) {
+                const debt = unpaidDebts.find(d => d.id === parseInt(allocation.debtId));
+                if (!debt) {
+                    throw new Error(`Invalid allocation: debt ${allocation.debtId} is not an unpaid debt of this customer`);
+                }
+                if (plan.some(line => line.debt.id === debt.id)) {
+                    throw new Error(`Invalid allocation: debt ${debt.id} is listed more than once`);
+                }
+
+                const amount = money.round(parseFloat(allocation.amount) || 0);
+                if (!money.isPositive(amount)) {
+                    throw new Error(`Invalid allocation: amount for debt ${debt.id} must be greater than zero`);
+                }
+                if (money.compare(amount, debt.amount) > 0) {
+                    throw new Error(`Invalid allocation: amount for debt ${debt.id} (${amount}) exceeds its balance (${debt.amount})`);
+                }
+
+                plan.push({ debt, amount });
+            }
+
+            const total = money.sum(plan, line => line.amount);
+            if (money.compare(total, available) > 0) {
+                throw new Error(`Invalid allocation: allocations total (${total}) exceeds payment plus available credit (${available})`);
+            }
+
+            return plan;
+        }
+
+        let remaining = available;
+        const plan = [];
+
+        for (const debt of this.orderDebtsForAllocation(unpaidDebts, strategy)) {
+            if (!money.isPositive(remaining)) break;
+
+            const amount = money.min(remaining, debt.amount);
+            plan.push({ debt, amount });
+            remaining = money.subtract(remaining, amount);
+        }
+
+        return plan;
+    }
+
+    // Sort debts into the order a strategy pays them; ties go to the oldest debt
+    static orderDebtsForAllocation(debts, strategy) {
+        const byCreatedAt = (a, b) => a.createdAt - b.createdAt;
+
+        switch (strategy) {
+            case 'EARLIEST_DUE_FIRST':
+                // Debts without a due date are paid after every dated one
+                return [...debts].sort((a, b) => {
+                    if (a.dueDate && b.dueDate) return (a.dueDate - b.dueDate) || byCreatedAt(a, b);
+                    if (a.dueDate) return -1;
+                    if (b.dueDate) return 1;
+                    return byCreatedAt(a, b);
+                });
+            case 'SMALLEST_BALANCE_FIRST':
+                return [...debts].sort((a, b) => (a.amount - b.amount) || byCreatedAt(a, b));
+            case 'OLDEST_FIRST':
+            default:
+                return [...debts].sort(byCreatedAt);
+        }
+    }
+
     // Get all payments for a customer
     static async getCustomerPayments(customerId, userId) {
         try {
@@ -206,7 +350,10 @@ class PaymentService {
     static async getTotalCustomerPayments(customerId) {
         try {
             const result = await prisma.payment.aggregate({
-                where: { customerId },
+                where: {
+                    customerId,
+                    status: { not: 'VOIDED' }
+                },
                 _sum: { amount: true }
             });
 
@@ -231,57 +378,233 @@ class PaymentService {
     }
 
     // Update payment details
-    static async updatePayment(paymentId, data, userId) {
+    static async updatePayment(paymentId, data, userId, context = {}) {
         try {
             const { amount, paymentMethod, description, reference } = data;
 
-            return await prisma.payment.update({
-                where: {
-                    id: paymentId,
-                    userId
-                },
-                data: {
-                    amount,
-                    paymentMethod,
-                    description,
-                    reference
+            return await prisma.$transaction(async (tx) => {
+                const before = await this.findPaymentForChange(paymentId, userId, tx);
+
+                if (before.status === 'VOIDED') {
+                    throw new Error('Voided payments cannot be edited');
                 }
+
+                // The money went back to the customer with the sale refund
+                if (before.status === 'REFUNDED') {
+                    throw new Error('Refunded payments cannot be edited');
+                }
+
+                const payment = await tx.payment.update({
+                    where: {
+                        id: paymentId,
+                        userId
+                    },
+                    data: {
+                        amount,
+                        paymentMethod,
+                        description,
+                        reference
+                    }
+                });
+
+                await AuditService.log(tx, {
+                    userId,
+                    actorId: context.actorId,
+                    entity: 'PAYMENT',
+                    entityId: paymentId,
+                    action: 'UPDATE',
+                    before,
+                    after: payment,
+                    reason: context.reason
+                });
+
+                return payment;
             });
         } catch (e) {
             throw e;
         }
     }
 
-    // Delete payment
-    static async deletePayment(paymentId, userId) {
+    // Void a payment: re-open the debts it paid and roll back the credit it moved.
+    // The payment stays on record with status VOIDED.
+    static async voidPayment(paymentId, userId, context = {}) {
         try {
-            return await prisma.payment.delete({
-                where: {
-                    id: paymentId,
-                    userId
+            return await prisma.$transaction(async (tx) => {
+                const before = await this.findPaymentForChange(paymentId, userId, tx);
+
+                if (before.status === 'VOIDED') {
+                    throw new Error('Payment is already voided');
+                }
+
+                if (before.status === 'REFUNDED') {
+                    throw new Error('Refunded payments cannot be voided');
+                }
+
+                // Till payments never went through debts; the sale itself has to be reversed
+                if (before.saleId && before.allocations.length === 0) {
+                    throw new Error('Payments taken with a sale must be reversed by cancelling or refunding the sale');
+                }
+
+                // Put each allocated amount back on the debt it paid
+                const reopenedDebts = [];
+                for (const allocation of before.allocations) {
+                    const debt = await tx.debt.findUnique({
+                        where: { id: allocation.debtId }
+                    });
+
+                    // Debts voided with their sale have nothing left to re-open
+                    if (!debt || debt.voidedAt) continue;
+
+                    // A paid debt owes nothing, whatever its stored amount says
+                    const newAmount = debt.isPaid ?
+                        allocation.amount :
+                        money.add(debt.amount, allocation.amount);
+
+                    await tx.debt.update({
+                        where: { id: debt.id },
+                        data: {
+                            amount: newAmount,
+                            isPaid: false,
+                            updatedAt: new Date()
+                        }
+                    });
+
+                    if (debt.saleId) {
+                        await tx.sale.update({
+                            where: { id: debt.saleId },
+                            data: { paidAmount: { decrement: allocation.amount } }
+                        });
+                    }
+
+                    reopenedDebts.push({
+                        debtId: debt.id,
+                        description: debt.description,
+                        amountReopened: allocation.amount,
+                        previousAmount: debt.isPaid ? 0 : debt.amount,
+                        newAmount
+                    });
                 }
+
+                // Take back credit the payment added, or give back credit it used
+                let creditReversed = 0;
+                let newCreditBalance = null;
+                if (before.creditAmount !== 0 && before.customerId) {
+                    const customer = await tx.customer.findUnique({
+                        where: { id: before.customerId }
+                    });
+
+                    if (money.isPositive(before.creditAmount) && money.compare(customer.creditBalance, before.creditAmount) < 0) {
+                        throw new Error('Credit from this payment has already been used and cannot be reversed');
+                    }
+
+                    creditReversed = money.subtract(0, before.creditAmount);
+                    newCreditBalance = money.add(customer.creditBalance, creditReversed);
+
+                    await tx.customer.update({
+                        where: { id: customer.id },
+                        data: {
+                            creditBalance: newCreditBalance,
+                            updatedAt: new Date()
+                        }
+                    });
+
+                    await tx.creditTransaction.create({
+                        data: {
+                            customerId: customer.id,
+                            userId,
+                            amount: creditReversed,
+                            type: 'PAYMENT_VOIDED',
+                            description: `Payment #${before.id} voided`,
+                            relatedPaymentId: before.id
+                        }
+                    });
+
+                    await AuditService.log(tx, {
+                        userId,
+                        actorId: context.actorId,
+                        entity: 'CREDIT',
+                        entityId: customer.id,
+                        action: 'UPDATE',
+                        before: { creditBalance: customer.creditBalance },
+                        after: { creditBalance: newCreditBalance, paymentId: before.id },
+                        reason: context.reason
+                    });
+                }
+
+                const payment = await tx.payment.update({
+                    where: { id: before.id },
+                    data: {
+                        status: 'VOIDED',
+                        voidedAt: new Date(),
+                        voidReason: context.reason || null
+                    }
+                });
+
+                await AuditService.log(tx, {
+                    userId,
+                    actorId: context.actorId,
+                    entity: 'PAYMENT',
+                    entityId: payment.id,
+                    action: 'VOID',
+                    before,
+                    after: { ...payment, reopenedDebts, creditReversed },
+                    reason: context.reason
+                });
+
+                return {
+                    success: true,
+                    message: 'Payment voided successfully',
+                    payment,
+                    summary: {
+                        debtsReopened: reopenedDebts,
+                        amountReopened: money.sum(reopenedDebts, debt => debt.amountReopened),
+                        creditReversed,
+                        newCreditBalance
+                    }
+                };
             });
         } catch (e) {
             throw e;
         }
     }
 
+    // Load a payment and its allocations before changing it, for the audit trail
+    static async findPaymentForChange(paymentId, userId, tx) {
+        const payment = await tx.payment.findFirst({
+            where: {
+                id: paymentId,
+                userId
+            },
+            include: { allocations: true }
+        });
+
+        if (!payment) {
+            throw new Error('Payment not found');
+        }
+
+        return payment;
+    }
+
     // Get payment analytics for user
     static async getPaymentAnalytics(userId) {
         try {
-            const totalPayments = await prisma.payment.count({
-                where: { userId }
-            });
+            // Voided payments never brought in money
+            const where = {
+                userId,
+                status: { not: 'VOIDED' }
+            };
+
+            const totalPayments = await prisma.payment.count({ where });
 
             const totalAmount = await prisma.payment.aggregate({
-                where: { userId },
+                where,
                 _sum: { amount: true }
             });
 
             // Payments by method
             const paymentsByMethod = await prisma.payment.groupBy({
                 by: ['paymentMethod'],
-                where: { userId },
+                where,
                 _sum: { amount: true },
                 _count: true
             });
@@ -297,7 +620,7 @@ class PaymentService {
     }
 
     // Apply credit balance to pay debts (without new payment)
-    static async applyCreditToDebts(customerId, userId, creditAmount = null) {
+    static async applyCreditToDebts(customerId, userId, creditAmount = null, context = {}) {
         try {
             return await prisma.$transaction(async (tx) => {
                 // Get customer with current credit balance
@@ -312,7 +635,7 @@ class PaymentService {
                     throw new Error('Customer not found');
                 }
 
-                if (customer.creditBalance <= 0) {
+                if (!money.isPositive(customer.creditBalance)) {
                     throw new Error('Customer has no credit balance');
                 }
 
@@ -330,12 +653,12 @@ class PaymentService {
                 }
 
                 // Calculate total debt
-                const totalDebt = unpaidDebts.reduce((sum, debt) => sum + debt.amount, 0);
+                const totalDebt = money.sum(unpaidDebts, debt => debt.amount);
 
                 // Determine how much credit to apply
                 const creditToApply = creditAmount ?
-                    Math.min(creditAmount, customer.creditBalance, totalDebt) :
-                    Math.min(customer.creditBalance, totalDebt);
+                    money.min(creditAmount, customer.creditBalance, totalDebt) :
+                    money.min(customer.creditBalance, totalDebt);
 
                 // Create a payment record for tracking (credit application)
                 const payment = await tx.payment.create({
@@ -344,7 +667,7 @@ class PaymentService {
                         userId,
                         amount: 0, // No new money received
                         appliedToDebt: creditToApply,
-                        creditAmount: -creditToApply, // Negative because credit was used
+                        creditAmount: money.subtract(0, creditToApply), // Negative because credit was used
                         paymentMethod: 'OTHER',
                         description: 'Credit balance applied to debts',
                         reference: 'CREDIT_APPLICATION'
@@ -357,11 +680,11 @@ class PaymentService {
                 const paymentAllocations = [];
 
                 for (const debt of unpaidDebts) {
-                    if (remainingCredit <= 0) {
+                    if (!money.isPositive(remainingCredit)) {
                         break;
                     }
 
-                    let amountToAllocate = Math.min(remainingCredit, debt.amount);
+                    let amountToAllocate = money.min(remainingCredit, debt.amount);
 
                     // Create payment allocation record
                     const allocation = await tx.paymentAllocation.create({
@@ -373,7 +696,15 @@ class PaymentService {
                     });
                     paymentAllocations.push(allocation);
 
-                    if (remainingCredit >= debt.amount) {
+                    // Keep the originating sale's paid amount in step
+                    if (debt.saleId) {
+                        await tx.sale.update({
+                            where: { id: debt.saleId },
+                            data: { paidAmount: { increment: amountToAllocate } }
+                        });
+                    }
+
+                    if (money.compare(remainingCredit, debt.amount) >= 0) {
                         // Credit covers this debt completely
                         await tx.debt.update({
                             where: { id: debt.id },
@@ -389,13 +720,13 @@ class PaymentService {
                             description: debt.description,
                             fullyPaid: true
                         });
-                        remainingCredit -= debt.amount;
+                        remainingCredit = money.subtract(remainingCredit, debt.amount);
                     } else {
                         // Credit partially covers this debt
                         await tx.debt.update({
                             where: { id: debt.id },
                             data: {
-                                amount: debt.amount - remainingCredit,
+                                amount: money.subtract(debt.amount, remainingCredit),
                                 updatedAt: new Date()
                             }
                         });
@@ -412,7 +743,7 @@ class PaymentService {
                 }
 
                 // Update customer's credit balance
-                const newCreditBalance = customer.creditBalance - creditToApply;
+                const newCreditBalance = money.subtract(customer.creditBalance, creditToApply);
                 await tx.customer.update({
                     where: { id: customerId },
                     data: {
@@ -426,13 +757,34 @@ class PaymentService {
                     data: {
                         customerId,
                         userId,
-                        amount: -creditToApply, // Negative because credit was used
+                        amount: money.subtract(0, creditToApply), // Negative because credit was used
                         type: 'APPLIED_TO_DEBT',
                         description: 'Credit balance applied to debts',
                         relatedPaymentId: payment.id
                     }
                 });
 
+                await AuditService.log(tx, {
+                    userId,
+                    actorId: context.actorId,
+                    entity: 'PAYMENT',
+                    entityId: payment.id,
+                    action: 'CREATE',
+                    after: { ...payment, allocations: paymentAllocations },
+                    reason: context.reason
+                });
+
+                await AuditService.log(tx, {
+                    userId,
+                    actorId: context.actorId,
+                    entity: 'CREDIT',
+                    entityId: customerId,
+                    action: 'UPDATE',
+                    before: { creditBalance: customer.creditBalance },
+                    after: { creditBalance: newCreditBalance, paymentId: payment.id },
+                    reason: context.reason
+                });
+
                 // Get remaining debt after credit application
                 const remainingDebts = await tx.debt.findMany({
                     where: {
@@ -440,7 +792,7 @@ class PaymentService {
                         isPaid: false
                     }
                 });
-                const remainingDebtAmount = remainingDebts.reduce((sum, debt) => sum + debt.amount, 0);
+                const remainingDebtAmount = money.sum(remainingDebts, debt => debt.amount);
 
                 return {
                     success: true,
@@ -512,6 +864,9 @@ class PaymentService {
                 },
                 include: {
                     paymentAllocations: {
+                        where: {
+                            payment: { status: { not: 'VOIDED' } }
+                        },
                         include: {
                             payment: {
                                 select: {
@@ -541,8 +896,8 @@ class PaymentService {
             }
 
             // Calculate payment statistics
-            const totalPaid = debt.paymentAllocations.reduce((sum, allocation) => sum + allocation.amount, 0);
-            const percentagePaid = debt.originalAmount > 0 ? (totalPaid / debt.originalAmount * 100) : 0;
+            const totalPaid = money.sum(debt.paymentAllocations, allocation => allocation.amount);
+            const percentagePaid = money.percentage(totalPaid, debt.originalAmount);
             const remainingAmount = debt.amount;
 
             return {
@@ -553,7 +908,7 @@ class PaymentService {
                         originalAmount: debt.originalAmount,
                         totalPaid,
                         remainingAmount,
-                        percentagePaid: Math.round(percentagePaid * 100) / 100,
+                        percentagePaid,
                         isFullyPaid: debt.isPaid,
                         numberOfPayments: debt.paymentAllocations.length
                     }
@@ -576,6 +931,9 @@ class PaymentService {
                     debts: {
                         include: {
                             paymentAllocations: {
+                                where: {
+                                    payment: { status: { not: 'VOIDED' } }
+                                },
                                 select: {
                                     amount: true
                                 }
@@ -599,19 +957,17 @@ class PaymentService {
             const unpaidDebts = allDebts.filter(debt => !debt.isPaid);
             const paidDebts = allDebts.filter(debt => debt.isPaid);
 
-            const totalOriginalDebt = allDebts.reduce((sum, debt) => sum + debt.originalAmount, 0);
-            const totalRemainingDebt = unpaidDebts.reduce((sum, debt) => sum + debt.amount, 0);
-            const totalPaidAmount = allDebts.reduce((sum, debt) => {
-                const paidOnThisDebt = debt.paymentAllocations.reduce((paidSum, allocation) => paidSum + allocation.amount, 0);
-                return sum + paidOnThisDebt;
-            }, 0);
+            const totalOriginalDebt = money.sum(allDebts, debt => debt.originalAmount);
+            const totalRemainingDebt = money.sum(unpaidDebts, debt => debt.amount);
+            const totalPaidAmount = money.sum(allDebts, debt =>
+                money.sum(debt.paymentAllocations, allocation => allocation.amount));
 
-            const overallPercentagePaid = totalOriginalDebt > 0 ? (totalPaidAmount / totalOriginalDebt * 100) : 0;
+            const overallPercentagePaid = money.percentage(totalPaidAmount, totalOriginalDebt);
 
             // Prepare detailed debt list with payment percentages
             const debtsWithPercentages = allDebts.map(debt => {
-                const totalPaidOnDebt = debt.paymentAllocations.reduce((sum, allocation) => sum + allocation.amount, 0);
-                const percentagePaid = debt.originalAmount > 0 ? (totalPaidOnDebt / debt.originalAmount * 100) : 0;
+                const totalPaidOnDebt = money.sum(debt.paymentAllocations, allocation => allocation.amount);
+                const percentagePaid = money.percentage(totalPaidOnDebt, debt.originalAmount);
 
                 return {
                     id: debt.id,
@@ -619,7 +975,7 @@ class PaymentService {
                     originalAmount: debt.originalAmount,
                     remainingAmount: debt.amount,
                     totalPaid: totalPaidOnDebt,
-                    percentagePaid: Math.round(percentagePaid * 100) / 100,
+                    percentagePaid,
                     isPaid: debt.isPaid,
                     createdAt: debt.createdAt,
                     dueDate: debt.dueDate
@@ -641,7 +997,7 @@ class PaymentService {
                     totalOriginalDebt,
                     totalRemainingDebt,
                     totalPaidAmount,
-                    overallPercentagePaid: Math.round(overallPercentagePaid * 100) / 100,
+                    overallPercentagePaid,
                     creditBalance: customer.creditBalance
                 },
                 debts: debtsWithPercentages,
@@ -657,8 +1013,11 @@ class PaymentService {
         try {
             const { startDate, endDate, customerId } = filters;
 
-            // Build where clause
-            const where = { userId };
+            // Build where clause (voided payments never brought in money)
+            const where = {
+                userId,
+                status: { not: 'VOIDED' }
+            };
             if (startDate || endDate) {
                 where.createdAt = {};
                 if (startDate) where.createdAt.gte = new Date(startDate);
@@ -691,9 +1050,9 @@ class PaymentService {
 
             // Calculate analytics
             const totalPayments = payments.length;
-            const totalAmount = payments.reduce((sum, payment) => sum + payment.amount, 0);
-            const totalAppliedToDebt = payments.reduce((sum, payment) => sum + payment.appliedToDebt, 0);
-            const totalCreditAdded = payments.reduce((sum, payment) => sum + payment.creditAmount, 0);
+            const totalAmount = money.sum(payments, payment => payment.amount);
+            const totalAppliedToDebt = money.sum(payments, payment => payment.appliedToDebt);
+            const totalCreditAdded = money.sum(payments, payment => payment.creditAmount);
 
             // Payment method breakdown
             const paymentsByMethod = payments.reduce((acc, payment) => {
@@ -702,7 +1061,7 @@ class PaymentService {
                     acc[method] = { count: 0, amount: 0 };
                 }
                 acc[method].count++;
-                acc[method].amount += payment.amount;
+                acc[method].amount = money.add(acc[method].amount, payment.amount);
                 return acc;
             }, {});
 
@@ -720,7 +1079,7 @@ class PaymentService {
                     totalAmount,
                     totalAppliedToDebt,
                     totalCreditAdded,
-                    averagePayment: totalPayments > 0 ? totalAmount / totalPayments : 0,
+                    averagePayment: totalPayments > 0 ? money.round(totalAmount / totalPayments) : 0,
                     debtPaymentEffectiveness: {
                         totalDebtsAffected,
                         averageDebtsPerPayment: totalPayments > 0 ? totalDebtsAffected / totalPayments : 0
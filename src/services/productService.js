@@ -1,5 +1,9 @@
-const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
+const prisma = require('../utils/prisma');
+const money = require('../utils/money');
+const AuditService = require('./auditService');
+const InventoryService = require('./inventoryService');
+const LocationService = require('./locationService');
+const LotService = require('./lotService');
 
 /**
  * PRODUCT SERVICE MODULE
@@ -8,6 +12,17 @@ const prisma = new PrismaClient();
  */
 class ProductService {
 
+    // Lots expiring within this many days are flagged by the expiry alerts
+    static EXPIRY_WARNING_DAYS = 7;
+
+    // Inventory rows with the location each is held at
+    static inventoryInclude = {
+        inventoryItems: {
+            include: { stockLocation: { select: { id: true, name: true } } },
+            orderBy: { locationId: 'asc' }
+        }
+    };
+
     // Add a new product with optional initial inventory
     static async addProduct(data) {
         try {
@@ -20,9 +35,15 @@ class ProductService {
                 sku,
                 unit = "piece",
                 trackInventory = true,
+                trackLots = false,
                 initialStock = 0,
                 reorderLevel = 10,
-                userId
+                supplierId,
+                locationId,
+                lotNumber,
+                expiryDate,
+                userId,
+                actorId
             } = data;
 
             // Validate required fields
@@ -30,6 +51,13 @@ class ProductService {
                 throw new Error('Name, selling price, and user ID are required');
             }
 
+            if (trackLots && !trackInventory) {
+                throw new Error('Lot tracking requires inventory tracking');
+            }
+            const lot = LotService.parseLotDetails({ lotNumber, expiryDate });
+
+            const preferredSupplierId = await this.resolveSupplierId(supplierId, userId);
+
             // Check if SKU already exists for this user
             if (sku) {
                 const existingSku = await prisma.product.findFirst({
@@ -57,16 +85,20 @@ class ProductService {
                         sku,
                         unit,
                         trackInventory,
+                        trackLots,
+                        supplierId: preferredSupplierId,
                         userId
                     }
                 });
 
-                // Create inventory record if tracking is enabled
+                // Create inventory record at the chosen (or default) location if tracking is enabled
                 let inventory = null;
                 if (trackInventory) {
+                    const location = await LocationService.resolveLocation(tx, userId, locationId);
                     inventory = await tx.inventoryItem.create({
                         data: {
                             productId: product.id,
+                            locationId: location.id,
                             quantity: initialStock,
                             reorderLevel,
                             userId
@@ -74,12 +106,46 @@ class ProductService {
                     });
                 }
 
+                await AuditService.log(tx, {
+                    userId,
+                    actorId,
+                    entity: 'PRODUCT',
+                    entityId: product.id,
+                    action: 'CREATE',
+                    after: { ...product, inventory }
+                });
+
+                if (inventory && inventory.quantity > 0) {
+                    if (trackLots) {
+                        await LotService.addToLot(tx, {
+                            userId,
+                            productId: product.id,
+                            inventoryItemId: inventory.id,
+                            quantity: inventory.quantity,
+                            ...lot,
+                            unitCost: costPrice ?? null
+                        });
+                    }
+
+                    await InventoryService.recordMovement(tx, {
+                        userId,
+                        productId: product.id,
+                        inventoryItemId: inventory.id,
+                        type: 'COUNT',
+                        quantity: inventory.quantity,
+                        balance: inventory.quantity,
+                        unitCost: costPrice,
+                        actorId,
+                        reason: 'Opening stock'
+                    });
+                }
+
                 return { product, inventory };
             });
 
             // Calculate profit margin if cost price is provided
             const profitMargin = costPrice ?
-                ((sellingPrice - costPrice) / costPrice * 100) : null;
+                money.percentage(money.subtract(sellingPrice, costPrice), costPrice) : null;
 
             // Get current stock status
             const stockStatus = this.getStockStatus(
@@ -129,9 +195,7 @@ class ProductService {
             // Get products with inventory
             const products = await prisma.product.findMany({
                 where,
-                include: {
-                    inventoryItems: true
-                },
+                include: this.inventoryInclude,
                 orderBy: {
                     name: 'asc'
                 }
@@ -139,13 +203,10 @@ class ProductService {
 
             // Process products with stock information
             const processedProducts = products.map(product => {
-                const inventory = product.inventoryItems[0]; // One inventory per product per user
-                const currentStock = inventory?.quantity || 0;
-                const reorderLevel = inventory?.reorderLevel || 0;
-                const stockStatus = this.getStockStatus(currentStock, reorderLevel, product.trackInventory);
+                const { currentStock, reorderLevel, stockStatus, stockByLocation } = this.stockSummary(product);
 
                 const profitMargin = product.costPrice ?
-                    ((product.sellingPrice - product.costPrice) / product.costPrice * 100) : null;
+                    money.percentage(money.subtract(product.sellingPrice, product.costPrice), product.costPrice) : null;
 
                 return {
                     id: product.id,
@@ -157,9 +218,11 @@ class ProductService {
                     sku: product.sku,
                     unit: product.unit,
                     trackInventory: product.trackInventory,
+                    trackLots: product.trackLots,
                     currentStock,
                     reorderLevel,
                     stockStatus,
+                    stockByLocation,
                     profitMargin,
                     createdAt: product.createdAt,
                     updatedAt: product.updatedAt
@@ -177,8 +240,8 @@ class ProductService {
                 inStock: processedProducts.filter(p => p.stockStatus === 'IN_STOCK').length,
                 lowStock: processedProducts.filter(p => p.stockStatus === 'LOW_STOCK').length,
                 outOfStock: processedProducts.filter(p => p.stockStatus === 'OUT_OF_STOCK').length,
-                totalInventoryValue: processedProducts.reduce((sum, p) =>
-                    sum + (p.currentStock * (p.costPrice || 0)), 0)
+                totalInventoryValue: money.sum(processedProducts, p =>
+                    money.multiply(p.costPrice || 0, p.currentStock))
             };
 
             return {
@@ -201,7 +264,11 @@ class ProductService {
                     userId
                 },
                 include: {
-                    inventoryItems: true
+                    ...this.inventoryInclude,
+                    lots: {
+                        where: { quantity: { gt: 0 } },
+                        include: { inventoryItem: { select: { locationId: true } } }
+                    }
                 }
             });
 
@@ -209,22 +276,29 @@ class ProductService {
                 throw new Error('Product not found');
             }
 
-            const inventory = product.inventoryItems[0];
-            const currentStock = inventory?.quantity || 0;
-            const reorderLevel = inventory?.reorderLevel || 0;
-            const stockStatus = this.getStockStatus(currentStock, reorderLevel, product.trackInventory);
-
             const profitMargin = product.costPrice ?
-                ((product.sellingPrice - product.costPrice) / product.costPrice * 100) : null;
+                money.percentage(money.subtract(product.sellingPrice, product.costPrice), product.costPrice) : null;
+
+            // Lots still holding stock, in the order sales will take from them
+            const lots = product.trackLots ?
+                product.lots.sort((a, b) => LotService.fefoOrder(a, b)).map(lot => ({
+                    id: lot.id,
+                    lotNumber: lot.lotNumber,
+                    expiryDate: lot.expiryDate,
+                    unitCost: lot.unitCost,
+                    receivedQuantity: lot.receivedQuantity,
+                    quantity: lot.quantity,
+                    locationId: lot.inventoryItem.locationId,
+                    purchaseOrderId: lot.purchaseOrderId
+                })) : undefined;
 
             return {
                 success: true,
                 product: {
                     ...product,
-                    currentStock,
-                    reorderLevel,
-                    stockStatus,
+                    ...this.stockSummary(product),
                     profitMargin,
+                    lots,
                     inventoryItems: undefined // Remove the included inventory items
                 }
             };
@@ -235,7 +309,7 @@ class ProductService {
     }
 
     // Update product information
-    static async updateProduct(productId, userId, updateData) {
+    static async updateProduct(productId, userId, updateData, context = {}) {
         try {
             // Verify product exists and belongs to user
             const existingProduct = await prisma.product.findFirst({
@@ -264,31 +338,50 @@ class ProductService {
                 }
             }
 
+            if (updateData.supplierId !== undefined) {
+                updateData = { ...updateData, supplierId: await this.resolveSupplierId(updateData.supplierId, userId) };
+            }
+
+            if ((updateData.trackLots ?? existingProduct.trackLots) && !(updateData.trackInventory ?? existingProduct.trackInventory)) {
+                throw new Error('Lot tracking requires inventory tracking');
+            }
+
             // Update product
-            const updatedProduct = await prisma.product.update({
-                where: { id: productId },
-                data: updateData,
-                include: {
-                    inventoryItems: true
+            const updatedProduct = await prisma.$transaction(async (tx) => {
+                const product = await tx.product.update({
+                    where: { id: productId },
+                    data: updateData,
+                    include: this.inventoryInclude
+                });
+
+                // Stock already on hand goes into an undated lot when lot tracking is switched on
+                if (product.trackLots && !existingProduct.trackLots) {
+                    await LotService.reconcileLots(tx, product);
                 }
-            });
 
-            const inventory = updatedProduct.inventoryItems[0];
-            const currentStock = inventory?.quantity || 0;
-            const reorderLevel = inventory?.reorderLevel || 0;
-            const stockStatus = this.getStockStatus(currentStock, reorderLevel, updatedProduct.trackInventory);
+                await AuditService.log(tx, {
+                    userId,
+                    actorId: context.actorId,
+                    entity: 'PRODUCT',
+                    entityId: productId,
+                    action: 'UPDATE',
+                    before: existingProduct,
+                    after: { ...product, inventoryItems: undefined },
+                    reason: context.reason
+                });
+
+                return product;
+            });
 
             const profitMargin = updatedProduct.costPrice ?
-                ((updatedProduct.sellingPrice - updatedProduct.costPrice) / updatedProduct.costPrice * 100) : null;
+                money.percentage(money.subtract(updatedProduct.sellingPrice, updatedProduct.costPrice), updatedProduct.costPrice) : null;
 
             return {
                 success: true,
                 message: 'Product updated successfully',
                 product: {
                     ...updatedProduct,
-                    currentStock,
-                    reorderLevel,
-                    stockStatus,
+                    ...this.stockSummary(updatedProduct),
                     profitMargin,
                     inventoryItems: undefined
                 }
@@ -300,9 +393,9 @@ class ProductService {
     }
 
     // Update inventory levels
-    static async updateInventory(productId, userId, inventoryData) {
+    static async updateInventory(productId, userId, inventoryData, context = {}) {
         try {
-            const { quantity, reorderLevel, operation = 'SET' } = inventoryData;
+            const { quantity, reorderLevel, operation = 'SET', locationId } = inventoryData;
 
             // Verify product exists and belongs to user
             const product = await prisma.product.findFirst({
@@ -320,44 +413,94 @@ class ProductService {
                 throw new Error('Inventory tracking is not enabled for this product');
             }
 
-            // Get current inventory
+            // Stock added to a lot-tracked product goes into the lot it is sent with
+            const lot = LotService.parseLotDetails(inventoryData);
+
+            const location = await LocationService.resolveLocation(prisma, userId, locationId);
+
+            // Get current inventory at the location
             const currentInventory = await prisma.inventoryItem.findFirst({
                 where: {
                     productId,
-                    userId
+                    userId,
+                    locationId: location.id
                 }
             });
 
-            if (!currentInventory) {
-                throw new Error('Inventory record not found');
-            }
+            // Lock the row first, so the new quantity and its ledger entry are worked out
+            // from the stock at write time rather than the value read above
+            const { previous, updatedInventory } = await prisma.$transaction(async (tx) => {
+                // First stock of this product at the location
+                const inventoryId = currentInventory?.id ?? (await this.inventoryAt(tx, productId, userId, location.id)).id;
+                const previous = await this.lockInventory(tx, inventoryId);
+
+                let newQuantity;
+                switch (operation) {
+                    case 'ADD':
+                        newQuantity = previous.quantity + quantity;
+                        break;
+                    case 'SUBTRACT':
+                        newQuantity = Math.max(0, previous.quantity - quantity);
+                        break;
+                    case 'SET':
+                    default:
+                        newQuantity = quantity;
+                        break;
+                }
 
-            // Calculate new quantity based on operation
-            let newQuantity;
-            switch (operation) {
-                case 'ADD':
-                    newQuantity = currentInventory.quantity + quantity;
-                    break;
-                case 'SUBTRACT':
-                    newQuantity = Math.max(0, currentInventory.quantity - quantity);
-                    break;
-                case 'SET':
-                default:
-                    newQuantity = quantity;
-                    break;
-            }
+                const inventory = await tx.inventoryItem.update({
+                    where: {
+                        id: inventoryId
+                    },
+                    data: {
+                        quantity: newQuantity,
+                        ...(reorderLevel !== undefined && { reorderLevel })
+                    }
+                });
 
-            // Update inventory
-            const updatedInventory = await prisma.inventoryItem.update({
-                where: {
-                    id: currentInventory.id
-                },
-                data: {
-                    quantity: newQuantity,
-                    ...(reorderLevel !== undefined && { reorderLevel })
+                const entry = await AuditService.log(tx, {
+                    userId,
+                    actorId: context.actorId,
+                    entity: 'INVENTORY',
+                    entityId: inventory.id,
+                    action: 'UPDATE',
+                    before: previous,
+                    after: { ...inventory, operation },
+                    reason: context.reason
+                });
+
+                if (product.trackLots && newQuantity > previous.quantity) {
+                    await LotService.addToLot(tx, {
+                        userId,
+                        productId,
+                        inventoryItemId: inventory.id,
+                        quantity: newQuantity - previous.quantity,
+                        ...lot,
+                        unitCost: product.costPrice
+                    });
+                } else if (product.trackLots && newQuantity < previous.quantity) {
+                    await LotService.takeFefo(tx, inventory.id, previous.quantity - newQuantity);
                 }
+
+                if (newQuantity !== previous.quantity) {
+                    await InventoryService.recordMovement(tx, {
+                        userId,
+                        productId,
+                        inventoryItemId: inventory.id,
+                        type: 'ADJUSTMENT',
+                        quantity: newQuantity - previous.quantity,
+                        balance: newQuantity,
+                        unitCost: product.costPrice,
+                        actorId: context.actorId,
+                        auditLogId: entry.id,
+                        reason: context.reason
+                    });
+                }
+
+                return { previous, updatedInventory: inventory };
             });
 
+            const newQuantity = updatedInventory.quantity;
             const stockStatus = this.getStockStatus(newQuantity, updatedInventory.reorderLevel, true);
 
             return {
@@ -365,7 +508,9 @@ class ProductService {
                 message: 'Inventory updated successfully',
                 inventory: {
                     productId,
-                    previousQuantity: currentInventory.quantity,
+                    locationId: location.id,
+                    locationName: location.name,
+                    previousQuantity: previous.quantity,
                     newQuantity,
                     reorderLevel: updatedInventory.reorderLevel,
                     stockStatus,
@@ -378,6 +523,96 @@ class ProductService {
         }
     }
 
+    // Take stock out only if enough is left, in a single conditional UPDATE so
+    // concurrent sales cannot both pass the check. Returns null when short
+    static async deductStock(tx, inventoryId, quantity) {
+        const { count } = await tx.inventoryItem.updateMany({
+            where: { id: inventoryId, quantity: { gte: quantity } },
+            data: { quantity: { decrement: quantity } }
+        });
+
+        if (count === 0) {
+            return null;
+        }
+
+        const inventory = await tx.inventoryItem.findUnique({ where: { id: inventoryId } });
+        return {
+            previousStock: inventory.quantity + quantity,
+            newStock: inventory.quantity
+        };
+    }
+
+    // Check a preferred supplier belongs to the shop; null or omitted means none
+    static async resolveSupplierId(supplierId, userId) {
+        if (supplierId === undefined || supplierId === null) {
+            return null;
+        }
+
+        const supplier = await prisma.supplier.findFirst({
+            where: { id: parseInt(supplierId), userId },
+            select: { id: true }
+        });
+
+        if (!supplier) {
+            throw new Error('Supplier not found');
+        }
+
+        return supplier.id;
+    }
+
+    // The product's inventory row at a location, created empty the first time stock goes there
+    static async inventoryAt(tx, productId, userId, locationId) {
+        return tx.inventoryItem.upsert({
+            where: { productId_locationId: { productId, locationId } },
+            create: { productId, locationId, userId, quantity: 0 },
+            update: {}
+        });
+    }
+
+    // Take the row lock on an inventory item for the rest of the transaction
+    // and return its current state
+    static async lockInventory(tx, inventoryId) {
+        return tx.inventoryItem.update({
+            where: { id: inventoryId },
+            data: { quantity: { increment: 0 } }
+        });
+    }
+
+    // Take the row locks on all of a product's inventory, for changes that
+    // depend on its stock across the shop
+    static async lockProductInventory(tx, productId) {
+        return tx.inventoryItem.updateMany({
+            where: { productId },
+            data: { quantity: { increment: 0 } }
+        });
+    }
+
+    // Current stock, for the message when a deduction came up short
+    static async availableStock(tx, inventoryId) {
+        const inventory = await tx.inventoryItem.findUnique({ where: { id: inventoryId } });
+        return inventory?.quantity || 0;
+    }
+
+    // Stock across all locations, with each location's share
+    static stockSummary(product) {
+        const items = product.inventoryItems || [];
+        const currentStock = items.reduce((total, item) => total + item.quantity, 0);
+        const reorderLevel = items.reduce((total, item) => total + (item.reorderLevel || 0), 0);
+
+        return {
+            currentStock,
+            reorderLevel,
+            stockStatus: this.getStockStatus(currentStock, reorderLevel, product.trackInventory),
+            stockByLocation: items.map(item => ({
+                locationId: item.locationId,
+                locationName: item.stockLocation?.name,
+                quantity: item.quantity,
+                reorderLevel: item.reorderLevel,
+                stockStatus: this.getStockStatus(item.quantity, item.reorderLevel || 0, product.trackInventory)
+            }))
+        };
+    }
+
     // Helper method to determine stock status
     static getStockStatus(currentStock, reorderLevel, trackInventory) {
         if (!trackInventory) {
@@ -393,57 +628,60 @@ class ProductService {
         }
     }
 
-    // Get inventory alerts for low/out of stock items
-    static async getInventoryAlerts(userId) {
+    // Get inventory alerts for low/out of stock items, one per product per location,
+    // and for lots that have expired or expire soon
+    static async getInventoryAlerts(userId, { locationId, days } = {}) {
         try {
-            const products = await prisma.product.findMany({
+            const items = await prisma.inventoryItem.findMany({
                 where: {
                     userId,
-                    trackInventory: true
+                    product: { trackInventory: true },
+                    stockLocation: { isActive: true },
+                    ...(locationId && { locationId: parseInt(locationId) })
                 },
                 include: {
-                    inventoryItems: true
+                    product: { select: { id: true, name: true, category: true } },
+                    stockLocation: { select: { id: true, name: true } }
                 }
             });
 
             const lowStock = [];
             const outOfStock = [];
 
-            products.forEach(product => {
-                const inventory = product.inventoryItems[0];
-                if (!inventory) return;
-
+            items.forEach(inventory => {
                 const currentStock = inventory.quantity;
                 const reorderLevel = inventory.reorderLevel;
+                const alert = {
+                    productId: inventory.product.id,
+                    name: inventory.product.name,
+                    category: inventory.product.category,
+                    locationId: inventory.stockLocation.id,
+                    locationName: inventory.stockLocation.name,
+                    currentStock,
+                    reorderLevel
+                };
 
                 if (currentStock === 0) {
-                    outOfStock.push({
-                        productId: product.id,
-                        name: product.name,
-                        category: product.category,
-                        currentStock,
-                        reorderLevel,
-                        status: 'OUT_OF_STOCK'
-                    });
+                    outOfStock.push({ ...alert, status: 'OUT_OF_STOCK' });
                 } else if (currentStock <= reorderLevel) {
                     lowStock.push({
-                        productId: product.id,
-                        name: product.name,
-                        category: product.category,
-                        currentStock,
-                        reorderLevel,
+                        ...alert,
                         status: 'LOW_STOCK',
                         suggestedOrderQuantity: Math.max(50, reorderLevel * 2)
                     });
                 }
             });
 
+            const { lots } = await this.getExpiringLots(userId, { locationId, days });
+
             return {
                 success: true,
                 alerts: {
                     lowStock,
                     outOfStock,
-                    totalAlerts: lowStock.length + outOfStock.length
+                    expired: lots.expired,
+                    expiringSoon: lots.expiringSoon,
+                    totalAlerts: lowStock.length + outOfStock.length + lots.expired.length + lots.expiringSoon.length
                 }
             };
 
@@ -452,9 +690,220 @@ class ProductService {
         }
     }
 
+    // Get lots with stock left that have expired or expire within `days`, earliest first
+    static async getExpiringLots(userId, { locationId, days } = {}) {
+        try {
+            const windowDays = days === undefined || days === null || days === '' ?
+                this.EXPIRY_WARNING_DAYS : Number(days);
+            if (!Number.isInteger(windowDays) || windowDays < 0) {
+                throw new Error('Days must be a whole number of zero or more');
+            }
+
+            const now = new Date();
+            const cutoff = new Date(now.getTime() + windowDays * 24 * 60 * 60 * 1000);
+
+            const found = await prisma.inventoryLot.findMany({
+                where: {
+                    userId,
+                    quantity: { gt: 0 },
+                    expiryDate: { lte: cutoff },
+                    product: { trackLots: true },
+                    inventoryItem: {
+                        stockLocation: { isActive: true },
+                        ...(locationId && { locationId: parseInt(locationId) })
+                    }
+                },
+                include: {
+                    product: { select: { id: true, name: true, category: true, costPrice: true } },
+                    inventoryItem: { select: { stockLocation: { select: { id: true, name: true } } } }
+                },
+                orderBy: { expiryDate: 'asc' }
+            });
+
+            const expired = [];
+            const expiringSoon = [];
+
+            found.forEach(lot => {
+                const alert = {
+                    lotId: lot.id,
+                    lotNumber: lot.lotNumber,
+                    productId: lot.product.id,
+                    name: lot.product.name,
+                    category: lot.product.category,
+                    locationId: lot.inventoryItem.stockLocation.id,
+                    locationName: lot.inventoryItem.stockLocation.name,
+                    quantity: lot.quantity,
+                    expiryDate: lot.expiryDate,
+                    daysToExpiry: Math.ceil((lot.expiryDate - now) / (24 * 60 * 60 * 1000)),
+                    stockValue: money.multiply(lot.unitCost ?? lot.product.costPrice ?? 0, lot.quantity)
+                };
+
+                if (lot.expiryDate <= now) {
+                    expired.push({ ...alert, status: 'EXPIRED' });
+                } else {
+                    expiringSoon.push({ ...alert, status: 'EXPIRING_SOON' });
+                }
+            });
+
+            return {
+                success: true,
+                days: windowDays,
+                lots: {
+                    expired,
+                    expiringSoon
+                },
+                summary: {
+                    expiredLots: expired.length,
+                    expiredUnits: expired.reduce((total, lot) => total + lot.quantity, 0),
+                    expiredValue: money.sum(expired, lot => lot.stockValue),
+                    expiringLots: expiringSoon.length,
+                    expiringUnits: expiringSoon.reduce((total, lot) => total + lot.quantity, 0),
+                    expiringValue: money.sum(expiringSoon, lot => lot.stockValue)
+                }
+            };
+
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    // Write off what is left of expired lots: the chosen lotIds, or every expired lot
+    // (at one location if given). Each lot comes off its inventory item as an ADJUSTMENT
+    static async writeOffExpiredLots(userId, { lotIds, locationId, actorId, reason } = {}) {
+        try {
+            if (lotIds !== undefined && (!Array.isArray(lotIds) || lotIds.length === 0)) {
+                throw new Error('lotIds must be a non-empty array');
+            }
+
+            return await prisma.$transaction(async (tx) => {
+                const now = new Date();
+                const where = { userId, quantity: { gt: 0 } };
+                if (lotIds) {
+                    where.id = { in: lotIds.map(id => parseInt(id)) };
+                } else {
+                    where.expiryDate = { lte: now };
+                    if (locationId) {
+                        where.inventoryItem = { locationId: parseInt(locationId) };
+                    }
+                }
+
+                const lots = await tx.inventoryLot.findMany({
+                    where,
+                    include: {
+                        product: { select: { id: true, name: true, costPrice: true } },
+                        inventoryItem: { select: { stockLocation: { select: { id: true, name: true } } } }
+                    },
+                    orderBy: { expiryDate: 'asc' }
+                });
+
+                if (lotIds) {
+                    for (const id of lotIds.map(id => parseInt(id))) {
+                        const lot = lots.find(l => l.id === id);
+                        if (!lot) {
+                            throw new Error(`Lot with ID ${id} not found or already empty`);
+                        }
+                        if (!lot.expiryDate || lot.expiryDate > now) {
+                            throw new Error(`Lot ${lot.lotNumber || lot.id} of ${lot.product.name} has not expired`);
+                        }
+                    }
+                }
+
+                if (lots.length === 0) {
+                    throw new Error('No expired lots to write off');
+                }
+
+                const writtenOff = [];
+                for (const found of lots) {
+                    // Lock the item, then read the lot again: a sale may have taken from it since
+                    const previous = await this.lockInventory(tx, found.inventoryItemId);
+                    const lot = await tx.inventoryLot.findUnique({ where: { id: found.id } });
+                    if (lot.quantity <= 0) continue;
+
+                    await tx.inventoryLot.update({
+                        where: { id: lot.id },
+                        data: { quantity: 0 }
+                    });
+
+                    const newQuantity = Math.max(0, previous.quantity - lot.quantity);
+                    const inventory = await tx.inventoryItem.update({
+                        where: { id: previous.id },
+                        data: { quantity: newQuantity }
+                    });
+
+                    const lotName = lot.lotNumber || `#${lot.id}`;
+                    const writeOffReason = `Expired lot ${lotName} written off${reason ? `: ${reason}` : ''}`;
+                    const entry = await AuditService.log(tx, {
+                        userId,
+                        actorId,
+                        entity: 'INVENTORY',
+                        entityId: inventory.id,
+                        action: 'UPDATE',
+                        before: previous,
+                        after: { ...inventory, lotId: lot.id, operation: 'WRITE_OFF' },
+                        reason: writeOffReason
+                    });
+
+                    const unitCost = lot.unitCost ?? found.product.costPrice;
+                    if (newQuantity !== previous.quantity) {
+                        await InventoryService.recordMovement(tx, {
+                            userId,
+                            productId: lot.productId,
+                            inventoryItemId: inventory.id,
+                            type: 'ADJUSTMENT',
+                            quantity: newQuantity - previous.quantity,
+                            balance: newQuantity,
+                            unitCost,
+                            actorId,
+                            auditLogId: entry.id,
+                            reason: writeOffReason
+                        });
+                    }
+
+                    writtenOff.push({
+                        lotId: lot.id,
+                        lotNumber: lot.lotNumber,
+                        productId: lot.productId,
+                        name: found.product.name,
+                        locationId: found.inventoryItem.stockLocation.id,
+                        locationName: found.inventoryItem.stockLocation.name,
+                        expiryDate: lot.expiryDate,
+                        quantity: lot.quantity,
+                        newStock: newQuantity,
+                        stockValue: money.multiply(unitCost ?? 0, lot.quantity)
+                    });
+                }
+
+                return {
+                    success: true,
+                    message: `${writtenOff.length} expired lot(s) written off`,
+                    lots: writtenOff,
+                    totalUnits: writtenOff.reduce((total, lot) => total + lot.quantity, 0),
+                    writtenOffValue: money.sum(writtenOff, lot => lot.stockValue)
+                };
+            });
+
+        } catch (error) {
+            throw error;
+        }
+    }
+
     // Delete a product (only if no sales history)
-    static async deleteProduct(productId, userId) {
+    static async deleteProduct(productId, userId, context = {}) {
         try {
+            const product = await prisma.product.findFirst({
+                where: {
+                    id: productId,
+                    userId
+                },
+                include: {
+                    inventoryItems: true
+                }
+            });
+
+            if (!product) {
+                throw new Error('Product not found');
+            }
+
             // Check if product has any sales history
             const salesCount = await prisma.saleItem.count({
                 where: {
@@ -485,6 +934,16 @@ class ProductService {
                         id: productId
                     }
                 });
+
+                await AuditService.log(tx, {
+                    userId,
+                    actorId: context.actorId,
+                    entity: 'PRODUCT',
+                    entityId: productId,
+                    action: 'DELETE',
+                    before: product,
+                    reason: context.reason
+                });
             });
 
             return {
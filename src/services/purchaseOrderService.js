@@ -0,0 +1,563 @@
+const prisma = require('../utils/prisma');
+const money = require('../utils/money');
+const AuditService = require('./auditService');
+const InventoryService = require('./inventoryService');
+const LocationService = require('./locationService');
+const LotService = require('./lotService');
+const ProductService = require('./productService');
+const SequenceService = require('./sequenceService');
+const SupplierService = require('./supplierService');
+
+/**
+ * PURCHASE ORDER SERVICE MODULE
+ * Orders to suppliers: drafted, placed, then received over one or more deliveries
+ * Receiving adds the goods to stock, updates each product's cost price using
+ * the shop's costing method and records what is owed to the supplier
+ */
+class PurchaseOrderService {
+
+    static STATUSES = ['DRAFT', 'ORDERED', 'PARTIALLY_RECEIVED', 'RECEIVED', 'CANCELLED'];
+
+    // Statuses goods can still be received in
+    static RECEIVABLE_STATUSES = ['ORDERED', 'PARTIALLY_RECEIVED'];
+
+    // Draft a purchase order
+    static async createPurchaseOrder(userId, data) {
+        try {
+            const { supplierId, items, expectedAt, notes, actorId } = data;
+
+            const supplier = await this.getOrderableSupplier(supplierId, userId);
+            const lines = await this.buildItems(userId, items);
+
+            return await prisma.$transaction(tx => this.createDraft(tx, userId, {
+                supplier,
+                lines,
+                expectedAt,
+                notes,
+                actorId
+            }));
+        } catch (e) {
+            throw e;
+        }
+    }
+
+    // Number and save a draft from validated lines; pass the transaction client
+    static async createDraft(tx, userId, { supplier, lines, expectedAt, notes, actorId }) {
+        const sequence = await SequenceService.next(tx, userId, 'PURCHASE_ORDER');
+
+        const order = await tx.purchaseOrder.create({
+            data: {
+                userId,
+                supplierId: supplier.id,
+                orderNumber: `PO-${String(sequence).padStart(6, '0')}`,
+                expectedAt: expectedAt ? new Date(expectedAt) : null,
+                totalAmount: money.sum(lines, line => money.multiply(line.unitCost, line.quantity)),
+                notes: notes || null,
+                createdBy: actorId ?? null,
+                items: { create: lines }
+            },
+            include: { items: true }
+        });
+
+        await AuditService.log(tx, {
+            userId,
+            actorId,
+            entity: 'PURCHASE_ORDER',
+            entityId: order.id,
+            action: 'CREATE',
+            after: order
+        });
+
+        return order;
+    }
+
+    // Change a draft's supplier, items, expected date or notes
+    static async updatePurchaseOrder(orderId, userId, data) {
+        try {
+            const { supplierId, items, expectedAt, notes, actorId } = data;
+
+            const order = await this.getOrder(orderId, userId);
+            if (order.status !== 'DRAFT') {
+                throw new Error('Only draft purchase orders can be changed');
+            }
+
+            const update = {};
+            if (supplierId !== undefined) {
+                update.supplierId = (await this.getOrderableSupplier(supplierId, userId)).id;
+            }
+            if (expectedAt !== undefined) {
+                update.expectedAt = expectedAt ? new Date(expectedAt) : null;
+            }
+            if (notes !== undefined) {
+                update.notes = notes || null;
+            }
+
+            const lines = items !== undefined ? await this.buildItems(userId, items) : null;
+            if (lines) {
+                update.totalAmount = money.sum(lines, line => money.multiply(line.unitCost, line.quantity));
+            }
+
+            return await prisma.$transaction(async (tx) => {
+                // Guard on the status so an order placed meanwhile is left alone
+                const { count } = await tx.purchaseOrder.updateMany({
+                    where: { id: orderId, status: 'DRAFT' },
+                    data: update
+                });
+                if (count === 0) {
+                    throw new Error('Only draft purchase orders can be changed');
+                }
+
+                if (lines) {
+                    await tx.purchaseOrderItem.deleteMany({ where: { purchaseOrderId: orderId } });
+                    await tx.purchaseOrderItem.createMany({
+                        data: lines.map(line => ({ ...line, purchaseOrderId: orderId }))
+                    });
+                }
+
+                const updated = await tx.purchaseOrder.findUnique({
+                    where: { id: orderId },
+                    include: { items: true }
+                });
+
+                await AuditService.log(tx, {
+                    userId,
+                    actorId,
+                    entity: 'PURCHASE_ORDER',
+                    entityId: orderId,
+                    action: 'UPDATE',
+                    before: order,
+                    after: updated
+                });
+
+                return updated;
+            });
+        } catch (e) {
+            throw e;
+        }
+    }
+
+    // Place a draft with the supplier
+    static async placeOrder(orderId, userId, { actorId } = {}) {
+        try {
+            const order = await this.getOrder(orderId, userId);
+
+            return await prisma.$transaction(async (tx) => {
+                const { count } = await tx.purchaseOrder.updateMany({
+                    where: { id: orderId, status: 'DRAFT' },
+                    data: { status: 'ORDERED', orderedAt: new Date() }
+                });
+                if (count === 0) {
+                    throw new Error('Only draft purchase orders can be placed');
+                }
+
+                const updated = await tx.purchaseOrder.findUnique({ where: { id: orderId } });
+
+                await AuditService.log(tx, {
+                    userId,
+                    actorId,
+                    entity: 'PURCHASE_ORDER',
+                    entityId: orderId,
+                    action: 'UPDATE',
+                    before: order,
+                    after: updated
+                });
+
+                return updated;
+            });
+        } catch (e) {
+            throw e;
+        }
+    }
+
+    // Cancel an order none of whose goods have arrived
+    static async cancelPurchaseOrder(orderId, userId, { actorId, reason } = {}) {
+        try {
+            const order = await this.getOrder(orderId, userId);
+
+            return await prisma.$transaction(async (tx) => {
+                const { count } = await tx.purchaseOrder.updateMany({
+                    where: { id: orderId, status: { in: ['DRAFT', 'ORDERED'] } },
+                    data: { status: 'CANCELLED', cancelledAt: new Date() }
+                });
+                if (count === 0) {
+                    throw new Error('Only draft or ordered purchase orders with nothing received can be cancelled');
+                }
+
+                const updated = await tx.purchaseOrder.findUnique({ where: { id: orderId } });
+
+                await AuditService.log(tx, {
+                    userId,
+                    actorId,
+                    entity: 'PURCHASE_ORDER',
+                    entityId: orderId,
+                    action: 'CANCEL',
+                    before: order,
+                    after: updated,
+                    reason
+                });
+
+                return updated;
+            });
+        } catch (e) {
+            throw e;
+        }
+    }
+
+    // Receive a delivery: [{ productId, quantity, unitCost?, lotNumber?, expiryDate? }], unitCost defaulting
+    // to the ordered price, into locationId or the default location. Lot details are kept for lot-tracked products
+    static async receiveGoods(orderId, userId, data) {
+        try {
+            const { items, actorId, notes, locationId } = data;
+
+            if (!Array.isArray(items) || items.length === 0) {
+                throw new Error('At least one received item is required');
+            }
+
+            const shop = await prisma.shop.findUnique({
+                where: { ownerId: userId },
+                select: { costingMethod: true }
+            });
+            const costingMethod = shop?.costingMethod || 'WEIGHTED_AVERAGE';
+
+            return await prisma.$transaction(async (tx) => {
+                const order = await tx.purchaseOrder.findFirst({
+                    where: { id: orderId, userId },
+                    include: { items: true, supplier: true }
+                });
+
+                if (!order) {
+                    throw new Error('Purchase order not found');
+                }
+                if (!this.RECEIVABLE_STATUSES.includes(order.status)) {
+                    throw new Error(`Cannot receive goods on a ${order.status.toLowerCase().replace('_', ' ')} purchase order`);
+                }
+
+                const location = await LocationService.resolveLocation(tx, userId, locationId);
+
+                const received = [];
+                for (const line of items) {
+                    const item = order.items.find(orderItem => orderItem.productId === parseInt(line.productId));
+                    if (!item) {
+                        throw new Error(`Product ${line.productId} is not on this purchase order`);
+                    }
+
+                    const quantity = Number(line.quantity);
+                    if (!Number.isInteger(quantity) || quantity <= 0) {
+                        throw new Error('Received quantity must be a whole number greater than zero');
+                    }
+
+                    const unitCost = line.unitCost !== undefined && line.unitCost !== null ?
+                        money.round(line.unitCost) : item.unitCost;
+                    if (money.compare(unitCost, 0) < 0) {
+                        throw new Error('Unit cost cannot be negative');
+                    }
+                    const lot = LotService.parseLotDetails(line);
+
+                    // Never receive more than was ordered, even with two deliveries booked at once
+                    const { count } = await tx.purchaseOrderItem.updateMany({
+                        where: { id: item.id, receivedQuantity: { lte: item.quantity - quantity } },
+                        data: { receivedQuantity: { increment: quantity } }
+                    });
+                    if (count === 0) {
+                        const current = await tx.purchaseOrderItem.findUnique({ where: { id: item.id } });
+                        throw new Error(`Cannot receive ${quantity} of product ${item.productId}: only ${current.quantity - current.receivedQuantity} outstanding`);
+                    }
+
+                    received.push(await this.receiveItem(tx, {
+                        userId,
+                        order,
+                        productId: item.productId,
+                        quantity,
+                        unitCost,
+                        costingMethod,
+                        location,
+                        lot,
+                        actorId
+                    }));
+                }
+
+                const amount = money.sum(received, line => line.amount);
+                const orderItems = await tx.purchaseOrderItem.findMany({ where: { purchaseOrderId: orderId } });
+                const complete = orderItems.every(orderItem => orderItem.receivedQuantity >= orderItem.quantity);
+
+                const updated = await tx.purchaseOrder.update({
+                    where: { id: orderId },
+                    data: {
+                        status: complete ? 'RECEIVED' : 'PARTIALLY_RECEIVED',
+                        receivedAmount: { increment: amount },
+                        ...(complete && { receivedAt: new Date() })
+                    },
+                    include: { items: true }
+                });
+
+                const payable = money.isPositive(amount) ? await SupplierService.createPayable(tx, {
+                    supplier: order.supplier,
+                    userId,
+                    purchaseOrderId: orderId,
+                    amount,
+                    description: `Goods received on ${order.orderNumber}`
+                }) : null;
+
+                const { supplier, ...before } = order;
+                await AuditService.log(tx, {
+                    userId,
+                    actorId,
+                    entity: 'PURCHASE_ORDER',
+                    entityId: orderId,
+                    action: 'UPDATE',
+                    before,
+                    after: { ...updated, locationId: location.id, received, payableId: payable?.id },
+                    reason: notes
+                });
+
+                return {
+                    success: true,
+                    purchaseOrder: updated,
+                    location: { id: location.id, name: location.name },
+                    received,
+                    payable
+                };
+            });
+        } catch (e) {
+            throw e;
+        }
+    }
+
+    // Add one received line to stock at the location and reprice the product
+    static async receiveItem(tx, { userId, order, productId, quantity, unitCost, costingMethod, location, lot, actorId }) {
+        const query = {
+            where: { id: productId, userId },
+            include: { inventoryItems: true }
+        };
+        const found = await tx.product.findFirst(query);
+        if (!found) {
+            throw new Error(`Product with ID ${productId} not found`);
+        }
+
+        const inventoryId = !found.trackInventory ? null :
+            (found.inventoryItems.find(item => item.locationId === location.id) ||
+                await ProductService.inventoryAt(tx, productId, userId, location.id)).id;
+
+        // The cost is averaged over stock at every location, so lock all of it before reading
+        // the cost and quantities: a concurrent sale, transfer or delivery of the product waits
+        if (inventoryId) {
+            await ProductService.lockProductInventory(tx, productId);
+        }
+        const product = await tx.product.findFirst(query);
+        const inventory = inventoryId && product.inventoryItems.find(item => item.id === inventoryId);
+
+        const onHand = !inventory ? 0 :
+            product.inventoryItems.reduce((total, item) => total + item.quantity, 0);
+        const costPrice = this.nextCostPrice(costingMethod, {
+            onHand,
+            currentCost: product.costPrice,
+            quantity,
+            unitCost
+        });
+
+        await tx.product.update({
+            where: { id: productId },
+            data: { costPrice }
+        });
+
+        let newStock = null;
+        if (inventory) {
+            const updated = await tx.inventoryItem.update({
+                where: { id: inventory.id },
+                data: { quantity: { increment: quantity } }
+            });
+            newStock = updated.quantity;
+
+            if (product.trackLots) {
+                await LotService.addToLot(tx, {
+                    userId,
+                    productId,
+                    inventoryItemId: inventory.id,
+                    quantity,
+                    ...lot,
+                    unitCost,
+                    purchaseOrderId: order.id
+                });
+            }
+
+            await InventoryService.recordMovement(tx, {
+                userId,
+                productId,
+                inventoryItemId: inventory.id,
+                type: 'PURCHASE',
+                quantity,
+                balance: newStock,
+                unitCost,
+                actorId,
+                purchaseOrderId: order.id,
+                reason: order.orderNumber
+            });
+        }
+
+        return {
+            productId,
+            productName: product.name,
+            quantity,
+            unitCost,
+            amount: money.multiply(unitCost, quantity),
+            previousCostPrice: product.costPrice,
+            costPrice,
+            newStock,
+            ...(product.trackLots && lot)
+        };
+    }
+
+    // Cost price after receiving `quantity` units at `unitCost`. Weighted average blends
+    // them with the stock on hand; without stock or a known cost it is the new cost
+    static nextCostPrice(costingMethod, { onHand, currentCost, quantity, unitCost }) {
+        if (costingMethod === 'LAST_COST' || currentCost === null || currentCost === undefined || onHand <= 0) {
+            return money.round(unitCost);
+        }
+
+        const totalValue = money.add(money.multiply(currentCost, onHand), money.multiply(unitCost, quantity));
+        return money.multiply(totalValue, 1 / (onHand + quantity));
+    }
+
+    // Get purchase orders with optional status and supplier filters
+    static async getPurchaseOrders(userId, filters = {}) {
+        try {
+            const {
+                status,
+                supplierId,
+                page = 1,
+                limit = 50
+            } = filters;
+
+            const where = { userId };
+            if (status) where.status = status;
+            if (supplierId) where.supplierId = parseInt(supplierId);
+
+            const totalItems = await prisma.purchaseOrder.count({ where });
+            const totalPages = Math.ceil(totalItems / limit);
+            const offset = (page - 1) * limit;
+
+            const purchaseOrders = await prisma.purchaseOrder.findMany({
+                where,
+                include: {
+                    supplier: { select: { id: true, name: true } },
+                    _count: { select: { items: true } }
+                },
+                orderBy: { createdAt: 'desc' },
+                skip: offset,
+                take: limit
+            });
+
+            return {
+                success: true,
+                purchaseOrders,
+                pagination: {
+                    currentPage: page,
+                    totalPages,
+                    totalItems,
+                    itemsPerPage: limit
+                }
+            };
+        } catch (e) {
+            throw e;
+        }
+    }
+
+    // Get one purchase order with its lines, deliveries and bills
+    static async getPurchaseOrderById(orderId, userId) {
+        try {
+            const order = await prisma.purchaseOrder.findFirst({
+                where: { id: orderId, userId },
+                include: {
+                    supplier: true,
+                    items: {
+                        include: { product: { select: { id: true, name: true, sku: true, unit: true } } }
+                    },
+                    payables: true
+                }
+            });
+
+            if (!order) {
+                throw new Error('Purchase order not found');
+            }
+
+            return {
+                success: true,
+                purchaseOrder: {
+                    ...order,
+                    items: order.items.map(item => ({
+                        ...item,
+                        outstandingQuantity: item.quantity - item.receivedQuantity
+                    }))
+                }
+            };
+        } catch (e) {
+            throw e;
+        }
+    }
+
+    // Get a purchase order of this shop or throw
+    static async getOrder(orderId, userId) {
+        const order = await prisma.purchaseOrder.findFirst({
+            where: { id: orderId, userId },
+            include: { items: true }
+        });
+
+        if (!order) {
+            throw new Error('Purchase order not found');
+        }
+
+        return order;
+    }
+
+    // Suppliers that have been deactivated take no new orders
+    static async getOrderableSupplier(supplierId, userId) {
+        const supplier = await SupplierService.getSupplier(parseInt(supplierId), userId);
+
+        if (!supplier.isActive) {
+            throw new Error('Supplier is inactive');
+        }
+
+        return supplier;
+    }
+
+    // Validate order lines against the shop's products; unitCost defaults to the product's cost price
+    static async buildItems(userId, items) {
+        if (!Array.isArray(items) || items.length === 0) {
+            throw new Error('At least one item is required');
+        }
+
+        const productIds = items.map(item => parseInt(item.productId));
+        if (new Set(productIds).size !== productIds.length) {
+            throw new Error('Each product can only appear once on a purchase order');
+        }
+
+        const products = await prisma.product.findMany({
+            where: { id: { in: productIds }, userId }
+        });
+
+        return items.map((item, index) => {
+            const product = products.find(p => p.id === productIds[index]);
+            if (!product) {
+                throw new Error(`Product with ID ${item.productId} not found`);
+            }
+
+            const quantity = Number(item.quantity);
+            if (!Number.isInteger(quantity) || quantity <= 0) {
+                throw new Error(`Quantity for ${product.name} must be a whole number greater than zero`);
+            }
+
+            const unitCost = item.unitCost !== undefined && item.unitCost !== null ? item.unitCost : product.costPrice;
+            if (unitCost === null || unitCost === undefined || money.compare(unitCost, 0) < 0) {
+                throw new Error(`Unit cost for ${product.name} is required and cannot be negative`);
+            }
+
+            return {
+                productId: product.id,
+                quantity,
+                unitCost: money.round(unitCost)
+            };
+        });
+    }
+}
+
+module.exports = PurchaseOrderService;
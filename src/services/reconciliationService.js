@@ -0,0 +1,498 @@
+const prisma = require('../utils/prisma');
+const money = require('../utils/money');
+const csv = require('../utils/csv');
+const PaymentService = require('./paymentService');
+const MpesaService = require('./mpesaService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * RECONCILIATION SERVICE MODULE
+ * Checks uploaded bank and M-Pesa statements against recorded payments
+ * Statement lines are matched by reference, then by amount and date; the
+ * report of matches, missing payments and payments missing from the statement
+ * is stored per period, and missing payments can be created from it in bulk
+ */
+class ReconciliationService {
+    static SOURCES = ['MPESA', 'BANK'];
+    static LINE_STATUSES = ['MATCHED', 'AMOUNT_MISMATCH', 'MISSING_PAYMENT', 'MISSING_FROM_STATEMENT', 'CREATED'];
+    static DATE_TOLERANCE_DAYS = 2; // How far apart an unreferenced payment and a statement line may be
+    static PAYMENT_METHODS = { MPESA: 'MPESA', BANK: 'BANK_TRANSFER' };
+
+    // Header names each column is recognised by, compared in lower case without punctuation
+    static COLUMNS = {
+        reference: ['receipt no', 'receipt', 'reference', 'ref', 'ref no', 'transaction id', 'transaction code', 'transaction reference'],
+        date: ['completion time', 'transaction date', 'date', 'value date', 'posting date', 'initiation time'],
+        amount: ['paid in', 'credit', 'credit amount', 'money in', 'deposit', 'deposits', 'amount'],
+        moneyOut: ['withdrawn', 'withdrawal', 'withdrawals', 'debit', 'debit amount', 'money out'],
+        description: ['details', 'description', 'narrative', 'particulars'],
+        status: ['transaction status', 'status']
+    };
+
+    static MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+    // Upload a statement for a period, match it and store the report (replacing an earlier one)
+    static async importStatement(userId, { source, periodStart, periodEnd, fileName, csv: text, actorId }) {
+        try {
+            if (!this.SOURCES.includes(source)) {
+                throw new Error(`Source must be one of: ${this.SOURCES.join(', ')}`);
+            }
+
+            const period = this.parsePeriod(periodStart, periodEnd);
+            const parsed = this.parseStatement(text);
+
+            const lines = [];
+            let ignoredLines = 0;
+            for (const line of parsed) {
+                const inPeriod = line.transactedAt >= period.start && line.transactedAt <= period.end;
+                if (!line.completed || !money.isPositive(line.amount) || !inPeriod) {
+                    ignoredLines++;
+                    continue;
+                }
+                lines.push(line);
+            }
+
+            const payments = await this.findCandidatePayments(userId, source, period, lines);
+            const { results, unmatchedPayments } = this.matchLines(lines, payments, period);
+
+            for (const result of results) {
+                if (result.status === 'MISSING_PAYMENT') {
+                    result.suggestedCustomerId = await this.suggestCustomer(userId, result.description);
+                }
+            }
+
+            const count = (status) => results.filter(result => result.status === status).length;
+            const periodPayments = payments.filter(payment =>
+                payment.createdAt >= period.start && payment.createdAt <= period.end);
+
+            const reconciliation = await prisma.$transaction(async (tx) => {
+                await tx.reconciliation.deleteMany({
+                    where: { userId, source, periodStart: period.start, periodEnd: period.end }
+                });
+
+                return await tx.reconciliation.create({
+                    data: {
+                        userId,
+                        source,
+                        periodStart: period.start,
+                        periodEnd: period.end,
+                        fileName: fileName || null,
+                        statementLines: lines.length,
+                        ignoredLines,
+                        matchedLines: count('MATCHED'),
+                        mismatchedLines: count('AMOUNT_MISMATCH'),
+                        missingPayments: count('MISSING_PAYMENT'),
+                        missingFromStatement: unmatchedPayments.length,
+                        statementTotal: money.sum(lines, line => line.amount),
+                        paymentsTotal: money.sum(periodPayments, payment => payment.amount),
+                        createdBy: actorId ?? null,
+                        lines: {
+                            create: [
+                                ...results,
+                                ...unmatchedPayments.map(payment => ({
+                                    lineNumber: null,
+                                    reference: payment.reference || null,
+                                    transactedAt: payment.createdAt,
+                                    amount: payment.amount,
+                                    description: payment.description || null,
+                                    status: 'MISSING_FROM_STATEMENT',
+                                    paymentId: payment.id
+                                }))
+                            ]
+                        }
+                    }
+                });
+            });
+
+            return await this.getReconciliation(reconciliation.id, userId);
+        } catch (e) {
+            throw e;
+        }
+    }
+
+    // Read statement rows below the header into lines; rows above the header are ignored
+    static parseStatement(text) {
+        const rows = csv.parse(text);
+
+        const headerIndex = rows.findIndex(row => {
+            const columns = this.findColumns(row);
+            return columns.date !== undefined && columns.amount !== undefined;
+        });
+        if (headerIndex === -1) {
+            throw new Error('Invalid statement: no header row with a date and an amount column');
+        }
+
+        const columns = this.findColumns(rows[headerIndex]);
+        const cell = (row, column) => (columns[column] === undefined ? '' : row[columns[column]] || '');
+
+        return rows.slice(headerIndex + 1).map((row, index) => {
+            const lineNumber = headerIndex + index + 2;
+
+            const transactedAt = this.parseDate(cell(row, 'date'));
+            if (!transactedAt) {
+                throw new Error(`Invalid statement: row ${lineNumber} has an unreadable date "${cell(row, 'date')}"`);
+            }
+
+            const moneyIn = this.parseAmount(cell(row, 'amount'));
+            const moneyOut = this.parseAmount(cell(row, 'moneyOut'));
+            const status = cell(row, 'status').toLowerCase();
+
+            return {
+                lineNumber,
+                reference: cell(row, 'reference').toUpperCase() || null,
+                transactedAt,
+                amount: money.round(moneyIn || 0),
+                description: cell(row, 'description') || null,
+                completed: (!status || status === 'completed') && !money.isPositive(moneyOut || 0)
+            };
+        });
+    }
+
+    // Column index for each known column in a header row
+    static findColumns(row) {
+        const names = row.map(cell => cell.toLowerCase().replace(/[^a-z ]/g, '').replace(/\s+/g, ' ').trim());
+        const columns = {};
+        for (const [column, candidates] of Object.entries(this.COLUMNS)) {
+            // The first candidate that appears wins, so "paid in" beats a generic "amount"
+            for (const candidate of candidates) {
+                const index = names.indexOf(candidate);
+                if (index !== -1 && !Object.values(columns).includes(index)) {
+                    columns[column] = index;
+                    break;
+                }
+            }
+        }
+        return columns;
+    }
+
+    // "1,250.00", "KES 1,250", "(300.00)" for money out; null when empty
+    static parseAmount(value) {
+        const text = String(value || '').trim();
+        if (!text) {
+            return null;
+        }
+
+        const negative = /^\(.*\)$/.test(text) || text.startsWith('-');
+        const amount = parseFloat(text.replace(/[^0-9.]/g, ''));
+        if (!Number.isFinite(amount)) {
+            return null;
+        }
+        return negative ? -amount : amount;
+    }
+
+    // Statement dates are in Kenyan time: 2025-08-15 10:02:45, 15/08/2025 10:02 or 15 Aug 2025
+    static parseDate(value) {
+        const text = String(value || '').trim();
+        let parts = null;
+
+        let match = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/.exec(text);
+        if (match) {
+            parts = [match[1], match[2], match[3], match[4], match[5], match[6]];
+        }
+
+        match = !parts && /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})(?:\s+(\d{1,2}):(\d{2})(?::(\d{2}))?)?$/.exec(text);
+        if (match) {
+            parts = [match[3], match[2], match[1], match[4], match[5], match[6]];
+        }
+
+        match = !parts && /^(\d{1,2})[ -]([A-Za-z]{3})[a-z]*[ -](\d{4})(?:\s+(\d{1,2}):(\d{2})(?::(\d{2}))?)?$/.exec(text);
+        if (match) {
+            const month = this.MONTHS.indexOf(match[2].toLowerCase()) + 1;
+            parts = month ? [match[3], month, match[1], match[4], match[5], match[6]] : null;
+        }
+
+        if (!parts) {
+            return null;
+        }
+
+        const [year, month, day, hour = 0, minute = 0, second = 0] = parts;
+        const pad = (number) => String(number || 0).padStart(2, '0');
+        const date = new Date(`${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}:${pad(second)}+03:00`);
+        return isNaN(date) ? null : date;
+    }
+
+    // Whole days from the start of periodStart to the end of periodEnd, in Kenyan time
+    static parsePeriod(periodStart, periodEnd) {
+        const start = this.parseDate(periodStart);
+        const endDay = this.parseDate(periodEnd);
+        if (!start || !endDay || endDay < start) {
+            throw new Error('Invalid reconciliation period: use periodStart and periodEnd as YYYY-MM-DD');
+        }
+        return { start, end: new Date(endDay.getTime() + DAY_MS - 1) };
+    }
+
+    // Payments the statement could refer to: those around the period, and any with a statement reference
+    static async findCandidatePayments(userId, source, period, lines) {
+        const tolerance = this.DATE_TOLERANCE_DAYS * DAY_MS;
+        const references = lines.map(line => line.reference).filter(Boolean);
+
+        return await prisma.payment.findMany({
+            where: {
+                userId,
+                status: { not: 'VOIDED' },
+                OR: [
+                    {
+                        paymentMethod: this.PAYMENT_METHODS[source],
+                        createdAt: {
+                            gte: new Date(period.start.getTime() - tolerance),
+                            lte: new Date(period.end.getTime() + tolerance)
+                        }
+                    },
+                    ...(references.length > 0 ? [{ reference: { in: references } }] : [])
+                ]
+            },
+            orderBy: { createdAt: 'asc' }
+        });
+    }
+
+    // Pair statement lines with payments: by reference first, then unreferenced payments by amount and date
+    static matchLines(lines, payments, period) {
+        const tolerance = this.DATE_TOLERANCE_DAYS * DAY_MS;
+        const used = new Set();
+        const byReference = new Map();
+        for (const payment of payments) {
+            if (payment.reference) {
+                byReference.set(payment.reference.trim().toUpperCase(), payment);
+            }
+        }
+
+        const results = lines.map(line => {
+            const result = {
+                lineNumber: line.lineNumber,
+                reference: line.reference,
+                transactedAt: line.transactedAt,
+                amount: line.amount,
+                description: line.description,
+                status: 'MISSING_PAYMENT',
+                matchedBy: null,
+                paymentId: null
+            };
+
+            const payment = line.reference && byReference.get(line.reference);
+            if (payment && !used.has(payment.id)) {
+                used.add(payment.id);
+                result.status = money.compare(payment.amount, line.amount) === 0 ? 'MATCHED' : 'AMOUNT_MISMATCH';
+                result.matchedBy = 'REFERENCE';
+                result.paymentId = payment.id;
+            }
+            return result;
+        });
+
+        for (const result of results) {
+            if (result.paymentId) continue;
+
+            const closest = payments
+                .filter(payment => !used.has(payment.id) &&
+                    !payment.reference &&
+                    money.compare(payment.amount, result.amount) === 0 &&
+                    Math.abs(payment.createdAt - result.transactedAt) <= tolerance)
+                .sort((a, b) => Math.abs(a.createdAt - result.transactedAt) - Math.abs(b.createdAt - result.transactedAt))[0];
+
+            if (closest) {
+                used.add(closest.id);
+                result.status = 'MATCHED';
+                result.matchedBy = 'AMOUNT_AND_DATE';
+                result.paymentId = closest.id;
+            }
+        }
+
+        const unmatchedPayments = payments.filter(payment =>
+            !used.has(payment.id) &&
+            payment.createdAt >= period.start &&
+            payment.createdAt <= period.end);
+
+        return { results, unmatchedPayments };
+    }
+
+    // The one customer whose phone number appears in the line's description, if any
+    static async suggestCustomer(userId, description) {
+        const phone = /(?:\+?254|\b0)[17]\d{8}\b/.exec(description || '');
+        if (!phone) {
+            return null;
+        }
+
+        const customers = await MpesaService.findCustomersByPhone(userId, phone[0]);
+        return customers.length === 1 ? customers[0].id : null;
+    }
+
+    // Get stored reports, newest first, without their lines
+    static async getReconciliations(userId, filters = {}) {
+        try {
+            const {
+                source,
+                page = 1,
+                limit = 50
+            } = filters;
+
+            const where = { userId };
+            if (source) where.source = source;
+
+            const totalItems = await prisma.reconciliation.count({ where });
+            const totalPages = Math.ceil(totalItems / limit);
+            const offset = (page - 1) * limit;
+
+            const reconciliations = await prisma.reconciliation.findMany({
+                where,
+                orderBy: { createdAt: 'desc' },
+                skip: offset,
+                take: limit
+            });
+
+            return {
+                success: true,
+                reconciliations,
+                pagination: {
+                    currentPage: page,
+                    totalPages,
+                    totalItems,
+                    itemsPerPage: limit
+                }
+            };
+        } catch (e) {
+            throw e;
+        }
+    }
+
+    // Get one report with its lines, optionally only those with one status
+    static async getReconciliation(reconciliationId, userId, { status } = {}) {
+        try {
+            const reconciliation = await prisma.reconciliation.findFirst({
+                where: { id: reconciliationId, userId },
+                include: {
+                    lines: {
+                        where: status ? { status } : undefined,
+                        include: {
+                            payment: {
+                                select: {
+                                    id: true,
+                                    customerId: true,
+                                    amount: true,
+                                    paymentMethod: true,
+                                    reference: true,
+                                    createdAt: true
+                                }
+                            }
+                        },
+                        orderBy: [{ lineNumber: 'asc' }, { id: 'asc' }]
+                    }
+                }
+            });
+
+            if (!reconciliation) {
+                throw new Error('Reconciliation not found');
+            }
+
+            return { success: true, reconciliation };
+        } catch (e) {
+            throw e;
+        }
+    }
+
+    // Record the payments a statement shows but the shop never entered; each line succeeds or fails on its own
+    static async createMissingPayments(reconciliationId, userId, { lines, reason, actorId }) {
+        try {
+            const reconciliation = await prisma.reconciliation.findFirst({
+                where: { id: reconciliationId, userId }
+            });
+            if (!reconciliation) {
+                throw new Error('Reconciliation not found');
+            }
+
+            if (!Array.isArray(lines) || lines.length === 0) {
+                throw new Error('Lines must be a non-empty array of { lineId, customerId }');
+            }
+
+            const results = [];
+            for (const { lineId, customerId, allocationStrategy } of lines) {
+                try {
+                    const payment = await this.createLinePayment(reconciliation, parseInt(lineId), {
+                        customerId: customerId ? parseInt(customerId) : null,
+                        allocationStrategy,
+                        userId,
+                        actorId,
+                        reason
+                    });
+                    results.push({ lineId, success: true, paymentId: payment.id });
+                } catch (error) {
+                    results.push({ lineId, success: false, error: error.message });
+                }
+            }
+
+            const created = results.filter(result => result.success).length;
+            if (created > 0) {
+                await prisma.reconciliation.update({
+                    where: { id: reconciliationId },
+                    data: {
+                        missingPayments: { decrement: created },
+                        createdPayments: { increment: created }
+                    }
+                });
+            }
+
+            return {
+                success: true,
+                message: `${created} of ${results.length} payments created`,
+                created,
+                failed: results.length - created,
+                results
+            };
+        } catch (e) {
+            throw e;
+        }
+    }
+
+    static async createLinePayment(reconciliation, lineId, { customerId, allocationStrategy, userId, actorId, reason }) {
+        return await prisma.$transaction(async (tx) => {
+            const line = await tx.reconciliationLine.findFirst({
+                where: { id: lineId, reconciliationId: reconciliation.id }
+            });
+            if (!line) {
+                throw new Error('Statement line not found');
+            }
+
+            const payerId = customerId || line.suggestedCustomerId;
+            if (!payerId) {
+                throw new Error('Customer is required for this line');
+            }
+
+            // Claim the line so it cannot be turned into two payments
+            const claimed = await tx.reconciliationLine.updateMany({
+                where: { id: lineId, status: 'MISSING_PAYMENT' },
+                data: { status: 'CREATED' }
+            });
+            if (claimed.count === 0) {
+                throw new Error('Statement line is not missing a payment');
+            }
+
+            if (line.reference) {
+                const existing = await tx.payment.findFirst({
+                    where: { userId, reference: line.reference, status: { not: 'VOIDED' } }
+                });
+                if (existing) {
+                    throw new Error('A payment with this reference already exists');
+                }
+            }
+
+            const result = await PaymentService.recordPayment({
+                customerId: payerId,
+                amount: line.amount,
+                paymentMethod: this.PAYMENT_METHODS[reconciliation.source],
+                reference: line.reference,
+                description: line.description || `From ${reconciliation.source === 'MPESA' ? 'M-Pesa' : 'bank'} statement`,
+                allocationStrategy,
+                userId,
+                actorId,
+                reason
+            }, tx);
+
+            await tx.reconciliationLine.update({
+                where: { id: lineId },
+                data: { paymentId: result.payment.id }
+            });
+
+            return result.payment;
+        });
+    }
+}
+
+module.exports = ReconciliationService;
@@ -0,0 +1,199 @@
+const prisma = require('../utils/prisma');
+const money = require('../utils/money');
+const NotificationService = require('./notificationService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * REMINDER SERVICE MODULE
+ * Due-soon and overdue debt reminder campaigns
+ * Run by the reminder scheduler; every reminder is queued in the notification
+ * outbox and logged against its debt
+ */
+class ReminderService {
+    // Run the campaign for every shop that has reminders switched on
+    static async runCampaigns(now = new Date()) {
+        try {
+            const shops = await prisma.shop.findMany({
+                where: { remindersEnabled: true }
+            });
+
+            const summary = { shops: 0, skippedQuietHours: 0, remindersQueued: 0 };
+            for (const shop of shops) {
+                const result = await this.runShopCampaign(shop, now);
+                summary.shops++;
+                if (result.skipped) summary.skippedQuietHours++;
+                summary.remindersQueued += result.remindersQueued;
+            }
+
+            return summary;
+        } catch (e) {
+            throw e;
+        }
+    }
+
+    // Queue reminders for one shop's debts that are overdue or due soon
+    static async runShopCampaign(shop, now = new Date()) {
+        try {
+            if (this.isQuietHours(shop, now)) {
+                return { skipped: 'QUIET_HOURS', remindersQueued: 0 };
+            }
+
+            const debts = await prisma.debt.findMany({
+                where: {
+                    userId: shop.ownerId,
+                    isPaid: false,
+                    voidedAt: null,
+                    dueDate: {
+                        not: null,
+                        lte: new Date(now.getTime() + shop.reminderDaysBeforeDue * DAY_MS)
+                    },
+                    customer: { remindersOptOut: false }
+                },
+                include: {
+                    customer: true,
+                    reminders: {
+                        orderBy: { createdAt: 'desc' }
+                    }
+                },
+                orderBy: { dueDate: 'asc' }
+            });
+
+            let remindersQueued = 0;
+            for (const debt of debts) {
+                if (!this.isReminderDue(debt, shop, now)) continue;
+
+                await this.queueReminder(debt, shop, now);
+                remindersQueued++;
+            }
+
+            return { skipped: null, remindersQueued };
+        } catch (e) {
+            throw e;
+        }
+    }
+
+    // Below the per-debt cap, with enough days since the last reminder, and something left to pay
+    static isReminderDue(debt, shop, now) {
+        if (!money.isPositive(debt.amount) || !NotificationService.reachablePhone(debt.customer?.phone)) {
+            return false;
+        }
+
+        if (debt.reminders.length >= shop.reminderMaxPerDebt) {
+            return false;
+        }
+
+        const last = debt.reminders[0];
+        return !last || now - new Date(last.createdAt) >= shop.reminderIntervalDays * DAY_MS;
+    }
+
+    // Queue the message and log the reminder against the debt together
+    static async queueReminder(debt, shop, now) {
+        const daysOverdue = Math.floor((now - new Date(debt.dueDate)) / DAY_MS);
+        const kind = new Date(debt.dueDate) < now ? 'OVERDUE' : 'DUE_SOON';
+        const type = kind === 'OVERDUE' ? 'OVERDUE_REMINDER' : 'DUE_SOON_REMINDER';
+
+        const balance = await prisma.debt.aggregate({
+            where: { customerId: debt.customerId, isPaid: false, voidedAt: null },
+            _sum: { amount: true }
+        });
+
+        const body = await NotificationService.getTemplateBody(shop.id, type);
+        const message = NotificationService.renderTemplate(body, {
+            customerName: debt.customer.name,
+            balance: NotificationService.formatAmount(balance._sum.amount || 0),
+            amount: NotificationService.formatAmount(debt.amount),
+            dueDate: NotificationService.formatDate(debt.dueDate),
+            shopName: shop.name
+        });
+
+        return await prisma.$transaction(async (tx) => {
+            const notification = await NotificationService.enqueue(tx, {
+                userId: shop.ownerId,
+                customerId: debt.customerId,
+                channel: shop.reminderChannel,
+                type,
+                to: NotificationService.reachablePhone(debt.customer.phone),
+                sender: shop.reminderChannel === 'WHATSAPP' ? shop.whatsappFrom : null,
+                body: message
+            });
+
+            return tx.debtReminder.create({
+                data: {
+                    debtId: debt.id,
+                    userId: shop.ownerId,
+                    notificationId: notification.id,
+                    kind,
+                    channel: shop.reminderChannel,
+                    amount: debt.amount,
+                    daysOverdue
+                }
+            });
+        });
+    }
+
+    // Quiet hours run from quietHoursStart up to quietHoursEnd in shop time and may wrap past midnight
+    static isQuietHours(shop, now = new Date()) {
+        const { quietHoursStart: start, quietHoursEnd: end } = shop;
+        if (start === null || start === undefined || end === null || end === undefined || start === end) {
+            return false;
+        }
+
+        const hour = parseInt(new Intl.DateTimeFormat('en-US', {
+            timeZone: NotificationService.TIMEZONE,
+            hour: 'numeric',
+            hourCycle: 'h23'
+        }).format(now));
+
+        return start < end ?
+            hour >= start && hour < end :
+            hour >= start || hour < end;
+    }
+
+    // Get the reminders sent for one debt, newest first, with their delivery status
+    static async getDebtReminders(debtId, userId) {
+        try {
+            const debt = await prisma.debt.findFirst({
+                where: { id: debtId, userId },
+                select: {
+                    id: true,
+                    description: true,
+                    amount: true,
+                    dueDate: true,
+                    isPaid: true,
+                    reminders: {
+                        include: {
+                            notification: {
+                                select: {
+                                    id: true,
+                                    to: true,
+                                    body: true,
+                                    status: true,
+                                    sentAt: true,
+                                    deliveredAt: true,
+                                    lastError: true
+                                }
+                            }
+                        },
+                        orderBy: { createdAt: 'desc' }
+                    }
+                }
+            });
+
+            if (!debt) {
+                throw new Error('Debt not found');
+            }
+
+            const { reminders, ...debtDetails } = debt;
+            return {
+                success: true,
+                debt: debtDetails,
+                reminders
+            };
+        } catch (e) {
+            throw e;
+        }
+    }
+}
+
+module.exports = ReminderService;
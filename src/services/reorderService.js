@@ -0,0 +1,329 @@
+const prisma = require('../utils/prisma');
+const money = require('../utils/money');
+const PurchaseOrderService = require('./purchaseOrderService');
+const ShopService = require('./shopService');
+
+/**
+ * REORDER SERVICE MODULE
+ * Reorder suggestions from how fast stock is actually used: units sold and
+ * materials consumed by services over a window of sales history give a daily
+ * demand, which sets a reorder point (demand over the supplier's lead time
+ * plus safety stock) and how much to order. Suggestions can be turned into
+ * draft purchase orders, one per supplier
+ */
+class ReorderService {
+
+    // Query overrides and the shop setting each replaces
+    static OVERRIDES = {
+        windowDays: 'reorderWindowDays',
+        leadTimeDays: 'reorderLeadTimeDays',
+        safetyDays: 'reorderSafetyDays',
+        coverDays: 'reorderCoverDays'
+    };
+
+    // Statuses whose outstanding quantities are already on their way
+    static OPEN_ORDER_STATUSES = ['DRAFT', 'ORDERED', 'PARTIALLY_RECEIVED'];
+
+    // Shop reorder settings with any per-request overrides applied
+    static async getSettings(userId, overrides = {}) {
+        const shop = await prisma.shop.findUnique({
+            where: { ownerId: userId },
+            select: {
+                reorderWindowDays: true,
+                reorderLeadTimeDays: true,
+                reorderSafetyDays: true,
+                reorderCoverDays: true
+            }
+        });
+
+        const settings = {};
+        for (const [param, field] of Object.entries(this.OVERRIDES)) {
+            const [min, max] = ShopService.REORDER_LIMITS[field];
+            const value = overrides[param] !== undefined && overrides[param] !== '' ?
+                Number(overrides[param]) : shop?.[field] ?? min;
+
+            if (!Number.isInteger(value) || value < min || value > max) {
+                throw new Error(`${param} must be a whole number from ${min} to ${max}`);
+            }
+            settings[param] = value;
+        }
+
+        return settings;
+    }
+
+    // Units of each product used since a date: sold as products or consumed by services,
+    // less anything refunded. Materials are counted with each service's current bill of materials
+    static async getConsumption(userId, since) {
+        const saleFilter = {
+            userId,
+            status: { not: 'CANCELLED' },
+            createdAt: { gte: since }
+        };
+
+        const products = await prisma.saleItem.groupBy({
+            by: ['productId'],
+            where: { itemType: 'PRODUCT', productId: { not: null }, sale: saleFilter },
+            _sum: { quantity: true, refundedQuantity: true }
+        });
+
+        const services = await prisma.saleItem.groupBy({
+            by: ['serviceId'],
+            where: { itemType: 'SERVICE', serviceId: { not: null }, sale: saleFilter },
+            _sum: { quantity: true, refundedQuantity: true }
+        });
+
+        const consumption = new Map();
+        const add = (productId, quantity) => {
+            consumption.set(productId, (consumption.get(productId) || 0) + quantity);
+        };
+
+        for (const line of products) {
+            add(line.productId, (line._sum.quantity || 0) - (line._sum.refundedQuantity || 0));
+        }
+
+        if (services.length > 0) {
+            const materials = await prisma.serviceMaterial.findMany({
+                where: { serviceId: { in: services.map(line => line.serviceId) } }
+            });
+
+            for (const line of services) {
+                const performed = (line._sum.quantity || 0) - (line._sum.refundedQuantity || 0);
+                for (const material of materials.filter(m => m.serviceId === line.serviceId)) {
+                    add(material.productId, performed * material.quantity);
+                }
+            }
+        }
+
+        return consumption;
+    }
+
+    // Units still to arrive on open purchase orders, drafts included so converting twice orders nothing twice
+    static async getOnOrder(userId) {
+        const items = await prisma.purchaseOrderItem.findMany({
+            where: { purchaseOrder: { userId, status: { in: this.OPEN_ORDER_STATUSES } } },
+            select: { productId: true, quantity: true, receivedQuantity: true }
+        });
+
+        const onOrder = new Map();
+        for (const item of items) {
+            onOrder.set(item.productId, (onOrder.get(item.productId) || 0) + item.quantity - item.receivedQuantity);
+        }
+
+        return onOrder;
+    }
+
+    // Active supplier each product was last ordered from, for products without a preferred one
+    static async getLastSuppliers(userId, productIds) {
+        if (productIds.length === 0) {
+            return new Map();
+        }
+
+        const items = await prisma.purchaseOrderItem.findMany({
+            where: {
+                productId: { in: productIds },
+                purchaseOrder: { userId, status: { not: 'CANCELLED' }, supplier: { isActive: true } }
+            },
+            select: {
+                productId: true,
+                purchaseOrder: {
+                    select: { supplier: { select: { id: true, name: true, leadTimeDays: true, isActive: true } } }
+                }
+            },
+            orderBy: { id: 'desc' }
+        });
+
+        const suppliers = new Map();
+        for (const item of items) {
+            if (!suppliers.has(item.productId)) {
+                suppliers.set(item.productId, item.purchaseOrder.supplier);
+            }
+        }
+
+        return suppliers;
+    }
+
+    // Products to reorder now, most urgent first
+    static async getSuggestions(userId, overrides = {}) {
+        try {
+            const settings = await this.getSettings(userId, overrides);
+            const since = new Date(Date.now() - settings.windowDays * 24 * 60 * 60 * 1000);
+
+            const products = await prisma.product.findMany({
+                where: { userId, trackInventory: true },
+                include: {
+                    inventoryItems: { where: { userId } },
+                    supplier: { select: { id: true, name: true, leadTimeDays: true, isActive: true } }
+                },
+                orderBy: { name: 'asc' }
+            });
+
+            const consumption = await this.getConsumption(userId, since);
+            const onOrder = await this.getOnOrder(userId);
+            const lastSuppliers = await this.getLastSuppliers(
+                userId,
+                products.filter(product => !product.supplier?.isActive).map(product => product.id)
+            );
+
+            const suggestions = [];
+            for (const product of products) {
+                if (product.inventoryItems.length === 0) continue;
+
+                const supplier = product.supplier?.isActive ? product.supplier : lastSuppliers.get(product.id) || null;
+                const suggestion = this.suggest({
+                    currentStock: product.inventoryItems.reduce((total, item) => total + item.quantity, 0),
+                    onOrder: onOrder.get(product.id) || 0,
+                    reorderLevel: product.inventoryItems.reduce((total, item) => total + (item.reorderLevel || 0), 0),
+                    unitsUsed: Math.max(consumption.get(product.id) || 0, 0),
+                    leadTimeDays: supplier?.leadTimeDays ?? settings.leadTimeDays,
+                    settings
+                });
+
+                if (!suggestion) continue;
+
+                suggestions.push({
+                    productId: product.id,
+                    name: product.name,
+                    sku: product.sku,
+                    category: product.category,
+                    unit: product.unit,
+                    ...suggestion,
+                    unitCost: product.costPrice,
+                    estimatedCost: product.costPrice === null ? null :
+                        money.multiply(product.costPrice, suggestion.suggestedQuantity),
+                    supplier: supplier ? { id: supplier.id, name: supplier.name } : null,
+                    supplierSource: !supplier ? null : supplier === product.supplier ? 'PRODUCT' : 'LAST_ORDER'
+                });
+            }
+
+            // Soonest to run out first; products with no recent demand last
+            suggestions.sort((a, b) => {
+                if (a.daysOfStockLeft === null && b.daysOfStockLeft === null) return 0;
+                if (a.daysOfStockLeft === null) return 1;
+                if (b.daysOfStockLeft === null) return -1;
+                return a.daysOfStockLeft - b.daysOfStockLeft;
+            });
+
+            return {
+                success: true,
+                settings,
+                suggestions,
+                summary: {
+                    totalSuggestions: suggestions.length,
+                    withoutSupplier: suggestions.filter(suggestion => !suggestion.supplier).length,
+                    estimatedCost: money.sum(suggestions, suggestion => suggestion.estimatedCost || 0)
+                }
+            };
+        } catch (e) {
+            throw e;
+        }
+    }
+
+    // Reorder point and quantity for one product, or null when it does not need ordering yet.
+    // The reorder level is kept as a floor so products without recent sales are still covered
+    static suggest({ currentStock, onOrder, reorderLevel, unitsUsed, leadTimeDays, settings }) {
+        const dailyDemand = unitsUsed / settings.windowDays;
+        const safetyStock = Math.ceil(dailyDemand * settings.safetyDays);
+        const reorderPoint = Math.max(Math.ceil(dailyDemand * leadTimeDays) + safetyStock, reorderLevel);
+        const targetStock = Math.max(reorderPoint + Math.ceil(dailyDemand * settings.coverDays), reorderLevel * 2);
+        const available = currentStock + onOrder;
+
+        if (available > reorderPoint || targetStock <= available) {
+            return null;
+        }
+
+        return {
+            currentStock,
+            onOrder,
+            reorderLevel,
+            unitsUsed,
+            dailyDemand: Math.round(dailyDemand * 100) / 100,
+            daysOfStockLeft: dailyDemand > 0 ? Math.floor(currentStock / dailyDemand) : null,
+            leadTimeDays,
+            safetyStock,
+            reorderPoint,
+            targetStock,
+            suggestedQuantity: targetStock - available
+        };
+    }
+
+    // Turn suggestions into draft purchase orders, one per supplier. items ([{ productId, quantity?, supplierId? }])
+    // picks and adjusts suggestions; without it every suggestion that has a supplier and cost is ordered
+    static async createPurchaseOrders(userId, data = {}) {
+        try {
+            const { items, actorId, ...overrides } = data;
+            const { suggestions, settings } = await this.getSuggestions(userId, overrides);
+
+            let selected;
+            if (items !== undefined) {
+                if (!Array.isArray(items) || items.length === 0) {
+                    throw new Error('Items must be a non-empty list of suggested products');
+                }
+
+                selected = [];
+                for (const item of items) {
+                    const suggestion = suggestions.find(s => s.productId === parseInt(item.productId));
+                    if (!suggestion) {
+                        throw new Error(`Product ${item.productId} has no reorder suggestion`);
+                    }
+
+                    const quantity = item.quantity !== undefined ? Number(item.quantity) : suggestion.suggestedQuantity;
+                    if (!Number.isInteger(quantity) || quantity <= 0) {
+                        throw new Error(`Quantity for ${suggestion.name} must be a whole number greater than zero`);
+                    }
+
+                    const supplier = item.supplierId !== undefined ?
+                        await PurchaseOrderService.getOrderableSupplier(item.supplierId, userId) : suggestion.supplier;
+
+                    selected.push({ ...suggestion, suggestedQuantity: quantity, supplier });
+                }
+            } else {
+                selected = suggestions;
+            }
+
+            const skipped = [];
+            const bySupplier = new Map();
+            for (const suggestion of selected) {
+                if (!suggestion.supplier) {
+                    skipped.push({ productId: suggestion.productId, name: suggestion.name, reason: 'No supplier' });
+                } else if (suggestion.unitCost === null) {
+                    skipped.push({ productId: suggestion.productId, name: suggestion.name, reason: 'No cost price' });
+                } else {
+                    const group = bySupplier.get(suggestion.supplier.id) || { supplier: suggestion.supplier, lines: [] };
+                    group.lines.push(suggestion);
+                    bySupplier.set(suggestion.supplier.id, group);
+                }
+            }
+
+            const purchaseOrders = await prisma.$transaction(async (tx) => {
+                const orders = [];
+                for (const { supplier, lines } of bySupplier.values()) {
+                    const leadTimeDays = Math.max(...lines.map(line => line.leadTimeDays));
+
+                    orders.push(await PurchaseOrderService.createDraft(tx, userId, {
+                        supplier,
+                        lines: lines.map(line => ({
+                            productId: line.productId,
+                            quantity: line.suggestedQuantity,
+                            unitCost: money.round(line.unitCost)
+                        })),
+                        expectedAt: new Date(Date.now() + leadTimeDays * 24 * 60 * 60 * 1000),
+                        notes: `Reorder suggestion from ${settings.windowDays} days of sales`,
+                        actorId
+                    }));
+                }
+                return orders;
+            });
+
+            return {
+                success: true,
+                message: `${purchaseOrders.length} draft purchase order${purchaseOrders.length === 1 ? '' : 's'} created`,
+                purchaseOrders,
+                skipped
+            };
+        } catch (e) {
+            throw e;
+        }
+    }
+}
+
+module.exports = ReorderService;
@@ -1,7 +1,13 @@
-const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
+const prisma = require('../utils/prisma');
 const ProductService = require('./productService');
 const ServiceService = require('./serviceService');
+const AuditService = require('./auditService');
+const SequenceService = require('./sequenceService');
+const InventoryService = require('./inventoryService');
+const LocationService = require('./locationService');
+const LotService = require('./lotService');
+const WhatsAppService = require('./whatsappService');
+const money = require('../utils/money');
 
 /**
  * SALES SERVICE MODULE
@@ -22,7 +28,9 @@ class SalesService {
                 paymentAmount,
                 paymentMethod = 'CASH',
                 notes,
-                userId
+                locationId,
+                userId,
+                actorId
             } = data;
 
             // Validate items
@@ -42,6 +50,9 @@ class SalesService {
 
             // Process sale in transaction
             const result = await prisma.$transaction(async (tx) => {
+                // Stock comes out of the till's location, or the shop's default
+                const location = await LocationService.resolveLocation(tx, userId, locationId);
+
                 // Calculate totals and validate items
                 let subtotal = 0;
                 const processedItems = [];
@@ -52,15 +63,15 @@ class SalesService {
                     let processedItem;
 
                     if (item.type === 'PRODUCT') {
-                        processedItem = await this.processProductItem(item, userId, tx);
+                        processedItem = await this.processProductItem(item, userId, tx, location);
                     } else if (item.type === 'SERVICE') {
-                        processedItem = await this.processServiceItem(item, userId, tx);
+                        processedItem = await this.processServiceItem(item, userId, tx, location);
                     } else {
                         throw new Error(`Invalid item type: ${item.type}`);
                     }
 
                     processedItems.push(processedItem);
-                    subtotal += processedItem.totalPrice;
+                    subtotal = money.add(subtotal, processedItem.totalPrice);
 
                     // Track inventory updates
                     if (processedItem.inventoryUpdate) {
@@ -72,12 +83,17 @@ class SalesService {
                 }
 
                 // Calculate final totals
-                const totalAmount = subtotal - discountAmount + taxAmount;
-                const totalCost = processedItems.reduce((sum, item) => sum + item.totalCost, 0);
-                const totalProfit = totalAmount - totalCost;
+                const totalAmount = money.subtract(money.add(subtotal, taxAmount), discountAmount);
+                const totalCost = money.sum(processedItems, item => item.totalCost);
+                const totalProfit = money.subtract(totalAmount, totalCost);
+
+                // Amount received at the till; the rest is carried as debt
+                const paidAmount = saleType === 'CASH' ? totalAmount :
+                    saleType === 'PARTIAL_PAYMENT' ? money.min(paymentAmount || 0, totalAmount) : 0;
 
                 // Generate sale number
                 const saleNumber = await this.generateSaleNumber(userId, tx);
+                const receiptNumber = await this.generateReceiptNumber(userId, tx);
 
                 // Create sale record
                 const sale = await tx.sale.create({
@@ -85,21 +101,24 @@ class SalesService {
                         saleNumber,
                         customerId,
                         userId,
+                        locationId: location.id,
                         subtotal,
-                        discountAmount,
-                        taxAmount,
+                        discountAmount: money.round(discountAmount),
+                        taxAmount: money.round(taxAmount),
                         totalAmount,
                         totalCost,
                         totalProfit,
+                        paidAmount,
                         saleType,
                         status: 'COMPLETED',
-                        notes
+                        notes,
+                        receiptNumber
                     }
                 });
 
                 // Create sale items
                 for (const item of processedItems) {
-                    await tx.saleItem.create({
+                    const saleItem = await tx.saleItem.create({
                         data: {
                             saleId: sale.id,
                             itemType: item.type,
@@ -115,6 +134,43 @@ class SalesService {
                             isCompleted: item.type === 'PRODUCT' // Products are immediately completed
                         }
                     });
+
+                    // Which lots the units and the service's materials came from, so a refund can put them back
+                    await LotService.recordSaleLots(tx, saleItem.id, [
+                        ...(item.inventoryUpdate?.lots || []),
+                        ...(item.materialDeductions || []).flatMap(deduction => deduction.lots || [])
+                    ]);
+                }
+
+                // Ledger entries for the stock this sale took out
+                for (const item of processedItems) {
+                    if (item.inventoryUpdate) {
+                        await InventoryService.recordMovement(tx, {
+                            userId,
+                            productId: item.id,
+                            inventoryItemId: item.inventoryUpdate.inventoryId,
+                            type: 'SALE',
+                            quantity: -item.quantity,
+                            balance: item.inventoryUpdate.newStock,
+                            unitCost: item.unitCost,
+                            actorId,
+                            saleId: sale.id
+                        });
+                    }
+                    for (const deduction of item.materialDeductions || []) {
+                        await InventoryService.recordMovement(tx, {
+                            userId,
+                            productId: deduction.productId,
+                            inventoryItemId: deduction.inventoryId,
+                            type: 'SERVICE_MATERIAL',
+                            quantity: -deduction.quantityUsed,
+                            balance: deduction.newStock,
+                            unitCost: deduction.unitCost,
+                            actorId,
+                            saleId: sale.id,
+                            reason: item.name
+                        });
+                    }
                 }
 
                 // Handle payment based on sale type
@@ -147,7 +203,7 @@ class SalesService {
                         }
                     });
                 } else if (saleType === 'PARTIAL_PAYMENT') {
-                    if (!paymentAmount || paymentAmount <= 0) {
+                    if (!paymentAmount || !money.isPositive(paymentAmount)) {
                         throw new Error('Payment amount is required for partial payments');
                     }
 
@@ -156,8 +212,8 @@ class SalesService {
                         data: {
                             customerId,
                             userId,
-                            amount: paymentAmount,
-                            appliedToDebt: paymentAmount,
+                            amount: money.round(paymentAmount),
+                            appliedToDebt: money.round(paymentAmount),
                             paymentMethod,
                             description: `Partial payment for sale ${saleNumber}`,
                             saleId: sale.id
@@ -165,8 +221,8 @@ class SalesService {
                     });
 
                     // Create debt for remaining amount
-                    const remainingAmount = totalAmount - paymentAmount;
-                    if (remainingAmount > 0) {
+                    const remainingAmount = money.subtract(totalAmount, paidAmount);
+                    if (money.isPositive(remainingAmount)) {
                         debtRecord = await tx.debt.create({
                             data: {
                                 customerId,
@@ -180,8 +236,33 @@ class SalesService {
                     }
                 }
 
+                await AuditService.log(tx, {
+                    userId,
+                    actorId,
+                    entity: 'SALE',
+                    entityId: sale.id,
+                    action: 'CREATE',
+                    after: {
+                        ...sale,
+                        items: processedItems.map(({ inventoryUpdate, materialDeductions, ...item }) => item),
+                        payment: paymentRecord,
+                        debt: debtRecord,
+                        inventoryUpdates,
+                        materialDeductions
+                    }
+                });
+
+                await WhatsAppService.queueSaleReceipt(tx, {
+                    userId,
+                    sale,
+                    items: processedItems,
+                    paymentRecord,
+                    debtRecord
+                });
+
                 return {
                     sale,
+                    location,
                     processedItems,
                     inventoryUpdates,
                     materialDeductions,
@@ -191,8 +272,7 @@ class SalesService {
             });
 
             // Prepare response
-            const profitMargin = result.sale.totalAmount > 0 ?
-                (result.sale.totalProfit / result.sale.totalAmount * 100) : 0;
+            const profitMargin = money.percentage(result.sale.totalProfit, result.sale.totalAmount);
 
             return {
                 success: true,
@@ -200,10 +280,12 @@ class SalesService {
                 sale: {
                     id: result.sale.id,
                     saleNumber: result.sale.saleNumber,
+                    receiptNumber: result.sale.receiptNumber,
                     customerId: result.sale.customerId,
                     customerName: customerId ? await this.getCustomerName(customerId) : 'Walk-in Customer',
                     saleType: result.sale.saleType,
                     status: result.sale.status,
+                    location: { id: result.location.id, name: result.location.name },
                     items: result.processedItems.map(item => ({
                         id: item.id,
                         type: item.type,
@@ -222,6 +304,7 @@ class SalesService {
                     profitMargin,
                     paymentReceived: result.paymentRecord?.amount || 0,
                     amountDue: result.debtRecord?.amount || 0,
+                    paymentStatus: this.getPaymentStatus(result.sale.totalAmount, result.sale.paidAmount),
                     createdAt: result.sale.createdAt
                 },
                 inventoryUpdates: result.inventoryUpdates,
@@ -233,14 +316,14 @@ class SalesService {
         }
     }
 
-    // Process a product item in the sale
-    static async processProductItem(item, userId, tx) {
+    // Process a product item in the sale, taking its stock from the sale's location
+    static async processProductItem(item, userId, tx, location) {
         const { id, quantity, unitPrice } = item;
 
         // Get product details
         const product = await tx.product.findFirst({
             where: { id, userId },
-            include: { inventoryItems: true }
+            include: { inventoryItems: { where: { locationId: location.id } } }
         });
 
         if (!product) {
@@ -251,31 +334,40 @@ class SalesService {
         let inventoryUpdate = null;
         if (product.trackInventory) {
             const inventory = product.inventoryItems[0];
-            if (!inventory || inventory.quantity < quantity) {
-                throw new Error(`Insufficient stock for ${product.name}. Available: ${inventory?.quantity || 0}, Required: ${quantity}`);
+            const stock = inventory && await ProductService.deductStock(tx, inventory.id, quantity);
+            if (!stock) {
+                const available = inventory ? await ProductService.availableStock(tx, inventory.id) : 0;
+                throw new Error(`Insufficient stock for ${product.name} at ${location.name}. Available: ${available}, Required: ${quantity}`);
             }
 
-            // Update inventory
-            const newQuantity = inventory.quantity - quantity;
-            await tx.inventoryItem.update({
-                where: { id: inventory.id },
-                data: { quantity: newQuantity }
-            });
-
             inventoryUpdate = {
                 productId: id,
-                previousStock: inventory.quantity,
-                newStock: newQuantity,
+                inventoryId: inventory.id,
+                previousStock: stock.previousStock,
+                newStock: stock.newStock,
                 quantitySold: quantity
             };
+
+            // Perishables leave earliest expiry first, each unit at its lot's cost. Expired lots
+            // are not sold, so the sale is refused when only they would cover it
+            if (product.trackLots) {
+                const now = new Date();
+                const expired = await LotService.expiredQuantity(tx, inventory.id, now);
+                if (stock.previousStock - expired < quantity) {
+                    throw new Error(`Insufficient stock for ${product.name} at ${location.name}. Available: ${stock.previousStock - expired}, Required: ${quantity}, Expired: ${expired}`);
+                }
+                inventoryUpdate.lots = await LotService.takeFefo(tx, inventory.id, quantity, { skipExpired: true, now });
+            }
         }
 
         // Calculate pricing
         const finalUnitPrice = unitPrice || product.sellingPrice;
-        const totalPrice = quantity * finalUnitPrice;
-        const unitCost = product.costPrice || 0;
-        const totalCost = quantity * unitCost;
-        const profit = totalPrice - totalCost;
+        const totalPrice = money.multiply(finalUnitPrice, quantity);
+        const totalCost = inventoryUpdate?.lots ?
+            LotService.costOf(inventoryUpdate.lots, quantity, product.costPrice) :
+            money.multiply(product.costPrice || 0, quantity);
+        const unitCost = inventoryUpdate?.lots ? money.round(totalCost / quantity) : product.costPrice || 0;
+        const profit = money.subtract(totalPrice, totalCost);
 
         return {
             id,
@@ -291,8 +383,8 @@ class SalesService {
         };
     }
 
-    // Process a service item in the sale
-    static async processServiceItem(item, userId, tx) {
+    // Process a service item in the sale, taking its materials from the sale's location
+    static async processServiceItem(item, userId, tx, location) {
         const { id, quantity, unitPrice, scheduledFor } = item;
 
         // Get service details
@@ -302,7 +394,7 @@ class SalesService {
                 serviceMaterials: {
                     include: {
                         product: {
-                            include: { inventoryItems: true }
+                            include: { inventoryItems: { where: { locationId: location.id } } }
                         }
                     }
                 }
@@ -325,23 +417,35 @@ class SalesService {
                     const inventory = sm.product.inventoryItems[0];
                     const requiredQuantity = sm.quantity * quantity;
 
-                    if (!inventory || inventory.quantity < requiredQuantity) {
-                        throw new Error(`Insufficient materials for ${service.name}. ${sm.product.name}: Available ${inventory?.quantity || 0}, Required: ${requiredQuantity}`);
+                    // Deduct materials
+                    const stock = inventory && await ProductService.deductStock(tx, inventory.id, requiredQuantity);
+                    if (!stock) {
+                        const available = inventory ? await ProductService.availableStock(tx, inventory.id) : 0;
+                        throw new Error(`Insufficient materials for ${service.name} at ${location.name}. ${sm.product.name}: Available ${available}, Required: ${requiredQuantity}`);
                     }
 
-                    // Deduct materials
-                    const newQuantity = inventory.quantity - requiredQuantity;
-                    await tx.inventoryItem.update({
-                        where: { id: inventory.id },
-                        data: { quantity: newQuantity }
-                    });
+                    // Expired lots are not used either
+                    let lots = null;
+                    if (sm.product.trackLots) {
+                        const now = new Date();
+                        const expired = await LotService.expiredQuantity(tx, inventory.id, now);
+                        if (stock.previousStock - expired < requiredQuantity) {
+                            throw new Error(`Insufficient materials for ${service.name} at ${location.name}. ${sm.product.name}: Available ${stock.previousStock - expired}, Required: ${requiredQuantity}, Expired: ${expired}`);
+                        }
+                        lots = await LotService.takeFefo(tx, inventory.id, requiredQuantity, { skipExpired: true, now });
+                    }
 
                     materialDeductions.push({
                         productId: sm.productId,
+                        inventoryId: inventory.id,
                         productName: sm.product.name,
                         quantityUsed: requiredQuantity,
-                        previousStock: inventory.quantity,
-                        newStock: newQuantity
+                        unitCost: lots ?
+                            money.round(LotService.costOf(lots, requiredQuantity, sm.product.costPrice) / requiredQuantity) :
+                            sm.product.costPrice,
+                        previousStock: stock.previousStock,
+                        newStock: stock.newStock,
+                        ...(lots && { lots })
                     });
                 }
             }
@@ -349,10 +453,10 @@ class SalesService {
 
         // Calculate pricing
         const finalUnitPrice = unitPrice || service.price;
-        const totalPrice = quantity * finalUnitPrice;
+        const totalPrice = money.multiply(finalUnitPrice, quantity);
         const unitCost = service.costEstimate || 0;
-        const totalCost = quantity * unitCost;
-        const profit = totalPrice - totalCost;
+        const totalCost = money.multiply(unitCost, quantity);
+        const profit = money.subtract(totalPrice, totalCost);
 
         return {
             id,
@@ -369,29 +473,21 @@ class SalesService {
         };
     }
 
-    // Generate unique sale number
+    // Generate unique sale number: SALE-YYYYMMDD-NNN, counted per shop per day
     static async generateSaleNumber(userId, tx) {
         const today = new Date();
         const year = today.getFullYear();
         const month = String(today.getMonth() + 1).padStart(2, '0');
         const day = String(today.getDate()).padStart(2, '0');
 
-        // Count today's sales for this user
-        const startOfDay = new Date(year, today.getMonth(), today.getDate());
-        const endOfDay = new Date(year, today.getMonth(), today.getDate() + 1);
-
-        const salesCount = await tx.sale.count({
-            where: {
-                userId,
-                createdAt: {
-                    gte: startOfDay,
-                    lt: endOfDay
-                }
-            }
-        });
+        const sequence = await SequenceService.next(tx, userId, 'SALE', `${year}${month}${day}`);
+        return `SALE-${year}${month}${day}-${String(sequence).padStart(3, '0')}`;
+    }
 
-        const sequence = String(salesCount + 1).padStart(3, '0');
-        return `SALE-${year}${month}${day}-${sequence}`;
+    // Generate the shop's next receipt number: RCP-NNNNNN, never reset
+    static async generateReceiptNumber(userId, tx) {
+        const sequence = await SequenceService.next(tx, userId, 'RECEIPT');
+        return `RCP-${String(sequence).padStart(6, '0')}`;
     }
 
     // Get customer name helper
@@ -463,7 +559,7 @@ class SalesService {
                     customerName: sale.customer?.name || 'Walk-in Customer',
                     totalAmount: sale.totalAmount,
                     totalProfit: sale.totalProfit,
-                    profitMargin: sale.totalAmount > 0 ? (sale.totalProfit / sale.totalAmount * 100) : 0,
+                    profitMargin: money.percentage(sale.totalProfit, sale.totalAmount),
                     itemCount: sale.saleItems.length,
                     saleType: sale.saleType,
                     status: sale.status,
@@ -545,7 +641,9 @@ class SalesService {
                         scheduledFor: item.scheduledFor,
                         isCompleted: item.isCompleted
                     })),
-                    profitMargin: sale.totalAmount > 0 ? (sale.totalProfit / sale.totalAmount * 100) : 0
+                    profitMargin: money.percentage(sale.totalProfit, sale.totalAmount),
+                    outstandingBalance: money.sum(sale.debts, debt => debt.amount),
+                    paymentStatus: this.getPaymentStatus(sale.totalAmount, sale.paidAmount)
                 }
             };
 
@@ -555,7 +653,7 @@ class SalesService {
     }
 
     // Get daily sales summary
-    static async getDailySalesSummary(date = new Date()) {
+    static async getDailySalesSummary(userId, date = new Date()) {
         try {
             const startOfDay = new Date(date);
             startOfDay.setHours(0, 0, 0, 0);
@@ -564,12 +662,13 @@ class SalesService {
             endOfDay.setHours(23, 59, 59, 999);
 
             const where = {
+                userId,
                 createdAt: {
                     gte: startOfDay,
                     lte: endOfDay
                 },
                 status: {
-                    not: 'CANCELLED'
+                    notIn: ['CANCELLED', 'REFUNDED']
                 }
             };
 
@@ -599,8 +698,8 @@ class SalesService {
             hourlyBreakdown.forEach(item => {
                 const hour = new Date(item.createdAt).getHours();
                 hourlyData[hour].sales += item._count.id;
-                hourlyData[hour].revenue += item._sum.totalAmount || 0;
-                hourlyData[hour].profit += item._sum.totalProfit || 0;
+                hourlyData[hour].revenue = money.add(hourlyData[hour].revenue, item._sum.totalAmount);
+                hourlyData[hour].profit = money.add(hourlyData[hour].profit, item._sum.totalProfit);
             });
 
             return {
@@ -615,11 +714,12 @@ class SalesService {
     }
 
     // Get sales analytics with grouping
-    static async getSalesAnalytics({ startDate, endDate, groupBy = 'day' }) {
+    static async getSalesAnalytics(userId, { startDate, endDate, groupBy = 'day' }) {
         try {
             const where = {
+                userId,
                 status: {
-                    not: 'CANCELLED'
+                    notIn: ['CANCELLED', 'REFUNDED']
                 }
             };
 
@@ -685,8 +785,8 @@ class SalesService {
                 }
 
                 acc[key].salesCount++;
-                acc[key].totalRevenue += sale.totalAmount;
-                acc[key].totalProfit += sale.totalProfit;
+                acc[key].totalRevenue = money.add(acc[key].totalRevenue, sale.totalAmount);
+                acc[key].totalProfit = money.add(acc[key].totalProfit, sale.totalProfit);
 
                 return acc;
             }, {});
@@ -694,18 +794,20 @@ class SalesService {
             // Calculate averages and format response
             const analytics = Object.values(grouped).map(period => ({
                 ...period,
-                averageOrderValue: period.salesCount > 0 ? period.totalRevenue / period.salesCount : 0,
-                profitMargin: period.totalRevenue > 0 ? (period.totalProfit / period.totalRevenue * 100) : 0
+                averageOrderValue: period.salesCount > 0 ? money.round(period.totalRevenue / period.salesCount) : 0,
+                profitMargin: money.percentage(period.totalProfit, period.totalRevenue)
             }));
 
+            const totalRevenue = money.sum(sales, sale => sale.totalAmount);
+
             return {
                 groupBy,
                 periods: analytics,
                 totals: {
                     salesCount: sales.length,
-                    totalRevenue: sales.reduce((sum, sale) => sum + sale.totalAmount, 0),
-                    totalProfit: sales.reduce((sum, sale) => sum + sale.totalProfit, 0),
-                    averageOrderValue: sales.length > 0 ? sales.reduce((sum, sale) => sum + sale.totalAmount, 0) / sales.length : 0
+                    totalRevenue,
+                    totalProfit: money.sum(sales, sale => sale.totalProfit),
+                    averageOrderValue: sales.length > 0 ? money.round(totalRevenue / sales.length) : 0
                 }
             };
 
@@ -715,16 +817,16 @@ class SalesService {
     }
 
     // Get profit/loss report
-    static async getProfitLossReport({ startDate, endDate, groupBy = 'day' }) {
+    static async getProfitLossReport(userId, { startDate, endDate, groupBy = 'day' }) {
         try {
-            const analytics = await this.getSalesAnalytics({ startDate, endDate, groupBy });
+            const analytics = await this.getSalesAnalytics(userId, { startDate, endDate, groupBy });
 
             // Add expense tracking (for now just show profit as we don't have expense tracking yet)
             const profitLossData = analytics.periods.map(period => ({
                 ...period,
                 expenses: 0, // TODO: Implement expense tracking
                 netProfit: period.totalProfit,
-                roi: period.totalRevenue > 0 ? (period.totalProfit / period.totalRevenue * 100) : 0
+                roi: money.percentage(period.totalProfit, period.totalRevenue)
             }));
 
             return {
@@ -735,8 +837,7 @@ class SalesService {
                     totalProfit: analytics.totals.totalProfit,
                     totalExpenses: 0, // TODO: Implement expense tracking
                     netProfit: analytics.totals.totalProfit,
-                    profitMargin: analytics.totals.totalRevenue > 0 ?
-                        (analytics.totals.totalProfit / analytics.totals.totalRevenue * 100) : 0
+                    profitMargin: money.percentage(analytics.totals.totalProfit, analytics.totals.totalRevenue)
                 }
             };
 
@@ -746,12 +847,13 @@ class SalesService {
     }
 
     // Get top selling products
-    static async getTopSellingProducts({ startDate, endDate, limit = 10 }) {
+    static async getTopSellingProducts(userId, { startDate, endDate, limit = 10 }) {
         try {
             const where = {
                 sale: {
+                    userId,
                     status: {
-                        not: 'CANCELLED'
+                        notIn: ['CANCELLED', 'REFUNDED']
                     }
                 }
             };
@@ -793,8 +895,8 @@ class SalesService {
             // Get product details and return enriched data
             return await Promise.all(
                 topProducts.map(async (item) => {
-                    const product = await prisma.product.findUnique({
-                        where: { id: item.productId },
+                    const product = await prisma.product.findFirst({
+                        where: { id: item.productId, userId },
                         select: {
                             id: true,
                             name: true,
@@ -820,12 +922,13 @@ class SalesService {
         }
     }
 
-    // Get low stock alerts
-    static async getLowStockAlerts() {
+    // Get low stock alerts, one per product per location
+    static async getLowStockAlerts(userId, { locationId } = {}) {
         try {
-            // Get all products with their inventory information
+            // Get the shop's products with their inventory at each active location
             const allProducts = await prisma.product.findMany({
                 where: {
+                    userId,
                     trackInventory: true
                 },
                 select: {
@@ -837,9 +940,15 @@ class SalesService {
                     costPrice: true,
                     trackInventory: true,
                     inventoryItems: {
+                        where: {
+                            userId,
+                            stockLocation: { isActive: true },
+                            ...(locationId && { locationId: parseInt(locationId) })
+                        },
                         select: {
                             quantity: true,
-                            reorderLevel: true
+                            reorderLevel: true,
+                            stockLocation: { select: { id: true, name: true } }
                         }
                     }
                 }
@@ -849,8 +958,7 @@ class SalesService {
             const alertProducts = [];
 
             for (const product of allProducts) {
-                if (product.inventoryItems.length > 0) {
-                    const inventory = product.inventoryItems[0]; // Assuming one inventory item per product
+                for (const inventory of product.inventoryItems) {
                     const currentStock = inventory.quantity || 0;
                     const reorderLevel = inventory.reorderLevel || 10;
 
@@ -866,6 +974,8 @@ class SalesService {
                             id: product.id,
                             name: product.name,
                             category: product.category,
+                            locationId: inventory.stockLocation.id,
+                            locationName: inventory.stockLocation.name,
                             currentStock: currentStock,
                             minStockLevel: reorderLevel,
                             stockStatus: currentStock === 0 ? 'OUT_OF_STOCK' : 'LOW_STOCK',
@@ -901,15 +1011,398 @@ class SalesService {
         }
     }
 
-    // Process additional payment for a sale
-    static async processSalePayment({ saleId, paymentAmount, paymentMethod, notes }) {
+    // Cancel a sale: restock everything, void its debts and payments
+    static async cancelSale(saleId, userId, options = {}) {
+        try {
+            return await prisma.$transaction(async (tx) => {
+                const sale = await this.getReversibleSale(saleId, userId, tx);
+
+                if (sale.refundedAmount > 0) {
+                    throw new Error('Cannot cancel a sale that has already been partially refunded');
+                }
+
+                const lines = sale.saleItems.map(saleItem => ({ saleItem, quantity: saleItem.quantity }));
+
+                return await this.reverseSale(sale, lines, 'CANCELLATION', userId, options, tx);
+            });
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    // Refund a sale, either fully or per line ({ saleItemId, quantity } pairs)
+    static async refundSale(saleId, userId, options = {}) {
         try {
+            const { items } = options;
+
             return await prisma.$transaction(async (tx) => {
-                // Get sale details
-                const sale = await tx.sale.findUnique({
-                    where: { id: saleId },
+                const sale = await this.getReversibleSale(saleId, userId, tx);
+
+                let lines;
+                if (items && items.length > 0) {
+                    lines = [];
+                    for (const item of items) {
+                        const saleItem = sale.saleItems.find(si => si.id === parseInt(item.saleItemId));
+                        if (!saleItem) {
+                            throw new Error(`Sale item with ID ${item.saleItemId} not found on this sale`);
+                        }
+                        if (lines.some(line => line.saleItem.id === saleItem.id)) {
+                            throw new Error(`Sale item ${saleItem.id} is listed more than once`);
+                        }
+
+                        const quantity = parseInt(item.quantity);
+                        const refundable = saleItem.quantity - saleItem.refundedQuantity;
+                        if (!quantity || quantity <= 0) {
+                            throw new Error(`Refund quantity for sale item ${saleItem.id} must be greater than zero`);
+                        }
+                        if (quantity > refundable) {
+                            throw new Error(`Cannot refund ${quantity} of sale item ${saleItem.id}. Refundable: ${refundable}`);
+                        }
+
+                        lines.push({ saleItem, quantity });
+                    }
+                } else {
+                    lines = sale.saleItems
+                        .filter(saleItem => saleItem.quantity > saleItem.refundedQuantity)
+                        .map(saleItem => ({ saleItem, quantity: saleItem.quantity - saleItem.refundedQuantity }));
+                }
+
+                // The refund is full when it returns everything still left on the sale
+                const isFull = sale.saleItems.every(saleItem => {
+                    const line = lines.find(l => l.saleItem.id === saleItem.id);
+                    return saleItem.refundedQuantity + (line?.quantity || 0) >= saleItem.quantity;
+                });
+
+                return await this.reverseSale(sale, lines, isFull ? 'FULL' : 'PARTIAL', userId, options, tx);
+            });
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    // Load a sale that can still be cancelled or refunded
+    static async getReversibleSale(saleId, userId, tx) {
+        const sale = await tx.sale.findFirst({
+            where: { id: saleId, userId },
+            include: {
+                saleItems: true,
+                debts: {
+                    where: { isPaid: false },
+                    orderBy: { createdAt: 'desc' }
+                }
+            }
+        });
+
+        if (!sale) {
+            throw new Error('Sale not found');
+        }
+
+        if (sale.status === 'CANCELLED') {
+            throw new Error('Sale is already cancelled');
+        }
+
+        if (sale.status === 'REFUNDED') {
+            throw new Error('Sale has already been fully refunded');
+        }
+
+        return sale;
+    }
+
+    // Shared cancellation/refund flow: restock lines, settle debts, return money
+    static async reverseSale(sale, lines, type, userId, options, tx) {
+        const {
+            reason,
+            refundToCredit = false,
+            refundMethod = 'CASH',
+            restock = true,
+            actorId
+        } = options;
+
+        if (refundToCredit && !sale.customerId) {
+            throw new Error('Walk-in sales cannot be refunded to credit');
+        }
+
+        const isCancellation = type === 'CANCELLATION';
+        const closesSale = isCancellation || type === 'FULL';
+
+        // Work out what each line is worth, spreading discount and tax over the subtotal
+        const ratio = money.isPositive(sale.subtotal) ? sale.totalAmount / sale.subtotal : 1;
+        const refundLines = lines.map(({ saleItem, quantity }) => ({
+            saleItem,
+            quantity,
+            amount: money.multiply(saleItem.totalPrice, (quantity / saleItem.quantity) * ratio)
+        }));
+
+        // Closing the sale returns exactly what is left, so rounding never leaves a residue
+        const amount = closesSale ?
+            money.subtract(sale.totalAmount, sale.refundedAmount) :
+            money.sum(refundLines, line => line.amount);
+
+        const restockUpdates = restock ? await this.restockSaleLines(refundLines, userId, tx, sale.locationId) : [];
+
+        // Refunded value first cancels whatever is still owed on the sale
+        const outstanding = money.sum(sale.debts, debt => debt.amount);
+        const debtReduced = isCancellation ? outstanding : money.min(amount, outstanding);
+        let remainingReduction = debtReduced;
+        const debtUpdates = [];
+
+        for (const debt of sale.debts) {
+            if (!isCancellation && !money.isPositive(remainingReduction)) break;
+
+            const reduction = isCancellation ? debt.amount : money.min(remainingReduction, debt.amount);
+            const newAmount = money.subtract(debt.amount, reduction);
+
+            await tx.debt.update({
+                where: { id: debt.id },
+                data: {
+                    amount: newAmount,
+                    isPaid: !money.isPositive(newAmount),
+                    ...(isCancellation && { voidedAt: new Date() }),
+                    updatedAt: new Date()
+                }
+            });
+
+            debtUpdates.push({
+                debtId: debt.id,
+                previousAmount: debt.amount,
+                newAmount,
+                voided: isCancellation
+            });
+            remainingReduction = money.subtract(remainingReduction, reduction);
+        }
+
+        // Anything beyond the outstanding debt was paid, so it goes back to the customer
+        const moneyToReturn = money.max(0, money.subtract(amount, debtReduced));
+        let cashRefunded = 0;
+        let creditIssued = 0;
+
+        if (money.isPositive(moneyToReturn)) {
+            if (refundToCredit) {
+                const customer = await tx.customer.update({
+                    where: { id: sale.customerId },
+                    data: {
+                        creditBalance: { increment: moneyToReturn },
+                        updatedAt: new Date()
+                    }
+                });
+
+                await tx.creditTransaction.create({
+                    data: {
+                        customerId: sale.customerId,
+                        userId,
+                        amount: moneyToReturn,
+                        type: 'REFUND_ADDED',
+                        description: `${isCancellation ? 'Cancellation' : 'Refund'} of sale ${sale.saleNumber}`
+                    }
+                });
+
+                await AuditService.log(tx, {
+                    userId,
+                    actorId,
+                    entity: 'CREDIT',
+                    entityId: sale.customerId,
+                    action: 'UPDATE',
+                    before: { creditBalance: money.subtract(customer.creditBalance, moneyToReturn) },
+                    after: { creditBalance: customer.creditBalance, saleId: sale.id },
+                    reason
+                });
+                creditIssued = moneyToReturn;
+            } else {
+                cashRefunded = moneyToReturn;
+            }
+        }
+
+        // Payments taken at the till are voided on cancellation, marked refunded otherwise
+        if (closesSale) {
+            await tx.payment.updateMany({
+                where: { saleId: sale.id, status: 'COMPLETED' },
+                data: { status: isCancellation ? 'VOIDED' : 'REFUNDED' }
+            });
+        }
+
+        for (const line of refundLines) {
+            await tx.saleItem.update({
+                where: { id: line.saleItem.id },
+                data: { refundedQuantity: { increment: line.quantity } }
+            });
+        }
+
+        const refund = await tx.saleRefund.create({
+            data: {
+                saleId: sale.id,
+                userId,
+                type,
+                amount,
+                debtReduced,
+                cashRefunded,
+                creditIssued,
+                refundMethod: cashRefunded > 0 ? refundMethod : null,
+                reason,
+                restocked: restock,
+                items: {
+                    create: refundLines.map(line => ({
+                        saleItemId: line.saleItem.id,
+                        quantity: line.quantity,
+                        amount: line.amount
+                    }))
+                }
+            },
+            include: { items: true }
+        });
+
+        for (const update of restockUpdates) {
+            await InventoryService.recordMovement(tx, {
+                userId,
+                productId: update.productId,
+                inventoryItemId: update.inventoryId,
+                type: 'RETURN',
+                quantity: update.quantityReturned,
+                balance: update.newStock,
+                unitCost: update.unitCost,
+                actorId,
+                saleId: sale.id,
+                saleRefundId: refund.id,
+                reason
+            });
+        }
+
+        const updatedSale = await tx.sale.update({
+            where: { id: sale.id },
+            data: {
+                refundedAmount: { increment: amount },
+                // Money handed back is no longer paid on the sale
+                paidAmount: { decrement: moneyToReturn },
+                ...(isCancellation && {
+                    status: 'CANCELLED',
+                    cancelledAt: new Date(),
+                    cancellationReason: reason
+                }),
+                ...(type === 'FULL' && { status: 'REFUNDED' })
+            }
+        });
+
+        await AuditService.log(tx, {
+            userId,
+            actorId,
+            entity: 'SALE',
+            entityId: sale.id,
+            action: isCancellation ? 'CANCEL' : 'REFUND',
+            before: sale,
+            after: { ...updatedSale, refund, debtUpdates, restockUpdates },
+            reason
+        });
+
+        return {
+            success: true,
+            message: isCancellation ? 'Sale cancelled successfully' : 'Refund processed successfully',
+            sale: {
+                id: updatedSale.id,
+                saleNumber: updatedSale.saleNumber,
+                status: updatedSale.status,
+                totalAmount: updatedSale.totalAmount,
+                refundedAmount: updatedSale.refundedAmount
+            },
+            refund,
+            summary: {
+                refundAmount: amount,
+                debtReduced,
+                cashRefunded,
+                creditIssued
+            },
+            debtUpdates,
+            restockUpdates
+        };
+    }
+
+    // Put refunded products and service materials back into stock at the location the sale took them from
+    static async restockSaleLines(lines, userId, tx, locationId) {
+        const restockUpdates = [];
+
+        // Sales from before locations existed were taken from what is now the default location
+        const location = locationId ?
+            await tx.location.findUnique({ where: { id: locationId } }) :
+            await LocationService.getDefaultLocation(tx, userId);
+
+        const restockProduct = async (product, quantity, unitCost, saleItemId) => {
+            if (!product.trackInventory) return;
+
+            const inventory = await ProductService.inventoryAt(tx, product.id, userId, location.id);
+            const updated = await tx.inventoryItem.update({
+                where: { id: inventory.id },
+                data: { quantity: { increment: quantity } }
+            });
+
+            // Units go back into the lots they were sold from; anything else into an undated lot
+            if (product.trackLots) {
+                const leftover = await LotService.returnToLots(tx, saleItemId, quantity, product.id);
+                if (leftover > 0) {
+                    await LotService.addToLot(tx, {
+                        userId,
+                        productId: product.id,
+                        inventoryItemId: inventory.id,
+                        quantity: leftover,
+                        unitCost: product.costPrice
+                    });
+                }
+            }
+
+            restockUpdates.push({
+                productId: product.id,
+                inventoryId: inventory.id,
+                productName: product.name,
+                locationId: location.id,
+                quantityReturned: quantity,
+                unitCost,
+                previousStock: updated.quantity - quantity,
+                newStock: updated.quantity
+            });
+        };
+
+        for (const { saleItem, quantity } of lines) {
+            if (saleItem.itemType === 'PRODUCT' && saleItem.productId) {
+                const product = await tx.product.findFirst({
+                    where: { id: saleItem.productId, userId }
+                });
+                if (product) {
+                    await restockProduct(product, quantity, saleItem.unitCost, saleItem.id);
+                }
+            } else if (saleItem.itemType === 'SERVICE' && saleItem.serviceId) {
+                // Materials are restocked using the service's current bill of materials
+                const service = await tx.service.findFirst({
+                    where: { id: saleItem.serviceId, userId },
                     include: {
-                        customer: true
+                        serviceMaterials: {
+                            include: { product: true }
+                        }
+                    }
+                });
+                if (service && service.requiresMaterials) {
+                    for (const sm of service.serviceMaterials) {
+                        await restockProduct(sm.product, sm.quantity * quantity, sm.product.costPrice, saleItem.id);
+                    }
+                }
+            }
+        }
+
+        return restockUpdates;
+    }
+
+    // Process additional payment for a credit or partial-payment sale
+    static async processSalePayment({ saleId, userId, actorId, paymentAmount, paymentMethod = 'CASH', reference, notes }) {
+        try {
+            if (!paymentAmount || !money.isPositive(paymentAmount)) {
+                throw new Error('Payment amount must be greater than zero');
+            }
+            paymentAmount = money.round(paymentAmount);
+
+            return await prisma.$transaction(async (tx) => {
+                const sale = await tx.sale.findFirst({
+                    where: { id: saleId, userId },
+                    include: {
+                        debts: {
+                            where: { isPaid: false },
+                            orderBy: { createdAt: 'asc' }
+                        }
                     }
                 });
 
@@ -917,80 +1410,109 @@ class SalesService {
                     throw new Error('Sale not found');
                 }
 
-                if (sale.status === 'CANCELLED') {
-                    throw new Error('Cannot process payment for cancelled sale');
+                if (sale.status === 'CANCELLED' || sale.status === 'REFUNDED') {
+                    throw new Error(`Cannot process payment for ${sale.status.toLowerCase()} sale`);
                 }
 
-                // Calculate remaining balance
-                const remainingBalance = sale.totalAmount - sale.paidAmount;
+                // What is still owed lives on the debts created for this sale
+                const outstanding = money.sum(sale.debts, debt => debt.amount);
 
-                if (remainingBalance <= 0) {
+                if (!money.isPositive(outstanding)) {
                     throw new Error('Sale is already fully paid');
                 }
 
-                if (paymentAmount > remainingBalance) {
-                    throw new Error(`Payment amount (${paymentAmount}) exceeds remaining balance (${remainingBalance})`);
+                if (money.compare(paymentAmount, outstanding) > 0) {
+                    throw new Error(`Payment amount (${paymentAmount}) exceeds remaining balance (${outstanding})`);
                 }
 
-                // Create payment record
                 const payment = await tx.payment.create({
                     data: {
                         customerId: sale.customerId,
+                        userId,
                         amount: paymentAmount,
-                        method: paymentMethod,
-                        type: 'RECEIVED',
-                        status: 'COMPLETED',
-                        notes: notes || `Payment for sale ${sale.saleNumber}`,
-                        saleId: sale.id,
-                        userId: sale.userId
+                        appliedToDebt: paymentAmount,
+                        paymentMethod,
+                        description: notes || `Payment for sale ${sale.saleNumber}`,
+                        reference,
+                        saleId: sale.id
                     }
                 });
 
-                // Update sale
-                const newPaidAmount = sale.paidAmount + paymentAmount;
-                const updatedSale = await tx.sale.update({
-                    where: { id: saleId },
-                    data: {
-                        paidAmount: newPaidAmount,
-                        status: newPaidAmount >= sale.totalAmount ? 'PAID' : 'PARTIAL_PAYMENT'
-                    }
-                });
+                // Allocate to the sale's debts, oldest first
+                let remainingPayment = paymentAmount;
+                const paymentAllocations = [];
+                const debtsPaid = [];
 
-                // Update customer debt if exists
-                if (sale.customerId) {
-                    const debt = await tx.debt.findFirst({
-                        where: {
-                            customerId: sale.customerId,
-                            saleId: sale.id
+                for (const debt of sale.debts) {
+                    if (!money.isPositive(remainingPayment)) break;
+
+                    const amountToAllocate = money.min(remainingPayment, debt.amount);
+                    const newAmount = money.subtract(debt.amount, amountToAllocate);
+
+                    const allocation = await tx.paymentAllocation.create({
+                        data: {
+                            paymentId: payment.id,
+                            debtId: debt.id,
+                            amount: amountToAllocate
                         }
                     });
+                    paymentAllocations.push(allocation);
 
-                    if (debt) {
-                        const newDebtAmount = debt.amount - paymentAmount;
-
-                        if (newDebtAmount <= 0) {
-                            await tx.debt.update({
-                                where: { id: debt.id },
-                                data: {
-                                    amount: 0,
-                                    status: 'PAID'
-                                }
-                            });
-                        } else {
-                            await tx.debt.update({
-                                where: { id: debt.id },
-                                data: {
-                                    amount: newDebtAmount
-                                }
-                            });
+                    await tx.debt.update({
+                        where: { id: debt.id },
+                        data: {
+                            amount: newAmount,
+                            isPaid: !money.isPositive(newAmount),
+                            updatedAt: new Date()
                         }
-                    }
+                    });
+
+                    debtsPaid.push({
+                        debtId: debt.id,
+                        description: debt.description,
+                        originalAmount: debt.originalAmount,
+                        amountPaid: amountToAllocate,
+                        remainingAmount: newAmount,
+                        fullyPaid: !money.isPositive(newAmount)
+                    });
+                    remainingPayment = money.subtract(remainingPayment, amountToAllocate);
                 }
 
+                const updatedSale = await tx.sale.update({
+                    where: { id: sale.id },
+                    data: {
+                        paidAmount: { increment: paymentAmount }
+                    }
+                });
+
+                await AuditService.log(tx, {
+                    userId,
+                    actorId,
+                    entity: 'PAYMENT',
+                    entityId: payment.id,
+                    action: 'CREATE',
+                    after: { ...payment, allocations: paymentAllocations, debtsPaid }
+                });
+
+                const remainingBalance = money.subtract(outstanding, paymentAmount);
+                const paymentStatus = this.getPaymentStatus(updatedSale.totalAmount, updatedSale.paidAmount);
+
                 return {
-                    payment,
-                    sale: updatedSale,
-                    remainingBalance: sale.totalAmount - newPaidAmount
+                    payment: {
+                        ...payment,
+                        allocations: paymentAllocations
+                    },
+                    sale: {
+                        id: updatedSale.id,
+                        saleNumber: updatedSale.saleNumber,
+                        saleType: updatedSale.saleType,
+                        totalAmount: updatedSale.totalAmount,
+                        paidAmount: updatedSale.paidAmount,
+                        paymentStatus
+                    },
+                    debtsPaid,
+                    remainingBalance,
+                    paymentStatus
                 };
             });
 
@@ -998,6 +1520,17 @@ class SalesService {
             throw error;
         }
     }
+
+    // Derive a sale's payment status from what has been paid towards it
+    static getPaymentStatus(totalAmount, paidAmount) {
+        if (money.compare(paidAmount, totalAmount) >= 0) {
+            return 'PAID';
+        } else if (money.isPositive(paidAmount)) {
+            return 'PARTIALLY_PAID';
+        } else {
+            return 'UNPAID';
+        }
+    }
 }
 
 module.exports = SalesService;
@@ -0,0 +1,32 @@
+/**
+ * SEQUENCE SERVICE MODULE
+ * Per-shop counters for sale, receipt, purchase order, stock transfer and stock take numbers
+ * The increment takes a row lock that is held until the caller's transaction
+ * commits, so two concurrent sales can never be handed the same number
+ */
+class SequenceService {
+
+    // Next value of a counter; pass the transaction client so a rolled-back sale gives its number back
+    static async next(db, userId, name, period = '') {
+        try {
+            const sequence = await db.numberSequence.upsert({
+                where: { userId_name_period: { userId, name, period } },
+                create: { userId, name, period, value: 1 },
+                update: { value: { increment: 1 } }
+            });
+            return sequence.value;
+        } catch (e) {
+            // Another sale created the counter first; it exists now, so increment it
+            if (e.code === 'P2002') {
+                const sequence = await db.numberSequence.update({
+                    where: { userId_name_period: { userId, name, period } },
+                    data: { value: { increment: 1 } }
+                });
+                return sequence.value;
+            }
+            throw e;
+        }
+    }
+}
+
+module.exports = SequenceService;
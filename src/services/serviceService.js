@@ -1,5 +1,9 @@
-const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
+const prisma = require('../utils/prisma');
+const money = require('../utils/money');
+const ProductService = require('./productService');
+const InventoryService = require('./inventoryService');
+const LocationService = require('./locationService');
+const LotService = require('./lotService');
 
 /**
  * SERVICE SERVICE MODULE
@@ -82,7 +86,7 @@ class ServiceService {
 
             // Calculate profit margin if cost estimate is provided
             const profitMargin = costEstimate ?
-                ((price - costEstimate) / costEstimate * 100) : null;
+                money.percentage(money.subtract(price, costEstimate), costEstimate) : null;
 
             // Get material details for response
             const materialDetails = [];
@@ -166,7 +170,7 @@ class ServiceService {
             // Process services with material and profit information
             const processedServices = services.map(service => {
                 const profitMargin = service.costEstimate ?
-                    ((service.price - service.costEstimate) / service.costEstimate * 100) : null;
+                    money.percentage(money.subtract(service.price, service.costEstimate), service.costEstimate) : null;
 
                 const materials = service.serviceMaterials.map(sm => ({
                     productId: sm.productId,
@@ -230,7 +234,7 @@ class ServiceService {
             }
 
             const profitMargin = service.costEstimate ?
-                ((service.price - service.costEstimate) / service.costEstimate * 100) : null;
+                money.percentage(money.subtract(service.price, service.costEstimate), service.costEstimate) : null;
 
             const materials = service.serviceMaterials.map(sm => ({
                 productId: sm.productId,
@@ -332,9 +336,11 @@ class ServiceService {
         }
     }
 
-    // Check if service can be delivered (materials availability)
-    static async checkServiceAvailability(serviceId, userId, quantity = 1) {
+    // Check if service can be delivered (materials availability) from a location, the default when none is given
+    static async checkServiceAvailability(serviceId, userId, quantity = 1, locationId) {
         try {
+            const location = await LocationService.resolveLocation(prisma, userId, locationId);
+
             const service = await prisma.service.findFirst({
                 where: {
                     id: serviceId,
@@ -345,7 +351,7 @@ class ServiceService {
                         include: {
                             product: {
                                 include: {
-                                    inventoryItems: true
+                                    inventoryItems: { where: { locationId: location.id } }
                                 }
                             }
                         }
@@ -386,7 +392,7 @@ class ServiceService {
                 if (unavailableMaterials.length > 0) {
                     return {
                         available: false,
-                        reason: 'Insufficient materials',
+                        reason: `Insufficient materials at ${location.name}`,
                         unavailableMaterials
                     };
                 }
@@ -408,9 +414,11 @@ class ServiceService {
         }
     }
 
-    // Deduct materials used for service delivery
-    static async deductServiceMaterials(serviceId, userId, quantity = 1) {
+    // Deduct materials used for service delivery from context.locationId, the default location when not given
+    static async deductServiceMaterials(serviceId, userId, quantity = 1, context = {}) {
         try {
+            const location = await LocationService.resolveLocation(prisma, userId, context.locationId);
+
             const service = await prisma.service.findFirst({
                 where: {
                     id: serviceId,
@@ -421,7 +429,7 @@ class ServiceService {
                         include: {
                             product: {
                                 include: {
-                                    inventoryItems: true
+                                    inventoryItems: { where: { locationId: location.id } }
                                 }
                             }
                         }
@@ -441,19 +449,47 @@ class ServiceService {
                         const inventory = sm.product.inventoryItems[0];
                         if (inventory) {
                             const deductionQuantity = sm.quantity * quantity;
-                            const newQuantity = Math.max(0, inventory.quantity - deductionQuantity);
 
-                            await tx.inventoryItem.update({
-                                where: { id: inventory.id },
-                                data: { quantity: newQuantity }
+                            // Never below zero: use up what is left when there is not enough. Expired
+                            // lots of a perishable are not used, so only its in-date units count as left
+                            let stock = !sm.product.trackLots &&
+                                await ProductService.deductStock(tx, inventory.id, deductionQuantity);
+                            if (!stock) {
+                                const locked = await ProductService.lockInventory(tx, inventory.id);
+                                const left = sm.product.trackLots ?
+                                    locked.quantity - await LotService.expiredQuantity(tx, inventory.id) :
+                                    locked.quantity;
+                                const updated = await tx.inventoryItem.update({
+                                    where: { id: inventory.id },
+                                    data: { quantity: { decrement: Math.max(0, Math.min(deductionQuantity, left)) } }
+                                });
+                                stock = { previousStock: locked.quantity, newStock: updated.quantity };
+                            }
+
+                            const used = stock.previousStock - stock.newStock;
+                            const lots = sm.product.trackLots && used > 0 ?
+                                await LotService.takeFefo(tx, inventory.id, used, { skipExpired: true }) : null;
+
+                            await InventoryService.recordMovement(tx, {
+                                userId,
+                                productId: sm.productId,
+                                inventoryItemId: inventory.id,
+                                type: 'SERVICE_MATERIAL',
+                                quantity: stock.newStock - stock.previousStock,
+                                balance: stock.newStock,
+                                unitCost: lots ?
+                                    money.round(LotService.costOf(lots, used, sm.product.costPrice) / used) :
+                                    sm.product.costPrice,
+                                actorId: context.actorId,
+                                reason: service.name
                             });
 
                             materialsDeducted.push({
                                 productId: sm.productId,
                                 productName: sm.product.name,
                                 quantityUsed: deductionQuantity,
-                                previousStock: inventory.quantity,
-                                newStock: newQuantity
+                                previousStock: stock.previousStock,
+                                newStock: stock.newStock
                             });
                         }
                     }
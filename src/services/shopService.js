@@ -0,0 +1,269 @@
+const bcrypt = require('bcryptjs');
+const prisma = require('../utils/prisma');
+const PaymentService = require('./paymentService');
+
+/**
+ * SHOP SERVICE MODULE
+ * Handles the shop (business) and its staff logins
+ * Staff see the owner's data; their role decides what they can do
+ */
+class ShopService {
+    static STAFF_ROLES = ['MANAGER', 'CASHIER'];
+
+    static REMINDER_CHANNELS = ['SMS', 'WHATSAPP'];
+
+    static COSTING_METHODS = ['WEIGHTED_AVERAGE', 'LAST_COST'];
+
+    // Whole-number reminder settings and the range each may take
+    static REMINDER_LIMITS = {
+        reminderDaysBeforeDue: [0, 30],
+        reminderIntervalDays: [1, 90],
+        reminderMaxPerDebt: [1, 20]
+    };
+
+    // Whole-number reorder suggestion settings and the range each may take
+    static REORDER_LIMITS = {
+        reorderWindowDays: [7, 365],
+        reorderLeadTimeDays: [0, 180],
+        reorderSafetyDays: [0, 90],
+        reorderCoverDays: [1, 180]
+    };
+
+    static staffSelect = {
+        id: true,
+        email: true,
+        name: true,
+        role: true,
+        isActive: true,
+        createdAt: true
+    };
+
+    // Get shop details with its staff
+    static async getShop(shopId) {
+        try {
+            const shop = await prisma.shop.findUnique({
+                where: { id: shopId },
+                include: {
+                    staff: {
+                        select: this.staffSelect,
+                        orderBy: { createdAt: 'asc' }
+                    }
+                }
+            });
+
+            if (!shop) {
+                throw new Error('Shop not found');
+            }
+
+            return shop;
+        } catch (e) {
+            throw e;
+        }
+    }
+
+    // Create a staff login under the shop
+    static async addStaff(shopId, data) {
+        try {
+            const { email, password, name, role } = data;
+
+            if (!email || !password) {
+                throw new Error('Email and password are required');
+            }
+
+            if (!this.STAFF_ROLES.includes(role)) {
+                throw new Error(`Role must be one of: ${this.STAFF_ROLES.join(', ')}`);
+            }
+
+            const existingUser = await prisma.user.findUnique({ where: { email } });
+            if (existingUser) {
+                throw new Error('User already exists');
+            }
+
+            const hashedPassword = await bcrypt.hash(password, 10);
+
+            return await prisma.user.create({
+                data: {
+                    email,
+                    password: hashedPassword,
+                    name: name || null,
+                    role,
+                    shopId
+                },
+                select: this.staffSelect
+            });
+        } catch (e) {
+            throw e;
+        }
+    }
+
+    // Change a staff member's role
+    static async updateStaffRole(shopId, staffId, role) {
+        try {
+            if (!this.STAFF_ROLES.includes(role)) {
+                throw new Error(`Role must be one of: ${this.STAFF_ROLES.join(', ')}`);
+            }
+
+            await this.getStaffMember(shopId, staffId);
+
+            return await prisma.user.update({
+                where: { id: staffId },
+                data: { role },
+                select: this.staffSelect
+            });
+        } catch (e) {
+            throw e;
+        }
+    }
+
+    // Deactivate a staff login and end all its sessions
+    static async removeStaff(shopId, staffId) {
+        try {
+            await this.getStaffMember(shopId, staffId);
+
+            return await prisma.$transaction(async (tx) => {
+                await tx.authSession.updateMany({
+                    where: { userId: staffId, revokedAt: null },
+                    data: {
+                        revokedAt: new Date(),
+                        revokedReason: 'STAFF_REMOVED'
+                    }
+                });
+
+                return tx.user.update({
+                    where: { id: staffId },
+                    data: { isActive: false },
+                    select: this.staffSelect
+                });
+            });
+        } catch (e) {
+            throw e;
+        }
+    }
+
+    // Update shop-wide settings
+    static async updateSettings(shopId, settings) {
+        try {
+            const {
+                name,
+                paymentAllocationStrategy,
+                remindersEnabled,
+                reminderChannel,
+                quietHoursStart,
+                quietHoursEnd,
+                whatsappSaleReceipts,
+                whatsappPaymentReceipts,
+                whatsappFrom,
+                mpesaShortcode,
+                costingMethod
+            } = settings;
+            const data = {};
+
+            if (name !== undefined) {
+                if (!name || !String(name).trim()) {
+                    throw new Error('Shop name cannot be empty');
+                }
+                data.name = String(name).trim();
+            }
+
+            if (paymentAllocationStrategy !== undefined) {
+                if (!PaymentService.ALLOCATION_STRATEGIES.includes(paymentAllocationStrategy)) {
+                    throw new Error(`Payment allocation strategy must be one of: ${PaymentService.ALLOCATION_STRATEGIES.join(', ')}`);
+                }
+                data.paymentAllocationStrategy = paymentAllocationStrategy;
+            }
+
+            if (remindersEnabled !== undefined) {
+                data.remindersEnabled = Boolean(remindersEnabled);
+            }
+
+            if (reminderChannel !== undefined) {
+                if (!this.REMINDER_CHANNELS.includes(reminderChannel)) {
+                    throw new Error(`Reminder channel must be one of: ${this.REMINDER_CHANNELS.join(', ')}`);
+                }
+                data.reminderChannel = reminderChannel;
+            }
+
+            for (const [field, [min, max]] of Object.entries({ ...this.REMINDER_LIMITS, ...this.REORDER_LIMITS })) {
+                if (settings[field] === undefined) continue;
+
+                const value = Number(settings[field]);
+                if (!Number.isInteger(value) || value < min || value > max) {
+                    throw new Error(`${field} must be a whole number from ${min} to ${max}`);
+                }
+                data[field] = value;
+            }
+
+            // Quiet hours are set (or cleared with null) as a pair
+            if (quietHoursStart !== undefined || quietHoursEnd !== undefined) {
+                const hours = [quietHoursStart, quietHoursEnd];
+                const cleared = hours.every(hour => hour === null);
+                const valid = hours.every(hour => Number.isInteger(hour) && hour >= 0 && hour <= 23);
+                if (!cleared && !valid) {
+                    throw new Error('Quiet hours need both quietHoursStart and quietHoursEnd as hours from 0 to 23, or both null');
+                }
+                data.quietHoursStart = quietHoursStart;
+                data.quietHoursEnd = quietHoursEnd;
+            }
+
+            if (whatsappSaleReceipts !== undefined) {
+                data.whatsappSaleReceipts = Boolean(whatsappSaleReceipts);
+            }
+
+            if (whatsappPaymentReceipts !== undefined) {
+                data.whatsappPaymentReceipts = Boolean(whatsappPaymentReceipts);
+            }
+
+            // null falls back to the number configured for the whole deployment
+            if (whatsappFrom !== undefined) {
+                if (whatsappFrom !== null && !/^\+\d{8,15}$/.test(whatsappFrom)) {
+                    throw new Error('WhatsApp sender must be an international number like +254712345678, or null');
+                }
+                data.whatsappFrom = whatsappFrom;
+            }
+
+            if (mpesaShortcode !== undefined) {
+                if (mpesaShortcode !== null && !/^\d{5,7}$/.test(String(mpesaShortcode))) {
+                    throw new Error('M-Pesa shortcode must be a 5 to 7 digit till or paybill number, or null');
+                }
+                data.mpesaShortcode = mpesaShortcode === null ? null : String(mpesaShortcode);
+            }
+
+            // How received goods reprice products
+            if (costingMethod !== undefined) {
+                if (!this.COSTING_METHODS.includes(costingMethod)) {
+                    throw new Error(`Costing method must be one of: ${this.COSTING_METHODS.join(', ')}`);
+                }
+                data.costingMethod = costingMethod;
+            }
+
+            return await prisma.shop.update({
+                where: { id: shopId },
+                data
+            });
+        } catch (e) {
+            if (e.code === 'P2002') {
+                throw new Error('M-Pesa shortcode is already used by another shop');
+            }
+            throw e;
+        }
+    }
+
+    // Find a non-owner staff member of the shop
+    static async getStaffMember(shopId, staffId) {
+        const staff = await prisma.user.findFirst({
+            where: { id: staffId, shopId }
+        });
+
+        if (!staff) {
+            throw new Error('Staff member not found');
+        }
+
+        if (staff.role === 'OWNER') {
+            throw new Error('The shop owner cannot be changed or removed');
+        }
+
+        return staff;
+    }
+}
+
+module.exports = ShopService;
@@ -0,0 +1,470 @@
+const prisma = require('../utils/prisma');
+const money = require('../utils/money');
+const AuditService = require('./auditService');
+const InventoryService = require('./inventoryService');
+const LocationService = require('./locationService');
+const LotService = require('./lotService');
+const ProductService = require('./productService');
+const SequenceService = require('./sequenceService');
+
+/**
+ * STOCK TAKE SERVICE MODULE
+ * Physical counts of a location. Starting a count freezes the expected quantity
+ * of every product on the sheet; counts are entered in as many batches as needed
+ * and can be corrected until the count is posted. Posting applies each counted
+ * line's variance to the stock as a COUNT movement, all in one transaction, so
+ * the difference between the books and the shelf is kept rather than overwritten
+ */
+class StockTakeService {
+
+    static STATUSES = ['OPEN', 'POSTED', 'CANCELLED'];
+
+    // Name shrinkage is reported under for products without a category
+    static UNCATEGORISED = 'Uncategorised';
+
+    // Start counting a location, optionally only one category of products
+    static async startStockTake(userId, data) {
+        try {
+            const { locationId, category, notes, actorId } = data;
+
+            return await prisma.$transaction(async (tx) => {
+                const location = await LocationService.resolveLocation(tx, userId, locationId);
+
+                // Lock the location so two counts of it cannot start at once
+                await tx.location.update({ where: { id: location.id }, data: { isActive: true } });
+
+                const open = await tx.stockTake.findFirst({
+                    where: { userId, locationId: location.id, status: 'OPEN' }
+                });
+                if (open) {
+                    throw new Error(`A stock take is already open at ${location.name} (${open.takeNumber})`);
+                }
+
+                const products = await tx.product.findMany({
+                    where: { userId, trackInventory: true, ...(category && { category }) },
+                    include: { inventoryItems: { where: { locationId: location.id } } },
+                    orderBy: { name: 'asc' }
+                });
+                if (products.length === 0) {
+                    throw new Error('No tracked products to count');
+                }
+
+                const sequence = await SequenceService.next(tx, userId, 'STOCK_TAKE');
+                const stockTake = await tx.stockTake.create({
+                    data: {
+                        userId,
+                        takeNumber: `ST-${String(sequence).padStart(6, '0')}`,
+                        locationId: location.id,
+                        category: category || null,
+                        notes: notes || null,
+                        createdBy: actorId ?? null,
+                        items: {
+                            create: products.map(product => ({
+                                productId: product.id,
+                                expectedQuantity: product.inventoryItems[0]?.quantity || 0,
+                                unitCost: product.costPrice
+                            }))
+                        }
+                    }
+                });
+
+                await AuditService.log(tx, {
+                    userId,
+                    actorId,
+                    entity: 'STOCK_TAKE',
+                    entityId: stockTake.id,
+                    action: 'CREATE',
+                    after: { ...stockTake, lines: products.length }
+                });
+
+                return {
+                    success: true,
+                    stockTake: { ...stockTake, location: { id: location.id, name: location.name } },
+                    lines: products.length
+                };
+            });
+        } catch (e) {
+            throw e;
+        }
+    }
+
+    // Enter a batch of counts: [{ productId, countedQuantity }]. A product counted
+    // again has its earlier count replaced
+    static async recordCounts(takeId, userId, data) {
+        try {
+            const { counts, actorId } = data;
+
+            if (!Array.isArray(counts) || counts.length === 0) {
+                throw new Error('At least one count is required');
+            }
+
+            const productIds = counts.map(count => parseInt(count.productId));
+            if (new Set(productIds).size !== productIds.length) {
+                throw new Error('Each product can only appear once in a batch of counts');
+            }
+            for (const count of counts) {
+                const quantity = Number(count.countedQuantity);
+                if (!Number.isInteger(quantity) || quantity < 0) {
+                    throw new Error('Counted quantity must be a whole number of zero or more');
+                }
+            }
+
+            await this.getTake(takeId, userId);
+
+            return await prisma.$transaction(async (tx) => {
+                // Counts only land on an open stock take, even with a post going through at the same time
+                const { count } = await tx.stockTake.updateMany({
+                    where: { id: takeId, status: 'OPEN' },
+                    data: { updatedAt: new Date() }
+                });
+                if (count === 0) {
+                    throw new Error('Only open stock takes can be counted');
+                }
+
+                const lines = await tx.stockTakeItem.findMany({ where: { stockTakeId: takeId } });
+                const countedAt = new Date();
+
+                for (const entry of counts) {
+                    const line = lines.find(item => item.productId === parseInt(entry.productId));
+                    if (!line) {
+                        throw new Error(`Product ${entry.productId} is not on this stock take`);
+                    }
+
+                    await tx.stockTakeItem.update({
+                        where: { id: line.id },
+                        data: {
+                            countedQuantity: Number(entry.countedQuantity),
+                            countedBy: actorId ?? null,
+                            countedAt
+                        }
+                    });
+                    line.countedQuantity = Number(entry.countedQuantity);
+                }
+
+                const countedLines = lines.filter(line => line.countedQuantity !== null).length;
+
+                return {
+                    success: true,
+                    counted: counts.length,
+                    progress: {
+                        totalLines: lines.length,
+                        countedLines,
+                        remainingLines: lines.length - countedLines
+                    }
+                };
+            });
+        } catch (e) {
+            throw e;
+        }
+    }
+
+    // Get stock takes, newest first
+    static async getStockTakes(userId, filters = {}) {
+        try {
+            const { status, locationId, page = 1, limit = 50 } = filters;
+
+            const where = { userId };
+            if (status) where.status = status;
+            if (locationId) where.locationId = parseInt(locationId);
+
+            const totalItems = await prisma.stockTake.count({ where });
+            const totalPages = Math.ceil(totalItems / limit);
+            const offset = (page - 1) * limit;
+
+            const stockTakes = await prisma.stockTake.findMany({
+                where,
+                include: {
+                    location: { select: { id: true, name: true } },
+                    _count: { select: { items: true } }
+                },
+                orderBy: { createdAt: 'desc' },
+                skip: offset,
+                take: limit
+            });
+
+            return {
+                success: true,
+                stockTakes,
+                pagination: {
+                    currentPage: page,
+                    totalPages,
+                    totalItems,
+                    itemsPerPage: limit
+                }
+            };
+        } catch (e) {
+            throw e;
+        }
+    }
+
+    // Get a stock take's count sheet with the variance of each counted line.
+    // show: 'uncounted' lists lines still to count, 'variances' only counted lines that differ
+    static async getStockTakeById(takeId, userId, { show } = {}) {
+        try {
+            const stockTake = await this.getTake(takeId, userId, true);
+            const lines = stockTake.items.map(item => this.describeLine(item));
+
+            const shown = show === 'uncounted' ? lines.filter(line => line.countedQuantity === null) :
+                show === 'variances' ? lines.filter(line => line.variance !== null && line.variance !== 0) :
+                lines;
+
+            const { items, ...details } = stockTake;
+            return {
+                success: true,
+                stockTake: details,
+                lines: shown,
+                summary: this.summarise(lines)
+            };
+        } catch (e) {
+            throw e;
+        }
+    }
+
+    // Apply the counted variances to stock in one transaction. Each line's variance
+    // (counted less expected) is added to the stock at posting time, so sales made
+    // while counting are kept; uncounted lines are left as they are
+    static async postStockTake(takeId, userId, { actorId, notes } = {}) {
+        try {
+            const stockTake = await this.getTake(takeId, userId);
+
+            return await prisma.$transaction(async (tx) => {
+                const postedAt = new Date();
+                const { count } = await tx.stockTake.updateMany({
+                    where: { id: takeId, status: 'OPEN' },
+                    data: { status: 'POSTED', postedBy: actorId ?? null, postedAt }
+                });
+                if (count === 0) {
+                    throw new Error('Only open stock takes can be posted');
+                }
+
+                // Read the sheet after the status change, so no batch of counts can slip in behind it
+                const items = await tx.stockTakeItem.findMany({
+                    where: { stockTakeId: takeId },
+                    include: { product: { select: { id: true, name: true, sku: true, category: true, unit: true, trackLots: true } } }
+                });
+                const lines = items.map(item => this.describeLine(item));
+                const lotTracked = new Set(items.filter(item => item.product.trackLots).map(item => item.productId));
+
+                const adjustments = [];
+                for (const line of lines) {
+                    if (!line.variance) continue;
+
+                    const inventory = await ProductService.inventoryAt(tx, line.productId, userId, stockTake.locationId);
+                    const previous = await ProductService.lockInventory(tx, inventory.id);
+                    const newStock = Math.max(0, previous.quantity + line.variance);
+
+                    await tx.inventoryItem.update({
+                        where: { id: inventory.id },
+                        data: { quantity: newStock }
+                    });
+
+                    // Missing units come out of the lots earliest expiry first; found units go into an undated lot
+                    if (lotTracked.has(line.productId) && newStock < previous.quantity) {
+                        await LotService.takeFefo(tx, inventory.id, previous.quantity - newStock);
+                    } else if (lotTracked.has(line.productId) && newStock > previous.quantity) {
+                        await LotService.addToLot(tx, {
+                            userId,
+                            productId: line.productId,
+                            inventoryItemId: inventory.id,
+                            quantity: newStock - previous.quantity,
+                            unitCost: line.unitCost
+                        });
+                    }
+
+                    if (newStock !== previous.quantity) {
+                        await InventoryService.recordMovement(tx, {
+                            userId,
+                            productId: line.productId,
+                            inventoryItemId: inventory.id,
+                            type: 'COUNT',
+                            quantity: newStock - previous.quantity,
+                            balance: newStock,
+                            unitCost: line.unitCost,
+                            actorId,
+                            stockTakeId: takeId,
+                            reason: stockTake.takeNumber
+                        });
+                    }
+
+                    adjustments.push({
+                        productId: line.productId,
+                        productName: line.name,
+                        expectedQuantity: line.expectedQuantity,
+                        countedQuantity: line.countedQuantity,
+                        variance: line.variance,
+                        varianceValue: line.varianceValue,
+                        previousStock: previous.quantity,
+                        newStock
+                    });
+                }
+
+                const summary = this.summarise(lines);
+
+                await AuditService.log(tx, {
+                    userId,
+                    actorId,
+                    entity: 'STOCK_TAKE',
+                    entityId: takeId,
+                    action: 'UPDATE',
+                    before: { status: stockTake.status },
+                    after: { status: 'POSTED', postedAt, adjustments, summary },
+                    reason: notes
+                });
+
+                return {
+                    success: true,
+                    stockTake: { ...stockTake, status: 'POSTED', postedBy: actorId ?? null, postedAt },
+                    adjustments,
+                    summary
+                };
+            });
+        } catch (e) {
+            throw e;
+        }
+    }
+
+    // Abandon an open stock take without touching stock
+    static async cancelStockTake(takeId, userId, { actorId, reason } = {}) {
+        try {
+            const stockTake = await this.getTake(takeId, userId);
+
+            return await prisma.$transaction(async (tx) => {
+                const { count } = await tx.stockTake.updateMany({
+                    where: { id: takeId, status: 'OPEN' },
+                    data: { status: 'CANCELLED' }
+                });
+                if (count === 0) {
+                    throw new Error('Only open stock takes can be cancelled');
+                }
+
+                await AuditService.log(tx, {
+                    userId,
+                    actorId,
+                    entity: 'STOCK_TAKE',
+                    entityId: takeId,
+                    action: 'CANCEL',
+                    before: stockTake,
+                    after: { ...stockTake, status: 'CANCELLED' },
+                    reason
+                });
+
+                return { ...stockTake, status: 'CANCELLED' };
+            });
+        } catch (e) {
+            throw e;
+        }
+    }
+
+    // Shrinkage by category: units and cost of what was short and over, from the counted lines
+    static async getShrinkageReport(takeId, userId) {
+        try {
+            const stockTake = await this.getTake(takeId, userId, true);
+            const lines = stockTake.items
+                .map(item => this.describeLine(item))
+                .filter(line => line.countedQuantity !== null);
+
+            const byCategory = new Map();
+            for (const line of lines) {
+                const category = line.category || this.UNCATEGORISED;
+                const group = byCategory.get(category) || [];
+                group.push(line);
+                byCategory.set(category, group);
+            }
+
+            const categories = [...byCategory.entries()]
+                .map(([category, group]) => ({ category, ...this.shrinkage(group) }))
+                .sort((a, b) => money.compare(b.shrinkageValue, a.shrinkageValue));
+
+            const { items, ...details } = stockTake;
+            return {
+                success: true,
+                stockTake: details,
+                categories,
+                totals: this.shrinkage(lines)
+            };
+        } catch (e) {
+            throw e;
+        }
+    }
+
+    // Units and value short and over across counted lines
+    static shrinkage(lines) {
+        const short = lines.filter(line => line.variance < 0);
+        const over = lines.filter(line => line.variance > 0);
+        const expectedValue = money.sum(lines, line => money.multiply(line.unitCost || 0, line.expectedQuantity));
+        const shrinkageValue = money.sum(short, line => -line.varianceValue);
+
+        return {
+            linesCounted: lines.length,
+            linesShort: short.length,
+            linesOver: over.length,
+            unitsShort: short.reduce((total, line) => total - line.variance, 0),
+            unitsOver: over.reduce((total, line) => total + line.variance, 0),
+            expectedValue,
+            shrinkageValue,
+            overageValue: money.sum(over, line => line.varianceValue),
+            netVarianceValue: money.sum(lines, line => line.varianceValue),
+            shrinkageRate: money.percentage(shrinkageValue, expectedValue)
+        };
+    }
+
+    // Count progress and variance totals for a sheet
+    static summarise(lines) {
+        const counted = lines.filter(line => line.countedQuantity !== null);
+        const { shrinkageValue, overageValue, netVarianceValue } = this.shrinkage(counted);
+
+        return {
+            totalLines: lines.length,
+            countedLines: counted.length,
+            remainingLines: lines.length - counted.length,
+            linesWithVariance: counted.filter(line => line.variance !== 0).length,
+            shrinkageValue,
+            overageValue,
+            netVarianceValue
+        };
+    }
+
+    // One line of the count sheet with its variance and what it costs
+    static describeLine(item) {
+        const variance = item.countedQuantity === null ? null : item.countedQuantity - item.expectedQuantity;
+
+        return {
+            productId: item.productId,
+            name: item.product?.name,
+            sku: item.product?.sku,
+            category: item.product?.category,
+            unit: item.product?.unit,
+            expectedQuantity: item.expectedQuantity,
+            countedQuantity: item.countedQuantity,
+            variance,
+            unitCost: item.unitCost,
+            varianceValue: variance === null ? null : money.multiply(item.unitCost || 0, variance),
+            countedBy: item.countedBy,
+            countedAt: item.countedAt
+        };
+    }
+
+    // Get a stock take of this shop or throw; withItems adds the sheet
+    static async getTake(takeId, userId, withItems = false) {
+        const stockTake = await prisma.stockTake.findFirst({
+            where: { id: takeId, userId },
+            include: {
+                location: { select: { id: true, name: true } },
+                ...(withItems && {
+                    items: {
+                        include: { product: { select: { id: true, name: true, sku: true, category: true, unit: true } } },
+                        orderBy: { product: { name: 'asc' } }
+                    }
+                })
+            }
+        });
+
+        if (!stockTake) {
+            throw new Error('Stock take not found');
+        }
+
+        return stockTake;
+    }
+}
+
+module.exports = StockTakeService;
@@ -0,0 +1,245 @@
+const prisma = require('../utils/prisma');
+const money = require('../utils/money');
+const AuditService = require('./auditService');
+const InventoryService = require('./inventoryService');
+const LocationService = require('./locationService');
+const LotService = require('./lotService');
+const ProductService = require('./productService');
+const SequenceService = require('./sequenceService');
+
+/**
+ * STOCK TRANSFER SERVICE MODULE
+ * Moves stock between a shop's locations. A transfer takes every line out of
+ * one location and into the other in a single transaction, with a TRANSFER
+ * movement on each side, so it either happens in full or not at all
+ */
+class StockTransferService {
+
+    // Move stock: items ([{ productId, quantity }]) from fromLocationId to toLocationId
+    static async createTransfer(userId, data) {
+        try {
+            const { fromLocationId, toLocationId, items, notes, actorId } = data;
+
+            if (!fromLocationId || !toLocationId) {
+                throw new Error('Both fromLocationId and toLocationId are required');
+            }
+            if (parseInt(fromLocationId) === parseInt(toLocationId)) {
+                throw new Error('Stock must move to a different location');
+            }
+            if (!Array.isArray(items) || items.length === 0) {
+                throw new Error('At least one item is required');
+            }
+
+            const productIds = items.map(item => parseInt(item.productId));
+            if (new Set(productIds).size !== productIds.length) {
+                throw new Error('Each product can only appear once in a transfer');
+            }
+            for (const item of items) {
+                const quantity = Number(item.quantity);
+                if (!Number.isInteger(quantity) || quantity <= 0) {
+                    throw new Error('Transfer quantity must be a whole number greater than zero');
+                }
+            }
+
+            const products = await prisma.product.findMany({
+                where: { id: { in: productIds }, userId }
+            });
+            for (const productId of productIds) {
+                const product = products.find(p => p.id === productId);
+                if (!product) {
+                    throw new Error(`Product with ID ${productId} not found`);
+                }
+                if (!product.trackInventory) {
+                    throw new Error(`${product.name} does not track inventory`);
+                }
+            }
+
+            return await prisma.$transaction(async (tx) => {
+                const from = await LocationService.resolveLocation(tx, userId, fromLocationId);
+                const to = await LocationService.resolveLocation(tx, userId, toLocationId);
+
+                const sequence = await SequenceService.next(tx, userId, 'STOCK_TRANSFER');
+                const transfer = await tx.stockTransfer.create({
+                    data: {
+                        userId,
+                        transferNumber: `TRF-${String(sequence).padStart(6, '0')}`,
+                        fromLocationId: from.id,
+                        toLocationId: to.id,
+                        notes: notes || null,
+                        createdBy: actorId ?? null,
+                        items: {
+                            create: items.map(item => ({
+                                productId: parseInt(item.productId),
+                                quantity: Number(item.quantity)
+                            }))
+                        }
+                    },
+                    include: { items: true }
+                });
+
+                const moved = [];
+                for (const line of transfer.items) {
+                    const product = products.find(p => p.id === line.productId);
+
+                    const source = await ProductService.inventoryAt(tx, line.productId, userId, from.id);
+                    const out = await ProductService.deductStock(tx, source.id, line.quantity);
+                    if (!out) {
+                        const current = await tx.inventoryItem.findUnique({ where: { id: source.id } });
+                        throw new Error(`Insufficient stock for ${product.name} at ${from.name}. Available: ${current.quantity}, Requested: ${line.quantity}`);
+                    }
+
+                    const destination = await ProductService.inventoryAt(tx, line.productId, userId, to.id);
+                    const received = await tx.inventoryItem.update({
+                        where: { id: destination.id },
+                        data: { quantity: { increment: line.quantity } }
+                    });
+
+                    // Lots move with their expiry dates and costs, earliest expiry first
+                    let unitCost = product.costPrice;
+                    if (product.trackLots) {
+                        const taken = await LotService.takeFefo(tx, source.id, line.quantity);
+                        const inLots = taken.reduce((total, lot) => total + lot.quantity, 0);
+                        const arriving = inLots < line.quantity ?
+                            [...taken, { quantity: line.quantity - inLots, unitCost: product.costPrice }] : taken;
+
+                        for (const lot of arriving) {
+                            await LotService.addToLot(tx, {
+                                userId,
+                                productId: line.productId,
+                                inventoryItemId: destination.id,
+                                quantity: lot.quantity,
+                                lotNumber: lot.lotNumber,
+                                expiryDate: lot.expiryDate,
+                                unitCost: lot.unitCost,
+                                purchaseOrderId: lot.purchaseOrderId
+                            });
+                        }
+                        unitCost = money.round(LotService.costOf(taken, line.quantity, product.costPrice) / line.quantity);
+                    }
+
+                    const movement = {
+                        userId,
+                        productId: line.productId,
+                        type: 'TRANSFER',
+                        unitCost,
+                        actorId,
+                        stockTransferId: transfer.id,
+                        reason: transfer.transferNumber
+                    };
+                    await InventoryService.recordMovement(tx, {
+                        ...movement,
+                        inventoryItemId: source.id,
+                        quantity: -line.quantity,
+                        balance: out.newStock
+                    });
+                    await InventoryService.recordMovement(tx, {
+                        ...movement,
+                        inventoryItemId: destination.id,
+                        quantity: line.quantity,
+                        balance: received.quantity
+                    });
+
+                    moved.push({
+                        productId: line.productId,
+                        productName: product.name,
+                        quantity: line.quantity,
+                        fromStock: out.newStock,
+                        toStock: received.quantity
+                    });
+                }
+
+                await AuditService.log(tx, {
+                    userId,
+                    actorId,
+                    entity: 'STOCK_TRANSFER',
+                    entityId: transfer.id,
+                    action: 'CREATE',
+                    after: transfer,
+                    reason: notes
+                });
+
+                return {
+                    success: true,
+                    transfer: {
+                        ...transfer,
+                        fromLocation: { id: from.id, name: from.name },
+                        toLocation: { id: to.id, name: to.name }
+                    },
+                    items: moved
+                };
+            });
+        } catch (e) {
+            throw e;
+        }
+    }
+
+    // Get transfers, newest first, optionally only those into or out of one location
+    static async getTransfers(userId, filters = {}) {
+        try {
+            const { locationId, page = 1, limit = 50 } = filters;
+
+            const where = { userId };
+            if (locationId) {
+                where.OR = [
+                    { fromLocationId: parseInt(locationId) },
+                    { toLocationId: parseInt(locationId) }
+                ];
+            }
+
+            const totalItems = await prisma.stockTransfer.count({ where });
+            const totalPages = Math.ceil(totalItems / limit);
+            const offset = (page - 1) * limit;
+
+            const transfers = await prisma.stockTransfer.findMany({
+                where,
+                include: {
+                    fromLocation: { select: { id: true, name: true } },
+                    toLocation: { select: { id: true, name: true } },
+                    _count: { select: { items: true } }
+                },
+                orderBy: { createdAt: 'desc' },
+                skip: offset,
+                take: limit
+            });
+
+            return {
+                success: true,
+                transfers,
+                pagination: {
+                    currentPage: page,
+                    totalPages,
+                    totalItems,
+                    itemsPerPage: limit
+                }
+            };
+        } catch (e) {
+            throw e;
+        }
+    }
+
+    // Get one transfer with its lines
+    static async getTransferById(transferId, userId) {
+        try {
+            const transfer = await prisma.stockTransfer.findFirst({
+                where: { id: transferId, userId },
+                include: {
+                    fromLocation: { select: { id: true, name: true } },
+                    toLocation: { select: { id: true, name: true } },
+                    items: {
+                        include: { product: { select: { id: true, name: true, sku: true, unit: true } } }
+                    }
+                }
+            });
+
+            if (!transfer) {
+                throw new Error('Stock transfer not found');
+            }
+
+            return { success: true, transfer };
+        } catch (e) {
+            throw e;
+        }
+    }
+}
+
+module.exports = StockTransferService;
@@ -0,0 +1,346 @@
+const prisma = require('../utils/prisma');
+const money = require('../utils/money');
+const AuditService = require('./auditService');
+
+/**
+ * SUPPLIER SERVICE MODULE
+ * Suppliers and what the shop owes them
+ * Each delivery received on a purchase order becomes a payable, settled by
+ * supplier payments oldest due date first, the way customer debts are
+ */
+class SupplierService {
+
+    static PAYMENT_METHODS = ['CASH', 'MPESA', 'BANK_TRANSFER', 'OTHER'];
+
+    // Longest payment terms or lead time a supplier may have
+    static MAX_DAYS = 365;
+
+    // Add a supplier
+    static async createSupplier(userId, data) {
+        try {
+            return await prisma.supplier.create({
+                data: {
+                    userId,
+                    ...this.supplierFields(data, true)
+                }
+            });
+        } catch (e) {
+            if (e.code === 'P2002') {
+                throw new Error('A supplier with this name already exists');
+            }
+            throw e;
+        }
+    }
+
+    // Update a supplier's details; isActive: false hides it from new orders
+    static async updateSupplier(supplierId, userId, data) {
+        try {
+            await this.getSupplier(supplierId, userId);
+
+            return await prisma.supplier.update({
+                where: { id: supplierId },
+                data: {
+                    ...this.supplierFields(data, false),
+                    ...(data.isActive !== undefined && { isActive: Boolean(data.isActive) })
+                }
+            });
+        } catch (e) {
+            if (e.code === 'P2002') {
+                throw new Error('A supplier with this name already exists');
+            }
+            throw e;
+        }
+    }
+
+    // Validated supplier columns present in the request
+    static supplierFields(data, creating) {
+        const { name, contactName, phone, email, address, notes } = data;
+        const fields = {};
+
+        if (creating || name !== undefined) {
+            if (!name || !String(name).trim()) {
+                throw new Error('Supplier name is required');
+            }
+            fields.name = String(name).trim();
+        }
+
+        for (const [field, label] of [['paymentTermsDays', 'Payment terms'], ['leadTimeDays', 'Lead time']]) {
+            if (data[field] === undefined) continue;
+
+            const days = data[field] === null ? null : Number(data[field]);
+            if (days !== null && (!Number.isInteger(days) || days < 0 || days > this.MAX_DAYS)) {
+                throw new Error(`${label} must be a whole number of days from 0 to ${this.MAX_DAYS}, or null`);
+            }
+            fields[field] = days;
+        }
+
+        for (const [field, value] of Object.entries({ contactName, phone, email, address, notes })) {
+            if (value !== undefined) {
+                fields[field] = value || null;
+            }
+        }
+
+        return fields;
+    }
+
+    // Get a supplier of this shop or throw
+    static async getSupplier(supplierId, userId) {
+        const supplier = await prisma.supplier.findFirst({
+            where: { id: supplierId, userId }
+        });
+
+        if (!supplier) {
+            throw new Error('Supplier not found');
+        }
+
+        return supplier;
+    }
+
+    // Get suppliers with what is owed to each
+    static async getSuppliers(userId, filters = {}) {
+        try {
+            const { search, includeInactive = false } = filters;
+
+            const where = { userId };
+            if (!includeInactive) where.isActive = true;
+            if (search) {
+                where.OR = [
+                    { name: { contains: search } },
+                    { contactName: { contains: search } },
+                    { phone: { contains: search } }
+                ];
+            }
+
+            const suppliers = await prisma.supplier.findMany({
+                where,
+                orderBy: { name: 'asc' }
+            });
+
+            const balances = await prisma.supplierPayable.groupBy({
+                by: ['supplierId'],
+                where: { userId, isPaid: false },
+                _sum: { amount: true }
+            });
+
+            const withBalances = suppliers.map(supplier => ({
+                ...supplier,
+                amountOwed: money.round(balances.find(balance => balance.supplierId === supplier.id)?._sum.amount || 0)
+            }));
+
+            return {
+                success: true,
+                suppliers: withBalances,
+                summary: {
+                    totalSuppliers: withBalances.length,
+                    totalOwed: money.sum(withBalances, supplier => supplier.amountOwed)
+                }
+            };
+        } catch (e) {
+            throw e;
+        }
+    }
+
+    // Get a supplier with its open bills, overdue total and latest orders
+    static async getSupplierById(supplierId, userId) {
+        try {
+            const supplier = await this.getSupplier(supplierId, userId);
+
+            const openPayables = await prisma.supplierPayable.findMany({
+                where: { supplierId, userId, isPaid: false },
+                orderBy: [{ dueDate: 'asc' }, { createdAt: 'asc' }]
+            });
+
+            const recentOrders = await prisma.purchaseOrder.findMany({
+                where: { supplierId, userId },
+                orderBy: { createdAt: 'desc' },
+                take: 10
+            });
+
+            const now = new Date();
+            return {
+                success: true,
+                supplier,
+                summary: {
+                    amountOwed: money.sum(openPayables, payable => payable.amount),
+                    overdueAmount: money.sum(
+                        openPayables.filter(payable => payable.dueDate && payable.dueDate < now),
+                        payable => payable.amount
+                    ),
+                    openPayables: openPayables.length
+                },
+                openPayables,
+                recentOrders
+            };
+        } catch (e) {
+            throw e;
+        }
+    }
+
+    // Get a supplier's bills; status is 'unpaid', 'paid' or omitted for all
+    static async getPayables(supplierId, userId, { status } = {}) {
+        try {
+            await this.getSupplier(supplierId, userId);
+
+            const where = { supplierId, userId };
+            if (status === 'unpaid') where.isPaid = false;
+            if (status === 'paid') where.isPaid = true;
+
+            const payables = await prisma.supplierPayable.findMany({
+                where,
+                include: {
+                    purchaseOrder: { select: { id: true, orderNumber: true } },
+                    allocations: {
+                        include: { payment: { select: { id: true, paymentMethod: true, reference: true, createdAt: true } } }
+                    }
+                },
+                orderBy: [{ dueDate: 'asc' }, { createdAt: 'asc' }]
+            });
+
+            return { success: true, payables };
+        } catch (e) {
+            throw e;
+        }
+    }
+
+    // Record a bill for goods received; pass the transaction client that received them
+    static async createPayable(db, { supplier, userId, purchaseOrderId, amount, description }) {
+        try {
+            const dueDate = supplier.paymentTermsDays === null || supplier.paymentTermsDays === undefined ?
+                null :
+                new Date(Date.now() + supplier.paymentTermsDays * 24 * 60 * 60 * 1000);
+
+            return await db.supplierPayable.create({
+                data: {
+                    supplierId: supplier.id,
+                    userId,
+                    purchaseOrderId: purchaseOrderId ?? null,
+                    amount,
+                    originalAmount: amount,
+                    description: description || null,
+                    dueDate
+                }
+            });
+        } catch (e) {
+            throw e;
+        }
+    }
+
+    // Pay a supplier; the payment settles open bills, earliest due date first
+    static async recordPayment(supplierId, userId, data) {
+        try {
+            const { paymentMethod = 'CASH', reference, notes, actorId } = data;
+            const amount = money.round(data.amount);
+
+            if (!amount || !money.isPositive(amount)) {
+                throw new Error('Payment amount must be greater than zero');
+            }
+            if (!this.PAYMENT_METHODS.includes(paymentMethod)) {
+                throw new Error(`Payment method must be one of: ${this.PAYMENT_METHODS.join(', ')}`);
+            }
+
+            await this.getSupplier(supplierId, userId);
+
+            return await prisma.$transaction(async (tx) => {
+                const payables = await tx.supplierPayable.findMany({
+                    where: { supplierId, userId, isPaid: false },
+                    orderBy: [{ dueDate: 'asc' }, { createdAt: 'asc' }]
+                });
+
+                const owed = money.sum(payables, payable => payable.amount);
+                if (money.compare(amount, owed) > 0) {
+                    throw new Error(`Payment exceeds the amount owed to this supplier (${owed})`);
+                }
+
+                let remaining = amount;
+                const allocations = [];
+                for (const payable of payables) {
+                    if (!money.isPositive(remaining)) break;
+
+                    const applied = money.min(remaining, payable.amount);
+                    const newAmount = money.subtract(payable.amount, applied);
+
+                    // Guard on the balance read above, so two payments cannot both settle the same bill
+                    const { count } = await tx.supplierPayable.updateMany({
+                        where: { id: payable.id, amount: payable.amount, isPaid: false },
+                        data: { amount: newAmount, isPaid: !money.isPositive(newAmount) }
+                    });
+                    if (count === 0) {
+                        throw new Error('Supplier bills changed while recording the payment, please retry');
+                    }
+
+                    allocations.push({ payableId: payable.id, amount: applied, remainingAmount: newAmount });
+                    remaining = money.subtract(remaining, applied);
+                }
+
+                const payment = await tx.supplierPayment.create({
+                    data: {
+                        supplierId,
+                        userId,
+                        amount,
+                        paymentMethod,
+                        reference: reference || null,
+                        description: notes || null,
+                        createdBy: actorId ?? null,
+                        allocations: {
+                            create: allocations.map(({ payableId, amount }) => ({ payableId, amount }))
+                        }
+                    },
+                    include: { allocations: true }
+                });
+
+                await AuditService.log(tx, {
+                    userId,
+                    actorId,
+                    entity: 'SUPPLIER_PAYMENT',
+                    entityId: payment.id,
+                    action: 'CREATE',
+                    after: { ...payment, allocations }
+                });
+
+                return {
+                    success: true,
+                    payment,
+                    allocations,
+                    remainingOwed: money.subtract(owed, amount)
+                };
+            });
+        } catch (e) {
+            throw e;
+        }
+    }
+
+    // Get payments made to a supplier, newest first
+    static async getPayments(supplierId, userId, { page = 1, limit = 50 } = {}) {
+        try {
+            await this.getSupplier(supplierId, userId);
+
+            const where = { supplierId, userId };
+            const totalItems = await prisma.supplierPayment.count({ where });
+            const totalPages = Math.ceil(totalItems / limit);
+            const offset = (page - 1) * limit;
+
+            const payments = await prisma.supplierPayment.findMany({
+                where,
+                include: { allocations: true },
+                orderBy: { createdAt: 'desc' },
+                skip: offset,
+                take: limit
+            });
+
+            return {
+                success: true,
+                payments,
+                pagination: {
+                    currentPage: page,
+                    totalPages,
+                    totalItems,
+                    itemsPerPage: limit
+                }
+            };
+        } catch (e) {
+            throw e;
+        }
+    }
+}
+
+module.exports = SupplierService;
@@ -0,0 +1,212 @@
+const prisma = require('../utils/prisma');
+const money = require('../utils/money');
+const NotificationService = require('./notificationService');
+
+/**
+ * WHATSAPP SERVICE MODULE
+ * Sale receipts, payment confirmations and customer statements over WhatsApp
+ * Messages are formatted from the stored records and queued in the notification
+ * outbox; receipts and confirmations only go out when the shop switched them on
+ */
+class WhatsAppService {
+    static STATEMENT_MAX_LINES = 10; // Per section; WhatsApp messages stay well under 1600 characters
+
+    // Queue a receipt for a sale to a known customer; pass the transaction client
+    static async queueSaleReceipt(db, { userId, sale, items, paymentRecord, debtRecord }) {
+        try {
+            if (!sale.customerId) {
+                return null;
+            }
+
+            const shop = await db.shop.findUnique({ where: { ownerId: userId } });
+            if (!shop?.whatsappSaleReceipts) {
+                return null;
+            }
+
+            const customer = await db.customer.findUnique({ where: { id: sale.customerId } });
+            const to = NotificationService.reachablePhone(customer?.phone);
+            if (!to) {
+                return null;
+            }
+
+            return await NotificationService.enqueue(db, {
+                userId,
+                customerId: customer.id,
+                channel: 'WHATSAPP',
+                type: 'SALE_RECEIPT',
+                to,
+                sender: shop.whatsappFrom,
+                body: this.formatSaleReceipt({ shop, customer, sale, items, paymentRecord, debtRecord })
+            });
+        } catch (e) {
+            throw e;
+        }
+    }
+
+    // Queue a confirmation for a recorded payment; pass the transaction client
+    static async queuePaymentConfirmation(db, { userId, customer, payment, summary }) {
+        try {
+            const shop = await db.shop.findUnique({ where: { ownerId: userId } });
+            const to = NotificationService.reachablePhone(customer?.phone);
+            if (!shop?.whatsappPaymentReceipts || !to) {
+                return null;
+            }
+
+            return await NotificationService.enqueue(db, {
+                userId,
+                customerId: customer.id,
+                channel: 'WHATSAPP',
+                type: 'PAYMENT_CONFIRMATION',
+                to,
+                sender: shop.whatsappFrom,
+                body: this.formatPaymentConfirmation({ shop, customer, payment, summary })
+            });
+        } catch (e) {
+            throw e;
+        }
+    }
+
+    // Queue a statement of unpaid debts and recent payments, on request
+    static async sendStatement(customerId, userId, { startDate, endDate } = {}) {
+        try {
+            const to = endDate ? new Date(endDate) : new Date();
+            const from = startDate ? new Date(startDate) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+            if (isNaN(from) || isNaN(to) || from > to) {
+                throw new Error('Invalid statement period');
+            }
+
+            const customer = await prisma.customer.findFirst({
+                where: { id: customerId, userId },
+                include: {
+                    debts: {
+                        where: { isPaid: false, voidedAt: null },
+                        orderBy: { createdAt: 'asc' }
+                    },
+                    payments: {
+                        where: {
+                            status: { not: 'VOIDED' },
+                            createdAt: { gte: from, lte: to }
+                        },
+                        orderBy: { createdAt: 'asc' }
+                    }
+                }
+            });
+
+            if (!customer) {
+                throw new Error('Customer not found');
+            }
+
+            if (!customer.phone) {
+                throw new Error('Customer has no phone number');
+            }
+
+            const shop = await prisma.shop.findUnique({ where: { ownerId: userId } });
+
+            return await NotificationService.enqueue(prisma, {
+                userId,
+                customerId: customer.id,
+                channel: 'WHATSAPP',
+                type: 'STATEMENT',
+                to: NotificationService.toInternationalPhone(customer.phone),
+                sender: shop?.whatsappFrom,
+                body: this.formatStatement({ shop, customer, from, to })
+            });
+        } catch (e) {
+            throw e;
+        }
+    }
+
+    static formatSaleReceipt({ shop, customer, sale, items, paymentRecord, debtRecord }) {
+        const amount = (value) => NotificationService.formatAmount(value);
+        const lines = [
+            `*${shop.name}*`,
+            `Receipt ${sale.saleNumber}`,
+            NotificationService.formatDateTime(sale.createdAt),
+            '',
+            ...items.map(item =>
+                `${item.quantity} x ${item.name} @ ${amount(item.unitPrice)} = ${amount(item.totalPrice)}`),
+            '',
+            `Subtotal: ${amount(sale.subtotal)}`
+        ];
+
+        if (money.isPositive(sale.discountAmount)) lines.push(`Discount: -${amount(sale.discountAmount)}`);
+        if (money.isPositive(sale.taxAmount)) lines.push(`Tax: ${amount(sale.taxAmount)}`);
+        lines.push(`*Total: ${amount(sale.totalAmount)}*`);
+
+        if (paymentRecord) {
+            lines.push(`Paid: ${amount(paymentRecord.amount)} (${paymentRecord.paymentMethod})`);
+        }
+        if (debtRecord && money.isPositive(debtRecord.amount)) {
+            lines.push(`Balance due: ${amount(debtRecord.amount)}`);
+        }
+
+        lines.push('', `Thank you, ${customer.name}!`);
+        return lines.join('\n');
+    }
+
+    static formatPaymentConfirmation({ shop, customer, payment, summary }) {
+        const amount = (value) => NotificationService.formatAmount(value);
+        const lines = [
+            `*${shop.name}*`,
+            `Payment received: ${amount(payment.amount)} (${payment.paymentMethod}${payment.reference ? `, ref ${payment.reference}` : ''})`,
+            NotificationService.formatDateTime(payment.createdAt),
+            '',
+            `Applied to debts: ${amount(summary.appliedToDebt)}`
+        ];
+
+        if (money.isPositive(summary.creditAdded)) lines.push(`Credit added: ${amount(summary.creditAdded)}`);
+        lines.push(`Remaining balance: ${amount(summary.remainingDebt)}`);
+        if (money.isPositive(summary.newCreditBalance)) lines.push(`Credit balance: ${amount(summary.newCreditBalance)}`);
+
+        lines.push('', `Thank you, ${customer.name}!`);
+        return lines.join('\n');
+    }
+
+    static formatStatement({ shop, customer, from, to }) {
+        const amount = (value) => NotificationService.formatAmount(value);
+        const date = (value) => NotificationService.formatDate(value);
+        const limit = this.STATEMENT_MAX_LINES;
+
+        const lines = [
+            `*${shop?.name || 'Statement'}*`,
+            `Statement for ${customer.name}`,
+            `${date(from)} to ${date(to)}`,
+            '',
+            '*Unpaid*'
+        ];
+
+        if (customer.debts.length === 0) {
+            lines.push('Nothing owed');
+        }
+        for (const debt of customer.debts.slice(0, limit)) {
+            const due = debt.dueDate ? `, due ${date(debt.dueDate)}` : '';
+            lines.push(`${date(debt.createdAt)} ${debt.description || 'Debt'}: ${amount(debt.amount)}${due}`);
+        }
+        if (customer.debts.length > limit) {
+            lines.push(`...and ${customer.debts.length - limit} more`);
+        }
+
+        lines.push('', '*Payments*');
+        if (customer.payments.length === 0) {
+            lines.push('No payments in this period');
+        }
+        for (const payment of customer.payments.slice(-limit)) {
+            lines.push(`${date(payment.createdAt)} ${payment.paymentMethod}: ${amount(payment.amount)}`);
+        }
+        if (customer.payments.length > limit) {
+            lines.push(`...and ${customer.payments.length - limit} earlier`);
+        }
+
+        lines.push(
+            '',
+            `*Total owed: ${amount(money.sum(customer.debts, debt => debt.amount))}*`
+        );
+        if (money.isPositive(customer.creditBalance)) {
+            lines.push(`Credit balance: ${amount(customer.creditBalance)}`);
+        }
+
+        return lines.join('\n');
+    }
+}
+
+module.exports = WhatsAppService;
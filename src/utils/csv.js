@@ -0,0 +1,53 @@
+// utils/csv.js
+
+/**
+ * Minimal RFC 4180 CSV parser for uploaded statements.
+ *
+ * Handles quoted fields with commas, doubled quotes and line breaks, CRLF or
+ * LF line endings and a leading byte-order mark. Returns an array of rows,
+ * each an array of trimmed strings; blank lines are dropped.
+ */
+const parse = (text) => {
+    const input = String(text || '').replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field.trim());
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field.trim());
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field.trim());
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(cell => cell !== ''));
+};
+
+module.exports = { parse };
@@ -0,0 +1,102 @@
+// utils/daraja.js
+
+/**
+ * Safaricom Daraja client for Lipa na M-Pesa Online (STK push).
+ *
+ * Credentials come from MPESA_CONSUMER_KEY, MPESA_CONSUMER_SECRET and
+ * MPESA_PASSKEY; requests go to MPESA_BASE_URL (the sandbox by default, or the
+ * mock server in src/utils/mockDaraja.js when testing offline). Results are
+ * posted back to `<MPESA_CALLBACK_URL>/mpesa/stk/<shortcode>/callback`.
+ */
+
+const DEFAULT_BASE_URL = 'https://sandbox.safaricom.co.ke';
+
+let cachedToken = null;
+
+const baseUrl = () => (process.env.MPESA_BASE_URL || DEFAULT_BASE_URL).replace(/\/$/, '');
+
+// Daraja timestamps are yyyyMMddHHmmss in Kenyan time
+const timestamp = (date = new Date()) => {
+    const eat = new Date(date.getTime() + 3 * 60 * 60 * 1000);
+    return eat.toISOString().replace(/[-T:]/g, '').slice(0, 14);
+};
+
+const callbackUrl = (shortcode) => {
+    const base = process.env.MPESA_CALLBACK_URL;
+    if (!base) {
+        throw new Error('MPESA_CALLBACK_URL is not configured');
+    }
+    const token = process.env.MPESA_CALLBACK_TOKEN;
+    return `${base.replace(/\/$/, '')}/mpesa/stk/${shortcode}/callback${token ? `?token=${encodeURIComponent(token)}` : ''}`;
+};
+
+// OAuth access token, reused until shortly before it expires
+const getAccessToken = async () => {
+    if (cachedToken && cachedToken.baseUrl === baseUrl() && cachedToken.expiresAt > Date.now()) {
+        return cachedToken.value;
+    }
+
+    const { MPESA_CONSUMER_KEY, MPESA_CONSUMER_SECRET } = process.env;
+    if (!MPESA_CONSUMER_KEY || !MPESA_CONSUMER_SECRET) {
+        throw new Error('M-Pesa is not configured');
+    }
+
+    const credentials = Buffer.from(`${MPESA_CONSUMER_KEY}:${MPESA_CONSUMER_SECRET}`).toString('base64');
+    const response = await fetch(`${baseUrl()}/oauth/v1/generate?grant_type=client_credentials`, {
+        headers: { Authorization: `Basic ${credentials}` }
+    });
+    if (!response.ok) {
+        throw new Error(`Daraja authentication failed (${response.status})`);
+    }
+
+    const { access_token, expires_in } = await response.json();
+    cachedToken = {
+        baseUrl: baseUrl(),
+        value: access_token,
+        expiresAt: Date.now() + (parseInt(expires_in) - 60) * 1000
+    };
+    return access_token;
+};
+
+// Prompt the customer's phone to pay; resolves with Daraja's request ids
+const stkPush = async ({ shortcode, phone, amount, accountReference, description }) => {
+    const passkey = process.env.MPESA_PASSKEY;
+    if (!passkey) {
+        throw new Error('M-Pesa is not configured');
+    }
+
+    const time = timestamp();
+    const response = await fetch(`${baseUrl()}/mpesa/stkpush/v1/processrequest`, {
+        method: 'POST',
+        headers: {
+            Authorization: `Bearer ${await getAccessToken()}`,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            BusinessShortCode: shortcode,
+            Password: Buffer.from(`${shortcode}${passkey}${time}`).toString('base64'),
+            Timestamp: time,
+            TransactionType: process.env.MPESA_TRANSACTION_TYPE || 'CustomerPayBillOnline',
+            Amount: amount,
+            PartyA: phone,
+            PartyB: shortcode,
+            PhoneNumber: phone,
+            CallBackURL: callbackUrl(shortcode),
+            AccountReference: accountReference.slice(0, 12),
+            TransactionDesc: description.slice(0, 13)
+        })
+    });
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok || result.ResponseCode !== '0') {
+        throw new Error(result.errorMessage || result.ResponseDescription || `Daraja request failed (${response.status})`);
+    }
+
+    return {
+        merchantRequestId: result.MerchantRequestID,
+        checkoutRequestId: result.CheckoutRequestID,
+        customerMessage: result.CustomerMessage
+    };
+};
+
+module.exports = { stkPush, timestamp };
@@ -0,0 +1,25 @@
+// utils/fakeMessenger.js
+
+/**
+ * Message provider that keeps messages in memory instead of sending them.
+ * Stands in for SMS or WhatsApp in the tests and when SMS_PROVIDER or
+ * WHATSAPP_PROVIDER is "fake", so nothing leaves the machine.
+ */
+module.exports = function createFakeMessenger(name = 'fake') {
+    const sent = [];
+
+    return {
+        name,
+        sent,
+
+        async send({ to, message }) {
+            const messageId = `${name}-${sent.length + 1}`;
+            sent.push({ to, message, messageId });
+            return { provider: name, messageId, status: 'Success' };
+        },
+
+        reset() {
+            sent.length = 0;
+        }
+    };
+};
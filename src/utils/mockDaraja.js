@@ -0,0 +1,132 @@
+// utils/mockDaraja.js
+const express = require('express');
+const { timestamp } = require('./daraja');
+
+/**
+ * Stand-in for Safaricom's Daraja API so STK push can be exercised offline.
+ *
+ * It answers the OAuth and STK push endpoints like the sandbox does and, after
+ * `callbackDelayMs`, posts the result to the request's CallBackURL. The outcome
+ * is one of:
+ *   success   - the customer paid (ResultCode 0, with a receipt number)
+ *   cancelled - the customer dismissed the prompt (ResultCode 1032)
+ *   timeout   - the phone could not be reached (ResultCode 1037)
+ *   silent    - no callback at all, so the request times out on our side
+ *
+ * Run it on its own with `npm run mock-daraja` and point MPESA_BASE_URL at it.
+ */
+
+const RESULTS = {
+    cancelled: { code: 1032, desc: 'Request cancelled by user' },
+    timeout: { code: 1037, desc: 'DS timeout user cannot be reached' }
+};
+
+// Ten characters like a real receipt number, random so restarts never repeat one
+const receiptNumber = () => `Q${Math.random().toString(36).slice(2, 11).toUpperCase().padEnd(9, '0')}`;
+
+const createMockDaraja = ({ outcome = 'success', callbackDelayMs = 1000 } = {}) => {
+    const app = express();
+    app.use(express.json());
+
+    const state = {
+        outcome,
+        requests: [], // STK push bodies received
+        callbacks: [] // Callback bodies posted back
+    };
+    let counter = 0;
+
+    app.get('/oauth/v1/generate', (req, res) => {
+        if (!req.headers.authorization?.startsWith('Basic ')) {
+            return res.status(400).json({ errorMessage: 'Invalid Authentication passed' });
+        }
+        res.json({ access_token: 'mock-access-token', expires_in: '3599' });
+    });
+
+    app.post('/mpesa/stkpush/v1/processrequest', (req, res) => {
+        if (req.headers.authorization !== 'Bearer mock-access-token') {
+            return res.status(401).json({ errorCode: '404.001.03', errorMessage: 'Invalid Access Token' });
+        }
+
+        const { BusinessShortCode, Amount, PhoneNumber, CallBackURL } = req.body || {};
+        if (!BusinessShortCode || !Number.isInteger(Amount) || Amount < 1 || !/^254\d{9}$/.test(PhoneNumber) || !CallBackURL) {
+            return res.status(400).json({ errorCode: '400.002.02', errorMessage: 'Bad Request - Invalid request' });
+        }
+
+        counter++;
+        const ids = {
+            MerchantRequestID: `mock-merchant-${counter}`,
+            CheckoutRequestID: `ws_CO_mock_${counter}`
+        };
+        state.requests.push(req.body);
+
+        res.json({
+            ...ids,
+            ResponseCode: '0',
+            ResponseDescription: 'Success. Request accepted for processing',
+            CustomerMessage: 'Success. Request accepted for processing'
+        });
+
+        if (state.outcome !== 'silent') {
+            const body = callbackBody(ids, state.outcome, req.body);
+            setTimeout(() => {
+                state.callbacks.push(body);
+                fetch(CallBackURL, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(body)
+                }).catch(() => {});
+            }, callbackDelayMs).unref();
+        }
+    });
+
+    return {
+        app,
+        get requests() { return state.requests; },
+        get callbacks() { return state.callbacks; },
+        setOutcome(value) {
+            state.outcome = value;
+        },
+        listen(port = 0) {
+            return new Promise(resolve => {
+                const server = app.listen(port, () => resolve(server));
+            });
+        }
+    };
+};
+
+const callbackBody = (ids, outcome, request) => {
+    const failure = RESULTS[outcome];
+    if (failure) {
+        return { Body: { stkCallback: { ...ids, ResultCode: failure.code, ResultDesc: failure.desc } } };
+    }
+
+    return {
+        Body: {
+            stkCallback: {
+                ...ids,
+                ResultCode: 0,
+                ResultDesc: 'The service request is processed successfully.',
+                CallbackMetadata: {
+                    Item: [
+                        { Name: 'Amount', Value: request.Amount },
+                        { Name: 'MpesaReceiptNumber', Value: receiptNumber() },
+                        { Name: 'TransactionDate', Value: Number(timestamp()) },
+                        { Name: 'PhoneNumber', Value: Number(request.PhoneNumber) }
+                    ]
+                }
+            }
+        }
+    };
+};
+
+module.exports = createMockDaraja;
+
+if (require.main === module) {
+    const port = parseInt(process.env.MOCK_DARAJA_PORT) || 4010;
+    createMockDaraja({
+        outcome: process.env.MOCK_DARAJA_OUTCOME || 'success',
+        callbackDelayMs: parseInt(process.env.MOCK_DARAJA_DELAY_MS) || 3000
+    }).listen(port).then(() => {
+        console.log(`Mock Daraja running on http://localhost:${port}`);
+    });
+}
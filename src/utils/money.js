@@ -0,0 +1,102 @@
+// utils/money.js
+const { Prisma } = require('@prisma/client');
+
+/**
+ * Money helpers shared by every service.
+ *
+ * Amounts are stored as DECIMAL(12,2) and passed around the code as plain
+ * numbers of major units (e.g. 150.75 KES). All arithmetic goes through whole
+ * cents, so totals never pick up floating-point residue such as
+ * 0.1 + 0.2 = 0.30000000000000004 and a fully paid debt really reaches 0.
+ *
+ * Rounding rule (same as MySQL when it stores a DECIMAL): to the nearest cent,
+ * halves away from zero. Percentages in responses are rounded to 2 decimals.
+ */
+
+const isDecimal = (value) => Prisma.Decimal.isDecimal(value);
+
+// Convert an amount (number, numeric string or Prisma Decimal) to whole cents
+const toCents = (value) => {
+    if (value === null || value === undefined || value === '') {
+        return 0;
+    }
+
+    const amount = Number(isDecimal(value) ? value.toString() : value);
+    if (!Number.isFinite(amount)) {
+        throw new Error(`Invalid amount: ${value}`);
+    }
+
+    // toPrecision strips representation error (1.005 * 100 = 100.49999...)
+    const cents = Math.round(Number((Math.abs(amount) * 100).toPrecision(15)));
+    return amount < 0 ? -cents : cents;
+};
+
+const fromCents = (cents) => cents / 100;
+
+// Round an amount to the cent
+const round = (value) => fromCents(toCents(value));
+
+const add = (...values) => fromCents(values.reduce((sum, value) => sum + toCents(value), 0));
+
+const subtract = (value, ...values) => fromCents(values.reduce((rest, v) => rest - toCents(v), toCents(value)));
+
+// Multiply an amount by a quantity or ratio, rounding the result to the cent
+const multiply = (value, factor) => round(Number((toCents(value) * Number(factor)).toPrecision(15)) / 100);
+
+// Sum a list of amounts, or of `pick(item)` for each item
+const sum = (items, pick = (item) => item) =>
+    fromCents(items.reduce((total, item) => total + toCents(pick(item)), 0));
+
+const min = (...values) => fromCents(Math.min(...values.map(toCents)));
+
+const max = (...values) => fromCents(Math.max(...values.map(toCents)));
+
+// -1, 0 or 1, comparing to the cent
+const compare = (a, b) => Math.sign(toCents(a) - toCents(b));
+
+const isZero = (value) => toCents(value) === 0;
+
+const isPositive = (value) => toCents(value) > 0;
+
+// part / whole as a percentage rounded to 2 decimals (0 when whole is 0)
+const percentage = (part, whole) => {
+    const wholeCents = toCents(whole);
+    if (wholeCents === 0) {
+        return 0;
+    }
+    return Math.round((toCents(part) / wholeCents) * 10000) / 100;
+};
+
+// Replace every Prisma Decimal in a query result with a number
+const normalize = (value) => {
+    if (isDecimal(value)) {
+        return value.toNumber();
+    }
+    if (Array.isArray(value)) {
+        return value.map(normalize);
+    }
+    if (value && typeof value === 'object' && !(value instanceof Date) && !Buffer.isBuffer(value)) {
+        for (const key of Object.keys(value)) {
+            value[key] = normalize(value[key]);
+        }
+    }
+    return value;
+};
+
+module.exports = {
+    toCents,
+    fromCents,
+    round,
+    add,
+    subtract,
+    multiply,
+    sum,
+    min,
+    max,
+    compare,
+    isZero,
+    isPositive,
+    percentage,
+    isDecimal,
+    normalize
+};
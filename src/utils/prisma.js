@@ -0,0 +1,22 @@
+// utils/prisma.js
+const { PrismaClient } = require('@prisma/client');
+const money = require('./money');
+
+/**
+ * The Prisma client shared by all services.
+ *
+ * Money columns are DECIMAL(12,2), which Prisma returns as Decimal objects.
+ * Every model query result is converted back to plain numbers here, so the
+ * services and the JSON responses keep working with numbers.
+ */
+const prisma = new PrismaClient().$extends({
+    query: {
+        $allModels: {
+            async $allOperations({ args, query }) {
+                return money.normalize(await query(args));
+            }
+        }
+    }
+});
+
+module.exports = prisma;
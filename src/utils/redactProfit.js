@@ -0,0 +1,45 @@
+// utils/redactProfit.js
+const { hasPermission } = require('../middlewares/permissionMiddleware');
+
+// Response fields that reveal cost or margin
+const PROFIT_FIELDS = [
+    'profit',
+    'totalProfit',
+    'netProfit',
+    'profitMargin',
+    'roi',
+    'costPrice',
+    'unitCost',
+    'totalCost',
+    'stockValue',
+    'expectedValue',
+    'varianceValue',
+    'shrinkageValue',
+    'overageValue',
+    'netVarianceValue',
+    'expiredValue',
+    'expiringValue',
+    'writtenOffValue'
+];
+
+const strip = (value) => {
+    if (Array.isArray(value)) {
+        return value.map(strip);
+    }
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+        return Object.fromEntries(
+            Object.entries(value)
+                .filter(([key]) => !PROFIT_FIELDS.includes(key))
+                .map(([key, nested]) => [key, strip(nested)])
+        );
+    }
+    return value;
+};
+
+/**
+ * Remove cost and profit fields from a response body unless the principal
+ * may see them (`reports:profit`).
+ */
+module.exports = function redactProfit(body, principal) {
+    return hasPermission(principal, 'reports:profit') ? body : strip(body);
+};
@@ -0,0 +1,17 @@
+// utils/secureCompare.js
+const crypto = require('crypto');
+
+/**
+ * Check a shared secret presented by a caller (a callback URL token) against
+ * the configured one in constant time. Both are hashed first so the buffers
+ * compared are always the same length. An unconfigured secret never matches,
+ * so callers fail closed.
+ */
+module.exports = function secureCompare(presented, expected) {
+    if (!expected || typeof presented !== 'string' || typeof expected !== 'string') {
+        return false;
+    }
+
+    const digest = (value) => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(presented), digest(expected));
+};
@@ -1,25 +1,47 @@
+// utils/sms.js
 const AfricasTalking = require('africastalking');
 
-// TODO: Initialize Africa's Talking
-const africastalking = AfricasTalking({
-    apiKey: 'atsk_5e5ecf61d71183b9254b0c24ab0b78b3663e043bda4844082bf14fbeb789a314edf5ce5b',
-    username: 'starnoh'
-});
+/**
+ * Africa's Talking SMS provider.
+ *
+ * Credentials come from AT_API_KEY and AT_USERNAME (AT_SENDER_ID is optional).
+ * The client is created on the first send, so the app still boots without them.
+ */
 
+// Recipient status codes Africa's Talking uses for an accepted message
+const ACCEPTED_STATUS_CODES = [100, 101, 102];
 
+let client = null;
 
-module.exports = async function sendSMS() {
+const getClient = () => {
+    if (!client) {
+        const { AT_API_KEY, AT_USERNAME } = process.env;
+        if (!AT_API_KEY || !AT_USERNAME) {
+            throw new Error('SMS provider is not configured');
+        }
+        client = AfricasTalking({ apiKey: AT_API_KEY, username: AT_USERNAME });
+    }
+    return client;
+};
+
+// Send one message; resolves with the provider's message id and status
+const send = async ({ to, message }) => {
+    const result = await getClient().SMS.send({
+        to: [to],
+        message,
+        ...(process.env.AT_SENDER_ID && { from: process.env.AT_SENDER_ID })
+    });
 
-    // TODO: Send message
-    try {
-        console.log("Sending sms ....")
-        const result = await africastalking.SMS.send({
-            to: '+254796804384',
-            message: 'Hey AT Ninja! Wassup...'
-        });
-        console.log(JSON.stringify(result, null, 2));
-    } catch (ex) {
-        console.error(ex);
+    const recipient = result?.SMSMessageData?.Recipients?.[0];
+    if (!recipient || !ACCEPTED_STATUS_CODES.includes(recipient.statusCode)) {
+        throw new Error(`SMS not accepted: ${recipient?.status || result?.SMSMessageData?.Message || 'no recipient'}`);
     }
 
-};
\ No newline at end of file
+    return {
+        provider: 'africastalking',
+        messageId: recipient.messageId,
+        status: recipient.status
+    };
+};
+
+module.exports = { name: 'africastalking', send };
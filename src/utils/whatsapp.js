@@ -0,0 +1,52 @@
+// utils/whatsapp.js
+const twilio = require('twilio');
+
+/**
+ * Twilio WhatsApp provider.
+ *
+ * Credentials come from TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN; messages are
+ * sent from the shop's own number when it has one, otherwise from
+ * TWILIO_WHATSAPP_FROM (an approved number or the sandbox). When
+ * NOTIFICATION_CALLBACK_URL is set, Twilio reports delivery status back to
+ * `<NOTIFICATION_CALLBACK_URL>/notifications/delivery-reports/twilio`.
+ */
+
+let client = null;
+
+const getClient = () => {
+    if (!client) {
+        const { TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_WHATSAPP_FROM } = process.env;
+        if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN || !TWILIO_WHATSAPP_FROM) {
+            throw new Error('WhatsApp provider is not configured');
+        }
+        client = twilio(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN);
+    }
+    return client;
+};
+
+const statusCallback = () => {
+    const base = process.env.NOTIFICATION_CALLBACK_URL;
+    if (!base) {
+        return undefined;
+    }
+    const token = process.env.NOTIFICATION_WEBHOOK_TOKEN;
+    return `${base.replace(/\/$/, '')}/notifications/delivery-reports/twilio${token ? `?token=${encodeURIComponent(token)}` : ''}`;
+};
+
+// Send one message; resolves with Twilio's message sid and status
+const send = async ({ to, from, message }) => {
+    const result = await getClient().messages.create({
+        from: `whatsapp:${from || process.env.TWILIO_WHATSAPP_FROM}`,
+        to: `whatsapp:${to}`,
+        body: message,
+        statusCallback: statusCallback()
+    });
+
+    return {
+        provider: 'twilio',
+        messageId: result.sid,
+        status: result.status
+    };
+};
+
+module.exports = { name: 'twilio', send };
@@ -0,0 +1,44 @@
+// workers/mpesaRequestWorker.js
+const MpesaService = require('../services/mpesaService');
+const logger = require('../utils/logger');
+
+/**
+ * Marks M-Pesa STK push requests as timed out when their callback never came.
+ * Started by server.js; set MPESA_REQUEST_WORKER=off to run it elsewhere.
+ * A payment that arrives after the timeout still completes its request.
+ */
+
+const POLL_INTERVAL_MS = parseInt(process.env.MPESA_REQUEST_POLL_MS) || 30000;
+
+let timer = null;
+let running = false;
+
+// One sweep; skipped if the previous one is still going
+const tick = async () => {
+    if (running) return;
+    running = true;
+
+    try {
+        const expired = await MpesaService.expireRequests();
+        if (expired > 0) {
+            logger.info('M-Pesa requests timed out', { expired });
+        }
+    } catch (error) {
+        logger.error('M-Pesa request worker failed:', error);
+    } finally {
+        running = false;
+    }
+};
+
+const start = () => {
+    if (timer) return;
+    timer = setInterval(tick, POLL_INTERVAL_MS);
+    timer.unref();
+};
+
+const stop = () => {
+    clearInterval(timer);
+    timer = null;
+};
+
+module.exports = { start, stop, tick };
@@ -0,0 +1,43 @@
+// workers/notificationWorker.js
+const NotificationService = require('../services/notificationService');
+const logger = require('../utils/logger');
+
+/**
+ * Polls the notification outbox and sends whatever is due.
+ * Started by server.js; set NOTIFICATION_WORKER=off to run it elsewhere.
+ */
+
+const POLL_INTERVAL_MS = parseInt(process.env.NOTIFICATION_POLL_MS) || 15000;
+
+let timer = null;
+let running = false;
+
+// One pass over the outbox; skipped if the previous pass is still going
+const tick = async () => {
+    if (running) return;
+    running = true;
+
+    try {
+        const summary = await NotificationService.processOutbox();
+        if (summary.processed > 0) {
+            logger.info('Notification outbox processed', summary);
+        }
+    } catch (error) {
+        logger.error('Notification worker failed:', error);
+    } finally {
+        running = false;
+    }
+};
+
+const start = () => {
+    if (timer) return;
+    timer = setInterval(tick, POLL_INTERVAL_MS);
+    timer.unref();
+};
+
+const stop = () => {
+    clearInterval(timer);
+    timer = null;
+};
+
+module.exports = { start, stop, tick };
@@ -0,0 +1,44 @@
+// workers/reminderScheduler.js
+const ReminderService = require('../services/reminderService');
+const logger = require('../utils/logger');
+
+/**
+ * Runs the due-soon and overdue debt reminder campaigns on a timer.
+ * Started by server.js; set REMINDER_SCHEDULER=off to run it elsewhere.
+ * Shops in quiet hours are skipped and picked up on a later run.
+ */
+
+const RUN_INTERVAL_MS = parseInt(process.env.REMINDER_INTERVAL_MS) || 60 * 60 * 1000;
+
+let timer = null;
+let running = false;
+
+// One campaign run; skipped if the previous run is still going
+const tick = async () => {
+    if (running) return;
+    running = true;
+
+    try {
+        const summary = await ReminderService.runCampaigns();
+        if (summary.remindersQueued > 0) {
+            logger.info('Debt reminders queued', summary);
+        }
+    } catch (error) {
+        logger.error('Reminder scheduler failed:', error);
+    } finally {
+        running = false;
+    }
+};
+
+const start = () => {
+    if (timer) return;
+    timer = setInterval(tick, RUN_INTERVAL_MS);
+    timer.unref();
+};
+
+const stop = () => {
+    clearInterval(timer);
+    timer = null;
+};
+
+module.exports = { start, stop, tick };
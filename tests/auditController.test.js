@@ -0,0 +1,79 @@
+/**
+ * Unit tests for auditController.
+ *
+ * auditService is mocked so only the query parsing, validation and the
+ * shop scoping passed to the service are exercised.
+ */
+
+const AuditController = require('../src/controllers/auditController');
+const AuditService = require('../src/services/auditService');
+
+jest.mock('../src/services/auditService', () => ({
+    getAuditLogs: jest.fn()
+}));
+
+describe('auditController', () => {
+    let req, res;
+
+    beforeEach(() => {
+        req = { query: {}, user: { userId: 7, actorId: 9, role: 'MANAGER' } };
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn()
+        };
+        AuditService.getAuditLogs.mockReset();
+    });
+
+    it('should pass the shop scope and filters to the service', async () => {
+        AuditService.getAuditLogs.mockResolvedValue({ success: true, entries: [] });
+        req.query = {
+            entity: 'PAYMENT',
+            actorId: '9',
+            startDate: '2025-10-01',
+            endDate: '2025-10-31',
+            page: '2',
+            limit: '10'
+        };
+
+        await AuditController.getAuditLogs(req, res);
+
+        expect(AuditService.getAuditLogs).toHaveBeenCalledWith(7, {
+            entity: 'PAYMENT',
+            entityId: undefined,
+            actorId: '9',
+            action: undefined,
+            startDate: '2025-10-01',
+            endDate: '2025-10-31',
+            page: 2,
+            limit: 10
+        });
+        expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it('should reject unknown entities', async () => {
+        req.query = { entity: 'CUSTOMER' };
+
+        await AuditController.getAuditLogs(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(AuditService.getAuditLogs).not.toHaveBeenCalled();
+    });
+
+    it('should cap the page size', async () => {
+        AuditService.getAuditLogs.mockResolvedValue({ success: true, entries: [] });
+        req.query = { limit: '5000' };
+
+        await AuditController.getAuditLogs(req, res);
+
+        expect(AuditService.getAuditLogs.mock.calls[0][1].limit).toBe(200);
+    });
+
+    it('should handle service errors', async () => {
+        AuditService.getAuditLogs.mockRejectedValue(new Error('fail'));
+
+        await AuditController.getAuditLogs(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(500);
+        expect(res.json).toHaveBeenCalledWith({ message: 'Server error', error: 'fail' });
+    });
+});
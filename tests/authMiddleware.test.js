@@ -0,0 +1,143 @@
+/**
+ * Unit tests for authMiddleware.
+ *
+ * authService is mocked so the tests can decide whether the token's user
+ * still exists without touching the database.
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const jwt = require('jsonwebtoken');
+const authMiddleware = require('../src/middlewares/authMiddleware');
+const authService = require('../src/services/authService');
+
+jest.mock('../src/services/authService', () => ({
+    findUserById: jest.fn(),
+    isSessionActive: jest.fn()
+}));
+
+describe('authMiddleware', () => {
+    let req, res, next;
+
+    const bearer = (payload) => `Bearer ${jwt.sign(payload, process.env.JWT_SECRET)}`;
+
+    beforeEach(() => {
+        req = { headers: {} };
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn()
+        };
+        next = jest.fn();
+        authService.findUserById.mockReset();
+        authService.isSessionActive.mockReset().mockResolvedValue(true);
+    });
+
+    it('should attach the resolved principal for a valid token', async () => {
+        authService.findUserById.mockResolvedValue({
+            id: 7,
+            email: 'shop@example.com',
+            name: 'Shop Owner',
+            shopName: 'Corner Shop',
+            password: 'hashed',
+            role: 'OWNER',
+            isActive: true,
+            shopId: 2,
+            shop: { id: 2, name: 'Corner Shop', ownerId: 7 }
+        });
+        req.headers.authorization = bearer({ userId: 7, sid: 3 });
+
+        await authMiddleware(req, res, next);
+
+        expect(authService.findUserById).toHaveBeenCalledWith(7);
+        expect(authService.isSessionActive).toHaveBeenCalledWith(3, 7);
+        expect(req.user).toEqual({
+            userId: 7,
+            actorId: 7,
+            shopId: 2,
+            role: 'OWNER',
+            email: 'shop@example.com',
+            name: 'Shop Owner',
+            shopName: 'Corner Shop',
+            sessionId: 3
+        });
+        expect(next).toHaveBeenCalledWith();
+    });
+
+    it('should scope staff to their shop owner\'s data', async () => {
+        authService.findUserById.mockResolvedValue({
+            id: 9,
+            email: 'cashier@example.com',
+            name: 'Cashier',
+            role: 'CASHIER',
+            isActive: true,
+            shopId: 2,
+            shop: { id: 2, name: 'Corner Shop', ownerId: 7 }
+        });
+        req.headers.authorization = bearer({ userId: 9, sid: 4 });
+
+        await authMiddleware(req, res, next);
+
+        expect(authService.isSessionActive).toHaveBeenCalledWith(4, 9);
+        expect(req.user).toMatchObject({ userId: 7, actorId: 9, role: 'CASHIER' });
+        expect(next).toHaveBeenCalledWith();
+    });
+
+    it('should reject deactivated staff', async () => {
+        authService.findUserById.mockResolvedValue({ id: 9, role: 'CASHIER', isActive: false });
+        req.headers.authorization = bearer({ userId: 9, sid: 4 });
+
+        await authMiddleware(req, res, next);
+
+        expect(res.status).toHaveBeenCalledWith(401);
+        expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should reject requests without a token', async () => {
+        await authMiddleware(req, res, next);
+
+        expect(res.status).toHaveBeenCalledWith(401);
+        expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should reject tokens without a userId', async () => {
+        req.headers.authorization = bearer({ id: 7, sid: 3 });
+
+        await authMiddleware(req, res, next);
+
+        expect(res.status).toHaveBeenCalledWith(403);
+        expect(authService.findUserById).not.toHaveBeenCalled();
+        expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should reject tokens for deleted users', async () => {
+        authService.findUserById.mockResolvedValue(null);
+        req.headers.authorization = bearer({ userId: 7, sid: 3 });
+
+        await authMiddleware(req, res, next);
+
+        expect(res.status).toHaveBeenCalledWith(401);
+        expect(res.json).toHaveBeenCalledWith({ message: 'User no longer exists' });
+        expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should reject tokens without a session id', async () => {
+        req.headers.authorization = bearer({ userId: 7 });
+
+        await authMiddleware(req, res, next);
+
+        expect(res.status).toHaveBeenCalledWith(403);
+        expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should reject tokens from revoked sessions', async () => {
+        authService.findUserById.mockResolvedValue({ id: 7, email: 'shop@example.com', isActive: true });
+        authService.isSessionActive.mockResolvedValue(false);
+        req.headers.authorization = bearer({ userId: 7, sid: 3 });
+
+        await authMiddleware(req, res, next);
+
+        expect(res.status).toHaveBeenCalledWith(401);
+        expect(res.json).toHaveBeenCalledWith({ message: 'Session has been revoked' });
+        expect(next).not.toHaveBeenCalled();
+    });
+});
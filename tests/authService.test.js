@@ -0,0 +1,75 @@
+/**
+ * Unit tests for refresh token rotation.
+ *
+ * The Prisma client is mocked and `$transaction` runs its callback against
+ * the same mock.
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const prisma = require('../src/utils/prisma');
+const authService = require('../src/services/authService');
+
+jest.mock('../src/utils/prisma', () => {
+    const client = {
+        user: { findUnique: jest.fn() },
+        refreshToken: { findUnique: jest.fn(), updateMany: jest.fn(), create: jest.fn() },
+        authSession: { update: jest.fn(), updateMany: jest.fn() }
+    };
+    client.$transaction = jest.fn(callback => callback(client));
+    return client;
+});
+
+describe('authService.refreshTokens', () => {
+    const stored = {
+        id: 40,
+        sessionId: 12,
+        usedAt: null,
+        expiresAt: new Date(Date.now() + 60000),
+        session: { id: 12, userId: 7, revokedAt: null }
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        prisma.refreshToken.findUnique.mockResolvedValue(stored);
+        prisma.refreshToken.updateMany.mockResolvedValue({ count: 1 });
+        prisma.authSession.updateMany.mockResolvedValue({ count: 1 });
+    });
+
+    it('should rotate the token of an active user', async () => {
+        prisma.user.findUnique.mockResolvedValue({ id: 7, isActive: true });
+
+        const result = await authService.refreshTokens('old-token');
+
+        expect(result).toMatchObject({ success: true, token: expect.any(String), refreshToken: expect.any(String) });
+        expect(prisma.refreshToken.create).toHaveBeenCalledWith({
+            data: expect.objectContaining({ sessionId: 12 })
+        });
+    });
+
+    it('should end the session of a deactivated user instead of rotating', async () => {
+        prisma.user.findUnique.mockResolvedValue({ id: 7, isActive: false });
+
+        const result = await authService.refreshTokens('old-token');
+
+        expect(result).toEqual({ success: false, message: 'Account has been deactivated' });
+        expect(prisma.authSession.updateMany).toHaveBeenCalledWith({
+            where: { id: 12, revokedAt: null },
+            data: { revokedAt: expect.any(Date), revokedReason: 'ACCOUNT_DEACTIVATED' }
+        });
+        expect(prisma.refreshToken.updateMany).not.toHaveBeenCalled();
+        expect(prisma.refreshToken.create).not.toHaveBeenCalled();
+    });
+
+    it('should end the session of a user that no longer exists', async () => {
+        prisma.user.findUnique.mockResolvedValue(null);
+
+        const result = await authService.refreshTokens('old-token');
+
+        expect(result).toEqual({ success: false, message: 'User no longer exists' });
+        expect(prisma.authSession.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+            data: expect.objectContaining({ revokedReason: 'USER_DELETED' })
+        }));
+        expect(prisma.refreshToken.create).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,202 @@
+/**
+ * Tests for the Idempotency-Key middleware.
+ *
+ * The Prisma client is mocked with a small in-memory key table; a tiny
+ * express app stands in for the sale route and counts how often the
+ * handler really runs.
+ */
+
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const prisma = require('../src/utils/prisma');
+const IdempotencyService = require('../src/services/idempotencyService');
+const { idempotent } = require('../src/middlewares/idempotencyMiddleware');
+
+jest.mock('../src/utils/prisma', () => ({
+    idempotencyKey: {
+        create: jest.fn(),
+        findUnique: jest.fn(),
+        update: jest.fn(),
+        deleteMany: jest.fn()
+    }
+}));
+
+describe('idempotencyMiddleware', () => {
+    let keys;
+    let handler;
+    let app;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        keys = [];
+
+        prisma.idempotencyKey.create.mockImplementation(({ data }) => {
+            if (keys.some(row => row.userId === data.userId && row.key === data.key)) {
+                return Promise.reject(Object.assign(new Error('Unique constraint failed'), { code: 'P2002' }));
+            }
+            const row = { id: keys.length + 1, status: 'IN_PROGRESS', ...data };
+            keys.push(row);
+            return Promise.resolve(row);
+        });
+        prisma.idempotencyKey.findUnique.mockImplementation(({ where }) => Promise.resolve(
+            keys.find(row => row.userId === where.userId_key.userId && row.key === where.userId_key.key) || null
+        ));
+        prisma.idempotencyKey.update.mockImplementation(({ where, data }) => {
+            const row = keys.find(item => item.id === where.id);
+            Object.assign(row, data);
+            return Promise.resolve(row);
+        });
+        prisma.idempotencyKey.deleteMany.mockImplementation(({ where }) => {
+            keys = keys.filter(row => row.id !== where.id);
+            return Promise.resolve({ count: 1 });
+        });
+
+        handler = jest.fn((req, res) => res.status(201).json({ success: true, saleNumber: `SALE-${handler.mock.calls.length}` }));
+
+        app = express();
+        app.use(express.json());
+        app.use((req, res, next) => {
+            req.user = { userId: 7, actorId: 3 };
+            next();
+        });
+        app.post('/api/v1/sales', idempotent, (req, res) => handler(req, res));
+    });
+
+    const sale = { paymentMethod: 'CASH', paymentAmount: 500, items: [{ productId: 1, quantity: 2 }] };
+
+    it('should run requests without a key as usual', async () => {
+        await request(app).post('/api/v1/sales').send(sale).expect(201);
+        await request(app).post('/api/v1/sales').send(sale).expect(201);
+
+        expect(handler).toHaveBeenCalledTimes(2);
+        expect(prisma.idempotencyKey.create).not.toHaveBeenCalled();
+    });
+
+    it('should replay the first response to a retry with the same key', async () => {
+        const first = await request(app).post('/api/v1/sales').set('Idempotency-Key', 'abc-1').send(sale).expect(201);
+        const retry = await request(app)
+            .post('/api/v1/sales')
+            .set('Idempotency-Key', 'abc-1')
+            .send({ items: sale.items, paymentAmount: 500, paymentMethod: 'CASH' }) // same body, other key order
+            .expect(201);
+
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(retry.body).toEqual(first.body);
+        expect(retry.headers['idempotent-replayed']).toBe('true');
+        expect(keys[0]).toMatchObject({
+            userId: 7,
+            actorId: 3,
+            endpoint: 'POST /api/v1/sales',
+            status: 'COMPLETED',
+            responseStatus: 201
+        });
+    });
+
+    it('should reject the same key with a different body', async () => {
+        await request(app).post('/api/v1/sales').set('Idempotency-Key', 'abc-1').send(sale).expect(201);
+        const res = await request(app)
+            .post('/api/v1/sales')
+            .set('Idempotency-Key', 'abc-1')
+            .send({ ...sale, paymentAmount: 400 })
+            .expect(422);
+
+        expect(res.body.message).toBe('Idempotency-Key has already been used for a different request');
+        expect(handler).toHaveBeenCalledTimes(1);
+    });
+
+    it('should refuse a retry while the first request is still running', async () => {
+        keys.push({
+            id: 1,
+            userId: 7,
+            key: 'abc-1',
+            endpoint: 'POST /api/v1/sales',
+            requestHash: IdempotencyService.hashRequest('POST /api/v1/sales', sale),
+            status: 'IN_PROGRESS',
+            expiresAt: new Date(Date.now() + 60000)
+        });
+
+        await request(app).post('/api/v1/sales').set('Idempotency-Key', 'abc-1').send(sale).expect(409);
+        expect(handler).not.toHaveBeenCalled();
+    });
+
+    it('should let a key be retried after a server error', async () => {
+        handler.mockImplementationOnce((req, res) => res.status(500).json({ message: 'Server error' }));
+
+        await request(app).post('/api/v1/sales').set('Idempotency-Key', 'abc-1').send(sale).expect(500);
+        await request(app).post('/api/v1/sales').set('Idempotency-Key', 'abc-1').send(sale).expect(201);
+
+        expect(handler).toHaveBeenCalledTimes(2);
+    });
+
+    it('should let a key be retried after a request that ended without a JSON response', async () => {
+        handler
+            .mockImplementationOnce(() => {
+                throw new Error('Database unavailable');
+            })
+            .mockImplementationOnce((req, res) => res.status(202).send('Accepted'));
+
+        await request(app).post('/api/v1/sales').set('Idempotency-Key', 'abc-1').send(sale).expect(500);
+        await request(app).post('/api/v1/sales').set('Idempotency-Key', 'abc-1').send(sale).expect(202);
+        await request(app).post('/api/v1/sales').set('Idempotency-Key', 'abc-1').send(sale).expect(201);
+
+        expect(handler).toHaveBeenCalledTimes(3);
+        expect(keys).toEqual([expect.objectContaining({ status: 'COMPLETED' })]);
+    });
+
+    it('should keep the key in progress when the client disconnects before the sale is made', async () => {
+        const server = app.listen(0);
+        let finishSale;
+        let disconnected;
+        const started = new Promise(resolve => {
+            handler.mockImplementationOnce(async (req, res) => {
+                disconnected = new Promise(done => res.once('close', done));
+                resolve();
+                await new Promise(done => { finishSale = done; });
+                res.status(201).json({ success: true, saleNumber: 'SALE-1' });
+            });
+        });
+
+        try {
+            const body = JSON.stringify(sale);
+            const aborted = http.request({
+                port: server.address().port,
+                method: 'POST',
+                path: '/api/v1/sales',
+                headers: { 'Content-Type': 'application/json', 'Idempotency-Key': 'abc-1' }
+            });
+            aborted.on('error', () => {});
+            aborted.end(body);
+            await started;
+            aborted.destroy();
+            await disconnected;
+
+            await request(server).post('/api/v1/sales').set('Idempotency-Key', 'abc-1').send(sale).expect(409);
+
+            finishSale();
+            await handler.mock.results[0].value;
+            await new Promise(resolve => setImmediate(resolve));
+
+            const retry = await request(server).post('/api/v1/sales').set('Idempotency-Key', 'abc-1').send(sale).expect(201);
+            expect(retry.body).toEqual({ success: true, saleNumber: 'SALE-1' });
+            expect(retry.headers['idempotent-replayed']).toBe('true');
+            expect(handler).toHaveBeenCalledTimes(1);
+        } finally {
+            server.close();
+        }
+    });
+
+    it('should start over once the key has expired', async () => {
+        await request(app).post('/api/v1/sales').set('Idempotency-Key', 'abc-1').send(sale).expect(201);
+        keys[0].expiresAt = new Date(Date.now() - 1000);
+
+        await request(app).post('/api/v1/sales').set('Idempotency-Key', 'abc-1').send({ ...sale, paymentAmount: 400 }).expect(201);
+
+        expect(handler).toHaveBeenCalledTimes(2);
+    });
+
+    it('should reject an overlong key', async () => {
+        await request(app).post('/api/v1/sales').set('Idempotency-Key', 'x'.repeat(129)).send(sale).expect(400);
+        expect(handler).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,121 @@
+/**
+ * Unit tests for the inventory movement ledger.
+ *
+ * The Prisma client is mocked and `$transaction` runs its callback against
+ * the same mock.
+ */
+
+const prisma = require('../src/utils/prisma');
+const InventoryService = require('../src/services/inventoryService');
+const ProductService = require('../src/services/productService');
+
+jest.mock('../src/utils/prisma', () => {
+    const client = {
+        product: { findFirst: jest.fn() },
+        location: { findFirst: jest.fn() },
+        inventoryItem: { findFirst: jest.fn(), findMany: jest.fn(), update: jest.fn() },
+        inventoryMovement: { create: jest.fn(), count: jest.fn(), findMany: jest.fn(), groupBy: jest.fn() },
+        auditLog: { create: jest.fn() }
+    };
+    client.$transaction = jest.fn(callback => callback(client));
+    return client;
+});
+
+describe('InventoryService', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        prisma.product.findFirst.mockResolvedValue({ id: 4, name: 'Sugar 1kg', trackInventory: true, costPrice: 120 });
+        prisma.inventoryMovement.create.mockImplementation(({ data }) => Promise.resolve({ id: 90, ...data }));
+        prisma.auditLog.create.mockResolvedValue({ id: 300 });
+        prisma.location.findFirst.mockResolvedValue({ id: 1, name: 'Main store', isDefault: true, isActive: true });
+    });
+
+    describe('verifyStock', () => {
+        it('should compare each item\'s quantity with the sum of its movements', async () => {
+            prisma.inventoryItem.findMany.mockResolvedValue([
+                { id: 11, locationId: 1, quantity: 3 },
+                { id: 12, locationId: 2, quantity: 5 }
+            ]);
+            prisma.inventoryMovement.groupBy.mockResolvedValue([
+                { inventoryItemId: 11, _sum: { quantity: 3 } },
+                { inventoryItemId: 12, _sum: { quantity: 7 } }
+            ]);
+
+            expect(await InventoryService.verifyStock(4, 7)).toEqual([
+                { inventoryItemId: 11, locationId: 1, quantity: 3, ledgerQuantity: 3, difference: 0, inSync: true },
+                { inventoryItemId: 12, locationId: 2, quantity: 5, ledgerQuantity: 7, difference: -2, inSync: false }
+            ]);
+        });
+    });
+
+    describe('getMovements', () => {
+        it('should page through a product\'s movements newest first', async () => {
+            prisma.inventoryMovement.count.mockResolvedValue(1);
+            prisma.inventoryMovement.findMany.mockResolvedValue([{ id: 90, type: 'SALE', quantity: -2, balance: 3 }]);
+            prisma.inventoryItem.findMany.mockResolvedValue([]);
+            prisma.inventoryMovement.groupBy.mockResolvedValue([]);
+
+            const result = await InventoryService.getMovements(4, 7, { type: 'SALE', page: 1, limit: 20 });
+
+            expect(prisma.inventoryMovement.findMany).toHaveBeenCalledWith(expect.objectContaining({
+                where: { productId: 4, userId: 7, type: 'SALE' },
+                orderBy: { id: 'desc' },
+                take: 20
+            }));
+            expect(result.pagination).toEqual({ currentPage: 1, totalPages: 1, totalItems: 1, itemsPerPage: 20 });
+        });
+
+        it('should not show another shop\'s product', async () => {
+            prisma.product.findFirst.mockResolvedValue(null);
+
+            await expect(InventoryService.getMovements(4, 8)).rejects.toThrow('Product not found');
+        });
+    });
+
+    describe('ProductService.updateInventory', () => {
+        beforeEach(() => {
+            prisma.inventoryItem.findFirst.mockResolvedValue({ id: 11, productId: 4, locationId: 1, quantity: 10, reorderLevel: 2 });
+        });
+
+        it('should record the change against the stock at write time', async () => {
+            // A sale took 4 units between the read and the locked write
+            prisma.inventoryItem.update
+                .mockResolvedValueOnce({ id: 11, quantity: 6, reorderLevel: 2 })
+                .mockResolvedValueOnce({ id: 11, quantity: 9, reorderLevel: 2 });
+
+            const result = await ProductService.updateInventory(4, 7, { quantity: 3, operation: 'ADD' }, {
+                actorId: 3,
+                reason: 'Found a carton in the back'
+            });
+
+            expect(prisma.inventoryItem.update).toHaveBeenLastCalledWith({
+                where: { id: 11 },
+                data: { quantity: 9 }
+            });
+            expect(prisma.inventoryMovement.create).toHaveBeenCalledWith({
+                data: expect.objectContaining({
+                    productId: 4,
+                    inventoryItemId: 11,
+                    type: 'ADJUSTMENT',
+                    quantity: 3,
+                    balance: 9,
+                    unitCost: 120,
+                    actorId: 3,
+                    auditLogId: 300,
+                    reason: 'Found a carton in the back'
+                })
+            });
+            expect(result.inventory).toMatchObject({ previousQuantity: 6, newQuantity: 9 });
+        });
+
+        it('should write no movement when only the reorder level changes', async () => {
+            prisma.inventoryItem.update
+                .mockResolvedValueOnce({ id: 11, quantity: 10, reorderLevel: 2 })
+                .mockResolvedValueOnce({ id: 11, quantity: 10, reorderLevel: 5 });
+
+            await ProductService.updateInventory(4, 7, { quantity: 10, reorderLevel: 5 });
+
+            expect(prisma.inventoryMovement.create).not.toHaveBeenCalled();
+        });
+    });
+});
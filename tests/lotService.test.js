@@ -0,0 +1,284 @@
+/**
+ * Unit tests for lot and expiry tracking of perishable products.
+ *
+ * The Prisma client is mocked and `$transaction` runs its callback against
+ * the same mock.
+ */
+
+const prisma = require('../src/utils/prisma');
+const LotService = require('../src/services/lotService');
+const ProductService = require('../src/services/productService');
+const SalesService = require('../src/services/salesService');
+
+jest.mock('../src/utils/prisma', () => {
+    const client = {
+        location: { findUnique: jest.fn() },
+        product: { findFirst: jest.fn() },
+        service: { findFirst: jest.fn() },
+        inventoryItem: { update: jest.fn(), updateMany: jest.fn(), findUnique: jest.fn(), upsert: jest.fn() },
+        inventoryLot: {
+            findFirst: jest.fn(),
+            findMany: jest.fn(),
+            findUnique: jest.fn(),
+            create: jest.fn(),
+            update: jest.fn(),
+            aggregate: jest.fn()
+        },
+        saleItemLot: { findMany: jest.fn(), update: jest.fn(), upsert: jest.fn() },
+        inventoryMovement: { create: jest.fn() },
+        auditLog: { create: jest.fn() }
+    };
+    client.$transaction = jest.fn(callback => callback(client));
+    return client;
+});
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('LotService', () => {
+    // Undated stock, a lot expiring in 10 days and one expiring in 3
+    const lots = [
+        { id: 1, inventoryItemId: 11, lotNumber: null, expiryDate: null, unitCost: null, quantity: 4 },
+        { id: 2, inventoryItemId: 11, lotNumber: 'B-2291', expiryDate: new Date('2025-11-10'), unitCost: 60, quantity: 5 },
+        { id: 3, inventoryItemId: 11, lotNumber: 'B-2240', expiryDate: new Date('2025-11-03'), unitCost: 50, quantity: 2 }
+    ];
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('takeFefo', () => {
+        it('should take the earliest expiry first and undated stock last', async () => {
+            prisma.inventoryLot.findMany.mockResolvedValue(lots.map(lot => ({ ...lot })));
+
+            const taken = await LotService.takeFefo(prisma, 11, 8);
+
+            expect(taken.map(lot => [lot.lotId, lot.quantity])).toEqual([[3, 2], [2, 5], [1, 1]]);
+            expect(prisma.inventoryLot.update).toHaveBeenCalledWith({
+                where: { id: 3 },
+                data: { quantity: { decrement: 2 } }
+            });
+            expect(prisma.inventoryLot.update).toHaveBeenCalledTimes(3);
+        });
+
+        it('should leave expired lots alone when asked to', async () => {
+            const now = new Date('2025-11-05');
+            prisma.inventoryLot.findMany.mockResolvedValue([{ ...lots[1] }]);
+
+            const taken = await LotService.takeFefo(prisma, 11, 3, { skipExpired: true, now });
+
+            expect(prisma.inventoryLot.findMany).toHaveBeenCalledWith({
+                where: {
+                    inventoryItemId: 11,
+                    quantity: { gt: 0 },
+                    OR: [{ expiryDate: null }, { expiryDate: { gt: now } }]
+                }
+            });
+            expect(taken).toEqual([expect.objectContaining({ lotId: 2, quantity: 3 })]);
+        });
+    });
+
+    describe('SalesService.processProductItem', () => {
+        const milk = {
+            id: 4, name: 'Fresh milk 500ml', sellingPrice: 80, costPrice: 55,
+            trackInventory: true, trackLots: true, inventoryItems: [{ id: 11, quantity: 6 }]
+        };
+        const location = { id: 1, name: 'Main store' };
+
+        beforeEach(() => {
+            prisma.product.findFirst.mockResolvedValue(milk);
+            prisma.inventoryItem.updateMany.mockResolvedValue({ count: 1 });
+            // 2 of the 6 in stock are in a lot that expired yesterday
+            prisma.inventoryLot.aggregate.mockResolvedValue({ _sum: { quantity: 2 } });
+        });
+
+        it('should sell from lots that have not expired', async () => {
+            prisma.inventoryItem.findUnique.mockResolvedValue({ id: 11, quantity: 2 });
+            prisma.inventoryLot.findMany.mockResolvedValue([
+                { id: 5, inventoryItemId: 11, lotNumber: 'B-2300', expiryDate: new Date(Date.now() + 5 * DAY), unitCost: 60, quantity: 4 }
+            ]);
+
+            const line = await SalesService.processProductItem({ id: 4, quantity: 4 }, 7, prisma, location);
+
+            expect(prisma.inventoryLot.aggregate).toHaveBeenCalledWith({
+                where: { inventoryItemId: 11, quantity: { gt: 0 }, expiryDate: { lte: expect.any(Date) } },
+                _sum: { quantity: true }
+            });
+            expect(prisma.inventoryLot.findMany).toHaveBeenCalledWith({
+                where: expect.objectContaining({ OR: [{ expiryDate: null }, { expiryDate: { gt: expect.any(Date) } }] })
+            });
+            expect(line.inventoryUpdate.lots).toEqual([expect.objectContaining({ lotId: 5, quantity: 4 })]);
+            expect(line.totalCost).toBe(240);
+        });
+
+        it('should refuse a sale that only expired units would cover', async () => {
+            prisma.inventoryItem.findUnique.mockResolvedValue({ id: 11, quantity: 1 });
+
+            await expect(SalesService.processProductItem({ id: 4, quantity: 5 }, 7, prisma, location))
+                .rejects.toThrow('Insufficient stock for Fresh milk 500ml at Main store. Available: 4, Required: 5, Expired: 2');
+            expect(prisma.inventoryLot.update).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('costOf', () => {
+        it('should cost units at their lot cost and the rest at the cost price', () => {
+            const taken = [
+                { lotId: 3, unitCost: 50, quantity: 2 },
+                { lotId: 1, unitCost: null, quantity: 1 }
+            ];
+
+            // 2 x 50 + 1 x 70 from an undated lot + 1 x 70 in no lot
+            expect(LotService.costOf(taken, 4, 70)).toBe(240);
+        });
+    });
+
+    describe('returnToLots', () => {
+        it('should put refunded units back into the lots the sale took them from, latest expiry first', async () => {
+            prisma.saleItemLot.findMany.mockResolvedValue([
+                { id: 21, lotId: 3, quantity: 2, returnedQuantity: 0, lot: lots[2] },
+                { id: 22, lotId: 2, quantity: 1, returnedQuantity: 0, lot: lots[1] }
+            ]);
+
+            const leftover = await LotService.returnToLots(prisma, 81, 4, 4);
+
+            expect(prisma.saleItemLot.findMany).toHaveBeenCalledWith({
+                where: { saleItemId: 81, lot: { productId: 4 } },
+                include: { lot: true }
+            });
+            expect(prisma.inventoryLot.update).toHaveBeenNthCalledWith(1, {
+                where: { id: 2 },
+                data: { quantity: { increment: 1 } }
+            });
+            expect(prisma.inventoryLot.update).toHaveBeenNthCalledWith(2, {
+                where: { id: 3 },
+                data: { quantity: { increment: 2 } }
+            });
+            expect(prisma.saleItemLot.update).toHaveBeenCalledWith({
+                where: { id: 21 },
+                data: { returnedQuantity: { increment: 2 } }
+            });
+            expect(leftover).toBe(1);
+        });
+    });
+
+    describe('recordSaleLots', () => {
+        it('should add up units a sale line took from the same lot twice', async () => {
+            await LotService.recordSaleLots(prisma, 81, [{ lotId: 3, quantity: 2 }, { lotId: 3, quantity: 1 }]);
+
+            expect(prisma.saleItemLot.upsert).toHaveBeenLastCalledWith({
+                where: { saleItemId_lotId: { saleItemId: 81, lotId: 3 } },
+                create: { saleItemId: 81, lotId: 3, quantity: 1 },
+                update: { quantity: { increment: 1 } }
+            });
+        });
+    });
+
+    describe('SalesService.restockSaleLines', () => {
+        it('should put a refunded service\'s materials back into the lots they were used from', async () => {
+            const milk = { id: 4, name: 'Fresh milk 500ml', costPrice: 55, trackInventory: true, trackLots: true };
+            prisma.location.findUnique.mockResolvedValue({ id: 1, name: 'Main store' });
+            prisma.service.findFirst.mockResolvedValue({
+                id: 9, requiresMaterials: true,
+                serviceMaterials: [{ productId: 4, quantity: 2, product: milk }]
+            });
+            prisma.inventoryItem.upsert.mockResolvedValue({ id: 11 });
+            prisma.inventoryItem.update.mockResolvedValue({ id: 11, quantity: 6 });
+            prisma.saleItemLot.findMany.mockResolvedValue([
+                { id: 21, lotId: 3, quantity: 2, returnedQuantity: 0, lot: lots[2] }
+            ]);
+
+            await SalesService.restockSaleLines(
+                [{ saleItem: { id: 82, itemType: 'SERVICE', serviceId: 9 }, quantity: 1 }],
+                7, prisma, 1
+            );
+
+            expect(prisma.saleItemLot.findMany).toHaveBeenCalledWith(expect.objectContaining({
+                where: { saleItemId: 82, lot: { productId: 4 } }
+            }));
+            expect(prisma.inventoryLot.update).toHaveBeenCalledWith({
+                where: { id: 3 },
+                data: { quantity: { increment: 2 } }
+            });
+            // Nothing left over for an undated lot
+            expect(prisma.inventoryLot.create).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('parseLotDetails', () => {
+        it('should refuse an expiry date that is not a date', () => {
+            expect(() => LotService.parseLotDetails({ expiryDate: 'soon' })).toThrow('Expiry date must be a valid date');
+            expect(LotService.parseLotDetails({ lotNumber: ' B-1 ' })).toEqual({ lotNumber: 'B-1', expiryDate: null });
+        });
+    });
+});
+
+describe('ProductService expiring lots', () => {
+    const product = { id: 4, name: 'Fresh milk 500ml', category: 'Dairy', costPrice: 55 };
+    const inventoryItem = { stockLocation: { id: 1, name: 'Main store' } };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        prisma.auditLog.create.mockResolvedValue({ id: 300 });
+        prisma.inventoryMovement.create.mockImplementation(({ data }) => Promise.resolve({ id: 90, ...data }));
+    });
+
+    it('should split lots into expired and expiring soon, valued at lot cost', async () => {
+        prisma.inventoryLot.findMany.mockResolvedValue([
+            { id: 3, lotNumber: 'B-2240', expiryDate: new Date(Date.now() - DAY), unitCost: 50, quantity: 2, product, inventoryItem },
+            { id: 2, lotNumber: 'B-2291', expiryDate: new Date(Date.now() + 2.5 * DAY), unitCost: null, quantity: 5, product, inventoryItem }
+        ]);
+
+        const result = await ProductService.getExpiringLots(7, { days: 3 });
+
+        expect(prisma.inventoryLot.findMany).toHaveBeenCalledWith(expect.objectContaining({
+            where: expect.objectContaining({ userId: 7, quantity: { gt: 0 }, product: { trackLots: true } })
+        }));
+        expect(result.lots.expired).toEqual([
+            expect.objectContaining({ lotId: 3, status: 'EXPIRED', locationName: 'Main store', stockValue: 100 })
+        ]);
+        expect(result.lots.expiringSoon).toEqual([
+            expect.objectContaining({ lotId: 2, status: 'EXPIRING_SOON', daysToExpiry: 3, stockValue: 275 })
+        ]);
+        expect(result.summary).toMatchObject({ expiredUnits: 2, expiredValue: 100, expiringUnits: 5, expiringValue: 275 });
+    });
+
+    it('should write off what is left of an expired lot as a stock adjustment', async () => {
+        const expired = {
+            id: 3, productId: 4, inventoryItemId: 11, lotNumber: 'B-2240',
+            expiryDate: new Date(Date.now() - DAY), unitCost: 50, quantity: 2
+        };
+        prisma.inventoryLot.findMany.mockResolvedValue([{ ...expired, product, inventoryItem }]);
+        // A sale took one unit from the lot after it was listed
+        prisma.inventoryLot.findUnique.mockResolvedValue({ ...expired, quantity: 1 });
+        prisma.inventoryItem.update.mockImplementation(({ where, data }) => Promise.resolve(
+            data.quantity.increment === 0 ? { id: where.id, quantity: 9 } : { id: where.id, ...data }
+        ));
+
+        const result = await ProductService.writeOffExpiredLots(7, { actorId: 3 });
+
+        expect(prisma.inventoryLot.update).toHaveBeenCalledWith({ where: { id: 3 }, data: { quantity: 0 } });
+        expect(prisma.inventoryItem.update).toHaveBeenCalledWith({ where: { id: 11 }, data: { quantity: 8 } });
+        expect(prisma.inventoryMovement.create).toHaveBeenCalledWith({
+            data: expect.objectContaining({
+                inventoryItemId: 11,
+                type: 'ADJUSTMENT',
+                quantity: -1,
+                balance: 8,
+                unitCost: 50,
+                auditLogId: 300,
+                reason: 'Expired lot B-2240 written off'
+            })
+        });
+        expect(result).toMatchObject({ totalUnits: 1, writtenOffValue: 50 });
+    });
+
+    it('should refuse to write off a lot that has not expired', async () => {
+        prisma.inventoryLot.findMany.mockResolvedValue([{
+            id: 2, productId: 4, inventoryItemId: 11, lotNumber: 'B-2291',
+            expiryDate: new Date(Date.now() + DAY), unitCost: 60, quantity: 5, product, inventoryItem
+        }]);
+
+        await expect(ProductService.writeOffExpiredLots(7, { lotIds: [2] }))
+            .rejects.toThrow('Lot B-2291 of Fresh milk 500ml has not expired');
+        expect(prisma.inventoryLot.update).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,84 @@
+/**
+ * Unit tests for the shared money helper.
+ *
+ * Covers the rounding rules every service relies on, plus the allocation and
+ * payment-status paths that used to leave sub-cent balances behind.
+ */
+
+const { Prisma } = require('@prisma/client');
+const money = require('../src/utils/money');
+const PaymentService = require('../src/services/paymentService');
+const SalesService = require('../src/services/salesService');
+
+describe('money helper', () => {
+    it('should add amounts without floating-point residue', () => {
+        expect(money.add(0.1, 0.2)).toBe(0.3);
+        expect(money.sum([0.1, 0.1, 0.1])).toBe(0.3);
+        expect(money.subtract(1, 0.9)).toBe(0.1);
+    });
+
+    it('should round to the cent with halves away from zero', () => {
+        expect(money.round(1.005)).toBe(1.01);
+        expect(money.round(2.675)).toBe(2.68);
+        expect(money.round(-1.005)).toBe(-1.01);
+        expect(money.round(10)).toBe(10);
+    });
+
+    it('should round products of amount and quantity', () => {
+        expect(money.multiply(19.99, 3)).toBe(59.97);
+        expect(money.multiply(100, 1 / 3)).toBe(33.33);
+    });
+
+    it('should compare at cent precision', () => {
+        expect(money.compare(0.1 + 0.2, 0.3)).toBe(0);
+        expect(money.isZero(0.30000000000000004 - 0.3)).toBe(true);
+        expect(money.isPositive(0.001)).toBe(false);
+    });
+
+    it('should express percentages to 2 decimals', () => {
+        expect(money.percentage(1, 3)).toBe(33.33);
+        expect(money.percentage(50, 0)).toBe(0);
+    });
+
+    it('should accept Prisma decimals and reject non-numbers', () => {
+        expect(money.add(new Prisma.Decimal('10.10'), 0.2)).toBe(10.3);
+        expect(() => money.toCents('abc')).toThrow('Invalid amount: abc');
+    });
+
+    it('should replace decimals in query results with numbers', () => {
+        const createdAt = new Date('2025-01-01');
+        const result = money.normalize({
+            amount: new Prisma.Decimal('12.50'),
+            createdAt,
+            allocations: [{ amount: new Prisma.Decimal('2.25') }]
+        });
+
+        expect(result).toEqual({ amount: 12.5, createdAt, allocations: [{ amount: 2.25 }] });
+        expect(result.createdAt).toBe(createdAt);
+    });
+});
+
+describe('money in allocations and payment status', () => {
+    it('should pay a debt off exactly when payments add up to its balance', () => {
+        const debts = [{ id: 1, amount: 0.3, createdAt: new Date('2025-01-01') }];
+        const plan = PaymentService.planAllocations(debts, money.add(0.1, 0.2), 'OLDEST_FIRST');
+
+        expect(plan.map(line => line.amount)).toEqual([0.3]);
+    });
+
+    it('should stop allocating once less than a cent is left', () => {
+        const debts = [
+            { id: 1, amount: 10.1, createdAt: new Date('2025-01-01') },
+            { id: 2, amount: 5, createdAt: new Date('2025-02-01') }
+        ];
+        const plan = PaymentService.planAllocations(debts, 10.1, 'OLDEST_FIRST');
+
+        expect(plan.map(line => [line.debt.id, line.amount])).toEqual([[1, 10.1]]);
+    });
+
+    it('should treat a sale paid to the cent as paid', () => {
+        expect(SalesService.getPaymentStatus(0.3, 0.1 + 0.2)).toBe('PAID');
+        expect(SalesService.getPaymentStatus(100, 99.99)).toBe('PARTIALLY_PAID');
+        expect(SalesService.getPaymentStatus(100, 0)).toBe('UNPAID');
+    });
+});
@@ -0,0 +1,255 @@
+/**
+ * Tests for M-Pesa STK push checkout from a sale, run against the mock
+ * Daraja server so nothing leaves the machine.
+ *
+ * The Prisma client is mocked; the mock server's callback is caught by a
+ * small local endpoint and fed back through MpesaService like the real
+ * callback route would. The last test runs the whole checkout through the
+ * controllers instead, from creating the sale to the callback.
+ */
+
+const express = require('express');
+const prisma = require('../src/utils/prisma');
+const MpesaService = require('../src/services/mpesaService');
+const PaymentService = require('../src/services/paymentService');
+const salesController = require('../src/controllers/salesController');
+const MpesaController = require('../src/controllers/mpesaController');
+const createMockDaraja = require('../src/utils/mockDaraja');
+
+jest.mock('../src/utils/prisma', () => {
+    const client = {
+        sale: { findFirst: jest.fn(), create: jest.fn() },
+        saleItem: { create: jest.fn() },
+        customer: { findFirst: jest.fn(), findUnique: jest.fn() },
+        location: { findFirst: jest.fn() },
+        product: { findFirst: jest.fn() },
+        inventoryItem: { updateMany: jest.fn(), findUnique: jest.fn() },
+        inventoryMovement: { create: jest.fn() },
+        numberSequence: { upsert: jest.fn() },
+        auditLog: { create: jest.fn() },
+        shop: { findUnique: jest.fn() },
+        debt: { findMany: jest.fn(), create: jest.fn() },
+        payment: { findFirst: jest.fn(), create: jest.fn() },
+        mpesaTransaction: { findUnique: jest.fn(), create: jest.fn(), update: jest.fn() },
+        mpesaRequest: {
+            findFirst: jest.fn(),
+            findUnique: jest.fn(),
+            create: jest.fn(),
+            update: jest.fn(),
+            updateMany: jest.fn()
+        }
+    };
+    client.$transaction = jest.fn(callback => callback(client));
+    return client;
+});
+
+describe('M-Pesa checkout', () => {
+    const daraja = createMockDaraja({ callbackDelayMs: 10 });
+    const servers = [];
+    let nextCallback;
+
+    const sale = {
+        id: 31,
+        userId: 7,
+        saleNumber: 'SALE-20250815-0004',
+        saleType: 'PARTIAL_PAYMENT',
+        status: 'COMPLETED',
+        customerId: 5,
+        customer: { id: 5, phone: '0712345678' },
+        debts: [{ id: 60, amount: 249.5 }]
+    };
+
+    beforeAll(async () => {
+        const receiver = express();
+        receiver.use(express.json());
+        receiver.post('/api/v1/mpesa/stk/:shortcode/callback', (req, res) => {
+            nextCallback({ shortcode: req.params.shortcode, query: req.query, body: req.body });
+            res.json({ ResultCode: 0 });
+        });
+
+        servers.push(await daraja.listen(), await new Promise(resolve => {
+            const server = receiver.listen(0, () => resolve(server));
+        }));
+
+        process.env.MPESA_BASE_URL = `http://127.0.0.1:${servers[0].address().port}`;
+        process.env.MPESA_CALLBACK_URL = `http://127.0.0.1:${servers[1].address().port}/api/v1`;
+        process.env.MPESA_CONSUMER_KEY = 'key';
+        process.env.MPESA_CONSUMER_SECRET = 'secret';
+        process.env.MPESA_PASSKEY = 'passkey';
+        process.env.MPESA_CALLBACK_TOKEN = 'callback-token';
+    });
+
+    afterAll(() => {
+        delete process.env.MPESA_CALLBACK_TOKEN;
+        servers.forEach(server => server.close());
+        PaymentService.recordPayment.mockRestore();
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        prisma.sale.findFirst.mockResolvedValue(sale);
+        prisma.shop.findUnique.mockResolvedValue({ id: 2, ownerId: 7, mpesaShortcode: '174379' });
+        prisma.mpesaRequest.findFirst.mockResolvedValue(null);
+        prisma.mpesaRequest.updateMany.mockResolvedValue({ count: 0 });
+        prisma.mpesaRequest.create.mockImplementation(({ data }) => Promise.resolve({ id: 9, ...data }));
+        prisma.mpesaTransaction.findUnique.mockResolvedValue(null);
+        prisma.payment.findFirst.mockResolvedValue(null);
+        prisma.mpesaTransaction.create.mockImplementation(({ data }) => Promise.resolve({ id: 40, ...data }));
+        prisma.mpesaTransaction.update.mockImplementation(({ data }) => Promise.resolve({ id: 40, ...data }));
+        prisma.debt.findMany.mockResolvedValue(sale.debts);
+        jest.spyOn(PaymentService, 'recordPayment').mockResolvedValue({ payment: { id: 77 }, summary: {} });
+    });
+
+    const requestAndWait = async () => {
+        const callback = new Promise(resolve => { nextCallback = resolve; });
+        const result = await MpesaService.requestSalePayment(31, 7, { actorId: 3 });
+        const { shortcode, body } = await callback;
+
+        prisma.mpesaRequest.findUnique.mockResolvedValue(result.request);
+        await MpesaService.handleStkCallback(MpesaService.parseStkCallback(body, shortcode));
+        return result.request;
+    };
+
+    it('should prompt the customer for the outstanding balance in whole shillings', async () => {
+        daraja.setOutcome('success');
+        const request = await requestAndWait();
+
+        expect(daraja.requests[daraja.requests.length - 1]).toMatchObject({
+            BusinessShortCode: '174379',
+            Amount: 250,
+            PhoneNumber: '254712345678',
+            AccountReference: 'SALE-2025081'
+        });
+        expect(request).toMatchObject({
+            saleId: 31,
+            customerId: 5,
+            amount: 250,
+            requestedBy: 3,
+            checkoutRequestId: expect.stringMatching(/^ws_CO_mock_/)
+        });
+    });
+
+    it('should settle the sale\'s debt when the customer pays', async () => {
+        daraja.setOutcome('success');
+        await requestAndWait();
+
+        expect(PaymentService.recordPayment).toHaveBeenCalledWith(expect.objectContaining({
+            customerId: 5,
+            amount: 250,
+            paymentMethod: 'MPESA',
+            allocations: [{ debtId: 60, amount: 249.5 }]
+        }), prisma);
+        expect(prisma.mpesaRequest.update).toHaveBeenCalledWith({
+            where: { id: 9 },
+            data: expect.objectContaining({ status: 'COMPLETED', mpesaTransactionId: 40 })
+        });
+    });
+
+    it('should mark the request failed when the customer cancels', async () => {
+        daraja.setOutcome('cancelled');
+        await requestAndWait();
+
+        expect(prisma.mpesaRequest.updateMany).toHaveBeenLastCalledWith({
+            where: { id: 9, status: 'PENDING' },
+            data: expect.objectContaining({ status: 'FAILED', resultCode: 1032 })
+        });
+        expect(PaymentService.recordPayment).not.toHaveBeenCalled();
+    });
+
+    it('should mark the request timed out when the phone cannot be reached', async () => {
+        daraja.setOutcome('timeout');
+        await requestAndWait();
+
+        expect(prisma.mpesaRequest.updateMany).toHaveBeenLastCalledWith({
+            where: { id: 9, status: 'PENDING' },
+            data: expect.objectContaining({ status: 'TIMEOUT', resultCode: 1037 })
+        });
+    });
+
+    it('should time out requests whose callback never came', async () => {
+        const now = new Date('2025-08-15T07:10:00Z');
+        prisma.mpesaRequest.updateMany.mockResolvedValue({ count: 2 });
+
+        expect(await MpesaService.expireRequests(now)).toBe(2);
+        expect(prisma.mpesaRequest.updateMany).toHaveBeenCalledWith({
+            where: { status: 'PENDING', expiresAt: { lt: now } },
+            data: expect.objectContaining({ status: 'TIMEOUT' })
+        });
+    });
+
+    it('should refuse cash sales and a second pending request', async () => {
+        prisma.sale.findFirst.mockResolvedValue({ ...sale, saleType: 'CASH' });
+        await expect(MpesaService.requestSalePayment(31, 7))
+            .rejects.toThrow('M-Pesa requests are only for credit and partial-payment sales');
+
+        prisma.sale.findFirst.mockResolvedValue(sale);
+        prisma.mpesaRequest.findFirst.mockResolvedValue({ id: 8, status: 'PENDING' });
+        await expect(MpesaService.requestSalePayment(31, 7))
+            .rejects.toThrow('An M-Pesa request is already pending for this sale');
+    });
+
+    it('should take a partial-payment sale from the till to a settled debt through M-Pesa', async () => {
+        const customer = { id: 5, userId: 7, name: 'Jane Wanjiru', phone: '0712345678' };
+        let created, debt;
+        prisma.customer.findFirst.mockResolvedValue(customer);
+        prisma.customer.findUnique.mockResolvedValue(customer);
+        prisma.location.findFirst.mockResolvedValue({ id: 1, userId: 7, name: 'Main store', isDefault: true, isActive: true });
+        prisma.product.findFirst.mockResolvedValue({
+            id: 4, name: 'Sugar 1kg', sellingPrice: 150, costPrice: 110,
+            trackInventory: true, inventoryItems: [{ id: 11, quantity: 10 }]
+        });
+        prisma.inventoryItem.updateMany.mockResolvedValue({ count: 1 });
+        prisma.inventoryItem.findUnique.mockResolvedValue({ id: 11, quantity: 7 });
+        prisma.numberSequence.upsert.mockResolvedValue({ value: 4 });
+        prisma.auditLog.create.mockResolvedValue({ id: 300 });
+        prisma.sale.create.mockImplementation(({ data }) => Promise.resolve(created = { id: 32, ...data }));
+        prisma.saleItem.create.mockImplementation(({ data }) => Promise.resolve({ id: 82, ...data }));
+        prisma.payment.create.mockImplementation(({ data }) => Promise.resolve({ id: 76, ...data }));
+        prisma.debt.create.mockImplementation(({ data }) => Promise.resolve(debt = { id: 61, isPaid: false, ...data }));
+        prisma.sale.findFirst.mockImplementation(() => Promise.resolve({ ...created, customer, debts: [debt] }));
+        prisma.debt.findMany.mockImplementation(() => Promise.resolve([debt]));
+        daraja.setOutcome('success');
+
+        const user = { userId: 7, actorId: 3, role: 'OWNER' };
+        const respond = () => ({ status: jest.fn().mockReturnThis(), json: jest.fn() });
+
+        // 3 x 150 with 100 paid at the till leaves 350 on credit
+        const sold = respond();
+        await salesController.createSale({
+            user,
+            body: {
+                customerId: 5,
+                items: [{ type: 'PRODUCT', id: 4, quantity: 3 }],
+                saleType: 'PARTIAL_PAYMENT',
+                paymentMethod: 'CASH',
+                paymentAmount: 100
+            }
+        }, sold);
+        expect(sold.status).toHaveBeenCalledWith(201);
+        expect(debt).toMatchObject({ amount: 350, saleId: 32 });
+
+        const callback = new Promise(resolve => { nextCallback = resolve; });
+        const requested = respond();
+        await salesController.requestMpesaPayment({ user, params: { id: '32' }, body: {} }, requested);
+        expect(requested.status).toHaveBeenCalledWith(202);
+        const { request } = requested.json.mock.calls[0][0];
+        expect(request).toMatchObject({ saleId: 32, amount: 350 });
+
+        // Daraja's callback arrives with the token the callback URL was registered with
+        const { shortcode, query, body } = await callback;
+        prisma.mpesaRequest.findUnique.mockResolvedValue(request);
+        const answered = respond();
+        const next = jest.fn();
+        MpesaController.verifyCallback({ query }, answered, next);
+        expect(next).toHaveBeenCalled();
+        await MpesaController.stkCallback({ params: { shortcode }, query, body }, answered);
+
+        expect(answered.json).toHaveBeenCalledWith({ ResultCode: 0, ResultDesc: 'Accepted' });
+        expect(PaymentService.recordPayment).toHaveBeenCalledWith(expect.objectContaining({
+            customerId: 5,
+            amount: 350,
+            paymentMethod: 'MPESA',
+            allocations: [{ debtId: 61, amount: 350 }]
+        }), prisma);
+    });
+});
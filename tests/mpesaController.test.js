@@ -0,0 +1,78 @@
+/**
+ * Unit tests for the M-Pesa callback token check.
+ *
+ * mpesaService is mocked so a callback that gets through would be visible
+ * as a call to ingest.
+ */
+
+const MpesaController = require('../src/controllers/mpesaController');
+const MpesaService = require('../src/services/mpesaService');
+
+jest.mock('../src/services/mpesaService', () => ({
+    parseC2BConfirmation: jest.fn(body => body),
+    ingest: jest.fn()
+}));
+
+describe('MpesaController.verifyCallback', () => {
+    const original = process.env.MPESA_CALLBACK_TOKEN;
+    let req, res, next;
+
+    // Run the confirmation route: the token check, then the handler if it lets the request through
+    const confirm = async () => {
+        MpesaController.verifyCallback(req, res, next);
+        if (next.mock.calls.length) {
+            await MpesaController.c2bConfirmation(req, res);
+        }
+    };
+
+    beforeEach(() => {
+        req = { query: {}, body: { TransID: 'QHX81TW3XY', TransAmount: '500' } };
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn()
+        };
+        next = jest.fn();
+        MpesaService.ingest.mockReset();
+    });
+
+    afterAll(() => {
+        if (original === undefined) {
+            delete process.env.MPESA_CALLBACK_TOKEN;
+        } else {
+            process.env.MPESA_CALLBACK_TOKEN = original;
+        }
+    });
+
+    it('should refuse confirmations while no callback token is configured', async () => {
+        delete process.env.MPESA_CALLBACK_TOKEN;
+
+        await confirm();
+
+        expect(res.status).toHaveBeenCalledWith(401);
+        expect(res.json).toHaveBeenCalledWith({ ResultCode: 1, ResultDesc: 'Callback token is not configured' });
+        expect(MpesaService.ingest).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a wrong or missing token', async () => {
+        process.env.MPESA_CALLBACK_TOKEN = 's3cret-token';
+
+        req.query.token = 's3cret-tokem';
+        await confirm();
+        req.query = {};
+        await confirm();
+
+        expect(res.status).toHaveBeenNthCalledWith(1, 401);
+        expect(res.status).toHaveBeenNthCalledWith(2, 401);
+        expect(MpesaService.ingest).not.toHaveBeenCalled();
+    });
+
+    it('should accept a confirmation carrying the configured token', async () => {
+        process.env.MPESA_CALLBACK_TOKEN = 's3cret-token';
+        req.query.token = 's3cret-token';
+
+        await confirm();
+
+        expect(MpesaService.ingest).toHaveBeenCalled();
+        expect(res.json).toHaveBeenCalledWith({ ResultCode: 0, ResultDesc: 'Accepted' });
+    });
+});
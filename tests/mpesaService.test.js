@@ -0,0 +1,202 @@
+/**
+ * Unit tests for M-Pesa callback ingestion and the suspense queue.
+ *
+ * The Prisma client is mocked and `$transaction` runs its callback against
+ * the same mock; PaymentService.recordPayment is spied on so the tests can
+ * assert what would have been recorded.
+ */
+
+const prisma = require('../src/utils/prisma');
+const MpesaService = require('../src/services/mpesaService');
+const PaymentService = require('../src/services/paymentService');
+
+jest.mock('../src/utils/prisma', () => {
+    const client = {
+        shop: { findUnique: jest.fn() },
+        customer: { findFirst: jest.fn(), findMany: jest.fn() },
+        payment: { findFirst: jest.fn() },
+        mpesaTransaction: {
+            findUnique: jest.fn(),
+            findFirst: jest.fn(),
+            create: jest.fn(),
+            update: jest.fn(),
+            updateMany: jest.fn()
+        }
+    };
+    client.$transaction = jest.fn(callback => callback(client));
+    return client;
+});
+
+describe('MpesaService', () => {
+    const confirmation = (overrides = {}) => ({
+        TransactionType: 'Pay Bill',
+        TransID: 'QHX81KD2K4',
+        TransTime: '20250815100245',
+        TransAmount: '500.00',
+        BusinessShortCode: '600638',
+        BillRefNumber: '',
+        MSISDN: '254712345678',
+        FirstName: 'Jane',
+        LastName: 'Wanjiku',
+        ...overrides
+    });
+    const jane = { id: 5, userId: 7, name: 'Jane Wanjiku', phone: '0712345678' };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        prisma.shop.findUnique.mockResolvedValue({ id: 2, ownerId: 7, mpesaShortcode: '600638' });
+        prisma.mpesaTransaction.findUnique.mockResolvedValue(null);
+        prisma.payment.findFirst.mockResolvedValue(null);
+        prisma.customer.findFirst.mockResolvedValue(null);
+        prisma.customer.findMany.mockResolvedValue([]);
+        prisma.mpesaTransaction.create.mockImplementation(({ data }) => Promise.resolve({ id: 40, ...data }));
+        prisma.mpesaTransaction.update.mockImplementation(({ data }) => Promise.resolve({ id: 40, ...data }));
+        jest.spyOn(PaymentService, 'recordPayment').mockResolvedValue({ payment: { id: 77 }, summary: {} });
+    });
+
+    afterAll(() => {
+        PaymentService.recordPayment.mockRestore();
+    });
+
+    describe('parseC2BConfirmation', () => {
+        it('should read the receipt and the Kenyan transaction time', () => {
+            const receipt = MpesaService.parseC2BConfirmation(confirmation());
+
+            expect(receipt).toMatchObject({
+                source: 'C2B',
+                transactionCode: 'QHX81KD2K4',
+                amount: 500,
+                shortcode: '600638',
+                phone: '254712345678',
+                accountReference: null,
+                payerName: 'Jane Wanjiku'
+            });
+            expect(receipt.transactedAt.toISOString()).toBe('2025-08-15T07:02:45.000Z');
+        });
+
+        it('should reject payloads without a code or a positive amount', () => {
+            expect(() => MpesaService.parseC2BConfirmation({ TransAmount: '10' })).toThrow('Invalid M-Pesa payload');
+            expect(() => MpesaService.parseC2BConfirmation(confirmation({ TransAmount: '-5' }))).toThrow('Invalid M-Pesa payload');
+        });
+    });
+
+    describe('parseStkCallback', () => {
+        it('should only produce a receipt when the customer paid', () => {
+            const paid = MpesaService.parseStkCallback({
+                Body: {
+                    stkCallback: {
+                        CheckoutRequestID: 'ws_CO_1508',
+                        ResultCode: 0,
+                        CallbackMetadata: {
+                            Item: [
+                                { Name: 'Amount', Value: 250 },
+                                { Name: 'MpesaReceiptNumber', Value: 'QHY22LM9P1' },
+                                { Name: 'TransactionDate', Value: 20250815100245 },
+                                { Name: 'PhoneNumber', Value: 254712345678 }
+                            ]
+                        }
+                    }
+                }
+            }, '600638');
+            const declined = MpesaService.parseStkCallback({
+                Body: { stkCallback: { CheckoutRequestID: 'ws_CO_1509', ResultCode: 1032, ResultDesc: 'Request cancelled by user' } }
+            }, '600638');
+
+            expect(paid.receipt).toMatchObject({ source: 'STK', transactionCode: 'QHY22LM9P1', amount: 250, phone: '254712345678' });
+            expect(declined).toMatchObject({ resultCode: 1032, receipt: null });
+        });
+    });
+
+    describe('ingest', () => {
+        it('should match the payer by phone and record the payment', async () => {
+            prisma.customer.findMany.mockResolvedValue([jane]);
+
+            const transaction = await MpesaService.ingest(MpesaService.parseC2BConfirmation(confirmation()));
+
+            expect(prisma.mpesaTransaction.create).toHaveBeenCalledWith({
+                data: expect.objectContaining({ userId: 7, status: 'MATCHED', customerId: 5, suspenseReason: null })
+            });
+            expect(PaymentService.recordPayment).toHaveBeenCalledWith({
+                customerId: 5,
+                amount: 500,
+                paymentMethod: 'MPESA',
+                reference: 'QHX81KD2K4',
+                description: 'M-Pesa payment QHX81KD2K4',
+                userId: 7,
+                actorId: null
+            }, prisma);
+            expect(transaction.paymentId).toBe(77);
+        });
+
+        it('should match on a customer id typed as the account number', async () => {
+            prisma.customer.findFirst.mockResolvedValue(jane);
+
+            await MpesaService.ingest(MpesaService.parseC2BConfirmation(
+                confirmation({ BillRefNumber: '5', MSISDN: '2547*****678' })
+            ));
+
+            expect(prisma.customer.findFirst).toHaveBeenCalledWith({ where: { id: 5, userId: 7 } });
+            expect(PaymentService.recordPayment).toHaveBeenCalledWith(expect.objectContaining({ customerId: 5 }), prisma);
+        });
+
+        it('should park receipts it cannot match in suspense', async () => {
+            const transaction = await MpesaService.ingest(MpesaService.parseC2BConfirmation(confirmation()));
+
+            expect(transaction).toMatchObject({
+                status: 'SUSPENSE',
+                customerId: null,
+                suspenseReason: 'No customer matches the phone number or account reference'
+            });
+            expect(PaymentService.recordPayment).not.toHaveBeenCalled();
+        });
+
+        it('should reject a transaction code it has already seen', async () => {
+            prisma.mpesaTransaction.findUnique.mockResolvedValue({ id: 40 });
+
+            await expect(MpesaService.ingest(MpesaService.parseC2BConfirmation(confirmation())))
+                .rejects.toThrow('Duplicate transaction code');
+
+            prisma.mpesaTransaction.findUnique.mockResolvedValue(null);
+            prisma.payment.findFirst.mockResolvedValue({ id: 12, reference: 'QHX81KD2K4' });
+
+            await expect(MpesaService.ingest(MpesaService.parseC2BConfirmation(confirmation())))
+                .rejects.toThrow('Duplicate transaction code');
+            expect(prisma.mpesaTransaction.create).not.toHaveBeenCalled();
+        });
+
+        it('should reject callbacks for a shortcode no shop uses', async () => {
+            prisma.shop.findUnique.mockResolvedValue(null);
+
+            await expect(MpesaService.ingest(MpesaService.parseC2BConfirmation(confirmation())))
+                .rejects.toThrow('Unknown M-Pesa shortcode');
+        });
+    });
+
+    describe('assignTransaction', () => {
+        it('should record a suspense receipt for the chosen customer', async () => {
+            prisma.mpesaTransaction.findFirst.mockResolvedValue({ id: 40, amount: 500, transactionCode: 'QHX81KD2K4' });
+            prisma.mpesaTransaction.updateMany.mockResolvedValue({ count: 1 });
+
+            const result = await MpesaService.assignTransaction(40, 7, { customerId: 5, actorId: 3 });
+
+            expect(prisma.mpesaTransaction.updateMany).toHaveBeenCalledWith({
+                where: { id: 40, status: 'SUSPENSE' },
+                data: expect.objectContaining({ status: 'ASSIGNED', customerId: 5, assignedBy: 3 })
+            });
+            expect(PaymentService.recordPayment).toHaveBeenCalledWith(
+                expect.objectContaining({ customerId: 5, amount: 500, reference: 'QHX81KD2K4', actorId: 3 }),
+                prisma
+            );
+            expect(result.transaction.paymentId).toBe(77);
+        });
+
+        it('should not record a receipt twice', async () => {
+            prisma.mpesaTransaction.findFirst.mockResolvedValue({ id: 40, amount: 500 });
+            prisma.mpesaTransaction.updateMany.mockResolvedValue({ count: 0 });
+
+            await expect(MpesaService.assignTransaction(40, 7, { customerId: 5, actorId: 3 }))
+                .rejects.toThrow('M-Pesa transaction has already been recorded as a payment');
+            expect(PaymentService.recordPayment).not.toHaveBeenCalled();
+        });
+    });
+});
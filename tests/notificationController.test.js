@@ -0,0 +1,67 @@
+/**
+ * Unit tests for the delivery report webhook token check.
+ *
+ * notificationService is mocked so a report that gets through would be
+ * visible as a call to recordDeliveryReport.
+ */
+
+const NotificationController = require('../src/controllers/notificationController');
+const NotificationService = require('../src/services/notificationService');
+
+jest.mock('../src/services/notificationService', () => ({
+    recordDeliveryReport: jest.fn()
+}));
+
+describe('NotificationController.verifyWebhook', () => {
+    const original = process.env.NOTIFICATION_WEBHOOK_TOKEN;
+    let req, res, next;
+
+    // Run the delivery report route: the token check, then the handler if it lets the request through
+    const report = async () => {
+        NotificationController.verifyWebhook(req, res, next);
+        if (next.mock.calls.length) {
+            await NotificationController.africasTalkingDeliveryReport(req, res);
+        }
+    };
+
+    beforeEach(() => {
+        req = { query: {}, body: { id: 'ATXid_1', status: 'Success' } };
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn()
+        };
+        next = jest.fn();
+        NotificationService.recordDeliveryReport.mockReset();
+    });
+
+    afterAll(() => {
+        if (original === undefined) {
+            delete process.env.NOTIFICATION_WEBHOOK_TOKEN;
+        } else {
+            process.env.NOTIFICATION_WEBHOOK_TOKEN = original;
+        }
+    });
+
+    it('should refuse delivery reports while no webhook token is configured', async () => {
+        delete process.env.NOTIFICATION_WEBHOOK_TOKEN;
+
+        await report();
+
+        expect(res.status).toHaveBeenCalledWith(401);
+        expect(NotificationService.recordDeliveryReport).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a wrong token and accept the configured one', async () => {
+        process.env.NOTIFICATION_WEBHOOK_TOKEN = 'hook-token';
+
+        req.query.token = 'hook-tokem';
+        await report();
+        expect(res.status).toHaveBeenCalledWith(401);
+        expect(NotificationService.recordDeliveryReport).not.toHaveBeenCalled();
+
+        req.query.token = 'hook-token';
+        await report();
+        expect(NotificationService.recordDeliveryReport).toHaveBeenCalledWith('africastalking', 'ATXid_1', 'Success');
+        expect(res.status).toHaveBeenLastCalledWith(200);
+    });
+});
@@ -0,0 +1,184 @@
+/**
+ * Unit tests for NotificationService.
+ *
+ * The Prisma client is mocked and the fake messenger records what would
+ * have been sent, so the tests can assert on the exact messages.
+ */
+
+const prisma = require('../src/utils/prisma');
+const NotificationService = require('../src/services/notificationService');
+const createFakeMessenger = require('../src/utils/fakeMessenger');
+
+jest.mock('../src/utils/prisma', () => ({
+    customer: { findFirst: jest.fn() },
+    shop: { findUnique: jest.fn() },
+    notification: {
+        create: jest.fn(),
+        update: jest.fn(),
+        updateMany: jest.fn()
+    },
+    notificationTemplate: {
+        findUnique: jest.fn(),
+        findMany: jest.fn(),
+        upsert: jest.fn(),
+        deleteMany: jest.fn()
+    }
+}));
+
+describe('NotificationService', () => {
+    const sms = createFakeMessenger();
+
+    const customer = {
+        id: 5,
+        name: 'Jane Wanjiku',
+        phone: '0712 345 678',
+        debts: [
+            { amount: 150.5, dueDate: new Date('2025-08-20') },
+            { amount: 99.5, dueDate: new Date('2025-08-10') },
+            { amount: 1000, dueDate: null }
+        ]
+    };
+
+    beforeAll(() => {
+        NotificationService.setProvider('SMS', sms);
+    });
+
+    beforeEach(() => {
+        sms.reset();
+        jest.clearAllMocks();
+        prisma.customer.findFirst.mockResolvedValue(customer);
+        prisma.shop.findUnique.mockResolvedValue({ id: 2, name: 'Corner Shop' });
+        prisma.notificationTemplate.findUnique.mockResolvedValue(null);
+        prisma.notification.create.mockImplementation(({ data }) => Promise.resolve({ id: 1, ...data }));
+        prisma.notification.update.mockImplementation(({ data }) => Promise.resolve({ id: 1, ...data }));
+        prisma.notification.updateMany.mockResolvedValue({ count: 1 });
+    });
+
+    describe('sendDebtReminder', () => {
+        it('should queue a text to the customer\'s own phone using the default template', async () => {
+            await NotificationService.sendDebtReminder(5, 7);
+
+            expect(prisma.customer.findFirst).toHaveBeenCalledWith(
+                expect.objectContaining({ where: { id: 5, userId: 7 } })
+            );
+            expect(prisma.notification.create).toHaveBeenCalledWith({
+                data: {
+                    userId: 7,
+                    customerId: 5,
+                    channel: 'SMS',
+                    type: 'DEBT_REMINDER',
+                    to: '+254712345678',
+                    sender: null,
+                    body: 'Hi Jane Wanjiku, your balance at Corner Shop is KES 1,250.00, due 2025-08-10. Thank you.'
+                }
+            });
+            expect(sms.sent).toHaveLength(0);
+        });
+
+        it('should use the shop\'s own template when it has one', async () => {
+            prisma.notificationTemplate.findUnique.mockResolvedValue({
+                body: '{shopName}: {customerName} owes {balance}'
+            });
+
+            const notification = await NotificationService.sendDebtReminder(5, 7);
+
+            expect(prisma.notificationTemplate.findUnique).toHaveBeenCalledWith({
+                where: { shopId_type: { shopId: 2, type: 'DEBT_REMINDER' } }
+            });
+            expect(notification.body).toBe('Corner Shop: Jane Wanjiku owes KES 1,250.00');
+        });
+
+        it('should not queue anything for customers who opted out', async () => {
+            prisma.customer.findFirst.mockResolvedValue({ ...customer, remindersOptOut: true });
+
+            expect(await NotificationService.sendDebtReminder(5, 7)).toBeNull();
+            expect(prisma.notification.create).not.toHaveBeenCalled();
+        });
+
+        it('should not send anything for another shop\'s customer', async () => {
+            prisma.customer.findFirst.mockResolvedValue(null);
+
+            await expect(NotificationService.sendDebtReminder(5, 8)).rejects.toThrow('Customer not found');
+            expect(prisma.notification.create).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('deliver', () => {
+        const queued = { id: 1, channel: 'SMS', to: '+254712345678', body: 'Hello', attempts: 0 };
+
+        it('should send a queued message and store the provider id', async () => {
+            const result = await NotificationService.deliver(queued);
+
+            expect(sms.sent).toEqual([{ to: '+254712345678', message: 'Hello', messageId: 'fake-1' }]);
+            expect(result).toMatchObject({ status: 'SENT', provider: 'fake', providerMessageId: 'fake-1' });
+        });
+
+        it('should skip a message another worker has claimed', async () => {
+            prisma.notification.updateMany.mockResolvedValue({ count: 0 });
+
+            expect(await NotificationService.deliver(queued)).toBeNull();
+            expect(sms.sent).toHaveLength(0);
+        });
+
+        it('should retry a failed send later with backoff', async () => {
+            const failing = { send: jest.fn().mockRejectedValue(new Error('Network down')) };
+            NotificationService.setProvider('SMS', failing);
+            const before = Date.now();
+
+            const result = await NotificationService.deliver({ ...queued, attempts: 2 });
+
+            expect(result.status).toBe('PENDING');
+            expect(result.lastError).toBe('Network down');
+            expect(result.nextAttemptAt.getTime() - before).toBeGreaterThanOrEqual(120 * 1000);
+            NotificationService.setProvider('SMS', sms);
+        });
+
+        it('should give up after the last attempt', async () => {
+            const failing = { send: jest.fn().mockRejectedValue(new Error('Invalid phone number')) };
+            NotificationService.setProvider('SMS', failing);
+
+            const result = await NotificationService.deliver({ ...queued, attempts: NotificationService.MAX_ATTEMPTS - 1 });
+
+            expect(result.status).toBe('FAILED');
+            NotificationService.setProvider('SMS', sms);
+        });
+    });
+
+    describe('recordDeliveryReport', () => {
+        it('should mark messages delivered or failed from provider reports', async () => {
+            await NotificationService.recordDeliveryReport('twilio', 'SM123', 'delivered');
+
+            expect(prisma.notification.updateMany).toHaveBeenCalledWith({
+                where: { provider: 'twilio', providerMessageId: 'SM123' },
+                data: expect.objectContaining({ status: 'DELIVERED', providerStatus: 'delivered' })
+            });
+            expect(NotificationService.deliveryStatus('africastalking', 'Rejected')).toBe('FAILED');
+            expect(NotificationService.deliveryStatus('africastalking', 'Sent')).toBeNull();
+        });
+    });
+
+    describe('updateTemplate', () => {
+        it('should reject placeholders that cannot be filled', async () => {
+            await expect(NotificationService.updateTemplate(2, 'DEBT_REMINDER', 'Hi {firstName}'))
+                .rejects.toThrow('Unknown placeholder {firstName}');
+            expect(prisma.notificationTemplate.upsert).not.toHaveBeenCalled();
+        });
+
+        it('should go back to the default text when the body is empty', async () => {
+            const template = await NotificationService.updateTemplate(2, 'DEBT_REMINDER', '  ');
+
+            expect(prisma.notificationTemplate.deleteMany).toHaveBeenCalledWith({
+                where: { shopId: 2, type: 'DEBT_REMINDER' }
+            });
+            expect(template).toMatchObject({ isDefault: true, body: NotificationService.DEFAULT_TEMPLATES.DEBT_REMINDER });
+        });
+    });
+
+    describe('toInternationalPhone', () => {
+        it('should normalise local and international formats', () => {
+            expect(NotificationService.toInternationalPhone('0712345678')).toBe('+254712345678');
+            expect(NotificationService.toInternationalPhone('254712345678')).toBe('+254712345678');
+            expect(NotificationService.toInternationalPhone('+255 712-345-678')).toBe('+255712345678');
+        });
+    });
+});
@@ -0,0 +1,61 @@
+/**
+ * Unit tests for the payment allocation strategies used by recordPayment.
+ *
+ * Only the pure planning helpers are exercised here, so no database is needed.
+ */
+
+const PaymentService = require('../src/services/paymentService');
+
+describe('payment allocation strategies', () => {
+    const debts = [
+        { id: 1, amount: 300, createdAt: new Date('2025-01-01'), dueDate: null },
+        { id: 2, amount: 50, createdAt: new Date('2025-02-01'), dueDate: new Date('2025-03-15') },
+        { id: 3, amount: 120, createdAt: new Date('2025-03-01'), dueDate: new Date('2025-03-10') }
+    ];
+
+    const planFor = (strategy, available, allocations) =>
+        PaymentService.planAllocations(debts, available, strategy, allocations)
+            .map(line => [line.debt.id, line.amount]);
+
+    it('should pay the oldest debts first', () => {
+        expect(planFor('OLDEST_FIRST', 320)).toEqual([[1, 300], [2, 20]]);
+    });
+
+    it('should pay the earliest due date first and undated debts last', () => {
+        expect(planFor('EARLIEST_DUE_FIRST', 200)).toEqual([[3, 120], [2, 50], [1, 30]]);
+    });
+
+    it('should pay the smallest balances first', () => {
+        expect(planFor('SMALLEST_BALANCE_FIRST', 100)).toEqual([[2, 50], [3, 50]]);
+    });
+
+    it('should stop once every debt is covered', () => {
+        expect(planFor('OLDEST_FIRST', 1000)).toEqual([[1, 300], [2, 50], [3, 120]]);
+    });
+
+    it('should follow explicit allocations exactly', () => {
+        const allocations = [{ debtId: 3, amount: 20 }, { debtId: '1', amount: '100' }];
+
+        expect(planFor('EXPLICIT', 150, allocations)).toEqual([[3, 20], [1, 100]]);
+    });
+
+    it('should reject explicit allocations for debts that are not open', () => {
+        expect(() => planFor('EXPLICIT', 100, [{ debtId: 99, amount: 10 }]))
+            .toThrow('Invalid allocation: debt 99 is not an unpaid debt of this customer');
+    });
+
+    it('should reject explicit allocations above a debt balance', () => {
+        expect(() => planFor('EXPLICIT', 100, [{ debtId: 2, amount: 60 }]))
+            .toThrow(/exceeds its balance/);
+    });
+
+    it('should reject explicit allocations above the money available', () => {
+        expect(() => planFor('EXPLICIT', 100, [{ debtId: 1, amount: 150 }]))
+            .toThrow(/exceeds payment plus available credit/);
+    });
+
+    it('should reject the same debt listed twice', () => {
+        expect(() => planFor('EXPLICIT', 100, [{ debtId: 2, amount: 10 }, { debtId: 2, amount: 10 }]))
+            .toThrow(/listed more than once/);
+    });
+});
@@ -0,0 +1,59 @@
+/**
+ * Unit tests for the role-based permission middleware.
+ */
+
+const { authorize, hasPermission } = require('../src/middlewares/permissionMiddleware');
+const redactProfit = require('../src/utils/redactProfit');
+
+describe('permissionMiddleware', () => {
+    let res, next;
+
+    beforeEach(() => {
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn()
+        };
+        next = jest.fn();
+    });
+
+    it('should let cashiers create sales and record payments', () => {
+        const req = { user: { role: 'CASHIER' } };
+
+        authorize('sales:create', 'payments:record')(req, res, next);
+
+        expect(next).toHaveBeenCalled();
+        expect(res.status).not.toHaveBeenCalled();
+    });
+
+    it('should stop cashiers from deleting debts', () => {
+        const req = { user: { role: 'CASHIER' } };
+
+        authorize('debts:delete')(req, res, next);
+
+        expect(res.status).toHaveBeenCalledWith(403);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+            missingPermissions: ['debts:delete']
+        }));
+        expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should keep staff management for owners', () => {
+        expect(hasPermission({ role: 'OWNER' }, 'staff:manage')).toBe(true);
+        expect(hasPermission({ role: 'MANAGER' }, 'staff:manage')).toBe(false);
+        expect(hasPermission({ role: 'MANAGER' }, 'products:cost')).toBe(true);
+        expect(hasPermission({ role: 'CASHIER' }, 'products:cost')).toBe(false);
+    });
+
+    it('should strip profit fields for cashiers only', () => {
+        const report = {
+            summary: { totalRevenue: 100, totalProfit: 40, profitMargin: 40 },
+            periods: [{ period: '2025-7-6', totalRevenue: 100, netProfit: 40 }]
+        };
+
+        expect(redactProfit(report, { role: 'CASHIER' })).toEqual({
+            summary: { totalRevenue: 100 },
+            periods: [{ period: '2025-7-6', totalRevenue: 100 }]
+        });
+        expect(redactProfit(report, { role: 'MANAGER' })).toBe(report);
+    });
+});
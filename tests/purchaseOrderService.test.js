@@ -0,0 +1,362 @@
+/**
+ * Unit tests for purchase orders and supplier payables.
+ *
+ * The Prisma client is mocked and `$transaction` runs its callback against
+ * the same mock.
+ */
+
+const prisma = require('../src/utils/prisma');
+const PurchaseOrderService = require('../src/services/purchaseOrderService');
+const SupplierService = require('../src/services/supplierService');
+
+jest.mock('../src/utils/prisma', () => {
+    const client = {
+        shop: { findUnique: jest.fn() },
+        supplier: { findFirst: jest.fn() },
+        location: { findFirst: jest.fn() },
+        product: { findFirst: jest.fn(), findMany: jest.fn(), update: jest.fn() },
+        inventoryItem: { update: jest.fn(), updateMany: jest.fn(), upsert: jest.fn() },
+        inventoryLot: { findFirst: jest.fn(), create: jest.fn(), update: jest.fn() },
+        inventoryMovement: { create: jest.fn() },
+        numberSequence: { upsert: jest.fn() },
+        purchaseOrder: { create: jest.fn(), findFirst: jest.fn(), update: jest.fn() },
+        purchaseOrderItem: { updateMany: jest.fn(), findUnique: jest.fn(), findMany: jest.fn() },
+        supplierPayable: { create: jest.fn(), findMany: jest.fn(), updateMany: jest.fn() },
+        supplierPayment: { create: jest.fn() },
+        auditLog: { create: jest.fn() }
+    };
+    client.$transaction = jest.fn(callback => callback(client));
+    return client;
+});
+
+describe('PurchaseOrderService', () => {
+    const supplier = { id: 5, userId: 7, name: 'Mombasa Wholesalers', isActive: true, paymentTermsDays: 30 };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        prisma.supplier.findFirst.mockResolvedValue(supplier);
+        prisma.auditLog.create.mockResolvedValue({ id: 300 });
+        prisma.inventoryMovement.create.mockImplementation(({ data }) => Promise.resolve({ id: 90, ...data }));
+        prisma.supplierPayable.create.mockImplementation(({ data }) => Promise.resolve({ id: 40, ...data }));
+    });
+
+    describe('nextCostPrice', () => {
+        it('should average the new cost with the stock on hand', () => {
+            // 10 on hand at 100 plus 30 received at 120
+            expect(PurchaseOrderService.nextCostPrice('WEIGHTED_AVERAGE', {
+                onHand: 10, currentCost: 100, quantity: 30, unitCost: 120
+            })).toBe(115);
+        });
+
+        it('should take the new cost when nothing is on hand or the cost is unknown', () => {
+            expect(PurchaseOrderService.nextCostPrice('WEIGHTED_AVERAGE', {
+                onHand: 0, currentCost: 100, quantity: 5, unitCost: 80
+            })).toBe(80);
+            expect(PurchaseOrderService.nextCostPrice('WEIGHTED_AVERAGE', {
+                onHand: 4, currentCost: null, quantity: 5, unitCost: 80
+            })).toBe(80);
+        });
+
+        it('should take the latest cost under LAST_COST', () => {
+            expect(PurchaseOrderService.nextCostPrice('LAST_COST', {
+                onHand: 10, currentCost: 100, quantity: 30, unitCost: 120
+            })).toBe(120);
+        });
+    });
+
+    describe('createPurchaseOrder', () => {
+        it('should number the order and default the unit cost to the product cost price', async () => {
+            prisma.product.findMany.mockResolvedValue([{ id: 4, name: 'Sugar 1kg', costPrice: 110 }]);
+            prisma.numberSequence.upsert.mockResolvedValue({ value: 12 });
+            prisma.purchaseOrder.create.mockImplementation(({ data }) => Promise.resolve({ id: 20, ...data }));
+
+            await PurchaseOrderService.createPurchaseOrder(7, {
+                supplierId: 5,
+                items: [{ productId: 4, quantity: 20 }]
+            });
+
+            expect(prisma.purchaseOrder.create).toHaveBeenCalledWith(expect.objectContaining({
+                data: expect.objectContaining({
+                    orderNumber: 'PO-000012',
+                    totalAmount: 2200,
+                    items: { create: [{ productId: 4, quantity: 20, unitCost: 110 }] }
+                })
+            }));
+        });
+
+        it('should refuse an inactive supplier', async () => {
+            prisma.supplier.findFirst.mockResolvedValue({ ...supplier, isActive: false });
+
+            await expect(PurchaseOrderService.createPurchaseOrder(7, {
+                supplierId: 5,
+                items: [{ productId: 4, quantity: 1 }]
+            })).rejects.toThrow('Supplier is inactive');
+        });
+    });
+
+    describe('receiveGoods', () => {
+        const order = {
+            id: 20,
+            userId: 7,
+            orderNumber: 'PO-000012',
+            status: 'ORDERED',
+            supplier,
+            items: [{ id: 61, productId: 4, quantity: 30, receivedQuantity: 0, unitCost: 120 }]
+        };
+
+        beforeEach(() => {
+            prisma.shop.findUnique.mockResolvedValue({ costingMethod: 'WEIGHTED_AVERAGE' });
+            prisma.purchaseOrder.findFirst.mockResolvedValue(order);
+            prisma.location.findFirst.mockResolvedValue({ id: 1, name: 'Main store', isDefault: true, isActive: true });
+            prisma.product.findFirst.mockResolvedValue({
+                id: 4,
+                name: 'Sugar 1kg',
+                costPrice: 100,
+                trackInventory: true,
+                inventoryItems: [{ id: 11, locationId: 1, quantity: 10 }]
+            });
+            prisma.inventoryItem.updateMany.mockResolvedValue({ count: 1 });
+            prisma.inventoryItem.update.mockResolvedValue({ id: 11, quantity: 20 });
+            prisma.purchaseOrderItem.updateMany.mockResolvedValue({ count: 1 });
+            prisma.purchaseOrder.update.mockImplementation(({ data }) => Promise.resolve({ ...order, ...data }));
+        });
+
+        it('should add the goods to stock, reprice the product and bill the supplier', async () => {
+            prisma.purchaseOrderItem.findMany.mockResolvedValue([{ ...order.items[0], receivedQuantity: 10 }]);
+
+            const result = await PurchaseOrderService.receiveGoods(20, 7, {
+                items: [{ productId: 4, quantity: 10, unitCost: 130 }],
+                actorId: 3
+            });
+
+            expect(prisma.purchaseOrderItem.updateMany).toHaveBeenCalledWith({
+                where: { id: 61, receivedQuantity: { lte: 20 } },
+                data: { receivedQuantity: { increment: 10 } }
+            });
+            expect(prisma.product.update).toHaveBeenCalledWith({ where: { id: 4 }, data: { costPrice: 115 } });
+            expect(prisma.inventoryItem.update).toHaveBeenLastCalledWith({
+                where: { id: 11 },
+                data: { quantity: { increment: 10 } }
+            });
+            expect(prisma.inventoryMovement.create).toHaveBeenCalledWith({
+                data: expect.objectContaining({
+                    type: 'PURCHASE',
+                    quantity: 10,
+                    balance: 20,
+                    unitCost: 130,
+                    purchaseOrderId: 20,
+                    reason: 'PO-000012'
+                })
+            });
+            expect(prisma.purchaseOrder.update).toHaveBeenCalledWith(expect.objectContaining({
+                data: { status: 'PARTIALLY_RECEIVED', receivedAmount: { increment: 1300 } }
+            }));
+            expect(prisma.supplierPayable.create).toHaveBeenCalledWith({
+                data: expect.objectContaining({
+                    supplierId: 5,
+                    purchaseOrderId: 20,
+                    amount: 1300,
+                    originalAmount: 1300,
+                    description: 'Goods received on PO-000012',
+                    dueDate: expect.any(Date)
+                })
+            });
+            expect(result.received[0]).toMatchObject({ quantity: 10, costPrice: 115, newStock: 20 });
+        });
+
+        it('should receive into another location, averaging cost over stock at every location', async () => {
+            prisma.location.findFirst.mockResolvedValue({ id: 2, name: 'Back store', isDefault: false, isActive: true });
+            prisma.inventoryItem.upsert.mockResolvedValue({ id: 12, locationId: 2, quantity: 0 });
+            // Read again once the stock is locked, with the new back store row
+            prisma.product.findFirst.mockResolvedValueOnce({
+                id: 4,
+                name: 'Sugar 1kg',
+                costPrice: 100,
+                trackInventory: true,
+                inventoryItems: [{ id: 11, locationId: 1, quantity: 10 }]
+            }).mockResolvedValueOnce({
+                id: 4,
+                name: 'Sugar 1kg',
+                costPrice: 100,
+                trackInventory: true,
+                inventoryItems: [{ id: 11, locationId: 1, quantity: 10 }, { id: 12, locationId: 2, quantity: 0 }]
+            });
+            prisma.inventoryItem.update.mockResolvedValue({ id: 12, quantity: 30 });
+            prisma.purchaseOrderItem.findMany.mockResolvedValue([{ ...order.items[0], receivedQuantity: 30 }]);
+
+            const result = await PurchaseOrderService.receiveGoods(20, 7, {
+                items: [{ productId: 4, quantity: 30 }],
+                locationId: 2
+            });
+
+            expect(prisma.inventoryItem.upsert).toHaveBeenCalledWith(expect.objectContaining({
+                where: { productId_locationId: { productId: 4, locationId: 2 } }
+            }));
+            // 10 on hand at 100 in the main store plus 30 received at 120
+            expect(prisma.product.update).toHaveBeenCalledWith({ where: { id: 4 }, data: { costPrice: 115 } });
+            expect(prisma.inventoryMovement.create).toHaveBeenCalledWith({
+                data: expect.objectContaining({ inventoryItemId: 12, quantity: 30, balance: 30 })
+            });
+            expect(result.location).toEqual({ id: 2, name: 'Back store' });
+        });
+
+        it('should average over the cost and stock as they are once the stock is locked', async () => {
+            // Another delivery of 10 at 120 went in while this one waited for the lock
+            prisma.product.findFirst.mockResolvedValueOnce({
+                id: 4,
+                name: 'Sugar 1kg',
+                costPrice: 100,
+                trackInventory: true,
+                inventoryItems: [{ id: 11, locationId: 1, quantity: 10 }]
+            }).mockResolvedValueOnce({
+                id: 4,
+                name: 'Sugar 1kg',
+                costPrice: 110,
+                trackInventory: true,
+                inventoryItems: [{ id: 11, locationId: 1, quantity: 20 }]
+            });
+            prisma.purchaseOrderItem.findMany.mockResolvedValue([{ ...order.items[0], receivedQuantity: 10 }]);
+
+            const result = await PurchaseOrderService.receiveGoods(20, 7, {
+                items: [{ productId: 4, quantity: 10, unitCost: 130 }]
+            });
+
+            expect(prisma.inventoryItem.updateMany).toHaveBeenCalledWith({
+                where: { productId: 4 },
+                data: { quantity: { increment: 0 } }
+            });
+            expect(prisma.inventoryItem.updateMany.mock.invocationCallOrder[0])
+                .toBeLessThan(prisma.product.findFirst.mock.invocationCallOrder[1]);
+            // 20 on hand at 110 plus 10 received at 130
+            expect(prisma.product.update).toHaveBeenCalledWith({ where: { id: 4 }, data: { costPrice: 116.67 } });
+            expect(result.received[0]).toMatchObject({ previousCostPrice: 110, costPrice: 116.67 });
+        });
+
+        it('should refuse a product that is not in the shop', async () => {
+            prisma.product.findFirst.mockResolvedValue(null);
+
+            await expect(PurchaseOrderService.receiveGoods(20, 7, {
+                items: [{ productId: 4, quantity: 10 }]
+            })).rejects.toThrow('Product with ID 4 not found');
+            expect(prisma.inventoryItem.update).not.toHaveBeenCalled();
+        });
+
+        it('should keep the batch code, expiry and cost of a lot-tracked delivery', async () => {
+            prisma.product.findFirst.mockResolvedValue({
+                id: 4,
+                name: 'Fresh milk 500ml',
+                costPrice: 100,
+                trackInventory: true,
+                trackLots: true,
+                inventoryItems: [{ id: 11, locationId: 1, quantity: 10 }]
+            });
+            prisma.inventoryLot.findFirst.mockResolvedValue(null);
+            prisma.purchaseOrderItem.findMany.mockResolvedValue([{ ...order.items[0], receivedQuantity: 10 }]);
+
+            const result = await PurchaseOrderService.receiveGoods(20, 7, {
+                items: [{ productId: 4, quantity: 10, lotNumber: 'B-2291', expiryDate: '2025-11-02' }]
+            });
+
+            expect(prisma.inventoryLot.create).toHaveBeenCalledWith({
+                data: {
+                    userId: 7,
+                    productId: 4,
+                    inventoryItemId: 11,
+                    lotNumber: 'B-2291',
+                    expiryDate: new Date('2025-11-02'),
+                    unitCost: 120,
+                    receivedQuantity: 10,
+                    quantity: 10,
+                    purchaseOrderId: 20
+                }
+            });
+            expect(result.received[0]).toMatchObject({ lotNumber: 'B-2291', expiryDate: new Date('2025-11-02') });
+        });
+
+        it('should refuse an unreadable expiry date', async () => {
+            await expect(PurchaseOrderService.receiveGoods(20, 7, {
+                items: [{ productId: 4, quantity: 10, expiryDate: 'next week' }]
+            })).rejects.toThrow('Expiry date must be a valid date');
+            expect(prisma.inventoryItem.update).not.toHaveBeenCalled();
+        });
+
+        it('should mark the order received once every line is in', async () => {
+            prisma.purchaseOrderItem.findMany.mockResolvedValue([{ ...order.items[0], receivedQuantity: 30 }]);
+
+            await PurchaseOrderService.receiveGoods(20, 7, { items: [{ productId: 4, quantity: 30 }] });
+
+            expect(prisma.purchaseOrder.update).toHaveBeenCalledWith(expect.objectContaining({
+                data: expect.objectContaining({ status: 'RECEIVED', receivedAt: expect.any(Date) })
+            }));
+        });
+
+        it('should refuse more than is outstanding', async () => {
+            prisma.purchaseOrderItem.updateMany.mockResolvedValue({ count: 0 });
+            prisma.purchaseOrderItem.findUnique.mockResolvedValue({ ...order.items[0], receivedQuantity: 25 });
+
+            await expect(PurchaseOrderService.receiveGoods(20, 7, {
+                items: [{ productId: 4, quantity: 10 }]
+            })).rejects.toThrow('Cannot receive 10 of product 4: only 5 outstanding');
+            expect(prisma.inventoryItem.update).not.toHaveBeenCalled();
+            expect(prisma.supplierPayable.create).not.toHaveBeenCalled();
+        });
+
+        it('should refuse an inactive location', async () => {
+            prisma.location.findFirst.mockResolvedValue({ id: 2, name: 'Back store', isDefault: false, isActive: false });
+
+            await expect(PurchaseOrderService.receiveGoods(20, 7, {
+                items: [{ productId: 4, quantity: 1 }],
+                locationId: 2
+            })).rejects.toThrow('Location Back store is inactive');
+        });
+
+        it('should refuse goods on a draft order', async () => {
+            prisma.purchaseOrder.findFirst.mockResolvedValue({ ...order, status: 'DRAFT' });
+
+            await expect(PurchaseOrderService.receiveGoods(20, 7, {
+                items: [{ productId: 4, quantity: 1 }]
+            })).rejects.toThrow('Cannot receive goods on a draft purchase order');
+        });
+    });
+});
+
+describe('SupplierService.recordPayment', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        prisma.supplier.findFirst.mockResolvedValue({ id: 5, userId: 7 });
+        prisma.supplierPayable.findMany.mockResolvedValue([
+            { id: 41, amount: 500, dueDate: new Date('2025-09-01') },
+            { id: 42, amount: 800, dueDate: new Date('2025-10-01') }
+        ]);
+        prisma.supplierPayable.updateMany.mockResolvedValue({ count: 1 });
+        prisma.supplierPayment.create.mockImplementation(({ data }) => Promise.resolve({ id: 70, ...data }));
+        prisma.auditLog.create.mockResolvedValue({ id: 300 });
+    });
+
+    it('should settle the earliest due bills first', async () => {
+        const result = await SupplierService.recordPayment(5, 7, { amount: 900, paymentMethod: 'MPESA' });
+
+        expect(result.allocations).toEqual([
+            { payableId: 41, amount: 500, remainingAmount: 0 },
+            { payableId: 42, amount: 400, remainingAmount: 400 }
+        ]);
+        expect(prisma.supplierPayable.updateMany).toHaveBeenCalledWith({
+            where: { id: 41, amount: 500, isPaid: false },
+            data: { amount: 0, isPaid: true }
+        });
+        expect(result.remainingOwed).toBe(400);
+    });
+
+    it('should refuse to pay more than is owed', async () => {
+        await expect(SupplierService.recordPayment(5, 7, { amount: 1500 }))
+            .rejects.toThrow('Payment exceeds the amount owed to this supplier (1300)');
+        expect(prisma.supplierPayment.create).not.toHaveBeenCalled();
+    });
+
+    it('should ask for a retry when a bill changed underneath the payment', async () => {
+        prisma.supplierPayable.updateMany.mockResolvedValueOnce({ count: 0 });
+
+        await expect(SupplierService.recordPayment(5, 7, { amount: 200 }))
+            .rejects.toThrow('Supplier bills changed while recording the payment, please retry');
+    });
+});
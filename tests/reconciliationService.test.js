@@ -0,0 +1,212 @@
+/**
+ * Unit tests for statement import and payment reconciliation.
+ *
+ * The Prisma client is mocked and `$transaction` runs its callback against
+ * the same mock; PaymentService.recordPayment is spied on for the bulk
+ * creation of missing payments.
+ */
+
+const prisma = require('../src/utils/prisma');
+const ReconciliationService = require('../src/services/reconciliationService');
+const PaymentService = require('../src/services/paymentService');
+
+jest.mock('../src/utils/prisma', () => {
+    const client = {
+        payment: { findMany: jest.fn(), findFirst: jest.fn() },
+        customer: { findMany: jest.fn() },
+        reconciliation: {
+            findFirst: jest.fn(),
+            create: jest.fn(),
+            deleteMany: jest.fn(),
+            update: jest.fn()
+        },
+        reconciliationLine: {
+            findFirst: jest.fn(),
+            update: jest.fn(),
+            updateMany: jest.fn()
+        }
+    };
+    client.$transaction = jest.fn(callback => callback(client));
+    return client;
+});
+
+describe('ReconciliationService', () => {
+    const mpesaStatement = [
+        'M-PESA STATEMENT',
+        'Customer Name:,Corner Shop',
+        'Receipt No.,Completion Time,Details,Transaction Status,Paid In,Withdrawn,Balance',
+        'QHX81KD2K4,2025-08-15 10:02:45,Pay Bill from 254712345678 - JANE WANJIKU,Completed,500.00,,5500.00',
+        'QHX81KD2K5,2025-08-15 11:10:00,"Pay Bill from 0722000111 - JOHN, KAMAU",Completed,"1,200.00",,6700.00',
+        'QHX81KD2K6,2025-08-16 09:00:00,Pay Bill from 254733000222 - AMINA ALI,Completed,300.00,,7000.00',
+        'QHX81KD2K7,2025-08-16 12:00:00,Business Payment to Supplier,Completed,,2000.00,5000.00',
+        'QHX81KD2K8,2025-08-16 13:00:00,Pay Bill from 254744000333 - OTIENO,Failed,800.00,,5000.00'
+    ].join('\n');
+
+    const period = ReconciliationService.parsePeriod('2025-08-01', '2025-08-31');
+
+    const payments = [
+        { id: 1, amount: 500, reference: 'QHX81KD2K4', createdAt: new Date('2025-08-15T07:03:00Z') },
+        { id: 2, amount: 1200, reference: null, createdAt: new Date('2025-08-16T06:00:00Z') },
+        { id: 3, amount: 450, reference: null, createdAt: new Date('2025-08-20T06:00:00Z') }
+    ];
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        prisma.payment.findMany.mockResolvedValue(payments);
+        prisma.customer.findMany.mockResolvedValue([]);
+        prisma.reconciliation.create.mockImplementation(({ data }) => Promise.resolve({ id: 12, ...data }));
+        prisma.reconciliation.findFirst.mockResolvedValue({ id: 12, userId: 7, source: 'MPESA' });
+        jest.spyOn(PaymentService, 'recordPayment').mockResolvedValue({ payment: { id: 88 }, summary: {} });
+    });
+
+    afterAll(() => {
+        PaymentService.recordPayment.mockRestore();
+    });
+
+    describe('parseStatement', () => {
+        it('should find the header below the preamble and read money in', () => {
+            const lines = ReconciliationService.parseStatement(mpesaStatement);
+
+            expect(lines).toHaveLength(5);
+            expect(lines[0]).toMatchObject({
+                lineNumber: 4,
+                reference: 'QHX81KD2K4',
+                amount: 500,
+                completed: true
+            });
+            expect(lines[0].transactedAt.toISOString()).toBe('2025-08-15T07:02:45.000Z');
+            expect(lines[1]).toMatchObject({ amount: 1200, description: 'Pay Bill from 0722000111 - JOHN, KAMAU' });
+            expect(lines[3].completed).toBe(false); // money out
+            expect(lines[4].completed).toBe(false); // failed
+        });
+
+        it('should read bank statements with day-first dates', () => {
+            const [line] = ReconciliationService.parseStatement(
+                'Transaction Date,Narrative,Reference,Debit,Credit\n15/08/2025,TRF FROM J WANJIKU,FT2522701,,"2,500.00"'
+            );
+
+            expect(line).toMatchObject({ reference: 'FT2522701', amount: 2500, completed: true });
+            expect(line.transactedAt.toISOString()).toBe('2025-08-14T21:00:00.000Z');
+        });
+
+        it('should reject files it cannot read', () => {
+            expect(() => ReconciliationService.parseStatement('foo,bar\n1,2'))
+                .toThrow('Invalid statement: no header row with a date and an amount column');
+            expect(() => ReconciliationService.parseStatement('Date,Amount\nyesterday,10'))
+                .toThrow('Invalid statement: row 2 has an unreadable date "yesterday"');
+        });
+    });
+
+    describe('matchLines', () => {
+        it('should match by reference, then unreferenced payments by amount and date', () => {
+            const lines = ReconciliationService.parseStatement(mpesaStatement).filter(line => line.completed);
+
+            const { results, unmatchedPayments } = ReconciliationService.matchLines(lines, payments, period);
+
+            expect(results.map(result => [result.reference, result.status, result.matchedBy, result.paymentId])).toEqual([
+                ['QHX81KD2K4', 'MATCHED', 'REFERENCE', 1],
+                ['QHX81KD2K5', 'MATCHED', 'AMOUNT_AND_DATE', 2],
+                ['QHX81KD2K6', 'MISSING_PAYMENT', null, null]
+            ]);
+            expect(unmatchedPayments.map(payment => payment.id)).toEqual([3]);
+        });
+
+        it('should flag a reference whose amount differs', () => {
+            const [line] = ReconciliationService.parseStatement(mpesaStatement);
+
+            const { results } = ReconciliationService.matchLines([line], [{ ...payments[0], amount: 50 }], period);
+
+            expect(results[0]).toMatchObject({ status: 'AMOUNT_MISMATCH', paymentId: 1 });
+        });
+    });
+
+    describe('importStatement', () => {
+        it('should store the report for the period with every line', async () => {
+            prisma.reconciliation.findFirst.mockResolvedValue({ id: 12 });
+            prisma.customer.findMany.mockResolvedValue([{ id: 9, phone: '0733000222' }]);
+
+            await ReconciliationService.importStatement(7, {
+                source: 'MPESA',
+                periodStart: '2025-08-01',
+                periodEnd: '2025-08-31',
+                csv: mpesaStatement,
+                actorId: 3
+            });
+
+            expect(prisma.reconciliation.deleteMany).toHaveBeenCalledWith({
+                where: { userId: 7, source: 'MPESA', periodStart: period.start, periodEnd: period.end }
+            });
+
+            const { data } = prisma.reconciliation.create.mock.calls[0][0];
+            expect(data).toMatchObject({
+                statementLines: 3,
+                ignoredLines: 2,
+                matchedLines: 2,
+                missingPayments: 1,
+                missingFromStatement: 1,
+                statementTotal: 2000,
+                paymentsTotal: 2150,
+                createdBy: 3
+            });
+            expect(data.lines.create).toEqual(expect.arrayContaining([
+                expect.objectContaining({ reference: 'QHX81KD2K6', status: 'MISSING_PAYMENT', suggestedCustomerId: 9 }),
+                expect.objectContaining({ paymentId: 3, status: 'MISSING_FROM_STATEMENT', lineNumber: null })
+            ]));
+        });
+
+        it('should reject an unknown source or period', async () => {
+            await expect(ReconciliationService.importStatement(7, { source: 'CARD', csv: mpesaStatement }))
+                .rejects.toThrow('Source must be one of: MPESA, BANK');
+            await expect(ReconciliationService.importStatement(7, {
+                source: 'BANK', periodStart: '2025-08-31', periodEnd: '2025-08-01', csv: mpesaStatement
+            })).rejects.toThrow('Invalid reconciliation period');
+        });
+    });
+
+    describe('createMissingPayments', () => {
+        const line = { id: 40, reconciliationId: 12, amount: 300, reference: 'QHX81KD2K6', description: 'Pay Bill', suggestedCustomerId: 9 };
+
+        it('should record each missing payment and report per line', async () => {
+            prisma.reconciliationLine.findFirst
+                .mockResolvedValueOnce(line)
+                .mockResolvedValueOnce({ ...line, id: 41, suggestedCustomerId: null });
+            prisma.reconciliationLine.updateMany.mockResolvedValue({ count: 1 });
+            prisma.payment.findFirst.mockResolvedValue(null);
+
+            const result = await ReconciliationService.createMissingPayments(12, 7, {
+                lines: [{ lineId: 40 }, { lineId: 41 }],
+                actorId: 3
+            });
+
+            expect(PaymentService.recordPayment).toHaveBeenCalledWith(expect.objectContaining({
+                customerId: 9,
+                amount: 300,
+                paymentMethod: 'MPESA',
+                reference: 'QHX81KD2K6',
+                actorId: 3
+            }), prisma);
+            expect(result).toMatchObject({
+                created: 1,
+                failed: 1,
+                results: [
+                    { lineId: 40, success: true, paymentId: 88 },
+                    { lineId: 41, success: false, error: 'Customer is required for this line' }
+                ]
+            });
+            expect(prisma.reconciliation.update).toHaveBeenCalledWith({
+                where: { id: 12 },
+                data: { missingPayments: { decrement: 1 }, createdPayments: { increment: 1 } }
+            });
+        });
+
+        it('should not create a payment twice for one line', async () => {
+            prisma.reconciliationLine.findFirst.mockResolvedValue(line);
+            prisma.reconciliationLine.updateMany.mockResolvedValue({ count: 0 });
+
+            const result = await ReconciliationService.createMissingPayments(12, 7, { lines: [{ lineId: 40 }] });
+
+            expect(result.results[0].error).toBe('Statement line is not missing a payment');
+            expect(PaymentService.recordPayment).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,154 @@
+/**
+ * Unit tests for the due-soon and overdue debt reminder campaigns.
+ *
+ * The Prisma client is mocked; `$transaction` runs its callback against the
+ * same mock so the queued message and the reminder log can both be asserted.
+ */
+
+const prisma = require('../src/utils/prisma');
+const ReminderService = require('../src/services/reminderService');
+
+jest.mock('../src/utils/prisma', () => {
+    const client = {
+        debt: { findMany: jest.fn(), aggregate: jest.fn() },
+        notification: { create: jest.fn() },
+        notificationTemplate: { findUnique: jest.fn() },
+        debtReminder: { create: jest.fn() }
+    };
+    client.$transaction = jest.fn(callback => callback(client));
+    return client;
+});
+
+describe('ReminderService', () => {
+    // 10:00 in Nairobi (UTC+3)
+    const now = new Date('2025-08-15T07:00:00Z');
+
+    const shop = {
+        id: 2,
+        ownerId: 7,
+        name: 'Corner Shop',
+        reminderChannel: 'SMS',
+        reminderDaysBeforeDue: 3,
+        reminderIntervalDays: 3,
+        reminderMaxPerDebt: 2,
+        quietHoursStart: null,
+        quietHoursEnd: null
+    };
+
+    const debt = (overrides = {}) => ({
+        id: 11,
+        customerId: 5,
+        amount: 400,
+        dueDate: new Date('2025-08-10T00:00:00Z'),
+        customer: { id: 5, name: 'Jane', phone: '0712345678' },
+        reminders: [],
+        ...overrides
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        prisma.debt.aggregate.mockResolvedValue({ _sum: { amount: 650 } });
+        prisma.notificationTemplate.findUnique.mockResolvedValue(null);
+        prisma.notification.create.mockImplementation(({ data }) => Promise.resolve({ id: 90, ...data }));
+        prisma.debtReminder.create.mockImplementation(({ data }) => Promise.resolve({ id: 1, ...data }));
+    });
+
+    describe('isQuietHours', () => {
+        it('should handle quiet hours that wrap past midnight', () => {
+            const night = { quietHoursStart: 20, quietHoursEnd: 8 };
+
+            expect(ReminderService.isQuietHours(night, new Date('2025-08-15T19:30:00Z'))).toBe(true);  // 22:30
+            expect(ReminderService.isQuietHours(night, new Date('2025-08-15T03:00:00Z'))).toBe(true);  // 06:00
+            expect(ReminderService.isQuietHours(night, now)).toBe(false);                             // 10:00
+        });
+
+        it('should never be quiet when the shop has not set quiet hours', () => {
+            expect(ReminderService.isQuietHours(shop, now)).toBe(false);
+        });
+    });
+
+    describe('isReminderDue', () => {
+        it('should wait the interval between reminders and stop at the cap', () => {
+            const yesterday = { createdAt: new Date('2025-08-14T07:00:00Z') };
+            const lastWeek = { createdAt: new Date('2025-08-08T07:00:00Z') };
+
+            expect(ReminderService.isReminderDue(debt(), shop, now)).toBe(true);
+            expect(ReminderService.isReminderDue(debt({ reminders: [yesterday] }), shop, now)).toBe(false);
+            expect(ReminderService.isReminderDue(debt({ reminders: [lastWeek] }), shop, now)).toBe(true);
+            expect(ReminderService.isReminderDue(debt({ reminders: [lastWeek, lastWeek] }), shop, now)).toBe(false);
+        });
+    });
+
+    describe('runShopCampaign', () => {
+        it('should queue an overdue reminder and log it against the debt', async () => {
+            prisma.debt.findMany.mockResolvedValue([debt()]);
+
+            const result = await ReminderService.runShopCampaign(shop, now);
+
+            expect(result).toEqual({ skipped: null, remindersQueued: 1 });
+            expect(prisma.debt.findMany).toHaveBeenCalledWith(expect.objectContaining({
+                where: expect.objectContaining({
+                    userId: 7,
+                    isPaid: false,
+                    customer: { remindersOptOut: false }
+                })
+            }));
+            expect(prisma.notification.create).toHaveBeenCalledWith({
+                data: expect.objectContaining({
+                    channel: 'SMS',
+                    type: 'OVERDUE_REMINDER',
+                    to: '+254712345678',
+                    body: 'Hi Jane, KES 400.00 owed to Corner Shop was due on 2025-08-10. Please pay as soon as you can. Thank you.'
+                })
+            });
+            expect(prisma.debtReminder.create).toHaveBeenCalledWith({
+                data: {
+                    debtId: 11,
+                    userId: 7,
+                    notificationId: 90,
+                    kind: 'OVERDUE',
+                    channel: 'SMS',
+                    amount: 400,
+                    daysOverdue: 5
+                }
+            });
+        });
+
+        it('should skip a customer whose phone is not a number and remind the rest', async () => {
+            prisma.debt.findMany.mockResolvedValue([
+                debt({ id: 12, customer: { id: 6, name: 'Otieno', phone: 'N/A' } }),
+                debt({ id: 13, customer: { id: 7, name: 'Wambui', phone: '-' } }),
+                debt()
+            ]);
+
+            const result = await ReminderService.runShopCampaign(shop, now);
+
+            expect(result).toEqual({ skipped: null, remindersQueued: 1 });
+            expect(prisma.debtReminder.create).toHaveBeenCalledTimes(1);
+            expect(prisma.debtReminder.create).toHaveBeenCalledWith({
+                data: expect.objectContaining({ debtId: 11 })
+            });
+        });
+
+        it('should send due-soon reminders for debts not yet due', async () => {
+            prisma.debt.findMany.mockResolvedValue([debt({ dueDate: new Date('2025-08-17T00:00:00Z') })]);
+
+            await ReminderService.runShopCampaign(shop, now);
+
+            expect(prisma.debtReminder.create).toHaveBeenCalledWith({
+                data: expect.objectContaining({ kind: 'DUE_SOON', daysOverdue: -2 })
+            });
+        });
+
+        it('should send nothing during quiet hours', async () => {
+            const result = await ReminderService.runShopCampaign(
+                { ...shop, quietHoursStart: 9, quietHoursEnd: 12 },
+                now
+            );
+
+            expect(result).toEqual({ skipped: 'QUIET_HOURS', remindersQueued: 0 });
+            expect(prisma.debt.findMany).not.toHaveBeenCalled();
+            expect(prisma.notification.create).not.toHaveBeenCalled();
+        });
+    });
+});
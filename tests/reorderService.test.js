@@ -0,0 +1,158 @@
+/**
+ * Unit tests for reorder suggestions.
+ *
+ * The Prisma client is mocked and `$transaction` runs its callback against
+ * the same mock.
+ */
+
+const prisma = require('../src/utils/prisma');
+const ReorderService = require('../src/services/reorderService');
+
+jest.mock('../src/utils/prisma', () => {
+    const client = {
+        shop: { findUnique: jest.fn() },
+        product: { findMany: jest.fn() },
+        saleItem: { groupBy: jest.fn() },
+        serviceMaterial: { findMany: jest.fn() },
+        purchaseOrderItem: { findMany: jest.fn() },
+        numberSequence: { upsert: jest.fn() },
+        purchaseOrder: { create: jest.fn() },
+        auditLog: { create: jest.fn() }
+    };
+    client.$transaction = jest.fn(callback => callback(client));
+    return client;
+});
+
+describe('ReorderService', () => {
+    const settings = { windowDays: 30, leadTimeDays: 7, safetyDays: 7, coverDays: 14 };
+    const wholesaler = { id: 5, name: 'Mombasa Wholesalers', leadTimeDays: 3, isActive: true };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        prisma.shop.findUnique.mockResolvedValue({
+            reorderWindowDays: 30,
+            reorderLeadTimeDays: 7,
+            reorderSafetyDays: 7,
+            reorderCoverDays: 14
+        });
+        prisma.purchaseOrderItem.findMany.mockResolvedValue([]);
+        prisma.serviceMaterial.findMany.mockResolvedValue([]);
+        prisma.auditLog.create.mockResolvedValue({ id: 300 });
+    });
+
+    describe('suggest', () => {
+        it('should reorder when stock falls to the demand over the lead time plus safety stock', () => {
+            // 60 used in 30 days is 2 a day: 7 days' lead time and 7 days' safety stock
+            const suggestion = ReorderService.suggest({
+                currentStock: 20, onOrder: 0, reorderLevel: 5, unitsUsed: 60, leadTimeDays: 7, settings
+            });
+
+            expect(suggestion).toMatchObject({
+                dailyDemand: 2,
+                daysOfStockLeft: 10,
+                safetyStock: 14,
+                reorderPoint: 28,
+                targetStock: 56,
+                suggestedQuantity: 36
+            });
+        });
+
+        it('should count stock already on order', () => {
+            expect(ReorderService.suggest({
+                currentStock: 20, onOrder: 10, reorderLevel: 5, unitsUsed: 60, leadTimeDays: 7, settings
+            })).toBeNull();
+        });
+
+        it('should fall back to the reorder level for products without recent sales', () => {
+            expect(ReorderService.suggest({
+                currentStock: 4, onOrder: 0, reorderLevel: 10, unitsUsed: 0, leadTimeDays: 7, settings
+            })).toMatchObject({ reorderPoint: 10, targetStock: 20, suggestedQuantity: 16, daysOfStockLeft: null });
+        });
+    });
+
+    describe('getConsumption', () => {
+        it('should add service material use to product sales, less refunds', async () => {
+            prisma.saleItem.groupBy
+                .mockResolvedValueOnce([{ productId: 4, _sum: { quantity: 12, refundedQuantity: 2 } }])
+                .mockResolvedValueOnce([{ serviceId: 9, _sum: { quantity: 5, refundedQuantity: 1 } }]);
+            prisma.serviceMaterial.findMany.mockResolvedValue([
+                { serviceId: 9, productId: 4, quantity: 2 },
+                { serviceId: 9, productId: 6, quantity: 1 }
+            ]);
+
+            const consumption = await ReorderService.getConsumption(7, new Date('2025-08-01'));
+
+            expect(consumption.get(4)).toBe(18);
+            expect(consumption.get(6)).toBe(4);
+            expect(prisma.saleItem.groupBy).toHaveBeenCalledWith(expect.objectContaining({
+                where: expect.objectContaining({
+                    sale: { userId: 7, status: { not: 'CANCELLED' }, createdAt: { gte: new Date('2025-08-01') } }
+                })
+            }));
+        });
+    });
+
+    describe('getSettings', () => {
+        it('should refuse an override outside the allowed range', async () => {
+            await expect(ReorderService.getSettings(7, { windowDays: '2' }))
+                .rejects.toThrow('windowDays must be a whole number from 7 to 365');
+        });
+    });
+
+    describe('createPurchaseOrders', () => {
+        beforeEach(() => {
+            prisma.product.findMany.mockResolvedValue([
+                {
+                    id: 4, name: 'Sugar 1kg', costPrice: 110, supplier: wholesaler,
+                    inventoryItems: [{ quantity: 2, reorderLevel: 10 }]
+                },
+                {
+                    id: 6, name: 'Cooking oil 1L', costPrice: 250, supplier: wholesaler,
+                    inventoryItems: [{ quantity: 1, reorderLevel: 5 }]
+                },
+                {
+                    id: 8, name: 'Matches', costPrice: 5, supplier: null,
+                    inventoryItems: [{ quantity: 0, reorderLevel: 10 }]
+                }
+            ]);
+            prisma.saleItem.groupBy.mockResolvedValue([]);
+            prisma.numberSequence.upsert.mockResolvedValue({ value: 3 });
+            prisma.purchaseOrder.create.mockImplementation(({ data }) => Promise.resolve({ id: 20, ...data }));
+        });
+
+        it('should draft one order per supplier and skip products without one', async () => {
+            const result = await ReorderService.createPurchaseOrders(7, { actorId: 3 });
+
+            expect(prisma.purchaseOrder.create).toHaveBeenCalledTimes(1);
+            expect(prisma.purchaseOrder.create).toHaveBeenCalledWith(expect.objectContaining({
+                data: expect.objectContaining({
+                    supplierId: 5,
+                    orderNumber: 'PO-000003',
+                    totalAmount: 4230,
+                    items: {
+                        create: [
+                            { productId: 4, quantity: 18, unitCost: 110 },
+                            { productId: 6, quantity: 9, unitCost: 250 }
+                        ]
+                    }
+                })
+            }));
+            expect(result.skipped).toEqual([{ productId: 8, name: 'Matches', reason: 'No supplier' }]);
+        });
+
+        it('should only order the chosen suggestions, with their adjusted quantities', async () => {
+            await ReorderService.createPurchaseOrders(7, { items: [{ productId: 4, quantity: 24 }] });
+
+            expect(prisma.purchaseOrder.create).toHaveBeenCalledWith(expect.objectContaining({
+                data: expect.objectContaining({
+                    items: { create: [{ productId: 4, quantity: 24, unitCost: 110 }] }
+                })
+            }));
+        });
+
+        it('should refuse a product that needs no reordering', async () => {
+            await expect(ReorderService.createPurchaseOrders(7, { items: [{ productId: 99 }] }))
+                .rejects.toThrow('Product 99 has no reorder suggestion');
+        });
+    });
+});
@@ -0,0 +1,183 @@
+/**
+ * Integration tests for per-shop scoping of sales analytics.
+ *
+ * Two shops are seeded directly in the database, each with its own product,
+ * inventory and sale. Every analytics, alert and dashboard endpoint is then
+ * called with each shop's token, and must only ever report that shop's numbers.
+ *
+ * Requires a reachable DATABASE_URL, like the other integration tests.
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../src/app');
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+
+describe('Sales analytics tenant scoping', () => {
+  const shops = {
+    a: { email: 'scoping-shop-a@example.com', revenue: 1000, profit: 400, quantity: 3, stock: 2 },
+    b: { email: 'scoping-shop-b@example.com', revenue: 250, profit: 50, quantity: 1, stock: 0 }
+  };
+
+  const cleanup = async () => {
+    const users = await prisma.user.findMany({
+      where: { email: { in: Object.values(shops).map(shop => shop.email) } },
+      select: { id: true }
+    });
+    const userIds = users.map(user => user.id);
+
+    await prisma.saleItem.deleteMany({ where: { sale: { userId: { in: userIds } } } });
+    await prisma.sale.deleteMany({ where: { userId: { in: userIds } } });
+    await prisma.inventoryItem.deleteMany({ where: { userId: { in: userIds } } });
+    await prisma.location.deleteMany({ where: { userId: { in: userIds } } });
+    await prisma.product.deleteMany({ where: { userId: { in: userIds } } });
+    await prisma.authSession.deleteMany({ where: { userId: { in: userIds } } });
+    await prisma.user.deleteMany({ where: { id: { in: userIds } } });
+  };
+
+  const seedShop = async (key) => {
+    const shop = shops[key];
+
+    const user = await prisma.user.create({
+      data: { email: shop.email, password: 'not-used', shopName: `Shop ${key.toUpperCase()}` }
+    });
+
+    const location = await prisma.location.create({
+      data: { userId: user.id, name: 'Main store', isDefault: true }
+    });
+
+    const product = await prisma.product.create({
+      data: {
+        name: `Scoping product ${key}`,
+        sellingPrice: shop.revenue / shop.quantity,
+        costPrice: (shop.revenue - shop.profit) / shop.quantity,
+        userId: user.id,
+        inventoryItems: {
+          create: { quantity: shop.stock, reorderLevel: 10, userId: user.id, locationId: location.id }
+        }
+      }
+    });
+
+    const sale = await prisma.sale.create({
+      data: {
+        saleNumber: `SCOPING-${key.toUpperCase()}-${Date.now()}`,
+        userId: user.id,
+        subtotal: shop.revenue,
+        totalAmount: shop.revenue,
+        totalCost: shop.revenue - shop.profit,
+        totalProfit: shop.profit,
+        paidAmount: shop.revenue,
+        saleItems: {
+          create: {
+            itemType: 'PRODUCT',
+            productId: product.id,
+            quantity: shop.quantity,
+            unitPrice: shop.revenue / shop.quantity,
+            totalPrice: shop.revenue,
+            unitCost: (shop.revenue - shop.profit) / shop.quantity,
+            totalCost: shop.revenue - shop.profit,
+            profit: shop.profit
+          }
+        }
+      }
+    });
+
+    shop.userId = user.id;
+    shop.productId = product.id;
+    shop.saleId = sale.id;
+    const session = await prisma.authSession.create({ data: { userId: user.id } });
+    shop.token = jwt.sign({ userId: user.id, sid: session.id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+  };
+
+  const get = (key, path) => request(app)
+    .get(`/api/v1${path}`)
+    .set('Authorization', `Bearer ${shops[key].token}`);
+
+  beforeAll(async () => {
+    await cleanup();
+    await seedShop('a');
+    await seedShop('b');
+  });
+
+  afterAll(async () => {
+    await cleanup();
+    await prisma.$disconnect();
+  });
+
+  describe.each(['a', 'b'])('shop %s', (key) => {
+    const other = key === 'a' ? 'b' : 'a';
+
+    it('daily summary only counts its own sales', async () => {
+      const res = await get(key, '/sales/analytics/daily');
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.summary.totalSales).toBe(1);
+      expect(res.body.summary.totalRevenue).toBe(shops[key].revenue);
+      expect(res.body.summary.totalProfit).toBe(shops[key].profit);
+    });
+
+    it('sales analytics only include its own sales', async () => {
+      const res = await get(key, '/sales/analytics/overview');
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.totals.salesCount).toBe(1);
+      expect(res.body.totals.totalRevenue).toBe(shops[key].revenue);
+    });
+
+    it('profit/loss report only includes its own profit', async () => {
+      const res = await get(key, '/sales/analytics/profit-loss');
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.summary.totalRevenue).toBe(shops[key].revenue);
+      expect(res.body.summary.totalProfit).toBe(shops[key].profit);
+    });
+
+    it('top products never list another shop\'s products', async () => {
+      const res = await get(key, '/sales/analytics/top-products');
+
+      expect(res.statusCode).toBe(200);
+      const productIds = res.body.map(item => item.product.id);
+      expect(productIds).toContain(shops[key].productId);
+      expect(productIds).not.toContain(shops[other].productId);
+    });
+
+    it('low-stock alerts only cover its own inventory', async () => {
+      const res = await get(key, '/sales/alerts/low-stock');
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.totalAlerts).toBe(1);
+      expect(res.body.alerts[0].id).toBe(shops[key].productId);
+    });
+
+    it('sales history only lists its own sales', async () => {
+      const res = await get(key, '/sales');
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.sales.map(sale => sale.id)).toEqual([shops[key].saleId]);
+    });
+
+    it('dashboard overview reports only its own numbers', async () => {
+      const res = await get(key, '/dashboard');
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.dashboard.todaysSales.revenue).toBe(shops[key].revenue);
+      expect(res.body.dashboard.thisMonth.revenue).toBe(shops[key].revenue);
+      expect(res.body.dashboard.quickStats.totalProducts).toBe(1);
+      expect(res.body.dashboard.stockAlerts.total).toBe(1);
+      expect(res.body.dashboard.recentSales.map(sale => sale.id)).toEqual([shops[key].saleId]);
+    });
+
+    it('business overview reports only its own numbers', async () => {
+      const res = await get(key, '/dashboard/business-overview?period=month');
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.overview.salesMetrics.totalRevenue).toBe(shops[key].revenue);
+      expect(res.body.overview.profitLoss.totalProfit).toBe(shops[key].profit);
+      expect(res.body.overview.topProducts.map(item => item.product.id))
+        .not.toContain(shops[other].productId);
+    });
+  });
+});
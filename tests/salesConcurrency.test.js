@@ -0,0 +1,142 @@
+/**
+ * Concurrency tests for sale creation.
+ *
+ * One shop is seeded with a product that has a few units in stock, then many
+ * sales of that product are fired at the API at once. Stock must never go
+ * below zero, exactly as many sales as there were units must succeed, and
+ * every sale must get its own sale and receipt number.
+ *
+ * Requires a reachable DATABASE_URL, like the other integration tests.
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../src/app');
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+
+describe('Concurrent sales', () => {
+  const email = 'concurrency-shop@example.com';
+  const stock = 5;
+  const attempts = 12;
+  let seeded;
+
+  const cleanup = async () => {
+    const user = await prisma.user.findUnique({ where: { email }, select: { id: true } });
+    if (!user) return;
+
+    const where = { userId: user.id };
+    await prisma.auditLog.deleteMany({ where });
+    await prisma.payment.deleteMany({ where });
+    await prisma.saleItem.deleteMany({ where: { sale: where } });
+    await prisma.sale.deleteMany({ where });
+    await prisma.numberSequence.deleteMany({ where });
+    await prisma.inventoryItem.deleteMany({ where });
+    await prisma.location.deleteMany({ where });
+    await prisma.product.deleteMany({ where });
+    await prisma.customer.deleteMany({ where });
+    await prisma.authSession.deleteMany({ where });
+    await prisma.user.delete({ where: { id: user.id } });
+  };
+
+  const sell = (quantity = 1) => request(app)
+    .post('/api/v1/sales')
+    .set('Authorization', `Bearer ${seeded.token}`)
+    .send({
+      customerId: seeded.customerId,
+      items: [{ type: 'PRODUCT', id: seeded.productId, quantity }],
+      paymentMethod: 'CASH',
+      paymentAmount: 100 * quantity
+    });
+
+  beforeAll(async () => {
+    await cleanup();
+
+    const user = await prisma.user.create({
+      data: { email, password: 'not-used', shopName: 'Concurrency Shop' }
+    });
+    const customer = await prisma.customer.create({
+      data: { name: 'Walk-in', phone: '0700000991', userId: user.id }
+    });
+    const location = await prisma.location.create({
+      data: { userId: user.id, name: 'Main store', isDefault: true }
+    });
+    const product = await prisma.product.create({
+      data: {
+        name: 'Contended product',
+        sellingPrice: 100,
+        costPrice: 60,
+        userId: user.id,
+        inventoryItems: { create: { quantity: stock, reorderLevel: 1, userId: user.id, locationId: location.id } }
+      },
+      include: { inventoryItems: true }
+    });
+    await prisma.inventoryMovement.create({
+      data: {
+        userId: user.id,
+        productId: product.id,
+        inventoryItemId: product.inventoryItems[0].id,
+        type: 'COUNT',
+        quantity: stock,
+        balance: stock,
+        reason: 'Opening stock'
+      }
+    });
+    const session = await prisma.authSession.create({ data: { userId: user.id } });
+
+    seeded = {
+      userId: user.id,
+      customerId: customer.id,
+      productId: product.id,
+      token: jwt.sign({ userId: user.id, sid: session.id }, process.env.JWT_SECRET, { expiresIn: '1h' })
+    };
+  });
+
+  afterAll(async () => {
+    await cleanup();
+    await prisma.$disconnect();
+  });
+
+  it('never sells more units than are in stock', async () => {
+    const responses = await Promise.all(Array.from({ length: attempts }, () => sell()));
+
+    const sold = responses.filter(res => res.statusCode === 201);
+    const refused = responses.filter(res => res.statusCode === 409);
+
+    expect(sold).toHaveLength(stock);
+    expect(refused).toHaveLength(attempts - stock);
+    refused.forEach(res => expect(res.body.details).toMatch(/^Insufficient stock/));
+
+    const inventory = await prisma.inventoryItem.findFirst({ where: { productId: seeded.productId } });
+    expect(inventory.quantity).toBe(0);
+
+    const ledger = await prisma.inventoryMovement.aggregate({
+      where: { inventoryItemId: inventory.id },
+      _sum: { quantity: true }
+    });
+    expect(ledger._sum.quantity).toBe(0);
+  });
+
+  it('gives every sale its own sale and receipt number', async () => {
+    const sales = await prisma.sale.findMany({ where: { userId: seeded.userId } });
+
+    expect(sales).toHaveLength(stock);
+    expect(new Set(sales.map(sale => sale.saleNumber)).size).toBe(stock);
+    expect(new Set(sales.map(sale => sale.receiptNumber)).size).toBe(stock);
+    expect(sales.map(sale => sale.receiptNumber).sort()).toEqual(
+      Array.from({ length: stock }, (_, i) => `RCP-${String(i + 1).padStart(6, '0')}`)
+    );
+  });
+
+  it('refuses the sale outright when the stock cannot cover it', async () => {
+    await prisma.inventoryItem.updateMany({ where: { productId: seeded.productId }, data: { quantity: 3 } });
+
+    const responses = await Promise.all([sell(2), sell(2)]);
+
+    expect(responses.map(res => res.statusCode).sort()).toEqual([201, 409]);
+    const inventory = await prisma.inventoryItem.findFirst({ where: { productId: seeded.productId } });
+    expect(inventory.quantity).toBe(1);
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * Tests for selling on credit through the sales controller.
+ *
+ * The controller runs against the real sales service; the Prisma client is
+ * mocked and `$transaction` runs its callback against the same mock. Sales
+ * and debts the service creates are kept so the payment can find them.
+ */
+
+const prisma = require('../src/utils/prisma');
+const salesController = require('../src/controllers/salesController');
+
+jest.mock('../src/utils/prisma', () => {
+    const client = {
+        customer: { findFirst: jest.fn(), findUnique: jest.fn() },
+        location: { findFirst: jest.fn() },
+        product: { findFirst: jest.fn() },
+        inventoryItem: { updateMany: jest.fn(), findUnique: jest.fn() },
+        inventoryMovement: { create: jest.fn() },
+        numberSequence: { upsert: jest.fn() },
+        shop: { findUnique: jest.fn() },
+        sale: { create: jest.fn(), findFirst: jest.fn(), update: jest.fn() },
+        saleItem: { create: jest.fn() },
+        debt: { create: jest.fn(), update: jest.fn() },
+        payment: { create: jest.fn() },
+        paymentAllocation: { create: jest.fn() },
+        auditLog: { create: jest.fn() }
+    };
+    client.$transaction = jest.fn(callback => callback(client));
+    return client;
+});
+
+describe('salesController credit sales', () => {
+    const customer = { id: 5, userId: 7, name: 'Jane Wanjiru', phone: '0712345678' };
+    let sales, debts, res;
+
+    const request = (body, params = {}) => ({
+        body,
+        params,
+        user: { userId: 7 }
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        sales = [];
+        debts = [];
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn()
+        };
+
+        prisma.customer.findFirst.mockResolvedValue(customer);
+        prisma.customer.findUnique.mockResolvedValue(customer);
+        prisma.location.findFirst.mockResolvedValue({ id: 1, userId: 7, name: 'Main store', isDefault: true, isActive: true });
+        prisma.product.findFirst.mockResolvedValue({
+            id: 4, name: 'Sugar 1kg', sellingPrice: 150, costPrice: 110,
+            trackInventory: true, inventoryItems: [{ id: 11, quantity: 10 }]
+        });
+        prisma.inventoryItem.updateMany.mockResolvedValue({ count: 1 });
+        prisma.inventoryItem.findUnique.mockResolvedValue({ id: 11, quantity: 8 });
+        prisma.numberSequence.upsert.mockResolvedValue({ value: 1 });
+        prisma.shop.findUnique.mockResolvedValue(null);
+        prisma.auditLog.create.mockResolvedValue({ id: 300 });
+        prisma.saleItem.create.mockImplementation(({ data }) => Promise.resolve({ id: 81, ...data }));
+        prisma.sale.create.mockImplementation(({ data }) => {
+            const sale = { id: 31, createdAt: new Date(), ...data };
+            sales.push(sale);
+            return Promise.resolve(sale);
+        });
+        prisma.debt.create.mockImplementation(({ data }) => {
+            const debt = { id: 60, isPaid: false, createdAt: new Date(), ...data };
+            debts.push(debt);
+            return Promise.resolve(debt);
+        });
+        prisma.sale.findFirst.mockImplementation(({ where }) => Promise.resolve(
+            sales.find(sale => sale.id === where.id) &&
+            { ...sales.find(sale => sale.id === where.id), debts: debts.filter(debt => !debt.isPaid) }
+        ));
+        prisma.payment.create.mockImplementation(({ data }) => Promise.resolve({ id: 77, ...data }));
+        prisma.paymentAllocation.create.mockImplementation(({ data }) => Promise.resolve({ id: 90, ...data }));
+        prisma.debt.update.mockImplementation(({ where, data }) => {
+            Object.assign(debts.find(debt => debt.id === where.id), data);
+            return Promise.resolve(data);
+        });
+        prisma.sale.update.mockImplementation(({ data }) => Promise.resolve({
+            ...sales[0],
+            paidAmount: sales[0].paidAmount + data.paidAmount.increment
+        }));
+    });
+
+    it('should sell on credit without a payment and take the payment later', async () => {
+        await salesController.createSale(request({
+            customerId: 5,
+            items: [{ type: 'PRODUCT', id: 4, quantity: 2 }],
+            saleType: 'CREDIT',
+            taxAmount: 20,
+            discountAmount: 10
+        }), res);
+
+        expect(res.status).toHaveBeenCalledWith(201);
+        expect(prisma.debt.create).toHaveBeenCalledWith({
+            data: expect.objectContaining({ customerId: 5, amount: 310, originalAmount: 310, saleId: 31 })
+        });
+        expect(prisma.payment.create).not.toHaveBeenCalled();
+        expect(res.json.mock.calls[0][0].sale.sale).toMatchObject({ saleType: 'CREDIT', totalAmount: 310, amountDue: 310 });
+
+        res.status.mockClear();
+        await salesController.processSalePayment(request(
+            { paymentAmount: 310, paymentMethod: 'MPESA' },
+            { saleId: '31' }
+        ), res);
+
+        expect(res.status).not.toHaveBeenCalled();
+        expect(prisma.paymentAllocation.create).toHaveBeenCalledWith({
+            data: { paymentId: 77, debtId: 60, amount: 310 }
+        });
+        expect(debts[0]).toMatchObject({ amount: 0, isPaid: true });
+    });
+
+    it('should still make the sale when the customer\'s phone cannot take a receipt', async () => {
+        prisma.shop.findUnique.mockResolvedValue({ id: 2, name: 'Corner Shop', whatsappSaleReceipts: true });
+        prisma.customer.findUnique.mockResolvedValue({ ...customer, phone: 'N/A' });
+
+        await salesController.createSale(request({
+            customerId: 5,
+            items: [{ type: 'PRODUCT', id: 4, quantity: 2 }],
+            saleType: 'CREDIT'
+        }), res);
+
+        expect(res.status).toHaveBeenCalledWith(201);
+        expect(prisma.debt.create).toHaveBeenCalled();
+    });
+
+    it('should refuse a credit sale without a customer', async () => {
+        await salesController.createSale(request({
+            items: [{ type: 'PRODUCT', id: 4, quantity: 1 }],
+            saleType: 'CREDIT'
+        }), res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(prisma.sale.create).not.toHaveBeenCalled();
+    });
+
+    it('should refuse unknown sale types and negative adjustments', async () => {
+        await salesController.createSale(request({
+            customerId: 5,
+            items: [{ type: 'PRODUCT', id: 4, quantity: 1 }],
+            saleType: 'LAYAWAY'
+        }), res);
+        await salesController.createSale(request({
+            items: [{ type: 'PRODUCT', id: 4, quantity: 1 }],
+            discountAmount: -5,
+            paymentMethod: 'CASH',
+            paymentAmount: 150
+        }), res);
+
+        expect(res.status).toHaveBeenNthCalledWith(1, 400);
+        expect(res.status).toHaveBeenNthCalledWith(2, 400);
+        expect(prisma.sale.create).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,185 @@
+/**
+ * Unit tests for stock-take sessions.
+ *
+ * The Prisma client is mocked and `$transaction` runs its callback against
+ * the same mock.
+ */
+
+const prisma = require('../src/utils/prisma');
+const StockTakeService = require('../src/services/stockTakeService');
+
+jest.mock('../src/utils/prisma', () => {
+    const client = {
+        location: { findFirst: jest.fn(), update: jest.fn() },
+        product: { findMany: jest.fn() },
+        inventoryItem: { upsert: jest.fn(), update: jest.fn() },
+        inventoryMovement: { create: jest.fn() },
+        numberSequence: { upsert: jest.fn() },
+        stockTake: { findFirst: jest.fn(), create: jest.fn(), updateMany: jest.fn() },
+        stockTakeItem: { findMany: jest.fn(), update: jest.fn() },
+        auditLog: { create: jest.fn() }
+    };
+    client.$transaction = jest.fn(callback => callback(client));
+    return client;
+});
+
+describe('StockTakeService', () => {
+    const store = { id: 1, userId: 7, name: 'Main store', isDefault: true, isActive: true };
+    const take = { id: 30, userId: 7, takeNumber: 'ST-000002', locationId: 1, status: 'OPEN', location: store };
+
+    // Sugar: 10 expected, 7 counted. Oil: 4 expected, 5 counted. Matches: not counted yet
+    const sheet = [
+        {
+            id: 71, productId: 4, expectedQuantity: 10, countedQuantity: 7, unitCost: 110,
+            product: { id: 4, name: 'Sugar 1kg', category: 'Groceries' }
+        },
+        {
+            id: 72, productId: 6, expectedQuantity: 4, countedQuantity: 5, unitCost: 250,
+            product: { id: 6, name: 'Cooking oil 1L', category: 'Groceries' }
+        },
+        {
+            id: 73, productId: 8, expectedQuantity: 20, countedQuantity: null, unitCost: 5,
+            product: { id: 8, name: 'Matches', category: null }
+        }
+    ];
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        prisma.location.findFirst.mockResolvedValue(store);
+        prisma.stockTake.findFirst.mockResolvedValue(take);
+        prisma.stockTake.updateMany.mockResolvedValue({ count: 1 });
+        prisma.inventoryMovement.create.mockImplementation(({ data }) => Promise.resolve({ id: 90, ...data }));
+        prisma.auditLog.create.mockResolvedValue({ id: 300 });
+    });
+
+    describe('startStockTake', () => {
+        it('should freeze the expected quantity of every tracked product at the location', async () => {
+            prisma.stockTake.findFirst.mockResolvedValue(null);
+            prisma.product.findMany.mockResolvedValue([
+                { id: 4, costPrice: 110, inventoryItems: [{ quantity: 10 }] },
+                { id: 6, costPrice: 250, inventoryItems: [] }
+            ]);
+            prisma.numberSequence.upsert.mockResolvedValue({ value: 2 });
+            prisma.stockTake.create.mockImplementation(({ data }) => Promise.resolve({ id: 30, ...data }));
+
+            const result = await StockTakeService.startStockTake(7, { category: 'Groceries', actorId: 3 });
+
+            expect(prisma.product.findMany).toHaveBeenCalledWith(expect.objectContaining({
+                where: { userId: 7, trackInventory: true, category: 'Groceries' }
+            }));
+            expect(prisma.stockTake.create).toHaveBeenCalledWith({
+                data: expect.objectContaining({
+                    takeNumber: 'ST-000002',
+                    locationId: 1,
+                    items: {
+                        create: [
+                            { productId: 4, expectedQuantity: 10, unitCost: 110 },
+                            { productId: 6, expectedQuantity: 0, unitCost: 250 }
+                        ]
+                    }
+                })
+            });
+            expect(result.lines).toBe(2);
+        });
+
+        it('should refuse a second open count of the same location', async () => {
+            await expect(StockTakeService.startStockTake(7, {}))
+                .rejects.toThrow('A stock take is already open at Main store (ST-000002)');
+            expect(prisma.stockTake.create).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('recordCounts', () => {
+        it('should save a batch of counts and report progress', async () => {
+            prisma.stockTakeItem.findMany.mockResolvedValue(sheet.map(item => ({ ...item })));
+
+            const result = await StockTakeService.recordCounts(30, 7, {
+                counts: [{ productId: 8, countedQuantity: 18 }],
+                actorId: 3
+            });
+
+            expect(prisma.stockTakeItem.update).toHaveBeenCalledWith({
+                where: { id: 73 },
+                data: { countedQuantity: 18, countedBy: 3, countedAt: expect.any(Date) }
+            });
+            expect(result.progress).toEqual({ totalLines: 3, countedLines: 3, remainingLines: 0 });
+        });
+
+        it('should refuse counts once the stock take is posted', async () => {
+            prisma.stockTake.updateMany.mockResolvedValue({ count: 0 });
+
+            await expect(StockTakeService.recordCounts(30, 7, { counts: [{ productId: 4, countedQuantity: 1 }] }))
+                .rejects.toThrow('Only open stock takes can be counted');
+            expect(prisma.stockTakeItem.update).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('postStockTake', () => {
+        it('should apply each counted variance to the stock at posting time', async () => {
+            prisma.stockTakeItem.findMany.mockResolvedValue(sheet);
+            prisma.inventoryItem.upsert.mockImplementation(({ where }) =>
+                Promise.resolve({ id: where.productId_locationId.productId + 10 }));
+            // Two bags of sugar were sold after the count started
+            prisma.inventoryItem.update.mockImplementation(({ where, data }) => Promise.resolve(
+                data.quantity.increment === 0 ? { id: where.id, quantity: where.id === 14 ? 8 : 4 } : { id: where.id, ...data }
+            ));
+
+            const result = await StockTakeService.postStockTake(30, 7, { actorId: 3 });
+
+            expect(prisma.stockTake.updateMany).toHaveBeenCalledWith({
+                where: { id: 30, status: 'OPEN' },
+                data: { status: 'POSTED', postedBy: 3, postedAt: expect.any(Date) }
+            });
+            expect(prisma.inventoryItem.update).toHaveBeenCalledWith({ where: { id: 14 }, data: { quantity: 5 } });
+            expect(prisma.inventoryMovement.create).toHaveBeenCalledWith({
+                data: expect.objectContaining({
+                    inventoryItemId: 14, type: 'COUNT', quantity: -3, balance: 5, stockTakeId: 30, reason: 'ST-000002'
+                })
+            });
+            expect(prisma.inventoryMovement.create).toHaveBeenCalledWith({
+                data: expect.objectContaining({ inventoryItemId: 16, type: 'COUNT', quantity: 1, balance: 5 })
+            });
+            // Matches were never counted
+            expect(prisma.inventoryMovement.create).toHaveBeenCalledTimes(2);
+            expect(result.summary).toMatchObject({
+                countedLines: 2,
+                remainingLines: 1,
+                shrinkageValue: 330,
+                overageValue: 250,
+                netVarianceValue: -80
+            });
+        });
+
+        it('should refuse to post twice', async () => {
+            prisma.stockTake.updateMany.mockResolvedValue({ count: 0 });
+
+            await expect(StockTakeService.postStockTake(30, 7)).rejects.toThrow('Only open stock takes can be posted');
+            expect(prisma.inventoryMovement.create).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('getShrinkageReport', () => {
+        it('should total shortages and overages by category from the counted lines', async () => {
+            prisma.stockTake.findFirst.mockResolvedValue({ ...take, status: 'POSTED', items: sheet });
+
+            const report = await StockTakeService.getShrinkageReport(30, 7);
+
+            expect(report.categories).toEqual([
+                {
+                    category: 'Groceries',
+                    linesCounted: 2,
+                    linesShort: 1,
+                    linesOver: 1,
+                    unitsShort: 3,
+                    unitsOver: 1,
+                    expectedValue: 2100,
+                    shrinkageValue: 330,
+                    overageValue: 250,
+                    netVarianceValue: -80,
+                    shrinkageRate: 15.71
+                }
+            ]);
+            expect(report.totals).toMatchObject({ linesCounted: 2, shrinkageValue: 330 });
+        });
+    });
+});
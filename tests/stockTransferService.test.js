@@ -0,0 +1,114 @@
+/**
+ * Unit tests for moving stock between locations.
+ *
+ * The Prisma client is mocked and `$transaction` runs its callback against
+ * the same mock.
+ */
+
+const prisma = require('../src/utils/prisma');
+const StockTransferService = require('../src/services/stockTransferService');
+
+jest.mock('../src/utils/prisma', () => {
+    const client = {
+        product: { findMany: jest.fn() },
+        location: { findFirst: jest.fn() },
+        inventoryItem: { upsert: jest.fn(), updateMany: jest.fn(), findUnique: jest.fn(), update: jest.fn() },
+        inventoryMovement: { create: jest.fn() },
+        numberSequence: { upsert: jest.fn() },
+        stockTransfer: { create: jest.fn() },
+        auditLog: { create: jest.fn() }
+    };
+    client.$transaction = jest.fn(callback => callback(client));
+    return client;
+});
+
+describe('StockTransferService.createTransfer', () => {
+    const shop = { id: 1, userId: 7, name: 'Main store', isDefault: true, isActive: true };
+    const kiosk = { id: 2, userId: 7, name: 'Market kiosk', isDefault: false, isActive: true };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        prisma.product.findMany.mockResolvedValue([{ id: 4, name: 'Sugar 1kg', trackInventory: true, costPrice: 110 }]);
+        prisma.location.findFirst.mockImplementation(({ where }) =>
+            Promise.resolve([shop, kiosk].find(location => location.id === where.id) || null));
+        prisma.inventoryItem.upsert.mockImplementation(({ where }) => Promise.resolve({
+            id: where.productId_locationId.locationId === 1 ? 11 : 12
+        }));
+        prisma.numberSequence.upsert.mockResolvedValue({ value: 3 });
+        prisma.stockTransfer.create.mockImplementation(({ data }) => Promise.resolve({
+            id: 50,
+            ...data,
+            items: data.items.create.map((item, index) => ({ id: 80 + index, transferId: 50, ...item }))
+        }));
+        prisma.inventoryMovement.create.mockImplementation(({ data }) => Promise.resolve({ id: 90, ...data }));
+        prisma.auditLog.create.mockResolvedValue({ id: 300 });
+    });
+
+    it('should take the stock out of one location and into the other, with a movement on each side', async () => {
+        prisma.inventoryItem.updateMany.mockResolvedValue({ count: 1 });
+        prisma.inventoryItem.findUnique.mockResolvedValue({ id: 11, quantity: 15 });
+        prisma.inventoryItem.update.mockResolvedValue({ id: 12, quantity: 5 });
+
+        const result = await StockTransferService.createTransfer(7, {
+            fromLocationId: 1,
+            toLocationId: 2,
+            items: [{ productId: 4, quantity: 5 }],
+            actorId: 3
+        });
+
+        expect(prisma.inventoryItem.updateMany).toHaveBeenCalledWith({
+            where: { id: 11, quantity: { gte: 5 } },
+            data: { quantity: { decrement: 5 } }
+        });
+        expect(prisma.inventoryItem.update).toHaveBeenCalledWith({
+            where: { id: 12 },
+            data: { quantity: { increment: 5 } }
+        });
+        expect(prisma.inventoryMovement.create).toHaveBeenCalledWith({
+            data: expect.objectContaining({
+                inventoryItemId: 11, type: 'TRANSFER', quantity: -5, balance: 15, stockTransferId: 50, reason: 'TRF-000003'
+            })
+        });
+        expect(prisma.inventoryMovement.create).toHaveBeenCalledWith({
+            data: expect.objectContaining({
+                inventoryItemId: 12, type: 'TRANSFER', quantity: 5, balance: 5, stockTransferId: 50, reason: 'TRF-000003'
+            })
+        });
+        expect(result.items).toEqual([
+            { productId: 4, productName: 'Sugar 1kg', quantity: 5, fromStock: 15, toStock: 5 }
+        ]);
+    });
+
+    it('should refuse to move more than the source location holds', async () => {
+        prisma.inventoryItem.updateMany.mockResolvedValue({ count: 0 });
+        prisma.inventoryItem.findUnique.mockResolvedValue({ id: 11, quantity: 2 });
+
+        await expect(StockTransferService.createTransfer(7, {
+            fromLocationId: 1,
+            toLocationId: 2,
+            items: [{ productId: 4, quantity: 5 }]
+        })).rejects.toThrow('Insufficient stock for Sugar 1kg at Main store. Available: 2, Requested: 5');
+        expect(prisma.inventoryItem.update).not.toHaveBeenCalled();
+        expect(prisma.inventoryMovement.create).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a transfer to the same location', async () => {
+        await expect(StockTransferService.createTransfer(7, {
+            fromLocationId: 2,
+            toLocationId: '2',
+            items: [{ productId: 4, quantity: 1 }]
+        })).rejects.toThrow('Stock must move to a different location');
+    });
+
+    it('should refuse an inactive destination', async () => {
+        prisma.location.findFirst.mockImplementation(({ where }) =>
+            Promise.resolve(where.id === 2 ? { ...kiosk, isActive: false } : shop));
+
+        await expect(StockTransferService.createTransfer(7, {
+            fromLocationId: 1,
+            toLocationId: 2,
+            items: [{ productId: 4, quantity: 1 }]
+        })).rejects.toThrow('Location Market kiosk is inactive');
+        expect(prisma.stockTransfer.create).not.toHaveBeenCalled();
+    });
+});
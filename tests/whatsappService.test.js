@@ -0,0 +1,191 @@
+/**
+ * Unit tests for WhatsApp sale receipts, payment confirmations and statements.
+ *
+ * The Prisma client is mocked; queued messages are asserted on the outbox row
+ * that would have been created.
+ */
+
+const prisma = require('../src/utils/prisma');
+const WhatsAppService = require('../src/services/whatsappService');
+
+jest.mock('../src/utils/prisma', () => ({
+    shop: { findUnique: jest.fn() },
+    customer: { findUnique: jest.fn(), findFirst: jest.fn() },
+    notification: { create: jest.fn() }
+}));
+
+describe('WhatsAppService', () => {
+    const shop = {
+        id: 2,
+        name: 'Corner Shop',
+        whatsappSaleReceipts: true,
+        whatsappPaymentReceipts: true,
+        whatsappFrom: '+254700000001'
+    };
+    const customer = { id: 5, name: 'Jane', phone: '0712345678', creditBalance: 0 };
+
+    const sale = {
+        id: 31,
+        saleNumber: 'SALE-20250815-0004',
+        customerId: 5,
+        subtotal: 1300,
+        discountAmount: 50,
+        taxAmount: 0,
+        totalAmount: 1250,
+        createdAt: new Date('2025-08-15T07:02:00Z')
+    };
+    const items = [
+        { name: 'Brake pads', quantity: 2, unitPrice: 400, totalPrice: 800 },
+        { name: 'Fitting', quantity: 1, unitPrice: 500, totalPrice: 500 }
+    ];
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        prisma.shop.findUnique.mockResolvedValue(shop);
+        prisma.customer.findUnique.mockResolvedValue(customer);
+        prisma.notification.create.mockImplementation(({ data }) => Promise.resolve({ id: 1, ...data }));
+    });
+
+    describe('queueSaleReceipt', () => {
+        it('should queue an itemised receipt from the shop\'s own number', async () => {
+            await WhatsAppService.queueSaleReceipt(prisma, {
+                userId: 7,
+                sale,
+                items,
+                paymentRecord: { amount: 1000, paymentMethod: 'MPESA' },
+                debtRecord: { amount: 250 }
+            });
+
+            expect(prisma.notification.create).toHaveBeenCalledWith({
+                data: expect.objectContaining({
+                    channel: 'WHATSAPP',
+                    type: 'SALE_RECEIPT',
+                    to: '+254712345678',
+                    sender: '+254700000001'
+                })
+            });
+            expect(prisma.notification.create.mock.calls[0][0].data.body).toBe([
+                '*Corner Shop*',
+                'Receipt SALE-20250815-0004',
+                '15 Aug 2025, 10:02',
+                '',
+                '2 x Brake pads @ KES 400.00 = KES 800.00',
+                '1 x Fitting @ KES 500.00 = KES 500.00',
+                '',
+                'Subtotal: KES 1,300.00',
+                'Discount: -KES 50.00',
+                '*Total: KES 1,250.00*',
+                'Paid: KES 1,000.00 (MPESA)',
+                'Balance due: KES 250.00',
+                '',
+                'Thank you, Jane!'
+            ].join('\n'));
+        });
+
+        it('should not queue anything when the shop has receipts switched off', async () => {
+            prisma.shop.findUnique.mockResolvedValue({ ...shop, whatsappSaleReceipts: false });
+
+            expect(await WhatsAppService.queueSaleReceipt(prisma, { userId: 7, sale, items })).toBeNull();
+            expect(prisma.notification.create).not.toHaveBeenCalled();
+        });
+
+        it('should skip walk-in sales and customers without a phone', async () => {
+            expect(await WhatsAppService.queueSaleReceipt(prisma, {
+                userId: 7, sale: { ...sale, customerId: null }, items
+            })).toBeNull();
+
+            prisma.customer.findUnique.mockResolvedValue({ ...customer, phone: null });
+            expect(await WhatsAppService.queueSaleReceipt(prisma, { userId: 7, sale, items })).toBeNull();
+            expect(prisma.notification.create).not.toHaveBeenCalled();
+        });
+
+        it('should skip a phone that is not a number instead of failing the sale', async () => {
+            for (const phone of ['-', 'N/A', '+']) {
+                prisma.customer.findUnique.mockResolvedValue({ ...customer, phone });
+                expect(await WhatsAppService.queueSaleReceipt(prisma, { userId: 7, sale, items })).toBeNull();
+            }
+            expect(await WhatsAppService.queuePaymentConfirmation(prisma, {
+                userId: 7, customer: { ...customer, phone: 'N/A' }, payment: {}, summary: {}
+            })).toBeNull();
+            expect(prisma.notification.create).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('queuePaymentConfirmation', () => {
+        it('should confirm the payment with how it was applied', async () => {
+            const notification = await WhatsAppService.queuePaymentConfirmation(prisma, {
+                userId: 7,
+                customer,
+                payment: {
+                    amount: 500,
+                    paymentMethod: 'MPESA',
+                    reference: 'QHX81KD2',
+                    createdAt: new Date('2025-08-15T07:02:00Z')
+                },
+                summary: { appliedToDebt: 400, creditAdded: 100, remainingDebt: 0, newCreditBalance: 100 }
+            });
+
+            expect(notification.type).toBe('PAYMENT_CONFIRMATION');
+            expect(notification.body).toBe([
+                '*Corner Shop*',
+                'Payment received: KES 500.00 (MPESA, ref QHX81KD2)',
+                '15 Aug 2025, 10:02',
+                '',
+                'Applied to debts: KES 400.00',
+                'Credit added: KES 100.00',
+                'Remaining balance: KES 0.00',
+                'Credit balance: KES 100.00',
+                '',
+                'Thank you, Jane!'
+            ].join('\n'));
+        });
+    });
+
+    describe('sendStatement', () => {
+        it('should list unpaid debts and payments in the period', async () => {
+            prisma.customer.findFirst.mockResolvedValue({
+                ...customer,
+                debts: [
+                    { description: 'Credit sale SALE-1', amount: 300, dueDate: new Date('2025-08-20'), createdAt: new Date('2025-08-01') },
+                    { description: null, amount: 200, dueDate: null, createdAt: new Date('2025-08-05') }
+                ],
+                payments: [
+                    { paymentMethod: 'CASH', amount: 150, createdAt: new Date('2025-08-10') }
+                ]
+            });
+
+            const notification = await WhatsAppService.sendStatement(5, 7, {
+                startDate: '2025-08-01',
+                endDate: '2025-08-15'
+            });
+
+            expect(prisma.customer.findFirst).toHaveBeenCalledWith(
+                expect.objectContaining({ where: { id: 5, userId: 7 } })
+            );
+            expect(notification).toMatchObject({ channel: 'WHATSAPP', type: 'STATEMENT', to: '+254712345678' });
+            expect(notification.body).toBe([
+                '*Corner Shop*',
+                'Statement for Jane',
+                '2025-08-01 to 2025-08-15',
+                '',
+                '*Unpaid*',
+                '2025-08-01 Credit sale SALE-1: KES 300.00, due 2025-08-20',
+                '2025-08-05 Debt: KES 200.00',
+                '',
+                '*Payments*',
+                '2025-08-10 CASH: KES 150.00',
+                '',
+                '*Total owed: KES 500.00*'
+            ].join('\n'));
+        });
+
+        it('should refuse customers it cannot reach', async () => {
+            prisma.customer.findFirst.mockResolvedValue({ ...customer, phone: null, debts: [], payments: [] });
+            await expect(WhatsAppService.sendStatement(5, 7)).rejects.toThrow('Customer has no phone number');
+
+            prisma.customer.findFirst.mockResolvedValue(null);
+            await expect(WhatsAppService.sendStatement(5, 8)).rejects.toThrow('Customer not found');
+            expect(prisma.notification.create).not.toHaveBeenCalled();
+        });
+    });
+});